@@ -0,0 +1,116 @@
+/**
+ * 인증 미들웨어
+ *
+ * 이 파일은 보호된 API 라우트에서 공통으로 사용하는 인증 미들웨어를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - Authorization 헤더의 JWT 토큰 검증
+ * - 토큰의 로그인 세션이 취소되지 않았는지 확인 (로그아웃한 토큰 거부)
+ * - 요청 객체에 인증된 사용자 정보 추가
+ * - 이메일을 인증하지 않은 계정의 기능 제한 (UNVERIFIED_RESTRICTIONS 설정에 따라)
+ */
+
+const User = require('../models/User'); // 사용자 모델 (이메일 인증 상태)
+const { verifyAccessToken, touchSession } = require('../utils/authTokens'); // 토큰 검증 및 세션 확인
+const { isEmailUnverified, isRestrictedWhenUnverified } = require('../utils/accountTokens'); // 미인증 계정 제한
+
+/**
+ * 인증 미들웨어
+ * JWT 토큰을 검증하여 사용자 인증을 처리합니다
+ */
+const authenticateToken = async (req, res, next) => {
+  try {
+    // Authorization 헤더에서 토큰 추출
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: true,
+        message: '인증 토큰이 필요합니다.'
+      });
+    }
+
+    // 토큰 추출
+    const token = authHeader.substring(7); // 'Bearer ' 제거
+
+    // 토큰 검증
+    const decoded = verifyAccessToken(token);
+
+    // 로그아웃했거나 취소된 세션의 토큰은 만료 전이라도 거부
+    const isSessionActive = await touchSession(decoded, req);
+    if (!isSessionActive) {
+      return res.status(401).json({
+        error: true,
+        message: '로그인 세션이 만료되었습니다. 다시 로그인해주세요.'
+      });
+    }
+
+    // 요청 객체에 사용자 정보 추가
+    req.user = {
+      id: decoded.id,
+      email: decoded.email,
+      sessionId: decoded.sid
+    };
+
+    next(); // 다음 미들웨어로 이동
+
+  } catch (error) {
+    console.error('토큰 검증 중 오류 발생:', error);
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        error: true,
+        message: '유효하지 않은 토큰입니다.'
+      });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: true,
+        message: '토큰이 만료되었습니다.'
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '인증 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+/**
+ * 이메일 인증 확인 미들웨어 생성 함수
+ * 제한이 설정되어 있으면 이메일을 인증하지 않은 계정의 요청을 403으로 거부합니다 (authenticateToken 뒤에 사용)
+ *
+ * @param {string} restriction - 제한 이름 (invitations, invite 등)
+ * @returns {Function} Express 미들웨어
+ */
+const requireVerifiedEmail = (restriction) => async (req, res, next) => {
+  if (!isRestrictedWhenUnverified(restriction)) return next();
+
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified');
+    if (user && isEmailUnverified(user)) {
+      return res.status(403).json({
+        error: true,
+        message: '이메일 인증 후 사용할 수 있는 기능입니다. 메일함에서 인증 링크를 확인해주세요.',
+        data: {
+          emailVerificationRequired: true
+        }
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('이메일 인증 확인 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '인증 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+module.exports = {
+  authenticateToken,
+  requireVerifiedEmail
+};
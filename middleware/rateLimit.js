@@ -0,0 +1,182 @@
+/**
+ * 요청 제한 미들웨어
+ *
+ * 이 파일은 IP 또는 사용자별로 일정 시간 동안의 요청 수를 제한하는 미들웨어를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 슬라이딩 윈도우 방식의 요청 제한 (utils/rateLimit.js)
+ * - 로그인한 요청은 사용자별로, 로그인하지 않은 요청은 IP별로 세기 (할 일 API, 그 밖의 API)
+ * - 표준 RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy 응답 헤더
+ * - 제한을 넘으면 429 응답과 Retry-After 헤더 (거부한 요청도 셈)
+ * - 용도별 제한 (인증 API 전체, 로그인, 메일 발송, 할 일 API, 그 밖의 API)
+ *
+ * 제한은 RATE_LIMIT_<이름>=<횟수>/<분> 환경 변수로 바꿀 수 있고, RATE_LIMIT_ENABLED=false이면 적용하지 않습니다.
+ * 프록시 뒤에서 실행하면 TRUST_PROXY를 설정해야 클라이언트 IP로 셉니다 (설정하지 않으면 모든 요청이 프록시 IP 하나로 셈).
+ */
+
+const { createSlidingWindow } = require('../utils/rateLimit'); // 슬라이딩 윈도우 카운터
+const { verifyAccessToken } = require('../utils/authTokens');  // 사용자별 제한을 위한 토큰 확인
+
+// 요청 제한 사용 여부
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * 제한 설정 읽기 함수
+ *
+ * @param {string} name - 환경 변수 이름
+ * @param {number} defaultLimit - 기본 허용 횟수
+ * @param {number} defaultMinutes - 기본 기간 (분)
+ * @returns {{ limit: number, windowMs: number }} 허용 횟수와 기간
+ */
+const readLimit = (name, defaultLimit, defaultMinutes) => {
+  const value = process.env[name];
+  const match = String(value || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+
+  if (value && (!match || Number(match[1]) === 0 || Number(match[2]) === 0)) {
+    console.warn(`${name}은 "<횟수>/<분>" 형식이어야 하므로 기본값(${defaultLimit}/${defaultMinutes})을 사용합니다: ${value}`);
+  }
+
+  const [limit, minutes] = match && Number(match[1]) > 0 && Number(match[2]) > 0
+    ? [Number(match[1]), Number(match[2])]
+    : [defaultLimit, defaultMinutes];
+
+  return { limit, windowMs: minutes * 60 * 1000 };
+};
+
+/**
+ * IP별 제한 키 생성 함수 (기본값)
+ *
+ * @param {Object} req - 요청 객체
+ * @returns {string} 제한 키
+ */
+const ipKey = (req) => `ip:${req.ip}`;
+
+/**
+ * 사용자별 제한 키 생성 함수
+ * 서명이 올바른 액세스 토큰이 있으면 사용자 ID로, 없거나 잘못된 토큰이면 IP로 셉니다
+ * (한 IP를 함께 쓰는 사용자끼리 제한을 나눠 쓰지 않도록 함. 세션 확인은 인증 미들웨어에서 처리)
+ *
+ * @param {Object} req - 요청 객체
+ * @returns {string} 제한 키
+ */
+const userOrIpKey = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return ipKey(req);
+  }
+
+  try {
+    const decoded = verifyAccessToken(authHeader.substring(7));
+    return decoded.id ? `user:${decoded.id}` : ipKey(req);
+  } catch (error) {
+    return ipKey(req);
+  }
+};
+
+/**
+ * 요청 제한 응답 헤더 설정 함수
+ *
+ * @param {Object} res - 응답 객체
+ * @param {Object} result - 카운터 결과
+ */
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.allowed ? result.resetSeconds : result.retryAfterSeconds)
+  });
+};
+
+/**
+ * 요청 제한 미들웨어 생성 함수
+ *
+ * @param {Object} options - 설정
+ * @param {string} options.name - 제한 이름 (같은 이름의 요청끼리 함께 셈)
+ * @param {number} options.limit - 기간 동안 허용하는 요청 수
+ * @param {number} options.windowMs - 기간 (밀리초)
+ * @param {string} options.message - 제한에 걸렸을 때 응답 메시지
+ * @param {Function} [options.skip] - true를 반환하면 세지 않는 요청
+ * @param {Function} [options.keyGenerator] - 요청을 함께 셀 대상의 키를 반환하는 함수 (기본값: IP)
+ * @returns {Function} Express 미들웨어
+ */
+const rateLimit = ({ name, limit, windowMs, message, skip, keyGenerator = ipKey }) => {
+  const counter = createSlidingWindow({ name, limit, windowMs });
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED || (skip && skip(req))) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await counter.hit(keyGenerator(req));
+    } catch (error) {
+      // 저장소 오류로 서비스 전체를 막지 않음
+      console.error('요청 제한 확인 중 오류 발생:', error);
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        error: true,
+        message,
+        data: {
+          retryAfter: result.retryAfterSeconds
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+// 인증 API 전체 (/api/auth, 토큰 갱신과 내 정보 조회 포함)
+const authLimiter = rateLimit({
+  name: 'auth',
+  ...readLimit('RATE_LIMIT_AUTH', 300, 15),
+  message: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+// 로그인과 비밀번호 확인 (로그인, 2단계 인증, 2단계 인증 설정의 비밀번호 재입력)
+const loginLimiter = rateLimit({
+  name: 'login',
+  ...readLimit('RATE_LIMIT_LOGIN', 30, 15),
+  message: '로그인 시도가 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+// 메일을 보내는 요청 (회원가입, 인증 메일 재발송, 비밀번호 재설정 메일)
+const accountMailLimiter = rateLimit({
+  name: 'account-mail',
+  ...readLimit('RATE_LIMIT_ACCOUNT_MAIL', 10, 60),
+  message: '메일 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+// 할 일 API (목록, 검색, 보드, 달력 등 화면마다 자주 호출하므로 더 넉넉하게, 사용자별)
+const taskApiLimiter = rateLimit({
+  name: 'tasks',
+  ...readLimit('RATE_LIMIT_TASKS', 3000, 15),
+  message: '할 일 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+  keyGenerator: userOrIpKey
+});
+
+// 그 밖의 API (프로젝트, 보기, 카테고리, 태그, 알림, 캘린더, 실시간 이벤트, 사용자별)
+// 캘린더 앱이 공유 IP에서 주기적으로 가져가는 구독 피드(.ics)는 세지 않음
+const apiLimiter = rateLimit({
+  name: 'api',
+  ...readLimit('RATE_LIMIT_API', 1000, 15),
+  message: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+  skip: (req) => req.path.endsWith('.ics'),
+  keyGenerator: userOrIpKey
+});
+
+module.exports = {
+  rateLimit,
+  authLimiter,
+  loginLimiter,
+  accountMailLimiter,
+  taskApiLimiter,
+  apiLimiter
+};
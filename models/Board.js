@@ -0,0 +1,125 @@
+/**
+ * 칸반 보드 모델
+ *
+ * - 개인 목록(사용자) 또는 프로젝트별 상태 열 구성
+ * - 열 순서와 이름, 색상 관리
+ * - 설정이 없으면 기본 열(할 일, 진행 중, 검토, 완료) 사용
+ *
+ * 마지막 열은 항상 "완료" 상태로 취급하며, 할 일의 completed 값과 연동됩니다.
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// 기본 상태 열
+const DEFAULT_COLUMNS = [
+  { key: 'todo', name: '할 일', color: '#6c757d' },
+  { key: 'in_progress', name: '진행 중', color: '#0d6efd' },
+  { key: 'review', name: '검토', color: '#fd7e14' },
+  { key: 'done', name: '완료', color: '#198754' }
+];
+
+// 열 개수 제한
+const MIN_COLUMNS = 2;
+const MAX_COLUMNS = 10;
+
+/**
+ * 상태 열 스키마 정의
+ */
+const columnSchema = new mongoose.Schema({
+  // 할 일의 status 필드에 저장되는 열 식별자
+  key: {
+    type: String,
+    required: [true, '열 키는 필수 항목입니다.'],
+    match: [/^[a-z0-9_]{1,30}$/, '열 키는 영문 소문자, 숫자, 밑줄로 30자 이하여야 합니다.']
+  },
+
+  // 열 이름
+  name: {
+    type: String,
+    required: [true, '열 이름은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [30, '열 이름은 30자 이하여야 합니다.']
+  },
+
+  // 열 색상
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, '색상은 #RRGGBB 형식이어야 합니다.'],
+    default: '#6c757d'
+  }
+}, { _id: false });
+
+/**
+ * 보드 스키마 정의
+ * 개인 보드는 userId만, 프로젝트 보드는 projectId만 가집니다
+ */
+const boardSchema = new mongoose.Schema({
+  // 개인 보드 소유자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // 프로젝트 보드
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  // 상태 열 (순서대로, 마지막 열이 완료)
+  columns: {
+    type: [columnSchema],
+    validate: {
+      validator: function(value) {
+        return value.length >= MIN_COLUMNS && value.length <= MAX_COLUMNS;
+      },
+      message: `상태 열은 ${MIN_COLUMNS}개 이상 ${MAX_COLUMNS}개 이하여야 합니다.`
+    }
+  }
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt, updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ * 범위(사용자 또는 프로젝트)마다 보드는 하나만 존재
+ */
+boardSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+boardSchema.index({ projectId: 1 }, { unique: true, partialFilterExpression: { projectId: { $exists: true } } });
+
+/**
+ * 정적 메서드: 범위별 보드 조건 생성
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} [projectId] - 프로젝트 ID (없으면 개인 보드)
+ * @returns {Object} 보드 조회 조건
+ */
+boardSchema.statics.scopeFilter = function(userId, projectId) {
+  return projectId ? { projectId } : { userId };
+};
+
+/**
+ * 정적 메서드: 범위별 상태 열 조회
+ * 저장된 보드가 없으면 기본 열을 반환합니다
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} [projectId] - 프로젝트 ID (없으면 개인 보드)
+ * @returns {Promise<Array>} 상태 열 목록
+ */
+boardSchema.statics.getColumns = async function(userId, projectId) {
+  const board = await this.findOne(this.scopeFilter(userId, projectId));
+  return board ? board.columns.map(column => column.toObject()) : DEFAULT_COLUMNS.map(column => ({ ...column }));
+};
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const Board = mongoose.model('Board', boardSchema);
+
+Board.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+Board.MIN_COLUMNS = MIN_COLUMNS;
+Board.MAX_COLUMNS = MAX_COLUMNS;
+
+module.exports = Board;
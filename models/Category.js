@@ -0,0 +1,146 @@
+/**
+ * 카테고리 모델
+ *
+ * - 개인 목록(사용자) 또는 프로젝트별 카테고리 관리
+ * - 이름, 색상, 아이콘, 표시 순서, 기본 카테고리 여부
+ * - 카테고리가 하나도 없으면 기본 카테고리와 기존 할 일에서 사용 중인 카테고리로 자동 생성
+ *
+ * 할 일에는 카테고리 이름이 저장되므로, 이름을 바꾸거나 삭제할 때는 할 일도 함께 변경해야 합니다.
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+const Task = require('./Task');       // 할 일 모델 (기존 카테고리 이전용)
+
+// 기본 카테고리 (카테고리가 고정 목록이던 때의 값과 색상)
+const DEFAULT_CATEGORIES = [
+  { name: '업무', color: '#007bff', icon: 'bi-briefcase' },
+  { name: '학습', color: '#28a745', icon: 'bi-book' },
+  { name: '개인', color: '#6c757d', icon: 'bi-person', isDefault: true },
+  { name: '건강', color: '#dc3545', icon: 'bi-heart-pulse' },
+  { name: '쇼핑', color: '#ffc107', icon: 'bi-cart' },
+  { name: '기타', color: '#17a2b8', icon: 'bi-three-dots' }
+];
+
+// 범위별 최대 카테고리 수
+const MAX_CATEGORIES = 30;
+
+/**
+ * 카테고리 스키마 정의
+ * 개인 카테고리는 userId만, 프로젝트 카테고리는 projectId만 가집니다
+ */
+const categorySchema = new mongoose.Schema({
+  // 개인 카테고리 소유자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // 프로젝트 카테고리
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  // 카테고리 이름 (할 일의 category 필드에 저장되는 값)
+  name: {
+    type: String,
+    required: [true, '카테고리 이름은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [20, '카테고리 이름은 20자 이하여야 합니다.']
+  },
+
+  // 배지 색상
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, '색상은 #RRGGBB 형식이어야 합니다.'],
+    default: '#6c757d'
+  },
+
+  // Bootstrap Icons 아이콘 이름
+  icon: {
+    type: String,
+    match: [/^bi-[a-z0-9-]{1,40}$/, '아이콘은 bi-로 시작하는 Bootstrap Icons 이름이어야 합니다.'],
+    default: 'bi-tag'
+  },
+
+  // 표시 순서
+  position: {
+    type: Number,
+    default: 0
+  },
+
+  // 카테고리를 지정하지 않은 새 할 일에 사용 (범위마다 하나)
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt, updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ * 범위(사용자 또는 프로젝트) 안에서 카테고리 이름은 중복될 수 없음
+ */
+categorySchema.index({ userId: 1, name: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+categorySchema.index({ projectId: 1, name: 1 }, { unique: true, partialFilterExpression: { projectId: { $exists: true } } });
+
+/**
+ * 정적 메서드: 범위별 카테고리 조건 생성
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} [projectId] - 프로젝트 ID (없으면 개인 카테고리)
+ * @returns {Object} 카테고리 조회 조건
+ */
+categorySchema.statics.scopeFilter = function(userId, projectId) {
+  return projectId ? { projectId } : { userId };
+};
+
+/**
+ * 정적 메서드: 범위별 카테고리 목록 조회
+ * 카테고리가 하나도 없으면 기본 카테고리와 기존 할 일에서 사용 중인 카테고리를 만들어 반환합니다
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} [projectId] - 프로젝트 ID (없으면 개인 카테고리)
+ * @returns {Promise<Array>} 표시 순서대로 정렬된 카테고리 목록
+ */
+categorySchema.statics.findForScope = async function(userId, projectId) {
+  const scope = this.scopeFilter(userId, projectId);
+  const categories = await this.find(scope).sort({ position: 1, createdAt: 1 });
+
+  if (categories.length > 0) {
+    return categories;
+  }
+
+  // 고정 목록 밖의 값이 저장된 할 일도 카테고리를 잃지 않도록 함께 생성
+  const taskScope = projectId ? { projectId } : { userId, projectId: null };
+  const usedNames = await Task.distinct('category', taskScope);
+  const defaultNames = DEFAULT_CATEGORIES.map(category => category.name);
+  const extraNames = usedNames.filter(name => name && !defaultNames.includes(name));
+
+  const seeds = [
+    ...DEFAULT_CATEGORIES,
+    ...extraNames.map(name => ({ name }))
+  ].map((category, index) => ({ ...scope, ...category, position: index }));
+
+  try {
+    await this.insertMany(seeds, { ordered: false });
+  } catch (error) {
+    // 동시에 다른 요청이 먼저 만든 경우 (이름 중복)는 무시
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.find(scope).sort({ position: 1, createdAt: 1 });
+};
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const Category = mongoose.model('Category', categorySchema);
+
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+Category.MAX_CATEGORIES = MAX_CATEGORIES;
+
+module.exports = Category;
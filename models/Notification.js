@@ -0,0 +1,105 @@
+/**
+ * 알림 모델
+ *
+ * - 사용자별 앱 안 알림 (마감 알림, 담당자 지정, 프로젝트 초대)
+ * - 관련 할 일/프로젝트와 알림을 만든 사용자 기록
+ * - 읽음 시각 (읽지 않은 알림 수 집계)
+ * - 오래된 알림은 일정 기간 후 자동 삭제
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// 알림 종류 (reminder: 마감 알림, assignment: 담당자 지정, invitation: 프로젝트 초대)
+const NOTIFICATION_TYPES = ['reminder', 'assignment', 'invitation'];
+
+// 알림 보관 기간 (90일)
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * 알림 스키마 정의
+ */
+const notificationSchema = new mongoose.Schema({
+  // 알림을 받는 사용자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 알림 종류
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+
+  // 알림 제목
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // 알림 내용
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+
+  // 관련 할 일
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+
+  // 관련 프로젝트
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  // 알림을 만든 사용자 (마감 알림은 없음)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // 읽은 시각 (읽지 않았으면 null)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt, updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ */
+notificationSchema.index({ userId: 1, createdAt: -1 }); // 사용자별 최신순 조회
+notificationSchema.index({ userId: 1, readAt: 1 }); // 읽지 않은 알림 수 집계
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS }); // 오래된 알림 자동 삭제
+
+/**
+ * 정적 메서드: 읽지 않은 알림 수 조회
+ *
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<number>} 읽지 않은 알림 수
+ */
+notificationSchema.statics.countUnread = async function(userId) {
+  return await this.countDocuments({ userId, readAt: null });
+};
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,203 @@
+/**
+ * 프로젝트(워크스페이스) 모델
+ *
+ * - 프로젝트 스키마 정의 (이름, 설명, 색상 등)
+ * - 멤버 및 역할 관리 (owner, editor, viewer)
+ * - 이메일 초대 관리
+ * - 권한 확인 메서드
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// 역할별 권한 수준 (높을수록 더 많은 권한)
+const ROLE_LEVELS = {
+  viewer: 1,  // 조회만 가능
+  editor: 2,  // 할 일 생성/수정/삭제 가능
+  owner: 3    // 프로젝트 설정 및 멤버 관리 가능
+};
+
+// 초대 유효 기간 (7일)
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 프로젝트 멤버 스키마 정의
+ */
+const memberSchema = new mongoose.Schema({
+  // 멤버 사용자 ID
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '멤버 사용자 ID는 필수 항목입니다.']
+  },
+
+  // 멤버 역할
+  role: {
+    type: String,
+    enum: Object.keys(ROLE_LEVELS),
+    default: 'editor'
+  },
+
+  // 참여일
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * 프로젝트 초대 스키마 정의
+ */
+const invitationSchema = new mongoose.Schema({
+  // 초대 받을 이메일
+  email: {
+    type: String,
+    required: [true, '초대할 이메일은 필수 항목입니다.'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      '유효한 이메일 주소를 입력해주세요.'
+    ]
+  },
+
+  // 수락 시 부여할 역할 (owner는 초대로 부여할 수 없음)
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'editor'
+  },
+
+  // 초대한 사용자
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // 초대 만료일
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_MS)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * 프로젝트 스키마 정의
+ */
+const projectSchema = new mongoose.Schema({
+  // 프로젝트 이름
+  name: {
+    type: String,
+    required: [true, '프로젝트 이름은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [50, '프로젝트 이름은 50자 이하여야 합니다.']
+  },
+
+  // 프로젝트 설명
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, '프로젝트 설명은 300자 이하여야 합니다.']
+  },
+
+  // 사이드바 표시 색상
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, '색상은 #RRGGBB 형식이어야 합니다.'],
+    default: '#667eea'
+  },
+
+  // 멤버 목록 (소유자 포함)
+  members: [memberSchema],
+
+  // 대기 중인 초대 목록
+  invitations: [invitationSchema]
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt, updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ */
+projectSchema.index({ 'members.userId': 1 });        // 사용자별 참여 프로젝트 조회
+projectSchema.index({ 'invitations.email': 1 });     // 이메일별 초대 조회
+
+/**
+ * 인스턴스 메서드: 멤버 역할 조회
+ *
+ * @param {string} userId - 사용자 ID
+ * @returns {string|null} 역할 (멤버가 아니면 null)
+ */
+projectSchema.methods.getMemberRole = function(userId) {
+  // 멤버 정보가 populate된 경우에도 동작하도록 _id를 우선 사용
+  const member = this.members.find(m => (m.userId._id || m.userId).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * 인스턴스 메서드: 권한 확인
+ * 사용자가 요구되는 역할 이상의 권한을 가졌는지 확인합니다
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} minRole - 필요한 최소 역할 (viewer, editor, owner)
+ * @returns {boolean} 권한 보유 여부
+ */
+projectSchema.methods.hasRole = function(userId, minRole = 'viewer') {
+  const role = this.getMemberRole(userId);
+  return Boolean(role) && ROLE_LEVELS[role] >= ROLE_LEVELS[minRole];
+};
+
+/**
+ * 정적 메서드: 사용자가 참여한 프로젝트 목록 조회
+ *
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<Array>} 프로젝트 목록
+ */
+projectSchema.statics.findForUser = async function(userId) {
+  return await this.find({ 'members.userId': userId }).sort({ name: 1 });
+};
+
+/**
+ * 정적 메서드: 사용자가 받은 대기 중인 초대 목록 조회
+ *
+ * @param {string} email - 사용자 이메일
+ * @returns {Promise<Array>} 초대 정보 목록 (프로젝트 정보 포함)
+ */
+projectSchema.statics.findInvitationsForEmail = async function(email) {
+  const normalizedEmail = email.toLowerCase().trim();
+  const projects = await this.find({
+    invitations: {
+      $elemMatch: { email: normalizedEmail, expiresAt: { $gt: new Date() } }
+    }
+  }).populate('invitations.invitedBy', 'name email');
+
+  return projects.map(project => {
+    const invitation = project.invitations.find(inv =>
+      inv.email === normalizedEmail && inv.expiresAt > new Date()
+    );
+
+    return {
+      _id: invitation._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      project: {
+        _id: project._id,
+        name: project.name,
+        color: project.color
+      }
+    };
+  });
+};
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const Project = mongoose.model('Project', projectSchema);
+
+Project.ROLE_LEVELS = ROLE_LEVELS;
+
+module.exports = Project;
@@ -0,0 +1,92 @@
+/**
+ * 마감 알림 발송 기록 모델
+ *
+ * - 할 일의 알림 시점(마감일 - 알림 분)별 발송 상태 기록
+ * - 같은 할 일과 알림 시각에는 기록이 하나만 생기므로, 서버를 재시작하거나
+ *   여러 서버가 동시에 스케줄러를 실행해도 같은 알림을 두 번 보내지 않음
+ * - 발송 실패 시 시도 횟수와 마지막 오류 저장 (스케줄러가 정해진 횟수까지 재시도)
+ *
+ * 마감일이나 알림 시점이 바뀌면 알림 시각도 바뀌므로 새 기록으로 다시 발송됩니다.
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// 발송 상태 목록
+const DELIVERY_STATUSES = ['sending', 'sent', 'failed', 'skipped'];
+
+/**
+ * 마감 알림 발송 기록 스키마 정의
+ */
+const reminderDeliverySchema = new mongoose.Schema({
+  // 알림 대상 할 일
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+
+  // 알림 시각 (마감일 - 알림 분)
+  remindAt: {
+    type: Date,
+    required: true
+  },
+
+  // 마감일 기준 몇 분 전 알림인지
+  minutesBefore: {
+    type: Number,
+    required: true
+  },
+
+  // 발송 상태 (sending: 발송 중, sent: 완료, failed: 실패, skipped: 메일 받을 사람 없음)
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'sending'
+  },
+
+  // 발송 시도 횟수
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  // 마지막 발송 시도 시각
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 발송 완료 시각
+  sentAt: {
+    type: Date
+  },
+
+  // 메일을 받은 주소 목록
+  recipients: [{
+    type: String
+  }],
+
+  // 마지막 발송 오류 메시지
+  lastError: {
+    type: String
+  }
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt, updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ */
+reminderDeliverySchema.index({ taskId: 1, remindAt: 1 }, { unique: true }); // 같은 알림 중복 발송 방지
+reminderDeliverySchema.index({ status: 1, lastAttemptAt: 1 }); // 재시도 대상 조회
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const ReminderDelivery = mongoose.model('ReminderDelivery', reminderDeliverySchema);
+
+ReminderDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = ReminderDelivery;
@@ -0,0 +1,131 @@
+/**
+ * 로그인 세션 모델
+ *
+ * - 로그인할 때마다 기기(브라우저)별 세션 하나 생성
+ * - 리프레시 토큰은 원문을 저장하지 않고 SHA-256 해시로만 저장
+ * - 토큰을 갱신할 때마다 새 리프레시 토큰으로 교체 (직전 토큰 해시는 재사용 감지용으로 보관)
+ * - 기기 이름, IP, 마지막 사용 시각 기록 (세션 목록 표시)
+ * - 만료 시각이 지나면 MongoDB TTL 인덱스로 자동 삭제
+ *
+ * 로그아웃하거나 세션을 취소하면 문서를 삭제하므로, 그 세션으로 발급한 액세스 토큰도 바로 거부됩니다.
+ */
+
+const crypto = require('crypto');      // 리프레시 토큰 생성 및 해시
+const mongoose = require('mongoose'); // MongoDB ODM
+
+/**
+ * 리프레시 토큰 해시 함수
+ *
+ * @param {string} secret - 토큰의 비밀 부분
+ * @returns {string} 16진수 해시 문자열
+ */
+const hashRefreshSecret = (secret) => {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+};
+
+/**
+ * 로그인 세션 스키마 정의
+ */
+const sessionSchema = new mongoose.Schema({
+  // 세션 사용자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 현재 리프레시 토큰 해시 (원문은 발급할 때만 반환)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // 직전 리프레시 토큰 해시 (여러 탭이 동시에 갱신한 경우와 탈취된 토큰의 재사용을 구분)
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  // 마지막 토큰 교체 시각
+  rotatedAt: {
+    type: Date
+  },
+
+  // 브라우저 User-Agent
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  // 표시용 기기 이름 (예: "Chrome (Windows)")
+  device: {
+    type: String,
+    default: '알 수 없는 기기'
+  },
+
+  // 마지막으로 사용한 IP 주소
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  // 마지막 사용 시각
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 세션 만료 시각 (토큰을 갱신할 때마다 연장)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt(로그인 시각), updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ */
+sessionSchema.index({ userId: 1, lastSeenAt: -1 }); // 사용자의 세션 목록 조회
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // 만료된 세션 자동 삭제
+
+/**
+ * 리프레시 토큰 생성 메서드
+ * 새 토큰 원문을 만들고 해시를 교체합니다 (저장은 호출한 쪽에서 수행)
+ * 토큰은 "세션 ID.비밀 값" 형식이라 토큰만으로 세션을 찾을 수 있습니다
+ *
+ * @returns {string} 새 리프레시 토큰 원문
+ */
+sessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  this.refreshTokenHash = hashRefreshSecret(secret);
+
+  return `${this._id}.${secret}`;
+};
+
+/**
+ * 정적 메서드: 리프레시 토큰 해석
+ *
+ * @param {string} token - 리프레시 토큰 원문
+ * @returns {{ sessionId: string, secretHash: string }|null} 세션 ID와 비밀 값 해시 (형식이 잘못되면 null)
+ */
+sessionSchema.statics.parseRefreshToken = function(token) {
+  const match = /^([0-9a-fA-F]{24})\.([0-9a-f]{64})$/.exec(String(token || ''));
+  if (!match) return null;
+
+  return {
+    sessionId: match[1],
+    secretHash: hashRefreshSecret(match[2])
+  };
+};
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -2,18 +2,154 @@
  * 할 일 모델
  *
  * - 할 일 스키마 정의 (제목, 설명, 마감일 등)
- * - 사용자와의 관계 설정
+ * - 사용자 및 프로젝트와의 관계 설정
  * - 유효성 검사 규칙
  * - 가상 필드 정의
+ * - 반복 일정 (다음 회차 생성)
+ * - 하위 작업(체크리스트)
+ * - 담당자 지정 및 변경 이력
+ * - 마감 알림 시점
  */
 
 const mongoose = require('mongoose'); // MongoDB ODM
+const { FREQUENCIES, getNextOccurrence } = require('../utils/recurrence'); // 반복 일정 계산
+const { MAX_REMINDERS, MAX_REMINDER_MINUTES } = require('../utils/taskInput'); // 마감 알림 제한
+
+/**
+ * 오늘(UTC 기준 날짜)의 시작 시각 계산 함수
+ * 마감일은 날짜만 UTC 자정으로 저장하므로 오늘 마감과 비교할 때 사용합니다
+ *
+ * @returns {Date} 오늘 UTC 자정
+ */
+const getStartOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+/**
+ * 반복 규칙 스키마 정의
+ * RRULE(FREQ, INTERVAL, BYDAY, UNTIL, COUNT)과 같은 구조로 반복을 표현합니다
+ */
+const recurrenceSchema = new mongoose.Schema({
+  // 반복 주기
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: [true, '반복 주기는 필수 항목입니다.']
+  },
+
+  // 반복 간격 (예: 2주마다 → weekly + 2)
+  interval: {
+    type: Number,
+    min: [1, '반복 간격은 1 이상이어야 합니다.'],
+    default: 1
+  },
+
+  // 반복 요일 (0: 일요일 ~ 6: 토요일, 매주 반복에서만 사용)
+  byWeekday: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+
+  // 반복 종료일
+  until: {
+    type: Date
+  },
+
+  // 총 반복 횟수
+  count: {
+    type: Number,
+    min: [1, '반복 횟수는 1 이상이어야 합니다.']
+  },
+
+  // 시리즈 첫 회차의 마감일 (매월/매년 반복의 기준 일자)
+  startDate: {
+    type: Date
+  },
+
+  // 현재 회차 번호 (1부터 시작)
+  occurrence: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
+
+/**
+ * 하위 작업(체크리스트 항목) 스키마 정의
+ * 배열 안의 순서가 곧 표시 순서입니다
+ */
+const subtaskSchema = new mongoose.Schema({
+  // 하위 작업 제목
+  title: {
+    type: String,
+    required: [true, '하위 작업 제목은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [100, '하위 작업 제목은 100자 이하여야 합니다.']
+  },
+
+  // 완료 상태
+  completed: {
+    type: Boolean,
+    default: false
+  },
+
+  // 완료일
+  completedAt: {
+    type: Date
+  }
+});
+
+/**
+ * 미들웨어: 하위 작업 완료일 자동 설정
+ * 부모 할 일이 저장될 때 하위 작업의 완료 상태에 맞춰 완료일을 갱신합니다
+ */
+subtaskSchema.pre('save', function(next) {
+  if (this.completed && !this.completedAt) {
+    this.completedAt = new Date();
+  }
+
+  if (!this.completed && this.completedAt) {
+    this.completedAt = undefined;
+  }
+
+  next();
+});
+
+/**
+ * 담당자 변경 이력 스키마 정의
+ */
+const assignmentChangeSchema = new mongoose.Schema({
+  // 변경한 사용자
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // 추가된 담당자
+  added: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // 제외된 담당자
+  removed: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // 변경일
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 /**
  * 할 일 스키마 정의
  */
 const taskSchema = new mongoose.Schema({
-  // 사용자 ID (외래키)
+  // 사용자 ID (외래키, 할 일 작성자)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',              // User 모델을 참조
@@ -21,6 +157,12 @@ const taskSchema = new mongoose.Schema({
     index: true              // 검색 성능 향상을 위한 인덱스
   },
 
+  // 소속 프로젝트 ID (없으면 작성자의 개인 할 일)
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
   // 할 일 제목
   title: {
     type: String,
@@ -36,11 +178,12 @@ const taskSchema = new mongoose.Schema({
     maxlength: [500, '설명은 500자 이하여야 합니다.']
   },
 
-  // 카테고리
+  // 카테고리 (개인 또는 프로젝트의 Category 이름, 범위 확인은 라우트에서 수행)
   category: {
     type: String,
-    enum: ['업무', '학습', '개인', '건강', '쇼핑', '기타'], // 미리 정의된 카테고리
-    default: '개인'
+    required: [true, '카테고리는 필수 항목입니다.'],
+    trim: true,
+    maxlength: [20, '카테고리 이름은 20자 이하여야 합니다.']
   },
 
   // 우선순위 (1: 낮음, 5: 높음)
@@ -56,10 +199,16 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     validate: {
       validator: function(value) {
-        // 마감일이 현재 날짜보다 이전인지 확인
-        return !value || value >= new Date();
+        // 저장된 할 일은 마감일을 바꿀 때만 검사 (마감일이 지난 할 일도 다른 필드는 수정 가능)
+        // 수정 쿼리의 유효성 검사(runValidators)에서는 this가 문서가 아니며, 바꾸는 필드만 검사하므로 항상 검사
+        if (this && typeof this.isModified === 'function' && !this.isNew && !this.isModified('dueDate')) {
+          return true;
+        }
+
+        // 마감일이 오늘(UTC 기준 날짜)보다 이전인지 확인 (날짜만 저장하므로 오늘 마감도 허용)
+        return !value || value >= getStartOfToday();
       },
-      message: '마감일은 현재 날짜 이후여야 합니다.'
+      message: '마감일은 오늘 이후여야 합니다.'
     }
   },
 
@@ -74,12 +223,77 @@ const taskSchema = new mongoose.Schema({
     type: Date
   },
 
+  // 칸반 보드 상태 열 키 (없으면 첫 번째 열, 완료된 할 일은 항상 마지막 열)
+  status: {
+    type: String,
+    match: [/^[a-z0-9_]{1,30}$/, '상태 값 형식이 올바르지 않습니다.']
+  },
+
+  // 보드 열 안에서의 순서 (작을수록 위, 새 할 일은 생성 시각 값으로 맨 아래에 위치)
+  position: {
+    type: Number,
+    default: () => Date.now()
+  },
+
   // 태그 (여러 개 저장 가능)
   tags: [{
     type: String,
     trim: true,
     maxlength: [20, '태그는 20자 이하여야 합니다.']
-  }]
+  }],
+
+  // 마감 알림 시점 (마감일 기준 몇 분 전, 마감일은 UTC 자정이므로 0은 마감일 당일 오전 9시(한국 시간))
+  reminders: {
+    type: [{
+      type: Number,
+      min: [0, '알림 시점은 0 이상이어야 합니다.'],
+      max: [MAX_REMINDER_MINUTES, '알림은 마감일 30일 전까지 설정할 수 있습니다.']
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_REMINDERS;
+      },
+      message: `알림은 최대 ${MAX_REMINDERS}개까지 설정할 수 있습니다.`
+    }
+  },
+
+  // 담당자 목록
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // 담당자 변경 이력
+  assignmentHistory: [assignmentChangeSchema],
+
+  // 하위 작업 목록 (체크리스트)
+  subtasks: {
+    type: [subtaskSchema],
+    validate: {
+      validator: function(value) {
+        return value.length <= 50;
+      },
+      message: '하위 작업은 최대 50개까지 추가할 수 있습니다.'
+    }
+  },
+
+  // 반복 규칙 (없으면 일회성 할 일)
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+
+  // 반복 시리즈 ID (시리즈 첫 할 일의 ID)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+
+  // 완료 시 생성된 다음 회차 할 일 (중복 생성 방지)
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }
 }, {
   // 타임스탬프 옵션
   timestamps: true // createdAt, updatedAt 필드 자동 생성
@@ -93,6 +307,22 @@ taskSchema.index({ userId: 1, createdAt: -1 });     // 사용자별 최신순 
 taskSchema.index({ userId: 1, completed: 1 });      // 사용자별 완료 상태 조회
 taskSchema.index({ dueDate: 1 });                   // 마감일순 정렬
 taskSchema.index({ category: 1 });                  // 카테고리별 조회
+taskSchema.index({ seriesId: 1 });                  // 반복 시리즈별 조회
+taskSchema.index({ projectId: 1, createdAt: -1 });  // 프로젝트별 최신순 정렬
+taskSchema.index({ assignees: 1, completed: 1 });   // 담당자별 조회
+taskSchema.index({ projectId: 1, status: 1, position: 1 }); // 보드 열별 순서 조회
+taskSchema.index({ completed: 1, dueDate: 1 }, { partialFilterExpression: { 'reminders.0': { $exists: true } } }); // 마감 알림 대상 조회
+
+// 전문 검색 인덱스 (제목 > 태그 > 설명 순으로 가중치 부여)
+// 한글은 형태소 분석을 지원하지 않으므로 언어별 어간 처리를 끄고 단어 단위로 검색
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'task_text_search',
+    weights: { title: 10, tags: 5, description: 1 },
+    default_language: 'none'
+  }
+);
 
 /**
  * 가상 필드: 남은 날짜
@@ -143,33 +373,180 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * 미들웨어: 반복 규칙 기본값 설정
+ * 반복 규칙이 새로 지정되면 시리즈 ID와 기준 날짜를 채웁니다
+ */
+taskSchema.pre('save', function(next) {
+  if (this.recurrence) {
+    if (!this.seriesId) {
+      this.seriesId = this._id;
+    }
+
+    if (!this.recurrence.startDate && this.dueDate) {
+      this.recurrence.startDate = this.dueDate;
+    }
+  }
+
+  next();
+});
+
 /**
  * 미들웨어: 쿼리 시 기본 정렬
- * 할 일을 조회할 때 항상 최신순으로 정렬합니다
+ * 정렬 기준을 지정하지 않고 할 일을 조회하면 최신순으로 정렬합니다
  */
 taskSchema.pre(/^find/, function(next) {
-  // createdAt 기준 내림차순 정렬 (최신순)
-  this.sort({ createdAt: -1 });
+  // 지정한 정렬(예: createdAt 오름차순)을 덮어쓰지 않도록 정렬이 없을 때만 적용
+  if (!this.getOptions().sort) {
+    this.sort({ createdAt: -1 });
+  }
   next();
 });
 
+/**
+ * 인스턴스 메서드: 반복 할 일의 다음 회차 생성
+ * 완료된 반복 할 일에 대해 다음 마감일을 가진 새 할 일을 만듭니다.
+ * 완료가 늦어져 이미 지난 회차는 건너뛰며, 종료 조건에 도달했거나
+ * 이미 다음 회차가 생성된 경우에는 아무것도 하지 않습니다.
+ *
+ * @returns {Promise<Object|null>} 생성된 다음 회차 할 일 (없으면 null)
+ */
+taskSchema.methods.spawnNextOccurrence = async function() {
+  if (!this.recurrence || !this.dueDate || this.nextOccurrenceId) {
+    return null;
+  }
+
+  // 이미 지난 회차는 건너뛰되 오늘 마감인 회차는 유지 (마감일 검사와 같은 기준)
+  const next = getNextOccurrence(this.dueDate, this.recurrence, getStartOfToday());
+  if (!next) {
+    return null;
+  }
+
+  const Task = this.constructor;
+  const recurrence = this.recurrence.toObject();
+  const nextTaskId = new mongoose.Types.ObjectId();
+
+  // 다음 회차 연결을 먼저 선점하여 동시 요청에 의한 중복 생성을 방지
+  const claim = await Task.updateOne(
+    { _id: this._id, nextOccurrenceId: { $exists: false } },
+    { $set: { nextOccurrenceId: nextTaskId } }
+  );
+  if (claim.modifiedCount === 0) {
+    return null;
+  }
+  this.nextOccurrenceId = nextTaskId;
+
+  const nextTask = new Task({
+    _id: nextTaskId,
+    userId: this.userId,
+    projectId: this.projectId,
+    title: this.title,
+    description: this.description,
+    category: this.category,
+    priority: this.priority,
+    dueDate: next.dueDate,
+    tags: this.tags,
+    reminders: this.reminders,
+    assignees: this.assignees,
+    // 체크리스트는 미완료 상태로 다시 시작
+    subtasks: this.subtasks.map(subtask => ({ title: subtask.title })),
+    recurrence: {
+      ...recurrence,
+      startDate: recurrence.startDate || this.dueDate,
+      occurrence: next.occurrence
+    },
+    seriesId: this.seriesId || this._id
+  });
+
+  try {
+    await nextTask.save();
+  } catch (error) {
+    // 생성 실패 시 선점한 연결을 되돌려 다음 완료 때 다시 시도할 수 있도록 함
+    await Task.updateOne({ _id: this._id }, { $unset: { nextOccurrenceId: 1 } });
+    this.nextOccurrenceId = undefined;
+    throw error;
+  }
+
+  return nextTask;
+};
+
+/**
+ * 인스턴스 메서드: 현재 회차 건너뛰기
+ * 완료 처리 없이 마감일을 다음 회차로 옮깁니다
+ *
+ * @returns {Promise<boolean>} 건너뛰기 성공 여부 (남은 회차가 없으면 false)
+ */
+taskSchema.methods.skipOccurrence = async function() {
+  if (!this.recurrence || !this.dueDate) {
+    return false;
+  }
+
+  // 이미 지난 회차는 건너뛰되 오늘 마감인 회차는 유지 (마감일 검사와 같은 기준)
+  const next = getNextOccurrence(this.dueDate, this.recurrence, getStartOfToday());
+  if (!next) {
+    return false;
+  }
+
+  if (!this.recurrence.startDate) {
+    this.recurrence.startDate = this.dueDate;
+  }
+  this.dueDate = next.dueDate;
+  this.recurrence.occurrence = next.occurrence;
+  await this.save();
+
+  return true;
+};
+
+/**
+ * 조회 범위 조건 생성 함수
+ * 프로젝트 ID가 있으면 프로젝트의 할 일, 없으면 사용자의 개인 할 일을 대상으로 합니다
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} [projectId] - 프로젝트 ID
+ * @returns {Object} MongoDB 조건 객체
+ */
+const buildScopeMatch = (userId, projectId) => {
+  if (projectId) {
+    return { projectId: new mongoose.Types.ObjectId(projectId) };
+  }
+
+  return { userId: new mongoose.Types.ObjectId(userId), projectId: null };
+};
+
 /**
  * 정적 메서드: 사용자의 통계 정보 조회
- * 특정 사용자의 할 일 통계를 계산합니다
+ * 특정 사용자(또는 프로젝트)의 할 일 통계와 체크리스트 진행 상황을 계산합니다
  *
  * @param {string} userId - 사용자 ID
+ * @param {string} [projectId] - 프로젝트 ID (지정 시 프로젝트 통계)
  * @returns {Promise<Object>} 통계 정보
  */
-taskSchema.statics.getUserStats = async function(userId) {
+taskSchema.statics.getUserStats = async function(userId, projectId) {
   const stats = await this.aggregate([
-    // 특정 사용자의 할 일만 필터링
-    { $match: { userId: mongoose.Types.ObjectId(userId) } },
+    // 특정 사용자(또는 프로젝트)의 할 일만 필터링
+    { $match: buildScopeMatch(userId, projectId) },
 
-    // 완료 상태별 그룹화
+    // 완료 상태별 그룹화 (하위 작업 수 합산 포함)
     {
       $group: {
         _id: '$completed',
-        count: { $sum: 1 }
+        count: { $sum: 1 },
+        subtaskTotal: {
+          $sum: { $size: { $ifNull: ['$subtasks', []] } }
+        },
+        subtaskCompleted: {
+          $sum: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$subtasks', []] },
+                cond: '$$this.completed'
+              }
+            }
+          }
+        },
+        withChecklist: {
+          $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$subtasks', []] } }, 0] }, 1, 0] }
+        }
       }
     }
   ]);
@@ -178,7 +555,12 @@ taskSchema.statics.getUserStats = async function(userId) {
   const result = {
     total: 0,
     completed: 0,
-    pending: 0
+    pending: 0,
+    checklist: {
+      tasks: 0,      // 체크리스트가 있는 할 일 수
+      total: 0,      // 전체 하위 작업 수
+      completed: 0   // 완료된 하위 작업 수
+    }
   };
 
   stats.forEach(stat => {
@@ -188,6 +570,10 @@ taskSchema.statics.getUserStats = async function(userId) {
     } else {
       result.pending = stat.count;
     }
+
+    result.checklist.tasks += stat.withChecklist;
+    result.checklist.total += stat.subtaskTotal;
+    result.checklist.completed += stat.subtaskCompleted;
   });
 
   // 완료율 계산
@@ -195,6 +581,11 @@ taskSchema.statics.getUserStats = async function(userId) {
     ? Math.round((result.completed / result.total) * 100)
     : 0;
 
+  // 체크리스트 진행률 계산
+  result.checklist.completionRate = result.checklist.total > 0
+    ? Math.round((result.checklist.completed / result.checklist.total) * 100)
+    : 0;
+
   return result;
 };
 
@@ -204,15 +595,16 @@ taskSchema.statics.getUserStats = async function(userId) {
  *
  * @param {string} userId - 사용자 ID
  * @param {number} days - 며칠 이내 마감 기준 (기본값: 3일)
+ * @param {string} [projectId] - 프로젝트 ID (지정 시 프로젝트 할 일)
  * @returns {Promise<Array>} 마감 임박 할 일 목록
  */
-taskSchema.statics.getUpcomingTasks = async function(userId, days = 3) {
+taskSchema.statics.getUpcomingTasks = async function(userId, days = 3, projectId) {
   const today = new Date();
   const futureDate = new Date();
   futureDate.setDate(today.getDate() + days);
 
   return await this.find({
-    userId: userId,
+    ...buildScopeMatch(userId, projectId),
     completed: false,
     dueDate: {
       $gte: today,
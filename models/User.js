@@ -4,12 +4,29 @@
  * - 비밀번호 암호화 미들웨어
  * - 비밀번호 비교 메서드
  * - JWT 토큰 생성 메서드
+ * - 캘린더 구독(.ics) 토큰 발급 및 조회
+ * - 알림 수신 설정
+ * - 이메일 인증 상태 및 계정 확인 메일(이메일 인증, 비밀번호 재설정) 토큰
+ * - 2단계 인증(TOTP) 설정, 복구 코드 및 로그인 2단계 요청
+ * - 연결된 외부 로그인(OIDC) 계정
  * - 유효성 검사 규칙
  */
 
+const crypto = require('crypto');      // 구독 토큰 생성 및 해시
 const mongoose = require('mongoose'); // MongoDB ODM
 const bcrypt = require('bcryptjs');    // 비밀번호 암호화 라이브러리
 
+/**
+ * 캘린더 구독 토큰 해시 함수
+ * 토큰 원문은 저장하지 않고 SHA-256 해시로만 조회합니다
+ *
+ * @param {string} token - 토큰 원문
+ * @returns {string} 16진수 해시 문자열
+ */
+const hashCalendarToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 /**
  * 사용자 스키마 정의
  */
@@ -54,6 +71,156 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+
+  // 이메일 인증 여부 (회원가입 시 false, 인증 링크를 누르면 true)
+  // 이메일 인증 기능 이전에 가입한 계정은 값이 없으며 인증된 것으로 취급
+  emailVerified: {
+    type: Boolean
+  },
+
+  // 이메일 인증 완료일
+  emailVerifiedAt: {
+    type: Date
+  },
+
+  // 계정 확인 메일로 보낸 토큰 (종류별로 마지막에 보낸 토큰 하나만 유효, 사용하면 삭제)
+  accountTokens: {
+    // 이메일 인증
+    emailVerification: {
+      // 토큰 ID 해시
+      tokenHash: {
+        type: String,
+        select: false
+      },
+
+      // 메일 발송일 (재발송 간격 확인)
+      sentAt: {
+        type: Date
+      }
+    },
+
+    // 비밀번호 재설정
+    passwordReset: {
+      tokenHash: {
+        type: String,
+        select: false
+      },
+
+      sentAt: {
+        type: Date
+      }
+    }
+  },
+
+  // 캘린더 구독(.ics) 피드
+  calendarFeed: {
+    // 구독 토큰 해시 (원문은 발급 시 한 번만 반환)
+    tokenHash: {
+      type: String,
+      select: false
+    },
+
+    // 토큰 발급일
+    createdAt: {
+      type: Date
+    },
+
+    // 마지막 피드 조회일
+    lastAccessedAt: {
+      type: Date
+    }
+  },
+
+  // 2단계 인증 (TOTP)
+  twoFactor: {
+    // 사용 여부
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+
+    // 사용 설정일
+    enabledAt: {
+      type: Date
+    },
+
+    // 인증 앱과 공유한 Base32 비밀 키 (코드를 계산해야 하므로 원문 저장)
+    secret: {
+      type: String,
+      select: false
+    },
+
+    // 등록 중인 비밀 키 (코드를 확인하면 secret으로 옮김)
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+
+    // 남은 복구 코드 해시 (사용하면 제거)
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+
+    // 마지막으로 사용한 코드의 시간 단계 (같은 코드 재사용 방지)
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+
+    // 진행 중인 로그인 2단계 요청 ID 해시
+    challengeHash: {
+      type: String,
+      select: false
+    },
+
+    // 진행 중인 로그인 2단계 요청의 코드 입력 실패 횟수
+    challengeFailures: {
+      type: Number,
+      select: false
+    }
+  },
+
+  // 연결된 외부 로그인(OIDC) 계정 (발급자와 sub로 식별)
+  identities: [{
+    // 공급자 ID (OIDC_PROVIDERS에 설정한 이름)
+    provider: {
+      type: String,
+      required: true
+    },
+
+    // 발급자 주소
+    issuer: {
+      type: String,
+      required: true
+    },
+
+    // 공급자의 사용자 식별자 (sub)
+    subject: {
+      type: String,
+      required: true
+    },
+
+    // 연결할 때 공급자가 확인한 이메일 주소
+    email: {
+      type: String
+    },
+
+    // 연결일
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // 알림 수신 설정
+  notificationPreferences: {
+    // 마감 알림 메일 수신 여부
+    emailReminders: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   // 타임스탬프 옵션
@@ -65,6 +232,14 @@ const userSchema = new mongoose.Schema({
  * 검색 성능 향상을 위한 데이터베이스 인덱스
  */
 userSchema.index({ email: 1 }); // 이메일 필드에 고유 인덱스 생성
+userSchema.index(
+  { 'calendarFeed.tokenHash': 1 },
+  { unique: true, partialFilterExpression: { 'calendarFeed.tokenHash': { $exists: true } } }
+); // 구독 토큰으로 사용자 조회
+userSchema.index(
+  { 'identities.issuer': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+); // 외부 계정으로 사용자 조회 (외부 계정 하나는 사용자 한 명에만 연결)
 
 /**
  * 비밀번호 암호화 미들웨어
@@ -100,6 +275,38 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+/**
+ * 캘린더 구독 토큰 재발급 메서드
+ * 새 토큰을 만들고 기존 토큰은 즉시 무효화합니다 (저장은 호출한 쪽에서 수행)
+ *
+ * @returns {string} 새 토큰 원문
+ */
+userSchema.methods.rotateCalendarToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  this.calendarFeed = {
+    tokenHash: hashCalendarToken(token),
+    createdAt: new Date()
+  };
+
+  return token;
+};
+
+/**
+ * 정적 메서드: 캘린더 구독 토큰으로 사용자 조회
+ *
+ * @param {string} token - 토큰 원문
+ * @returns {Promise<Object|null>} 활성 사용자 문서
+ */
+userSchema.statics.findByCalendarToken = async function(token) {
+  if (!/^[0-9a-f]{48}$/.test(String(token))) return null;
+
+  return await this.findOne({
+    'calendarFeed.tokenHash': hashCalendarToken(token),
+    isActive: true
+  });
+};
+
 /**
  * 사용자 정보를 공개적으로 안전한 형태로 변환하는 메서드
  * 민감한 정보를 제외하고 사용자 정보를 반환합니다
@@ -112,6 +319,16 @@ userSchema.methods.toJSON = function() {
   // 민감 정보 제거
   delete userObject.password;
   delete userObject.__v;
+  if (userObject.calendarFeed) {
+    delete userObject.calendarFeed.tokenHash;
+  }
+  delete userObject.accountTokens;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
 
   return userObject;
 };
@@ -0,0 +1,128 @@
+/**
+ * 저장된 보기(스마트 목록) 모델
+ *
+ * - 사용자별로 이름을 붙여 저장한 할 일 목록 조회 조건
+ * - GET /api/tasks가 받는 쿼리 파라미터(정렬 포함)를 그대로 저장
+ * - 기본 제공 스마트 목록(오늘, 기한 지남, 다음 7일, 마감일 없음) 정의
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// 보기에 저장할 수 있는 GET /api/tasks 쿼리 파라미터
+const QUERY_KEYS = [
+  'q',
+  'completed',
+  'category',
+  'priority',
+  'dueDate',
+  'tags',
+  'tagMode',
+  'projectId',
+  'assignedTo',
+  'createdBy',
+  'sortBy',
+  'sortOrder',
+  'limit'
+];
+
+// 정렬 가능한 필드
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'completedAt'];
+
+// 기본 제공 스마트 목록 (데이터베이스에 저장하지 않으며 수정/삭제 불가)
+const BUILT_IN_VIEWS = [
+  {
+    _id: 'today',
+    name: '오늘',
+    icon: 'bi-calendar-day',
+    query: { q: 'due:today -completed', sortBy: 'priority', sortOrder: 'desc' }
+  },
+  {
+    _id: 'overdue',
+    name: '기한 지남',
+    icon: 'bi-exclamation-circle',
+    query: { q: 'overdue', sortBy: 'dueDate', sortOrder: 'asc' }
+  },
+  {
+    _id: 'next7days',
+    name: '다음 7일',
+    icon: 'bi-calendar-week',
+    query: { q: 'due>=today due<7d -completed', sortBy: 'dueDate', sortOrder: 'asc' }
+  },
+  {
+    _id: 'noDueDate',
+    name: '마감일 없음',
+    icon: 'bi-calendar-x',
+    query: { q: 'due:none -completed', sortBy: 'createdAt', sortOrder: 'desc' }
+  }
+].map(view => ({ ...view, builtIn: true }));
+
+/**
+ * 저장된 보기 스키마 정의
+ */
+const viewSchema = new mongoose.Schema({
+  // 보기 소유자
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, '사용자 ID는 필수 항목입니다.']
+  },
+
+  // 보기 이름
+  name: {
+    type: String,
+    required: [true, '보기 이름은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [50, '보기 이름은 50자 이하여야 합니다.']
+  },
+
+  // 사이드바 아이콘 (Bootstrap Icons 클래스)
+  icon: {
+    type: String,
+    match: [/^bi-[a-z0-9-]+$/, '아이콘은 bi-로 시작하는 Bootstrap 아이콘 이름이어야 합니다.'],
+    default: 'bi-funnel'
+  },
+
+  // 저장된 조회 조건 (GET /api/tasks 쿼리 파라미터)
+  query: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+
+  // 사이드바 표시 순서
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  // 타임스탬프 옵션
+  timestamps: true // createdAt, updatedAt 필드 자동 생성
+});
+
+/**
+ * 인덱스 설정
+ */
+viewSchema.index({ userId: 1, name: 1 }, { unique: true }); // 사용자별 이름 중복 방지
+viewSchema.index({ userId: 1, position: 1 });              // 사용자별 표시 순서 조회
+
+/**
+ * 정적 메서드: 사용자의 저장된 보기 목록 조회
+ *
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<Array>} 보기 목록 (표시 순서대로)
+ */
+viewSchema.statics.findForUser = async function(userId) {
+  return await this.find({ userId }).sort({ position: 1, createdAt: 1 });
+};
+
+/**
+ * Mongoose 모델 생성
+ * 스키마를 기반으로 실제 데이터베이스 모델을 생성합니다
+ */
+const View = mongoose.model('View', viewSchema);
+
+View.QUERY_KEYS = QUERY_KEYS;
+View.SORT_FIELDS = SORT_FIELDS;
+View.BUILT_IN_VIEWS = BUILT_IN_VIEWS;
+
+module.exports = View;
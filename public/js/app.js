@@ -3,8 +3,10 @@
  *
  * 이 파일은 TaskFlow 웹 애플리케이션의 모든 클라이언트 측 로직을 담당합니다.
  * 다음과 같은 주요 기능을 포함합니다:
- * - 사용자 인증 (로그인, 회원가입, 로그아웃)
+ * - 사용자 인증 (로그인, 회원가입, 로그아웃, 이메일 인증, 비밀번호 재설정, 2단계 인증)
  * - 할 일 CRUD (생성, 읽기, 수정, 삭제)
+ * - 공유 프로젝트 전환 및 멤버 관리
+ * - 알림 센터 및 서버 이벤트 스트림(SSE) 수신
  * - API 통신 및 에러 처리
  * - UI 관리 및 사용자 인터랙션
  * - 로컬 스토리지 관리
@@ -13,9 +15,55 @@
 
 // 전역 변수 선언
 let currentUser = null;          // 현재 로그인된 사용자 정보
-let authToken = null;           // JWT 인증 토큰
+let authToken = null;           // JWT 인증 토큰 (짧은 수명의 액세스 토큰)
+let tokenRefreshPromise = null; // 진행 중인 토큰 갱신 요청 (동시에 만료된 요청이 함께 기다림)
+let passwordResetToken = null;  // 비밀번호 재설정 링크의 토큰
+let twoFactorChallenge = null;  // 로그인 2단계 인증 요청 토큰
+let twoFactorUseRecovery = false; // 로그인 2단계에서 복구 코드를 입력하는지 여부
+let twoFactorPasswordAction = null; // 비밀번호를 다시 입력한 뒤 실행할 2단계 인증 설정 작업
 let tasks = [];                 // 할 일 목록 데이터
+let taskPagination = null;      // 할 일 목록 페이지 정보
+let selectedTaskIds = new Set(); // 일괄 작업을 위해 선택된 할 일 ID
+let bulkUseFilter = false;      // 선택 대신 현재 필터 전체에 일괄 작업할지 여부
 let currentEditingTask = null;  // 현재 편집 중인 할 일
+let editingBaseTask = null;     // 수정 폼을 채운 기준 할 일 (저장할 때 변경 여부 비교)
+let editingTaskETag = null;     // 수정 폼을 채운 할 일의 버전 (저장할 때 If-Match로 전송)
+let editConflict = null;        // 수정 모달에 표시 중인 동시 수정 충돌
+let assigneeCandidates = [];    // 수정 모달의 담당자 후보
+let projects = [];              // 참여 중인 프로젝트 목록
+let currentProjectId = null;    // 선택된 프로젝트 ID (null이면 개인 목록)
+let editingProject = null;      // 설정 모달에서 편집 중인 프로젝트
+let searchTerms = [];           // 강조 표시할 검색 단어 및 구문
+let searchDebounceTimer = null; // 검색 입력 디바운스 타이머
+let views = [];                 // 스마트 목록 및 저장된 보기
+let activeViewId = null;        // 선택된 보기 ID
+let viewExtraParams = {};       // 필터 UI로 표현할 수 없는 보기 조건 (우선순위, 마감일 등)
+let currentViewMode = 'list';   // 할 일 표시 방식 ('list' 또는 'board')
+let boardColumns = [];          // 보드 상태 열과 열별 할 일
+let boardCanConfigure = false;  // 보드 열 구성 변경 가능 여부
+let editingColumns = [];        // 열 설정 모달에서 편집 중인 열
+let draggedTaskId = null;       // 보드/달력에서 끌고 있는 할 일 ID
+let calendarLayout = 'month';   // 달력 형식 ('month', 'week', 'agenda')
+let calendarDate = null;        // 달력 기준 날짜 (YYYY-MM-DD)
+let calendarTasks = [];         // 달력 기간 안에 마감일이 있는 할 일
+let unscheduledTasks = [];      // 마감일이 없는 할 일
+let categories = [];            // 현재 목록의 카테고리
+let categoryCanEdit = false;    // 카테고리 변경 가능 여부
+let deletingCategoryId = null;  // 삭제 전에 할 일을 옮길 카테고리를 고르는 중인 카테고리 ID
+let tagStats = [];              // 현재 목록의 태그와 사용 횟수
+let tagCanEdit = false;         // 태그 변경 가능 여부
+let notifications = [];         // 알림 목록 (최신순)
+let unreadNotificationCount = 0; // 읽지 않은 알림 수
+let notificationsHasMore = false; // 이전 알림이 더 있는지 여부
+let eventStreamController = null; // 이벤트 스트림 연결 (AbortController)
+let eventStreamRetryTimer = null; // 이벤트 스트림 재연결 타이머
+let eventStreamReconnecting = false; // 끊긴 이벤트 스트림에 다시 연결하는 중인지 여부
+let taskReloadTimer = null;     // 목록 다시 불러오기 예약 타이머
+let statsReloadTimer = null;    // 통계 다시 불러오기 예약 타이머
+let offlineDbPromise = null;    // 오프라인 데이터베이스 (IndexedDB) 연결
+let isOffline = !navigator.onLine; // 서버에 연결할 수 없는 상태인지 여부
+let isSyncing = false;          // 대기 중인 변경을 서버에 보내는 중인지 여부
+let pendingMutationCount = 0;   // 서버에 보내지 못한 변경 수
 
 // API 기본 URL 설정
 const API_BASE_URL = window.location.hostname === 'localhost'
@@ -30,12 +78,32 @@ document.addEventListener('DOMContentLoaded', async function() {
   console.log('TaskFlow 애플리케이션 초기화 중...');
 
   try {
+    // 앱 화면 파일 캐시 (오프라인에서도 열 수 있도록)
+    registerServiceWorker();
+
     // 로컬 스토리지에서 인증 정보 확인
     initializeAuth();
 
     // 이벤트 리스너 설정
     setupEventListeners();
 
+    // 로그인 화면에 외부 로그인 버튼 표시 (기다리지 않음)
+    loadOidcProviders();
+
+    // 메일의 링크(이메일 인증, 비밀번호 재설정)나 외부 로그인 결과로 열었으면 먼저 처리
+    const accountLink = readAccountLink();
+    if (accountLink && accountLink.type.startsWith('oidc')) {
+      await handleOidcResult(accountLink);
+      return;
+    }
+    if (accountLink && accountLink.type === 'resetPassword') {
+      showResetPasswordScreen(accountLink.token);
+      return;
+    }
+    if (accountLink && accountLink.type === 'verifyEmail') {
+      await verifyEmail(accountLink.token);
+    }
+
     // 인증 상태에 따른 화면 표시
     if (authToken && currentUser) {
       await showMainScreen();
@@ -91,53 +159,229 @@ function setupEventListeners() {
   document.getElementById('registerForm').addEventListener('submit', handleRegister);
   document.getElementById('showRegisterBtn').addEventListener('click', showRegisterScreen);
   document.getElementById('showLoginBtn').addEventListener('click', showLoginScreen);
+  document.getElementById('resendVerificationBtn').addEventListener('click', () => {
+    resendVerificationEmail(document.getElementById('loginEmail').value.trim());
+  });
+  document.getElementById('showForgotPasswordBtn').addEventListener('click', showForgotPasswordScreen);
+  document.getElementById('twoFactorForm').addEventListener('submit', handleTwoFactorLogin);
+  document.getElementById('toggleRecoveryCodeBtn').addEventListener('click', () => {
+    setRecoveryCodeInput(!twoFactorUseRecovery);
+  });
+  document.getElementById('twoFactorBackBtn').addEventListener('click', showLoginScreen);
+  document.getElementById('forgotPasswordForm').addEventListener('submit', handleForgotPassword);
+  document.getElementById('forgotPasswordBackBtn').addEventListener('click', showLoginScreen);
+  document.getElementById('resetPasswordForm').addEventListener('submit', handleResetPassword);
+  document.getElementById('resetPasswordBackBtn').addEventListener('click', showLoginScreen);
+  document.getElementById('bannerResendVerificationBtn').addEventListener('click', () => {
+    resendVerificationEmail(currentUser.email);
+  });
   document.getElementById('logoutBtn').addEventListener('click', handleLogout);
 
+  // 온라인/오프라인 전환 이벤트
+  window.addEventListener('online', () => setOfflineState(false));
+  window.addEventListener('offline', () => setOfflineState(true));
+
+  // 알림 관련 이벤트
+  document.getElementById('markAllNotificationsReadBtn').addEventListener('click', markAllNotificationsRead);
+  document.getElementById('loadMoreNotificationsBtn').addEventListener('click', () => loadNotifications(true));
+
+  // 계정 관련 이벤트
+  document.getElementById('accountBtn').addEventListener('click', openAccountModal);
+  document.getElementById('rotateCalendarFeedBtn').addEventListener('click', handleRotateCalendarFeed);
+  document.getElementById('revokeCalendarFeedBtn').addEventListener('click', handleRevokeCalendarFeed);
+  document.getElementById('copyCalendarFeedBtn').addEventListener('click', copyCalendarFeedUrl);
+  document.getElementById('emailRemindersToggle').addEventListener('change', handleEmailRemindersToggle);
+  document.getElementById('logoutAllBtn').addEventListener('click', handleLogoutAll);
+  document.getElementById('setupTwoFactorBtn').addEventListener('click', () => requestTwoFactorPassword('setup'));
+  document.getElementById('regenerateRecoveryCodesBtn').addEventListener('click', () => requestTwoFactorPassword('recovery-codes'));
+  document.getElementById('disableTwoFactorBtn').addEventListener('click', () => requestTwoFactorPassword('disable'));
+  document.getElementById('twoFactorPasswordConfirmBtn').addEventListener('click', handleTwoFactorPasswordConfirm);
+  document.getElementById('twoFactorPassword').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleTwoFactorPasswordConfirm();
+    }
+  });
+  document.getElementById('twoFactorPasswordCancelBtn').addEventListener('click', hideTwoFactorPassword);
+  document.getElementById('enableTwoFactorBtn').addEventListener('click', handleEnableTwoFactor);
+  document.getElementById('copyRecoveryCodesBtn').addEventListener('click', copyRecoveryCodes);
+  document.getElementById('icsImportBtn').addEventListener('click', handleIcsImport);
+  document.getElementById('exportCsvBtn').addEventListener('click', () => exportTasks('csv'));
+  document.getElementById('exportJsonBtn').addEventListener('click', () => exportTasks('json'));
+  document.getElementById('taskImportPreviewBtn').addEventListener('click', () => handleTaskImport(true));
+  document.getElementById('taskImportBtn').addEventListener('click', () => handleTaskImport(false));
+  document.getElementById('taskImportFile').addEventListener('change', () => {
+    // 파일을 바꾸면 다시 미리 보기를 해야 가져올 수 있음
+    document.getElementById('taskImportBtn').disabled = true;
+    document.getElementById('taskImportResult').innerHTML = '';
+  });
+  document.getElementById('externalImportSource').addEventListener('change', handleExternalImportSourceChange);
+  document.getElementById('externalImportFile').addEventListener('change', resetExternalImport);
+  document.getElementById('externalImportPreviewBtn').addEventListener('click', () => handleExternalImport(true));
+  document.getElementById('externalImportBtn').addEventListener('click', () => handleExternalImport(false));
+
   // 할 일 관련 이벤트
   document.getElementById('addTaskForm').addEventListener('submit', handleAddTask);
   document.getElementById('saveTaskBtn').addEventListener('click', handleSaveTask);
   document.getElementById('deleteTaskBtn').addEventListener('click', handleDeleteTask);
+  document.getElementById('resolveConflictBtn').addEventListener('click', handleResolveEditConflict);
+  document.getElementById('loadServerTaskBtn').addEventListener('click', handleLoadServerTask);
+
+  // 반복 설정 관련 이벤트
+  document.getElementById('editTaskFrequency').addEventListener('change', updateRecurrenceFields);
+  document.getElementById('editTaskEndType').addEventListener('change', updateRecurrenceFields);
+  document.getElementById('skipOccurrenceBtn').addEventListener('click', handleSkipOccurrence);
+  document.getElementById('endRecurrenceBtn').addEventListener('click', handleEndRecurrence);
+
+  // 체크리스트 관련 이벤트
+  document.getElementById('addSubtaskBtn').addEventListener('click', handleAddSubtask);
+  document.getElementById('newSubtaskTitle').addEventListener('keydown', function(event) {
+    // 엔터 입력 시 모달 폼이 제출되지 않도록 하고 하위 작업 추가
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleAddSubtask();
+    }
+  });
 
   // 필터 및 관리 이벤트
   document.getElementById('filterCategory').addEventListener('change', filterTasks);
   document.getElementById('filterStatus').addEventListener('change', filterTasks);
+  document.getElementById('filterAssignee').addEventListener('change', filterTasks);
+  document.getElementById('filterSort').addEventListener('change', filterTasks);
+  document.getElementById('searchInput').addEventListener('input', handleSearchInput);
+
+  // 일괄 작업 관련 이벤트
+  document.getElementById('selectAllTasks').addEventListener('change', handleSelectAll);
+  document.getElementById('bulkSelectFilterBtn').addEventListener('click', selectFilterMatches);
+  document.getElementById('bulkClearBtn').addEventListener('click', clearSelection);
+  document.querySelectorAll('[data-bulk-action]').forEach(button => {
+    button.addEventListener('click', handleBulkButton);
+  });
+  ['bulkCategory', 'bulkPriority', 'bulkMoveDueDate'].forEach(id => {
+    document.getElementById(id).addEventListener('change', handleBulkSelect);
+  });
+
+  // 저장된 보기 관련 이벤트
+  document.getElementById('saveViewBtn').addEventListener('click', handleSaveView);
+
+  // 카테고리 관련 이벤트
+  document.getElementById('manageCategoriesBtn').addEventListener('click', openCategoryModal);
+  document.getElementById('addCategoryForm').addEventListener('submit', handleAddCategory);
+
+  // 태그 관련 이벤트
+  document.getElementById('filterTags').addEventListener('change', () => {
+    renderTagCloud();
+    filterTasks();
+  });
+  document.getElementById('filterTagMode').addEventListener('change', filterTasks);
+  document.getElementById('manageTagsBtn').addEventListener('click', openTagModal);
+  document.getElementById('mergeTagsBtn').addEventListener('click', handleMergeTags);
+  document.getElementById('mergeTagTarget').addEventListener('input', updateMergeTagsButton);
+  setupTagAutocomplete(document.getElementById('taskTags'), () => currentProjectId);
+  setupTagAutocomplete(document.getElementById('editTaskTags'),
+    () => (currentEditingTask ? currentEditingTask.projectId || null : currentProjectId));
+  setupTagAutocomplete(document.getElementById('filterTags'), () => currentProjectId);
+
+  // 칸반 보드 관련 이벤트 (카드는 다시 그려지므로 보드 컨테이너에 위임)
+  document.getElementById('listViewBtn').addEventListener('click', () => setViewMode('list'));
+  document.getElementById('boardViewBtn').addEventListener('click', () => setViewMode('board'));
+  document.getElementById('boardSettingsBtn').addEventListener('click', openBoardColumnsModal);
+  document.getElementById('addBoardColumnBtn').addEventListener('click', addBoardColumn);
+  document.getElementById('saveBoardColumnsBtn').addEventListener('click', handleSaveBoardColumns);
+  const taskBoard = document.getElementById('taskBoard');
+  taskBoard.addEventListener('dragstart', handleBoardDragStart);
+  taskBoard.addEventListener('dragend', handleBoardDragEnd);
+  taskBoard.addEventListener('dragover', handleBoardDragOver);
+  taskBoard.addEventListener('drop', handleBoardDrop);
+
+  // 달력 관련 이벤트
+  document.getElementById('calendarViewBtn').addEventListener('click', () => setViewMode('calendar'));
+  document.getElementById('calendarPrevBtn').addEventListener('click', () => moveCalendar(-1));
+  document.getElementById('calendarTodayBtn').addEventListener('click', () => moveCalendar(0));
+  document.getElementById('calendarNextBtn').addEventListener('click', () => moveCalendar(1));
+  document.querySelectorAll('[data-calendar-layout]').forEach(button => {
+    button.addEventListener('click', () => setCalendarLayout(button.dataset.calendarLayout));
+  });
+  const taskCalendar = document.getElementById('taskCalendar');
+  taskCalendar.addEventListener('dragstart', handleCalendarDragStart);
+  taskCalendar.addEventListener('dragend', handleCalendarDragEnd);
+  taskCalendar.addEventListener('dragover', handleCalendarDragOver);
+  taskCalendar.addEventListener('drop', handleCalendarDrop);
   document.getElementById('clearCompletedBtn').addEventListener('click', clearCompletedTasks);
   document.getElementById('refreshBtn').addEventListener('click', refreshTasks);
+
+  // 프로젝트 관련 이벤트
+  document.getElementById('newProjectBtn').addEventListener('click', () => openProjectModal(null));
+  document.getElementById('projectSettingsBtn').addEventListener('click', () => openProjectModal(currentProjectId));
+  document.getElementById('saveProjectBtn').addEventListener('click', handleSaveProject);
+  document.getElementById('inviteMemberBtn').addEventListener('click', handleInviteMember);
+  document.getElementById('deleteProjectBtn').addEventListener('click', handleDeleteProject);
+  document.getElementById('leaveProjectBtn').addEventListener('click', handleLeaveProject);
 }
 
 /**
  * API 통신 헬퍼 함수
  * 일반적인 fetch 요청을 처리하는 공통 함수입니다
  *
+ * offlineCache 옵션을 지정한 조회 요청은 응답을 IndexedDB에 저장해 두고, 서버에 연결할 수 없으면 저장된 응답을 반환합니다
+ * (반환 객체의 offline이 true)
+ *
  * @param {string} url - API 엔드포인트 URL
- * @param {Object} options - fetch 옵션 (method, headers, body 등)
- * @returns {Promise<Object>} API 응답 데이터
+ * @param {Object} options - fetch 옵션 (method, headers, body 등)과 offlineCache
+ * @returns {Promise<Object>} API 응답 데이터 (ETag 헤더가 있으면 etag 포함)
  */
 async function apiRequest(url, options = {}) {
+  const { offlineCache, ...fetchOptions } = options;
   const config = {
+    ...fetchOptions,
     headers: {
       'Content-Type': 'application/json',
-      ...options.headers
-    },
-    ...options
+      ...fetchOptions.headers
+    }
   };
 
-  // 인증 토큰이 있다면 헤더에 추가
-  if (authToken) {
-    config.headers.Authorization = `Bearer ${authToken}`;
-  }
-
   try {
     console.log(`API 요청: ${config.method || 'GET'} ${url}`, config.body);
 
-    const response = await fetch(`${API_BASE_URL}${url}`, config);
+    let response;
+    try {
+      // 인증 토큰을 붙여 요청 (만료되었으면 갱신 후 다시 요청)
+      response = await fetchWithAuth(`${API_BASE_URL}${url}`, config);
+    } catch (networkError) {
+      // 서버에 연결할 수 없음 (오프라인)
+      setOfflineState(true);
+
+      const cached = offlineCache ? await readOfflineSnapshot(url) : null;
+      if (cached) {
+        return { ...cached, offline: true };
+      }
+
+      const error = new Error('오프라인 상태에서는 사용할 수 없습니다.');
+      error.offline = true;
+      throw error;
+    }
+    setOfflineState(false);
+
     const data = await response.json();
+    const etag = response.headers.get('ETag');
 
     console.log(`API 응답:`, data);
 
     // HTTP 상태 코드 확인
     if (!response.ok) {
-      throw new Error(data.message || `HTTP 오류: ${response.status}`);
+      const error = new Error(data.message || `HTTP 오류: ${response.status}`);
+      error.status = response.status;
+      error.data = data.data; // 에러 상세 정보 (예: 검색 조건의 잘못된 토큰 위치, 수정 충돌 시 서버의 할 일)
+      error.etag = etag;
+      throw error;
+    }
+
+    if (offlineCache) {
+      await saveOfflineSnapshot(url, data);
+    }
+
+    if (etag) {
+      data.etag = etag;
     }
 
     return data;
@@ -165,6 +409,12 @@ function showLoadingScreen() {
  */
 function showLoginScreen() {
   hideAllScreens();
+
+  // 2단계 인증 중이었으면 처음(이메일, 비밀번호) 단계로 되돌림
+  twoFactorChallenge = null;
+  document.getElementById('twoFactorForm').style.display = 'none';
+  document.getElementById('loginForm').style.display = 'block';
+
   document.getElementById('loginScreen').style.display = 'block';
   document.getElementById('loginEmail').focus();
 }
@@ -178,6 +428,33 @@ function showRegisterScreen() {
   document.getElementById('registerName').focus();
 }
 
+/**
+ * 비밀번호 재설정 요청 화면 표시 함수
+ * 로그인 화면에 입력한 이메일을 미리 채웁니다
+ */
+function showForgotPasswordScreen() {
+  hideAllScreens();
+  document.getElementById('forgotPasswordScreen').style.display = 'block';
+
+  const emailInput = document.getElementById('forgotPasswordEmail');
+  emailInput.value = document.getElementById('loginEmail').value.trim();
+  emailInput.focus();
+}
+
+/**
+ * 비밀번호 재설정 화면 표시 함수
+ *
+ * @param {string} token - 재설정 링크의 토큰
+ */
+function showResetPasswordScreen(token) {
+  passwordResetToken = token;
+
+  hideAllScreens();
+  document.getElementById('resetPasswordForm').reset();
+  document.getElementById('resetPasswordScreen').style.display = 'block';
+  document.getElementById('resetPassword').focus();
+}
+
 /**
  * 메인 화면 표시 함수
  */
@@ -190,9 +467,24 @@ async function showMainScreen() {
     document.getElementById('userName').textContent = currentUser.name;
   }
 
-  // 할 일 목록 및 통계 로드
-  await loadTasks();
+  // 이메일 인증 안내 (다른 기기에서 인증했을 수 있으므로 미인증이면 다시 확인)
+  updateEmailVerificationBanner();
+  refreshEmailVerificationStatus();
+
+  // 서버 이벤트 수신 시작 (연결되면 알림 목록을 불러옴)
+  connectEventStream();
+
+  // 프로젝트, 보기, 할 일 목록(또는 보드, 달력) 및 통계 로드
+  const savedViewMode = localStorage.getItem('taskflow_view_mode');
+  await loadProjects();
+  await loadCategories();
+  await loadViews();
+  await setViewMode(['board', 'calendar'].includes(savedViewMode) ? savedViewMode : 'list');
   await loadStats();
+
+  // 이전에 오프라인에서 저장한 변경이 있으면 서버에 보냄
+  await refreshPendingMutationCount();
+  syncPendingMutations();
 }
 
 /**
@@ -202,6 +494,8 @@ function hideAllScreens() {
   document.getElementById('loadingScreen').style.display = 'none';
   document.getElementById('loginScreen').style.display = 'none';
   document.getElementById('registerScreen').style.display = 'none';
+  document.getElementById('forgotPasswordScreen').style.display = 'none';
+  document.getElementById('resetPasswordScreen').style.display = 'none';
   document.getElementById('mainScreen').style.display = 'none';
 }
 
@@ -219,6 +513,9 @@ async function handleLogin(event) {
 
   const email = document.getElementById('loginEmail').value.trim();
   const password = document.getElementById('loginPassword').value;
+  const verificationNotice = document.getElementById('loginVerificationNotice');
+
+  verificationNotice.style.display = 'none';
 
   try {
     // API를 통한 로그인 요청
@@ -227,22 +524,191 @@ async function handleLogin(event) {
       body: JSON.stringify({ email, password })
     });
 
-    // 성공 시 데이터 저장
-    authToken = response.data.token;
-    currentUser = response.data.user;
+    // 2단계 인증을 켠 계정이면 코드 입력 단계로 이동
+    if (response.data.twoFactorRequired) {
+      showTwoFactorStep(response.data.challengeToken);
+      return;
+    }
 
-    // 로컬 스토리지에 저장
-    localStorage.setItem('taskflow_token', authToken);
-    localStorage.setItem('taskflow_user', JSON.stringify(currentUser));
+    await completeLogin(response.data);
 
-    // API 헤더 재설정
-    setupApiHeaders();
+  } catch (error) {
+    console.error('로그인 실패:', error);
+    showError(error.message || '로그인에 실패했습니다.');
 
-    showSuccess('로그인에 성공했습니다!');
-    await showMainScreen();
+    // 이메일 인증 전 로그인이 제한된 계정이면 인증 메일 재발송 안내
+    if (error.data && error.data.emailVerificationRequired) {
+      verificationNotice.style.display = 'block';
+    }
+  }
+}
+
+/**
+ * 로그인 완료 함수
+ * 사용자 정보와 토큰을 저장하고 메인 화면으로 이동합니다
+ *
+ * @param {Object} data - 로그인 응답 데이터 ({ user, token, refreshToken })
+ */
+async function completeLogin(data) {
+  currentUser = data.user;
+  localStorage.setItem('taskflow_user', JSON.stringify(currentUser));
+  saveAuthTokens(data.token, data.refreshToken);
+
+  document.getElementById('loginForm').reset();
+  showSuccess('로그인에 성공했습니다!');
+  await showMainScreen();
+}
+
+/**
+ * 로그인 2단계 인증 화면 표시 함수
+ *
+ * @param {string} challengeToken - 2단계 인증 요청 토큰
+ */
+function showTwoFactorStep(challengeToken) {
+  twoFactorChallenge = challengeToken;
+
+  document.getElementById('loginForm').style.display = 'none';
+  document.getElementById('twoFactorForm').style.display = 'block';
+  setRecoveryCodeInput(false);
+}
+
+/**
+ * 로그인 2단계 입력 방식 전환 함수
+ *
+ * @param {boolean} useRecovery - 복구 코드 입력 여부
+ */
+function setRecoveryCodeInput(useRecovery) {
+  twoFactorUseRecovery = useRecovery;
+
+  const input = document.getElementById('twoFactorCode');
+  input.value = '';
+  input.placeholder = useRecovery ? 'xxxxx-xxxxx' : '6자리 코드';
+  input.inputMode = useRecovery ? 'text' : 'numeric';
+  input.autocomplete = useRecovery ? 'off' : 'one-time-code';
+
+  document.getElementById('twoFactorCodeLabel').textContent = useRecovery ? '복구 코드' : '인증 코드';
+  document.getElementById('twoFactorDescription').textContent = useRecovery
+    ? '2단계 인증을 설정할 때 받은 복구 코드 중 하나를 입력해주세요. 입력한 코드는 다시 사용할 수 없습니다.'
+    : '인증 앱에 표시된 6자리 코드를 입력해주세요.';
+  document.getElementById('toggleRecoveryCodeBtn').textContent = useRecovery
+    ? '인증 앱의 코드 입력'
+    : '인증 앱을 사용할 수 없나요? 복구 코드 입력';
+
+  input.focus();
+}
+
+/**
+ * 로그인 2단계 인증 처리 함수
+ *
+ * @param {Event} event - 폼 제출 이벤트
+ */
+async function handleTwoFactorLogin(event) {
+  event.preventDefault();
+
+  const value = document.getElementById('twoFactorCode').value.trim();
+  const body = twoFactorUseRecovery
+    ? { challengeToken: twoFactorChallenge, recoveryCode: value }
+    : { challengeToken: twoFactorChallenge, code: value };
+
+  try {
+    const response = await apiRequest('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+
+    twoFactorChallenge = null;
+    await completeLogin(response.data);
+
+    // 복구 코드를 사용했으면 남은 개수 안내
+    const remaining = response.data.recoveryCodesRemaining;
+    if (typeof remaining === 'number') {
+      showInfo(remaining > 0
+        ? `복구 코드를 사용했습니다. 남은 복구 코드는 ${remaining}개입니다.`
+        : '마지막 복구 코드를 사용했습니다. 내 정보에서 복구 코드를 다시 만들어주세요.');
+    }
 
   } catch (error) {
-    console.error('로그인 실패:', error);
+    console.error('2단계 인증 실패:', error);
+    showError(error.message || '2단계 인증에 실패했습니다.');
+
+    // 요청이 만료되었거나 실패가 많으면 비밀번호부터 다시 입력
+    if (error.data && error.data.restartLogin) {
+      showLoginScreen();
+    } else {
+      document.getElementById('twoFactorCode').select();
+    }
+  }
+}
+
+/**
+ * 외부 로그인 공급자 목록 불러오기 함수
+ * 설정된 공급자가 있으면 로그인 화면에 공급자별 로그인 버튼을 표시합니다
+ */
+async function loadOidcProviders() {
+  try {
+    const response = await apiRequest('/auth/oidc/providers');
+    const providers = response.data.providers;
+    if (providers.length === 0) return;
+
+    const container = document.getElementById('oidcProviderButtons');
+    container.innerHTML = providers.map(provider => `
+      <button type="button" class="btn btn-outline-secondary" data-provider-id="${escapeHtml(provider.id)}">
+        <i class="bi bi-building"></i>
+        ${escapeHtml(provider.name)}(으)로 로그인
+      </button>
+    `).join('');
+    container.querySelectorAll('[data-provider-id]').forEach(button => {
+      button.addEventListener('click', () => startOidcLogin(button.dataset.providerId));
+    });
+    document.getElementById('oidcLoginOptions').style.display = 'block';
+
+  } catch (error) {
+    console.error('외부 로그인 공급자 목록 로드 실패:', error);
+  }
+}
+
+/**
+ * 외부 로그인 시작 함수
+ * 서버를 거쳐 공급자 로그인 화면으로 이동합니다 (로그인하면 결과와 함께 이 페이지로 돌아옴)
+ *
+ * @param {string} providerId - 공급자 ID
+ */
+function startOidcLogin(providerId) {
+  window.location.href = `${API_BASE_URL}/auth/oidc/${encodeURIComponent(providerId)}/start`;
+}
+
+/**
+ * 외부 로그인 결과 처리 함수
+ * - oidcLogin: 받은 리프레시 토큰을 바로 교체해 액세스 토큰을 받고 로그인 완료
+ * - oidcTwoFactor: 2단계 인증 코드 입력 단계로 이동
+ * - oidcError: 로그인 화면에 오류 표시
+ *
+ * @param {{ type: string, token: string }} result - readAccountLink가 읽은 결과
+ */
+async function handleOidcResult(result) {
+  if (result.type === 'oidcError') {
+    showLoginScreen();
+    showError(result.token);
+    return;
+  }
+
+  if (result.type === 'oidcTwoFactor') {
+    showLoginScreen();
+    showTwoFactorStep(result.token);
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/auth/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken: result.token })
+    });
+
+    await completeLogin(response.data);
+
+  } catch (error) {
+    console.error('외부 로그인 실패:', error);
+    showLoginScreen();
     showError(error.message || '로그인에 실패했습니다.');
   }
 }
@@ -279,16 +745,19 @@ async function handleRegister(event) {
       body: JSON.stringify({ name, email, password })
     });
 
+    // 이메일 인증 전 로그인이 제한되어 있으면 토큰 없이 응답하므로 로그인 화면으로 이동
+    if (!response.data.token) {
+      document.getElementById('registerForm').reset();
+      showLoginScreen();
+      document.getElementById('loginEmail').value = email;
+      showSuccess(response.message);
+      return;
+    }
+
     // 성공 시 데이터 저장
-    authToken = response.data.token;
     currentUser = response.data.user;
-
-    // 로컬 스토리지에 저장
-    localStorage.setItem('taskflow_token', authToken);
     localStorage.setItem('taskflow_user', JSON.stringify(currentUser));
-
-    // API 헤더 재설정
-    setupApiHeaders();
+    saveAuthTokens(response.data.token, response.data.refreshToken);
 
     showSuccess('회원가입에 성공했습니다!');
     await showMainScreen();
@@ -301,151 +770,556 @@ async function handleRegister(event) {
 
 /**
  * 로그아웃 처리 함수
+ * 서버의 로그인 세션을 취소한 뒤 이 브라우저의 데이터를 삭제합니다
  */
 async function handleLogout() {
-  try {
-    // 서버에 로그아웃 알림 (선택적)
-    if (authToken) {
+  if (pendingMutationCount > 0 &&
+      !confirm(`서버에 보내지 못한 변경 ${pendingMutationCount}건이 있습니다. 로그아웃하면 삭제됩니다. 계속하시겠습니까?`)) {
+    return;
+  }
+
+  // 서버의 로그인 세션 취소 (오프라인이면 생략, 실패해도 로그아웃은 진행)
+  if (authToken && !isOffline) {
+    try {
       await apiRequest('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('로그아웃 요청 실패:', error);
     }
+  }
 
-    // 로컬 데이터 삭제
-    authToken = null;
-    currentUser = null;
-    tasks = [];
+  await finishLogout('로그아웃되었습니다.');
+}
 
-    localStorage.removeItem('taskflow_token');
-    localStorage.removeItem('taskflow_user');
+/**
+ * 로그아웃 마무리 함수
+ * 서버 이벤트 수신을 멈추고 인증 정보, 화면 데이터, 오프라인 데이터를 삭제한 뒤 로그인 화면으로 이동합니다
+ *
+ * @param {string} message - 표시할 메시지
+ */
+async function finishLogout(message) {
+  try {
+    clearSession();
 
-    showSuccess('로그아웃되었습니다.');
-    showLoginScreen();
+    // 저장해 둔 목록과 보내지 못한 변경도 삭제
+    await clearOfflineData();
+    pendingMutationCount = 0;
+    updateOfflineIndicator();
 
   } catch (error) {
-    console.error('로그아웃 실패:', error);
-    // 에러가 발생해도 로그아웃은 진행
-    handleLogout();
+    console.error('로그아웃 처리 실패:', error);
   }
-}
 
-// ===========================
-// 할 일 관리 함수
-// ===========================
+  showSuccess(message);
+  showLoginScreen();
+}
 
 /**
- * 할 일 생성 처리 함수
- *
- * @param {Event} event - 폼 제출 이벤트
+ * 로그인 상태 초기화 함수
+ * 서버 이벤트 수신을 멈추고 인증 정보와 화면 데이터를 지웁니다 (오프라인 데이터는 유지)
  */
-async function handleAddTask(event) {
-  event.preventDefault();
+function clearSession() {
+  // 서버 이벤트 수신 중지
+  disconnectEventStream();
+
+  // 로컬 데이터 삭제
+  authToken = null;
+  currentUser = null;
+  tasks = [];
+  selectedTaskIds = new Set();
+  bulkUseFilter = false;
+  projects = [];
+  currentProjectId = null;
+  views = [];
+  activeViewId = null;
+  viewExtraParams = {};
+  boardColumns = [];
+  calendarTasks = [];
+  unscheduledTasks = [];
+  notifications = [];
+  unreadNotificationCount = 0;
+  renderNotifications();
+
+  localStorage.removeItem('taskflow_token');
+  localStorage.removeItem('taskflow_refresh_token');
+  localStorage.removeItem('taskflow_user');
+
+  // 열려 있는 모달 닫기 (다른 기기에서 로그아웃된 경우 등)
+  document.querySelectorAll('.modal.show').forEach(element => {
+    bootstrap.Modal.getInstance(element).hide();
+  });
+}
 
-  const title = document.getElementById('taskTitle').value.trim();
-  const category = document.getElementById('taskCategory').value;
-  const priority = parseInt(document.getElementById('taskPriority').value);
-  const dueDate = document.getElementById('taskDueDate').value;
+/**
+ * 로그인 세션 만료 처리 함수
+ * 토큰을 갱신할 수 없으면(세션 만료, 다른 기기에서 취소) 로그인 화면으로 이동합니다.
+ * 보내지 못한 오프라인 변경은 다시 로그인하면 전송되도록 남겨 둡니다
+ */
+function handleSessionExpired() {
+  if (!authToken) return;
 
-  if (!title) {
-    showError('할 일 제목을 입력해주세요.');
-    return;
-  }
+  clearSession();
+  showError('로그인이 만료되었습니다. 다시 로그인해주세요.');
+  showLoginScreen();
+}
 
-  try {
-    // API를 통한 할 일 생성 요청
-    const response = await apiRequest('/tasks', {
-      method: 'POST',
-      body: JSON.stringify({
-        title,
-        category,
-        priority,
-        dueDate: dueDate || undefined
-      })
-    });
+/**
+ * 인증 토큰 저장 함수
+ *
+ * @param {string} token - 액세스 토큰
+ * @param {string} refreshToken - 리프레시 토큰
+ */
+function saveAuthTokens(token, refreshToken) {
+  authToken = token;
+  localStorage.setItem('taskflow_token', token);
+  localStorage.setItem('taskflow_refresh_token', refreshToken);
 
-    // 성공 시 폼 초기화 및 목록 새로고침
-    document.getElementById('addTaskForm').reset();
-    document.getElementById('taskTitle').focus();
+  // API 헤더 재설정
+  setupApiHeaders();
+}
 
-    showSuccess('할 일이 추가되었습니다.');
-    await loadTasks();
-    await loadStats();
+// 다른 탭이 먼저 토큰을 갱신했을 때 새 토큰이 저장되기를 기다리는 시간 (밀리초)
+const TOKEN_ROTATION_WAIT_MS = 1000;
 
-  } catch (error) {
-    console.error('할 일 추가 실패:', error);
-    showError(error.message || '할 일 추가에 실패했습니다.');
+/**
+ * 액세스 토큰 갱신 함수
+ * 동시에 여러 요청이 만료되어도 갱신 요청은 한 번만 보냅니다
+ *
+ * @returns {Promise<boolean|null>} 갱신 성공 여부 (요청 제한으로 지금은 갱신할 수 없으면 null)
+ */
+function refreshAccessToken() {
+  if (!tokenRefreshPromise) {
+    tokenRefreshPromise = requestTokenRefresh().finally(() => {
+      tokenRefreshPromise = null;
+    });
   }
+  return tokenRefreshPromise;
 }
 
 /**
- * 할 일 목록 로드 함수
+ * 토큰 갱신 요청 함수
+ * 리프레시 토큰은 탭끼리 공유하므로 항상 로컬 스토리지의 최신 값을 사용하고,
+ * 다른 탭이 같은 토큰으로 먼저 갱신했으면(409) 그 탭이 저장한 새 토큰을 사용합니다
+ *
+ * @returns {Promise<boolean|null>} 갱신 성공 여부 (요청 제한(429)에 걸렸으면 null)
  */
-async function loadTasks() {
-  try {
-    // 필터링 옵션 가져오기
-    const category = document.getElementById('filterCategory').value;
-    const status = document.getElementById('filterStatus').value;
+async function requestTokenRefresh() {
+  const refreshToken = localStorage.getItem('taskflow_refresh_token');
+  if (!refreshToken) return false;
+
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
 
-    // 쿼리 파라미터 구성
-    const params = new URLSearchParams();
-    if (category) params.append('category', category);
-    if (status) params.append('completed', status);
+  if (response.ok) {
+    const data = await response.json();
+    saveAuthTokens(data.data.token, data.data.refreshToken);
+    return true;
+  }
 
-    // API를 통한 할 일 목록 조회
-    const response = await apiRequest(`/tasks?${params}`);
-    tasks = response.data.tasks;
+  // 요청이 너무 많아 거부되었을 뿐 세션은 유효하므로 로그아웃하지 않음
+  if (response.status === 429) {
+    return null;
+  }
 
-    // UI에 할 일 목록 렌더링
-    renderTaskList();
+  if (response.status === 409) {
+    await new Promise(resolve => setTimeout(resolve, TOKEN_ROTATION_WAIT_MS));
+  }
 
-  } catch (error) {
-    console.error('할 일 목록 로드 실패:', error);
-    showError(error.message || '할 일 목록을 불러오는데 실패했습니다.');
-    // 에러 발생 시 빈 목록 표시
-    renderTaskList();
+  // 그 사이 다른 탭이 새 토큰을 저장했으면 사용
+  if (localStorage.getItem('taskflow_refresh_token') !== refreshToken && localStorage.getItem('taskflow_token')) {
+    authToken = localStorage.getItem('taskflow_token');
+    setupApiHeaders();
+    return true;
   }
+
+  return false;
 }
 
 /**
- * 할 일 목록 렌더링 함수
+ * 인증 요청 함수
+ * 액세스 토큰을 붙여 요청하고, 토큰이 만료되어 401을 받으면 토큰을 갱신한 뒤 한 번 더 요청합니다.
+ * 갱신할 수 없으면 로그인 화면으로 이동합니다 (요청 제한으로 갱신하지 못한 경우는 제외)
+ *
+ * @param {string} url - 요청 URL (API_BASE_URL 포함)
+ * @param {Object} [options] - fetch 옵션
+ * @returns {Promise<Response>} 응답
  */
-function renderTaskList() {
-  const taskList = document.getElementById('taskList');
+async function fetchWithAuth(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(authToken && { Authorization: `Bearer ${authToken}` })
+    }
+  });
 
-  if (!tasks || tasks.length === 0) {
-    taskList.innerHTML = `
-      <div class="empty-state">
-        <i class="bi bi-inbox"></i>
-        <p>할 일이 없습니다. 새 할 일을 추가해보세요!</p>
-      </div>
-    `;
-    return;
+  const response = await send();
+  if (response.status !== 401 || !authToken) {
+    return response;
   }
 
-  const tasksHtml = tasks.map(task => createTaskElement(task)).join('');
-  taskList.innerHTML = tasksHtml;
+  const refreshed = await refreshAccessToken();
+  if (refreshed) {
+    return send();
+  }
 
-  // 애니메이션 효과 추가
-  taskList.querySelectorAll('.task-item').forEach((item, index) => {
-    setTimeout(() => {
-      item.classList.add('slide-in');
-    }, index * 50);
-  });
+  // 요청 제한으로 갱신하지 못했으면 로그인을 유지하고 이번 요청만 실패
+  if (refreshed === null) {
+    return response;
+  }
+
+  handleSessionExpired();
+  return response;
 }
 
+// ===========================
+// 이메일 인증 및 비밀번호 재설정 함수
+// ===========================
+
 /**
- * 할 일 요소 생성 함수
+ * 메일 링크 읽기 함수
+ * 주소의 해시(#verifyEmail=토큰, #resetPassword=토큰, 외부 로그인 결과 #oidcLogin= 등)를 읽고,
+ * 토큰이 주소창과 방문 기록에 남지 않도록 지웁니다
  *
- * @param {Object} task - 할 일 객체
- * @returns {string} HTML 문자열
+ * @returns {{ type: string, token: string }|null} 링크 종류와 토큰
  */
-function createTaskElement(task) {
+function readAccountLink() {
+  const match = window.location.hash.match(/^#(verifyEmail|resetPassword|oidcLogin|oidcTwoFactor|oidcError)=(.+)$/);
+  if (!match) return null;
+
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  return { type: match[1], token: decodeURIComponent(match[2]) };
+}
+
+/**
+ * 이메일 인증 처리 함수
+ * 이 브라우저에 같은 사용자로 로그인되어 있으면 저장된 사용자 정보도 갱신합니다
+ *
+ * @param {string} token - 인증 링크의 토큰
+ */
+async function verifyEmail(token) {
+  try {
+    const response = await apiRequest('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+
+    if (currentUser && currentUser._id === response.data.user._id) {
+      currentUser.emailVerified = true;
+      localStorage.setItem('taskflow_user', JSON.stringify(currentUser));
+    }
+
+    showSuccess(response.message);
+
+  } catch (error) {
+    console.error('이메일 인증 실패:', error);
+    showError(error.message || '이메일 인증에 실패했습니다.');
+  }
+}
+
+/**
+ * 인증 메일 재발송 함수
+ *
+ * @param {string} email - 가입한 이메일 주소
+ */
+async function resendVerificationEmail(email) {
+  if (!email) {
+    showError('이메일을 입력해주세요.');
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/auth/resend-verification', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+
+    showSuccess(response.message);
+
+  } catch (error) {
+    console.error('인증 메일 재발송 실패:', error);
+    showError(error.message || '인증 메일을 보내지 못했습니다.');
+  }
+}
+
+/**
+ * 이메일 인증 안내 표시 함수
+ */
+function updateEmailVerificationBanner() {
+  const isUnverified = Boolean(currentUser && currentUser.emailVerified === false);
+  document.getElementById('emailVerificationBanner').style.display = isUnverified ? 'flex' : 'none';
+}
+
+/**
+ * 이메일 인증 상태 갱신 함수
+ * 저장된 사용자 정보가 미인증일 때만 서버에서 다시 확인합니다
+ */
+async function refreshEmailVerificationStatus() {
+  if (!currentUser || currentUser.emailVerified !== false || isOffline) return;
+
+  try {
+    const response = await apiRequest('/auth/me');
+    updateCurrentUser(response.data.user);
+    updateEmailVerificationBanner();
+  } catch (error) {
+    console.error('사용자 정보 확인 실패:', error);
+  }
+}
+
+/**
+ * 비밀번호 재설정 메일 요청 처리 함수
+ *
+ * @param {Event} event - 폼 제출 이벤트
+ */
+async function handleForgotPassword(event) {
+  event.preventDefault();
+
+  const email = document.getElementById('forgotPasswordEmail').value.trim();
+
+  try {
+    const response = await apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+
+    showSuccess(response.message);
+    showLoginScreen();
+    document.getElementById('loginEmail').value = email;
+
+  } catch (error) {
+    console.error('비밀번호 재설정 메일 요청 실패:', error);
+    showError(error.message || '비밀번호 재설정 메일을 요청하지 못했습니다.');
+  }
+}
+
+/**
+ * 비밀번호 재설정 처리 함수
+ * 비밀번호를 바꾸면 서버가 모든 로그인 세션을 취소하므로, 이 브라우저의 로그인 정보도 지웁니다
+ *
+ * @param {Event} event - 폼 제출 이벤트
+ */
+async function handleResetPassword(event) {
+  event.preventDefault();
+
+  const password = document.getElementById('resetPassword').value;
+  const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+
+  if (password !== confirmPassword) {
+    showError('비밀번호가 일치하지 않습니다.');
+    return;
+  }
+
+  if (password.length < 6) {
+    showError('비밀번호는 최소 6자 이상이어야 합니다.');
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token: passwordResetToken, password })
+    });
+
+    passwordResetToken = null;
+    if (authToken) {
+      clearSession();
+    }
+
+    showSuccess(response.message);
+    showLoginScreen();
+
+  } catch (error) {
+    console.error('비밀번호 재설정 실패:', error);
+    showError(error.message || '비밀번호를 변경하지 못했습니다.');
+  }
+}
+
+// ===========================
+// 할 일 관리 함수
+// ===========================
+
+/**
+ * 할 일 생성 처리 함수
+ *
+ * @param {Event} event - 폼 제출 이벤트
+ */
+async function handleAddTask(event) {
+  event.preventDefault();
+
+  const title = document.getElementById('taskTitle').value.trim();
+  const category = document.getElementById('taskCategory').value;
+  const priority = parseInt(document.getElementById('taskPriority').value);
+  const dueDate = document.getElementById('taskDueDate').value;
+  const tags = parseTagInput(document.getElementById('taskTags').value);
+
+  if (!title) {
+    showError('할 일 제목을 입력해주세요.');
+    return;
+  }
+
+  try {
+    const body = {
+      title,
+      category,
+      priority,
+      dueDate: dueDate || undefined,
+      tags,
+      projectId: currentProjectId || undefined
+    };
+    const localTask = buildNewLocalTask(body);
+
+    // API를 통한 할 일 생성 요청 (오프라인이면 대기열에 저장)
+    const response = await sendTaskMutation({ method: 'POST', url: '/tasks', body, task: null, localTask });
+
+    // 성공 시 폼 초기화 및 목록 갱신
+    document.getElementById('addTaskForm').reset();
+    document.getElementById('taskTitle').focus();
+
+    if (!response) {
+      showInfo(OFFLINE_QUEUED_MESSAGE);
+      applyTaskChange(localTask);
+      return;
+    }
+
+    showSuccess('할 일이 추가되었습니다.');
+    applyTaskChange(response.data.task);
+    await loadStats();
+
+  } catch (error) {
+    console.error('할 일 추가 실패:', error);
+    showError(error.message || '할 일 추가에 실패했습니다.');
+  }
+}
+
+/**
+ * 현재 필터 조건 조회 함수
+ * 필터 UI와 선택된 보기의 조건을 GET /api/tasks 쿼리 파라미터 형태로 반환합니다
+ *
+ * @returns {Object} 쿼리 파라미터 객체
+ */
+function getFilterQuery() {
+  // 필터링 옵션 가져오기
+  const category = document.getElementById('filterCategory').value;
+  const status = document.getElementById('filterStatus').value;
+  const assignee = document.getElementById('filterAssignee').value;
+  const sort = document.getElementById('filterSort').value;
+  const search = document.getElementById('searchInput').value.trim();
+  const tags = parseTagInput(document.getElementById('filterTags').value);
+  const tagMode = document.getElementById('filterTagMode').value;
+
+  // 선택된 보기의 추가 조건 위에 필터 UI 값을 덮어씀
+  const query = { ...viewExtraParams };
+  if (category) query.category = category;
+  if (tags.length > 0) query.tags = tags.join(',');
+  if (tags.length > 1 && tagMode === 'all') query.tagMode = 'all';
+  if (status) query.completed = status;
+  if (assignee === 'assignedToMe') query.assignedTo = 'me';
+  if (assignee === 'createdByMe') query.createdBy = 'me';
+  if (assignee === 'unassigned') query.assignedTo = 'none';
+  if (search) query.q = search;
+  if (sort) [query.sortBy, query.sortOrder] = sort.split(':');
+  if (currentProjectId) query.projectId = currentProjectId;
+
+  return query;
+}
+
+/**
+ * 할 일 목록 로드 함수
+ */
+async function loadTasks() {
+  // 보드/달력 보기에서는 각 화면에 맞는 목록을 로드
+  if (currentViewMode === 'board') {
+    return loadBoard();
+  }
+  if (currentViewMode === 'calendar') {
+    return loadCalendar();
+  }
+
+  try {
+    // 쿼리 파라미터 구성
+    const params = new URLSearchParams(getFilterQuery());
+
+    // API를 통한 할 일 목록 조회
+    const response = await apiRequest(`/tasks?${params}`, { offlineCache: true });
+    tasks = response.data.tasks;
+    taskPagination = response.data.pagination;
+
+    // 목록이 바뀌면 보이지 않는 할 일의 선택과 필터 전체 선택은 해제
+    selectedTaskIds = new Set(tasks.map(task => task._id).filter(id => selectedTaskIds.has(id)));
+    bulkUseFilter = false;
+
+    // 서버가 해석한 검색어로 강조 표시 (제외어는 강조하지 않음)
+    const parsedSearch = response.data.search;
+    searchTerms = parsedSearch ? [...parsedSearch.phrases, ...parsedSearch.terms] : [];
+    showSearchError(null);
+
+    // UI에 할 일 목록 렌더링
+    renderTaskList();
+    updateBulkActionBar();
+
+    // 오프라인에서 저장된 목록을 불러왔으면 보내지 못한 변경도 표시
+    if (response.offline) {
+      await reapplyPendingMutations();
+    }
+
+  } catch (error) {
+    console.error('할 일 목록 로드 실패:', error);
+
+    // 검색 조건 오류는 검색창에 표시하고 기존 목록 유지
+    if (error.status === 400 && document.getElementById('searchInput').value.trim()) {
+      showSearchError(error);
+      return;
+    }
+
+    showError(error.message || '할 일 목록을 불러오는데 실패했습니다.');
+    // 에러 발생 시 빈 목록 표시
+    renderTaskList();
+  }
+}
+
+/**
+ * 할 일 목록 렌더링 함수
+ */
+function renderTaskList() {
+  const taskList = document.getElementById('taskList');
+
+  if (!tasks || tasks.length === 0) {
+    taskList.innerHTML = `
+      <div class="empty-state">
+        <i class="bi bi-inbox"></i>
+        <p>할 일이 없습니다. 새 할 일을 추가해보세요!</p>
+      </div>
+    `;
+    return;
+  }
+
+  const tasksHtml = tasks.map(task => createTaskElement(task)).join('');
+  taskList.innerHTML = tasksHtml;
+
+  // 애니메이션 효과 추가
+  taskList.querySelectorAll('.task-item').forEach((item, index) => {
+    setTimeout(() => {
+      item.classList.add('slide-in');
+    }, index * 50);
+  });
+}
+
+/**
+ * 할 일 요소 생성 함수
+ *
+ * @param {Object} task - 할 일 객체
+ * @returns {string} HTML 문자열
+ */
+function createTaskElement(task) {
   const priorityClass = task.priority >= 4 ? 'priority-high' :
                        task.priority >= 3 ? 'priority-medium' : 'priority-low';
 
   const completedClass = task.completed ? 'completed' : '';
   const checkboxClass = task.completed ? 'checked' : '';
-
-  // 카테고리 배지 클래스
-  const categoryBadgeClass = `badge-category-${task.category}`;
+  const canEdit = canEditCurrentWorkspace();
+  const isSelected = selectedTaskIds.has(task._id);
 
   // 우선순위 배지 클래스
   const priorityBadgeClass = `badge-priority-${task.priority}`;
@@ -475,25 +1349,64 @@ function createTaskElement(task) {
     dueDateHtml = `<span class="${dueDateClass}">${dueDateText}</span>`;
   }
 
+  // 체크리스트 진행률 표시
+  const progress = getSubtaskProgress(task);
+  const progressHtml = progress.total > 0 ? `
+        <div class="subtask-progress" title="체크리스트 ${progress.completed}/${progress.total} 완료">
+          <div class="progress">
+            <div class="progress-bar bg-success" style="width: ${progress.percent}%"></div>
+          </div>
+          <span><i class="bi bi-list-check"></i> ${progress.completed}/${progress.total}</span>
+        </div>` : '';
+
+  // 반복 표시
+  const recurrenceHtml = task.recurrence
+    ? `<span class="recurrence-badge" title="반복 할 일"><i class="bi bi-arrow-repeat"></i> ${describeRecurrence(task.recurrence)}</span>`
+    : '';
+
+  // 다른 프로젝트의 할 일 표시 ("나에게 할당됨" 보기)
+  const taskProject = task.projectId && task.projectId !== currentProjectId
+    ? projects.find(project => project._id === task.projectId)
+    : null;
+  const projectHtml = taskProject
+    ? `<span class="task-project"><span class="project-color" style="background-color: ${taskProject.color}"></span>${escapeHtml(taskProject.name)}</span>`
+    : '';
+
+  // 서버에 아직 저장되지 않은 변경 표시 (오프라인)
+  const pendingHtml = task.pendingSync
+    ? '<span class="sync-pending-badge" title="다시 연결되면 서버에 저장됩니다"><i class="bi bi-cloud-arrow-up"></i> 동기화 대기</span>'
+    : '';
+
   return `
-    <div class="task-item ${priorityClass} ${completedClass}" data-task-id="${task._id}">
-      <div class="task-checkbox ${checkboxClass}" onclick="toggleTaskComplete('${task._id}')">
+    <div class="task-item ${priorityClass} ${completedClass} ${isSelected ? 'selected' : ''} ${task.pendingSync ? 'sync-pending' : ''}" data-task-id="${task._id}">
+      ${canEdit ? `
+      <input type="checkbox" class="form-check-input task-select" title="선택"
+             ${isSelected ? 'checked' : ''} onchange="toggleTaskSelection('${task._id}')">` : ''}
+      <div class="task-checkbox ${checkboxClass} ${canEdit ? '' : 'disabled'}"
+           ${canEdit ? `onclick="toggleTaskComplete('${task._id}')"` : ''}>
         ${task.completed ? '<i class="bi bi-check"></i>' : ''}
       </div>
 
       <div class="task-content">
-        <div class="task-title">${escapeHtml(task.title)}</div>
-        ${task.description ? `<div class="task-description">${escapeHtml(task.description)}</div>` : ''}
+        <div class="task-title">${highlightText(task.title)}</div>
+        ${task.description ? `<div class="task-description">${highlightText(task.description)}</div>` : ''}
 
         <div class="task-meta">
-          <span class="badge ${categoryBadgeClass}">${task.category}</span>
+          ${renderCategoryBadge(task.category)}
           <span class="badge ${priorityBadgeClass}">
             ${['낮음', '조금 낮음', '보통', '높음', '매우 높음'][task.priority - 1]}
           </span>
           ${dueDateHtml}
+          ${recurrenceHtml}
+          ${renderTaskTags(task.tags)}
+          ${projectHtml}
+          ${renderAssigneeAvatars(task.assignees)}
+          ${pendingHtml}
         </div>
+        ${progressHtml}
       </div>
 
+      ${canEdit ? `
       <div class="task-actions">
         <button class="btn btn-sm btn-outline-primary" onclick="editTask('${task._id}')" title="수정">
           <i class="bi bi-pencil"></i>
@@ -501,7 +1414,7 @@ function createTaskElement(task) {
         <button class="btn btn-sm btn-outline-danger" onclick="deleteTask('${task._id}')" title="삭제">
           <i class="bi bi-trash"></i>
         </button>
-      </div>
+      </div>` : ''}
     </div>
   `;
 }
@@ -516,14 +1429,26 @@ async function toggleTaskComplete(taskId) {
     const task = tasks.find(t => t._id === taskId);
     if (!task) return;
 
-    // API를 통한 상태 업데이트
-    await apiRequest(`/tasks/${taskId}`, {
-      method: 'PUT',
-      body: JSON.stringify({ completed: !task.completed })
-    });
+    // API를 통한 상태 업데이트 (오프라인이면 대기열에 저장)
+    const body = { completed: !task.completed };
+    const localTask = buildLocalTask(task, body);
+    const response = await sendTaskMutation({ method: 'PUT', url: `/tasks/${taskId}`, body, task, localTask });
 
-    showSuccess(`할 일이 ${task.completed ? '미완료' : '완료'} 처리되었습니다.`);
-    await loadTasks();
+    if (!response) {
+      showInfo(OFFLINE_QUEUED_MESSAGE);
+      applyTaskChange(localTask);
+      return;
+    }
+
+    if (response.data.nextTask) {
+      showSuccess('할 일이 완료되어 다음 반복 할 일이 생성되었습니다.');
+    } else {
+      showSuccess(`할 일이 ${task.completed ? '미완료' : '완료'} 처리되었습니다.`);
+    }
+    applyTaskChange(response.data.task);
+    if (response.data.nextTask) {
+      applyTaskChange(response.data.nextTask);
+    }
     await loadStats();
 
   } catch (error) {
@@ -539,20 +1464,43 @@ async function toggleTaskComplete(taskId) {
  */
 async function editTask(taskId) {
   try {
-    const task = tasks.find(t => t._id === taskId);
+    let task = tasks.find(t => t._id === taskId);
     if (!task) return;
 
+    // 최신 내용과 버전(ETag) 조회 (오프라인이거나 아직 서버에 없는 할 일이면 목록의 할 일 사용)
+    let etag = null;
+    if (!isOffline && !isLocalTaskId(taskId)) {
+      try {
+        const response = await apiRequest(`/tasks/${taskId}`);
+        if (response.data.task.updatedAt !== task.updatedAt) {
+          applyTaskChange(response.data.task);
+        }
+        task = response.data.task;
+        etag = response.etag || null;
+      } catch (error) {
+        if (error.status === 404) {
+          removeTaskLocally(taskId);
+          showError(error.message);
+          return;
+        }
+        if (!error.offline) throw error;
+      }
+    }
+
     currentEditingTask = task;
+    editingBaseTask = task;
+    editingTaskETag = etag;
+    hideEditConflict();
 
     // 수정 폼에 데이터 채우기
-    document.getElementById('editTaskId').value = task._id;
-    document.getElementById('editTaskTitle').value = task.title;
-    document.getElementById('editTaskDescription').value = task.description || '';
-    document.getElementById('editTaskCategory').value = task.category;
-    document.getElementById('editTaskPriority').value = task.priority;
-    document.getElementById('editTaskDueDate').value = task.dueDate ?
-      new Date(task.dueDate).toISOString().split('T')[0] : '';
-    document.getElementById('editTaskCompleted').checked = task.completed;
+    await fillEditForm(task);
+
+    // 체크리스트 표시
+    document.getElementById('newSubtaskTitle').value = '';
+    renderSubtaskList();
+
+    // 담당자 후보 및 선택 상태 채우기 (후보 목록은 모달을 띄운 뒤 채워짐)
+    fillAssigneeFields(task);
 
     // 모달 표시
     const modal = new bootstrap.Modal(document.getElementById('editTaskModal'));
@@ -564,45 +1512,130 @@ async function editTask(taskId) {
   }
 }
 
+/**
+ * 수정 폼 채우기 함수 (담당자 제외)
+ *
+ * @param {Object} task - 폼에 표시할 할 일
+ */
+async function fillEditForm(task) {
+  document.getElementById('editTaskId').value = task._id;
+  document.getElementById('editTaskTitle').value = task.title;
+  document.getElementById('editTaskDescription').value = task.description || '';
+  await fillEditCategoryOptions(task);
+  document.getElementById('editTaskTags').value = (task.tags || []).join(', ');
+  document.getElementById('editTaskPriority').value = task.priority;
+  document.getElementById('editTaskDueDate').value = task.dueDate ?
+    new Date(task.dueDate).toISOString().split('T')[0] : '';
+  document.getElementById('editTaskCompleted').checked = task.completed;
+
+  // 반복 설정 채우기
+  fillRecurrenceFields(task.recurrence);
+
+  // 마감 알림 채우기
+  fillReminderFields(task.reminders);
+}
+
+/**
+ * 수정 폼 입력값 읽기 함수
+ *
+ * @returns {Object} 수정 가능한 항목 값 (toEditableFields와 같은 형식)
+ */
+function readEditForm() {
+  return {
+    title: document.getElementById('editTaskTitle').value.trim(),
+    description: document.getElementById('editTaskDescription').value.trim(),
+    category: document.getElementById('editTaskCategory').value,
+    priority: parseInt(document.getElementById('editTaskPriority').value),
+    dueDate: document.getElementById('editTaskDueDate').value,
+    completed: document.getElementById('editTaskCompleted').checked,
+    tags: parseTagInput(document.getElementById('editTaskTags').value),
+    recurrence: readRecurrenceFields(),
+    reminders: readReminderFields(editingBaseTask.reminders),
+    assignees: readAssigneeFields()
+  };
+}
+
 /**
  * 할 일 저장 처리 함수
+ * 폼을 채울 때 받은 버전을 If-Match로 보내고, 그 사이 다른 곳에서 수정되었으면 충돌 내용을 보여줍니다
  */
 async function handleSaveTask() {
   try {
     if (!currentEditingTask) return;
 
     const taskId = document.getElementById('editTaskId').value;
-    const title = document.getElementById('editTaskTitle').value.trim();
-    const description = document.getElementById('editTaskDescription').value.trim();
-    const category = document.getElementById('editTaskCategory').value;
-    const priority = parseInt(document.getElementById('editTaskPriority').value);
-    const dueDate = document.getElementById('editTaskDueDate').value;
-    const completed = document.getElementById('editTaskCompleted').checked;
+    const fields = readEditForm();
+    const { title, description, category, priority, dueDate, completed, tags, recurrence, reminders, assignees } = fields;
 
     if (!title) {
       showError('할 일 제목을 입력해주세요.');
       return;
     }
 
-    // API를 통한 할 일 수정
-    await apiRequest(`/tasks/${taskId}`, {
-      method: 'PUT',
-      body: JSON.stringify({
-        title,
-        description,
-        category,
-        priority,
-        dueDate: dueDate || undefined,
-        completed
-      })
-    });
+    if (recurrence && !dueDate) {
+      showError('반복 할 일은 마감일을 지정해야 합니다.');
+      return;
+    }
+
+    const body = {
+      title,
+      description,
+      category,
+      priority,
+      dueDate: dueDate || undefined,
+      completed,
+      tags,
+      reminders
+    };
+
+    // 반복 규칙이 바뀐 경우에만 전송 (회차 번호가 초기화되지 않도록)
+    if (isRecurrenceChanged(editingBaseTask.recurrence, recurrence)) {
+      body.recurrence = recurrence;
+    }
+
+    // 담당자가 바뀐 경우에만 전송 (불필요한 변경 이력이 남지 않도록)
+    if (isAssigneesChanged(editingBaseTask.assignees, assignees)) {
+      body.assignees = assignees;
+    }
+
+    // API를 통한 할 일 수정 (오프라인이면 대기열에 저장)
+    const localTask = buildLocalTask(currentEditingTask, body);
+    let response;
+    try {
+      response = await sendTaskMutation({
+        method: 'PUT',
+        url: `/tasks/${taskId}`,
+        body,
+        task: currentEditingTask,
+        localTask,
+        etag: editingTaskETag
+      });
+    } catch (error) {
+      // 폼을 연 뒤 다른 곳에서 수정됨
+      if (error.status === 412 && error.data) {
+        await handleEditConflict(fields, error.data.task, error.etag);
+        return;
+      }
+      throw error;
+    }
 
     // 모달 닫기
     const modal = bootstrap.Modal.getInstance(document.getElementById('editTaskModal'));
     modal.hide();
 
-    showSuccess('할 일이 수정되었습니다.');
-    await loadTasks();
+    if (!response) {
+      showInfo(OFFLINE_QUEUED_MESSAGE);
+      applyTaskChange(localTask);
+      return;
+    }
+
+    showSuccess(response.data.nextTask
+      ? '할 일이 완료되어 다음 반복 할 일이 생성되었습니다.'
+      : '할 일이 수정되었습니다.');
+    applyTaskChange(response.data.task);
+    if (response.data.nextTask) {
+      applyTaskChange(response.data.nextTask);
+    }
     await loadStats();
 
   } catch (error) {
@@ -622,13 +1655,17 @@ async function deleteTask(taskId) {
   }
 
   try {
-    // API를 통한 할 일 삭제
-    await apiRequest(`/tasks/${taskId}`, {
-      method: 'DELETE'
-    });
+    // API를 통한 할 일 삭제 (오프라인이면 대기열에 저장)
+    const task = tasks.find(t => t._id === taskId) || { _id: taskId };
+    const response = await sendTaskMutation({ method: 'DELETE', url: `/tasks/${taskId}`, task, localTask: null });
+
+    removeTaskLocally(taskId);
+    if (!response) {
+      showInfo(OFFLINE_QUEUED_MESSAGE);
+      return;
+    }
 
     showSuccess('할 일이 삭제되었습니다.');
-    await loadTasks();
     await loadStats();
 
   } catch (error) {
@@ -638,50 +1675,5156 @@ async function deleteTask(taskId) {
 }
 
 /**
- * 완료된 할 일 일괄 삭제 함수
+ * 수정 모달의 할 일 삭제 처리 함수
  */
-async function clearCompletedTasks() {
-  const completedTasks = tasks.filter(task => task.completed);
+async function handleDeleteTask() {
+  if (!currentEditingTask) return;
 
-  if (completedTasks.length === 0) {
-    showInfo('완료된 할 일이 없습니다.');
+  const modal = bootstrap.Modal.getInstance(document.getElementById('editTaskModal'));
+  modal.hide();
+
+  await deleteTask(currentEditingTask._id);
+}
+
+/**
+ * 완료된 할 일 일괄 삭제 함수
+ */
+async function clearCompletedTasks() {
+  const completedTasks = tasks.filter(task => task.completed);
+
+  if (completedTasks.length === 0) {
+    showInfo('완료된 할 일이 없습니다.');
+    return;
+  }
+
+  if (!confirm(`완료된 할 일 ${completedTasks.length}개를 삭제하시겠습니까?`)) {
+    return;
+  }
+
+  try {
+    // API를 통한 완료된 할 일 삭제 (프로젝트 목록이면 해당 프로젝트만)
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tasks/completed${query}`, {
+      method: 'DELETE'
+    });
+
+    showSuccess(`완료된 할 일 ${response.data.deletedCount}개가 삭제되었습니다.`);
+    await loadTasks();
+    await loadStats();
+
+  } catch (error) {
+    console.error('완료된 할 일 삭제 실패:', error);
+    showError(error.message || '완료된 할 일 삭제에 실패했습니다.');
+  }
+}
+
+/**
+ * 할 일 새로고침 함수
+ */
+async function refreshTasks() {
+  await loadTasks();
+  await loadStats();
+  showInfo('할 일 목록이 새로고침되었습니다.');
+}
+
+/**
+ * 할 일 필터링 함수
+ */
+function filterTasks() {
+  clearActiveView(); // 필터를 직접 바꾸면 선택된 보기 해제
+  loadTasks(); // 필터링 조건으로 목록 다시 로드
+}
+
+/**
+ * 검색 입력 처리 함수
+ * 입력이 멈춘 뒤 300ms가 지나면 목록을 다시 불러옵니다
+ */
+function handleSearchInput() {
+  clearActiveView();
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(loadTasks, 300);
+}
+
+/**
+ * 검색 조건 오류 표시 함수
+ * 서버가 알려준 잘못된 토큰을 입력 문자열 안에서 강조하여 보여줍니다
+ *
+ * @param {Error|null} error - 검색 오류 (null이면 오류 표시 제거)
+ */
+function showSearchError(error) {
+  const input = document.getElementById('searchInput');
+  const feedback = document.getElementById('searchFeedback');
+
+  if (!error) {
+    input.classList.remove('is-invalid');
+    feedback.textContent = '';
+    return;
+  }
+
+  input.classList.add('is-invalid');
+  feedback.textContent = error.message;
+
+  if (error.data && error.data.token) {
+    const text = input.value.trim(); // 서버에는 앞뒤 공백을 제거한 검색어가 전달됨
+    const start = error.data.position;
+    const end = start + error.data.token.length;
+
+    feedback.innerHTML += `
+      <div class="search-error-context">
+        ${escapeHtml(text.slice(0, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end))}
+      </div>
+    `;
+  }
+}
+
+// ===========================
+// 일괄 작업 함수
+// ===========================
+
+/**
+ * 할 일 선택 토글 함수
+ *
+ * @param {string} taskId - 할 일 ID
+ */
+function toggleTaskSelection(taskId) {
+  if (selectedTaskIds.has(taskId)) {
+    selectedTaskIds.delete(taskId);
+  } else {
+    selectedTaskIds.add(taskId);
+  }
+
+  // 개별 선택을 바꾸면 필터 전체 선택은 해제
+  bulkUseFilter = false;
+
+  const item = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+  if (item) item.classList.toggle('selected', selectedTaskIds.has(taskId));
+
+  updateBulkActionBar();
+}
+
+/**
+ * 현재 목록 전체 선택/해제 처리 함수
+ *
+ * @param {Event} event - 체크박스 변경 이벤트
+ */
+function handleSelectAll(event) {
+  bulkUseFilter = false;
+  selectedTaskIds = event.target.checked ? new Set(tasks.map(task => task._id)) : new Set();
+
+  renderTaskList();
+  updateBulkActionBar();
+}
+
+/**
+ * 필터와 일치하는 모든 할 일 선택 함수
+ * 현재 페이지에 보이지 않는 할 일까지 필터 조건으로 일괄 작업합니다
+ */
+function selectFilterMatches() {
+  bulkUseFilter = true;
+  selectedTaskIds = new Set(tasks.map(task => task._id));
+
+  renderTaskList();
+  updateBulkActionBar();
+}
+
+/**
+ * 선택 해제 함수
+ */
+function clearSelection() {
+  bulkUseFilter = false;
+  selectedTaskIds = new Set();
+
+  renderTaskList();
+  updateBulkActionBar();
+}
+
+/**
+ * 일괄 작업 바 갱신 함수
+ */
+function updateBulkActionBar() {
+  const bar = document.getElementById('bulkActionBar');
+  const totalItems = taskPagination ? taskPagination.totalItems : tasks.length;
+
+  bar.style.display = selectedTaskIds.size > 0 || bulkUseFilter ? 'flex' : 'none';
+  document.getElementById('bulkSelectionCount').textContent = bulkUseFilter
+    ? `필터와 일치하는 ${totalItems}개 선택됨`
+    : `${selectedTaskIds.size}개 선택됨`;
+
+  // 보이는 것보다 더 많은 할 일이 필터와 일치할 때만 전체 선택 링크 표시
+  document.getElementById('bulkSelectFilterBtn').style.display =
+    !bulkUseFilter && totalItems > tasks.length ? 'inline' : 'none';
+
+  const selectAll = document.getElementById('selectAllTasks');
+  selectAll.checked = tasks.length > 0 && tasks.every(task => selectedTaskIds.has(task._id));
+  selectAll.indeterminate = selectedTaskIds.size > 0 && !selectAll.checked;
+  document.getElementById('selectAllWrapper').style.display =
+    tasks.length > 0 && canEditCurrentWorkspace() ? 'block' : 'none';
+}
+
+/**
+ * 일괄 작업 실행 함수
+ *
+ * @param {string} action - 작업 종류 (complete, uncomplete, setCategory, setPriority, addTags, removeTags, moveDueDate, delete)
+ * @param {*} value - 작업 값
+ */
+async function runBulkAction(action, value) {
+  const count = bulkUseFilter && taskPagination ? taskPagination.totalItems : selectedTaskIds.size;
+  if (count === 0) return;
+
+  if (action === 'delete' && !confirm(`선택한 할 일 ${count}개를 삭제하시겠습니까?`)) {
+    return;
+  }
+
+  try {
+    const body = { action, value };
+    if (bulkUseFilter) {
+      body.filter = getFilterQuery();
+    } else {
+      body.ids = Array.from(selectedTaskIds);
+    }
+
+    const response = await apiRequest('/tasks/bulk', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+
+    const { summary, results } = response.data;
+    if (summary.failed > 0) {
+      // 실패 사유별로 묶어서 표시
+      const reasons = [...new Set(results.filter(result => result.error).map(result => result.message))];
+      showError(`${summary.total}개 중 ${summary.failed}개 실패: ${reasons.join(', ')}`);
+    } else {
+      showSuccess(`${summary.succeeded}개의 할 일에 적용되었습니다.`);
+    }
+
+    // 실패한 항목만 선택 상태로 남김
+    selectedTaskIds = new Set(results.filter(result => result.error).map(result => result.id));
+    await loadTasks();
+    await loadStats();
+
+  } catch (error) {
+    console.error('일괄 작업 실패:', error);
+    showError(error.message || '일괄 작업에 실패했습니다.');
+  }
+}
+
+/**
+ * 일괄 작업 버튼 처리 함수
+ * 태그 작업은 입력받은 태그(쉼표로 구분)로 실행합니다
+ *
+ * @param {Event} event - 클릭 이벤트
+ */
+function handleBulkButton(event) {
+  const action = event.currentTarget.dataset.bulkAction;
+
+  if (action === 'addTags' || action === 'removeTags') {
+    const input = prompt(action === 'addTags' ? '추가할 태그 (쉼표로 구분)' : '제거할 태그 (쉼표로 구분)');
+    if (!input) return;
+
+    const tagList = input.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tagList.length > 0) runBulkAction(action, tagList);
+    return;
+  }
+
+  runBulkAction(action);
+}
+
+/**
+ * 일괄 작업 선택 상자 처리 함수 (카테고리, 우선순위, 마감일 이동)
+ *
+ * @param {Event} event - 변경 이벤트
+ */
+function handleBulkSelect(event) {
+  const select = event.target;
+  const selected = select.value;
+  select.value = '';
+  if (!selected) return;
+
+  if (select.id === 'bulkCategory') {
+    runBulkAction('setCategory', selected);
+  } else if (select.id === 'bulkPriority') {
+    runBulkAction('setPriority', parseInt(selected));
+  } else if (select.id === 'bulkMoveDueDate') {
+    runBulkAction('moveDueDate', selected === 'clear' ? { date: null } : { days: parseInt(selected) });
+  }
+}
+
+// ===========================
+// 칸반 보드 함수
+// ===========================
+
+// 보드 열 개수 제한 (서버의 Board.MIN_COLUMNS, Board.MAX_COLUMNS와 동일)
+const BOARD_MIN_COLUMNS = 2;
+const BOARD_MAX_COLUMNS = 10;
+
+/**
+ * 목록/보드/달력 보기 전환 함수
+ *
+ * @param {string} mode - 'list', 'board' 또는 'calendar'
+ */
+async function setViewMode(mode) {
+  currentViewMode = mode;
+  localStorage.setItem('taskflow_view_mode', mode);
+
+  document.getElementById('listViewBtn').classList.toggle('active', mode === 'list');
+  document.getElementById('boardViewBtn').classList.toggle('active', mode === 'board');
+  document.getElementById('calendarViewBtn').classList.toggle('active', mode === 'calendar');
+  document.getElementById('taskList').style.display = mode === 'list' ? 'block' : 'none';
+  document.getElementById('taskBoard').style.display = mode === 'board' ? 'flex' : 'none';
+  document.getElementById('taskCalendar').style.display = mode === 'calendar' ? 'block' : 'none';
+  document.getElementById('boardSettingsBtn').style.display = 'none';
+
+  // 보드와 달력은 자체 순서(열 안의 순서, 마감일)를 사용하므로 정렬 옵션과 일괄 선택을 사용하지 않음
+  document.getElementById('filterSort').disabled = mode !== 'list';
+  selectedTaskIds = new Set();
+  bulkUseFilter = false;
+  document.getElementById('bulkActionBar').style.display = 'none';
+  document.getElementById('selectAllWrapper').style.display = 'none';
+
+  await loadTasks();
+}
+
+/**
+ * 칸반 보드 로드 함수
+ * 현재 필터 조건으로 GET /api/tasks/board를 조회합니다
+ */
+async function loadBoard() {
+  try {
+    // 보드는 열 안의 순서로 정렬하고 페이지를 나누지 않음
+    const query = getFilterQuery();
+    delete query.sortBy;
+    delete query.sortOrder;
+    delete query.limit;
+
+    const response = await apiRequest(`/tasks/board?${new URLSearchParams(query)}`, { offlineCache: true });
+    boardColumns = response.data.columns;
+    boardCanConfigure = response.data.canConfigure;
+
+    // 수정 모달 등 기존 함수가 사용할 수 있도록 전체 할 일 목록도 갱신
+    tasks = boardColumns.flatMap(column => column.tasks);
+    taskPagination = null;
+    searchTerms = [];
+    showSearchError(null);
+
+    document.getElementById('boardSettingsBtn').style.display = boardCanConfigure ? 'inline-flex' : 'none';
+
+    if (response.data.truncated) {
+      showInfo('할 일이 많아 일부만 보드에 표시됩니다. 필터로 범위를 좁혀주세요.');
+    }
+
+    renderBoard();
+
+    // 오프라인에서 저장된 보드를 불러왔으면 보내지 못한 변경도 표시
+    if (response.offline) {
+      await reapplyPendingMutations();
+    }
+
+  } catch (error) {
+    console.error('보드 로드 실패:', error);
+
+    // 검색 조건 오류는 검색창에 표시하고 기존 보드 유지
+    if (error.status === 400 && document.getElementById('searchInput').value.trim()) {
+      showSearchError(error);
+      return;
+    }
+
+    showError(error.message || '보드를 불러오는데 실패했습니다.');
+  }
+}
+
+/**
+ * 칸반 보드 렌더링 함수
+ */
+function renderBoard() {
+  const board = document.getElementById('taskBoard');
+  const lastIndex = boardColumns.length - 1;
+
+  board.innerHTML = boardColumns.map((column, index) => `
+    <div class="board-column">
+      <div class="board-column-header" style="border-top-color: ${column.color}">
+        <span class="board-column-title">
+          ${escapeHtml(column.name)}
+          ${index === lastIndex ? '<i class="bi bi-check2-circle text-success" title="완료 열"></i>' : ''}
+        </span>
+        <span class="badge bg-light text-dark">${column.tasks.length}</span>
+      </div>
+      <div class="board-column-body" data-status="${column.key}">
+        ${column.tasks.length > 0
+          ? column.tasks.map(task => createBoardCardElement(task)).join('')
+          : '<div class="board-empty">할 일 없음</div>'}
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * 보드 카드 요소 생성 함수
+ *
+ * @param {Object} task - 할 일 객체
+ * @returns {string} HTML 문자열
+ */
+function createBoardCardElement(task) {
+  const priorityClass = task.priority >= 4 ? 'priority-high' :
+                       task.priority >= 3 ? 'priority-medium' : 'priority-low';
+  const canEdit = canEditCurrentWorkspace();
+
+  // 다른 목록의 할 일("나에게 할당됨" 등)은 열 구성이 다르므로 이동 불가
+  const canMove = canEdit && (task.projectId || null) === currentProjectId;
+
+  const progress = getSubtaskProgress(task);
+  const dueDateHtml = task.dueDate
+    ? `<span class="due-date ${new Date(task.dueDate) < new Date() && !task.completed ? 'overdue' : ''}">
+        <i class="bi bi-calendar-event"></i> ${new Date(task.dueDate).toLocaleDateString('ko-KR')}
+      </span>`
+    : '';
+
+  return `
+    <div class="board-card ${priorityClass} ${task.completed ? 'completed' : ''}" data-task-id="${task._id}"
+         draggable="${canMove}" ${canEdit ? `onclick="editTask('${task._id}')"` : ''}>
+      <div class="board-card-title">${escapeHtml(task.title)}</div>
+      <div class="task-meta">
+        ${renderCategoryBadge(task.category)}
+        ${dueDateHtml}
+        ${task.recurrence ? '<i class="bi bi-arrow-repeat" title="반복 할 일"></i>' : ''}
+        ${progress.total > 0 ? `<span><i class="bi bi-list-check"></i> ${progress.completed}/${progress.total}</span>` : ''}
+        ${renderAssigneeAvatars(task.assignees)}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 드롭 위치 계산 함수
+ * 마우스 위치가 각 카드의 세로 중앙보다 위에 있는 첫 카드 앞에 놓습니다
+ *
+ * @param {HTMLElement} columnBody - 열 요소
+ * @param {number} clientY - 마우스 세로 좌표
+ * @returns {number} 열 안에서 놓일 위치 (끌고 있는 카드 제외)
+ */
+function getBoardDropIndex(columnBody, clientY) {
+  const cards = [...columnBody.querySelectorAll('.board-card:not(.dragging)')];
+  const index = cards.findIndex(card => {
+    const rect = card.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2;
+  });
+
+  return index === -1 ? cards.length : index;
+}
+
+/**
+ * 드롭 위치 표시 제거 함수
+ */
+function clearBoardDropIndicator() {
+  document.querySelectorAll('.board-drop-placeholder').forEach(element => element.remove());
+  document.querySelectorAll('.board-column-body.drag-over').forEach(element => element.classList.remove('drag-over'));
+}
+
+/**
+ * 카드 끌기 시작 처리 함수
+ *
+ * @param {DragEvent} event - 드래그 이벤트
+ */
+function handleBoardDragStart(event) {
+  const card = event.target.closest('.board-card');
+  if (!card) return;
+
+  draggedTaskId = card.dataset.taskId;
+  event.dataTransfer.effectAllowed = 'move';
+  event.dataTransfer.setData('text/plain', draggedTaskId);
+  card.classList.add('dragging');
+}
+
+/**
+ * 카드 끌기 종료 처리 함수
+ */
+function handleBoardDragEnd() {
+  draggedTaskId = null;
+  document.querySelectorAll('.board-card.dragging').forEach(card => card.classList.remove('dragging'));
+  clearBoardDropIndicator();
+}
+
+/**
+ * 열 위로 끌고 있을 때 처리 함수
+ * 카드가 놓일 위치에 자리 표시를 보여줍니다
+ *
+ * @param {DragEvent} event - 드래그 이벤트
+ */
+function handleBoardDragOver(event) {
+  const columnBody = event.target.closest('.board-column-body');
+  if (!columnBody || !draggedTaskId) return;
+
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'move';
+
+  const cards = [...columnBody.querySelectorAll('.board-card:not(.dragging)')];
+  const index = getBoardDropIndex(columnBody, event.clientY);
+
+  let placeholder = document.querySelector('.board-drop-placeholder');
+  if (!placeholder) {
+    placeholder = document.createElement('div');
+    placeholder.className = 'board-drop-placeholder';
+  }
+
+  document.querySelectorAll('.board-column-body.drag-over').forEach(element => element.classList.remove('drag-over'));
+  columnBody.classList.add('drag-over');
+  columnBody.insertBefore(placeholder, cards[index] || null);
+}
+
+/**
+ * 카드 놓기 처리 함수
+ * 화면을 먼저 갱신한 뒤 서버에 상태와 열 안의 순서를 저장합니다
+ *
+ * @param {DragEvent} event - 드래그 이벤트
+ */
+async function handleBoardDrop(event) {
+  const columnBody = event.target.closest('.board-column-body');
+  if (!columnBody || !draggedTaskId) return;
+
+  event.preventDefault();
+
+  const taskId = draggedTaskId;
+  const status = columnBody.dataset.status;
+  const index = getBoardDropIndex(columnBody, event.clientY);
+  handleBoardDragEnd();
+
+  const sourceColumn = boardColumns.find(column => column.tasks.some(task => task._id === taskId));
+  const targetColumn = boardColumns.find(column => column.key === status);
+  if (!sourceColumn || !targetColumn) return;
+
+  // 낙관적 업데이트: 로컬 보드에서 먼저 이동
+  const task = sourceColumn.tasks.find(t => t._id === taskId);
+  sourceColumn.tasks = sourceColumn.tasks.filter(t => t._id !== taskId);
+  targetColumn.tasks.splice(index, 0, task);
+  task.status = status;
+  task.completed = targetColumn === boardColumns[boardColumns.length - 1];
+  renderBoard();
+
+  try {
+    const response = await sendTaskMutation({
+      method: 'PUT',
+      url: `/tasks/${taskId}/move`,
+      body: {
+        status,
+        // 오프라인에서 만든 할 일은 아직 서버에 없으므로 순서에서 제외
+        order: targetColumn.tasks.map(t => t._id).filter(id => !isLocalTaskId(id))
+      },
+      task,
+      localTask: buildLocalTask(task, { status, completed: task.completed })
+    });
+
+    if (!response) {
+      showInfo(OFFLINE_QUEUED_MESSAGE);
+      return;
+    }
+
+    // 반복 할 일의 다음 회차가 생성되면 보드에 반영
+    if (response.data.nextTask) {
+      showSuccess(response.message);
+      await loadBoard();
+    } else {
+      Object.assign(task, response.data.task);
+    }
+
+    await loadStats();
+
+  } catch (error) {
+    console.error('할 일 이동 실패:', error);
+    showError(error.message || '할 일 이동에 실패했습니다.');
+    // 실패 시 서버 상태로 되돌림
+    await loadBoard();
+  }
+}
+
+/**
+ * 보드 열 설정 모달 열기 함수
+ */
+function openBoardColumnsModal() {
+  editingColumns = boardColumns.map(({ key, name, color }) => ({ key, name, color }));
+  renderBoardColumnEditor();
+
+  const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('boardColumnsModal'));
+  modal.show();
+}
+
+/**
+ * 보드 열 설정 목록 렌더링 함수
+ */
+function renderBoardColumnEditor() {
+  const list = document.getElementById('boardColumnList');
+  const lastIndex = editingColumns.length - 1;
+
+  list.innerHTML = editingColumns.map((column, index) => `
+    <li class="list-group-item board-column-row">
+      <input type="color" class="form-control form-control-color" title="색상"
+             onchange="updateBoardColumn(${index}, 'color', this.value)">
+      <input type="text" class="form-control form-control-sm" maxlength="30" placeholder="열 이름"
+             oninput="updateBoardColumn(${index}, 'name', this.value)">
+      ${index === lastIndex ? '<span class="badge bg-success">완료</span>' : ''}
+      <div class="btn-group btn-group-sm">
+        <button type="button" class="btn btn-outline-secondary" title="위로"
+                ${index === 0 ? 'disabled' : ''} onclick="moveBoardColumn(${index}, -1)">
+          <i class="bi bi-arrow-up"></i>
+        </button>
+        <button type="button" class="btn btn-outline-secondary" title="아래로"
+                ${index === lastIndex ? 'disabled' : ''} onclick="moveBoardColumn(${index}, 1)">
+          <i class="bi bi-arrow-down"></i>
+        </button>
+        <button type="button" class="btn btn-outline-danger" title="삭제"
+                ${editingColumns.length <= BOARD_MIN_COLUMNS ? 'disabled' : ''} onclick="removeBoardColumn(${index})">
+          <i class="bi bi-trash"></i>
+        </button>
+      </div>
+    </li>
+  `).join('');
+
+  // 이름과 색상은 속성 이스케이프 없이 값으로 직접 설정
+  list.querySelectorAll('.board-column-row').forEach((row, index) => {
+    row.querySelector('input[type="color"]').value = editingColumns[index].color || '#6c757d';
+    row.querySelector('input[type="text"]').value = editingColumns[index].name;
+  });
+
+  document.getElementById('addBoardColumnBtn').disabled = editingColumns.length >= BOARD_MAX_COLUMNS;
+}
+
+/**
+ * 편집 중인 열 값 변경 함수
+ *
+ * @param {number} index - 열 위치
+ * @param {string} field - 'name' 또는 'color'
+ * @param {string} value - 새 값
+ */
+function updateBoardColumn(index, field, value) {
+  editingColumns[index][field] = value;
+}
+
+/**
+ * 편집 중인 열 순서 변경 함수
+ *
+ * @param {number} index - 열 위치
+ * @param {number} direction - -1(위) 또는 1(아래)
+ */
+function moveBoardColumn(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= editingColumns.length) return;
+
+  [editingColumns[index], editingColumns[target]] = [editingColumns[target], editingColumns[index]];
+  renderBoardColumnEditor();
+}
+
+/**
+ * 편집 중인 열 삭제 함수
+ *
+ * @param {number} index - 열 위치
+ */
+function removeBoardColumn(index) {
+  if (editingColumns.length <= BOARD_MIN_COLUMNS) return;
+
+  editingColumns.splice(index, 1);
+  renderBoardColumnEditor();
+}
+
+/**
+ * 열 추가 함수
+ * 새 열은 완료 열 바로 앞에 추가됩니다 (키는 서버에서 생성)
+ */
+function addBoardColumn() {
+  if (editingColumns.length >= BOARD_MAX_COLUMNS) return;
+
+  editingColumns.splice(editingColumns.length - 1, 0, { name: '', color: '#6c757d' });
+  renderBoardColumnEditor();
+}
+
+/**
+ * 보드 열 구성 저장 함수
+ */
+async function handleSaveBoardColumns() {
+  if (editingColumns.some(column => !column.name.trim())) {
+    showError('열 이름을 모두 입력해주세요.');
+    return;
+  }
+
+  try {
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tasks/board/columns${query}`, {
+      method: 'PUT',
+      body: JSON.stringify({ columns: editingColumns })
+    });
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('boardColumnsModal'));
+    modal.hide();
+
+    showSuccess(response.message);
+    await loadBoard();
+
+  } catch (error) {
+    console.error('보드 열 저장 실패:', error);
+    showError(error.message || '보드 열 저장에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 달력 함수
+// ===========================
+
+// 일정 형식에서 한 번에 표시할 일 수
+const AGENDA_DAYS = 30;
+
+/**
+ * 날짜 키 변환 함수
+ * 마감일은 날짜만 UTC 자정으로 저장하므로 달력 칸도 UTC 기준 YYYY-MM-DD로 비교합니다
+ *
+ * @param {Date|string|number} date - 날짜
+ * @returns {string} YYYY-MM-DD 형식의 날짜 키
+ */
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * 날짜 키를 Date로 변환하는 함수
+ *
+ * @param {string} key - YYYY-MM-DD 형식의 날짜 키
+ * @returns {Date} 해당 날짜의 UTC 자정
+ */
+function parseDateKey(key) {
+  return new Date(`${key}T00:00:00.000Z`);
+}
+
+/**
+ * 날짜 키에 일 수를 더하는 함수
+ *
+ * @param {string} key - 날짜 키
+ * @param {number} days - 더할 일 수
+ * @returns {string} 계산된 날짜 키
+ */
+function addDaysToKey(key, days) {
+  return toDateKey(parseDateKey(key).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * 오늘 날짜 키 조회 함수 (사용자 현지 날짜 기준)
+ *
+ * @returns {string} 오늘 날짜 키
+ */
+function getTodayKey() {
+  const now = new Date();
+  return toDateKey(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+/**
+ * 현재 달력 형식의 조회 기간 계산 함수
+ * 월 형식은 해당 월이 포함된 주 전체(일요일 시작)를 조회합니다
+ *
+ * @returns {{ from: string, to: string }} 시작 날짜 키와 끝 날짜 키 (to는 포함하지 않음)
+ */
+function getCalendarRange() {
+  const anchor = parseDateKey(calendarDate);
+
+  if (calendarLayout === 'month') {
+    const firstDay = toDateKey(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth(), 1));
+    const nextMonth = toDateKey(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + 1, 1));
+    const lastDay = addDaysToKey(nextMonth, -1);
+
+    return {
+      from: addDaysToKey(firstDay, -parseDateKey(firstDay).getUTCDay()),
+      to: addDaysToKey(nextMonth, 6 - parseDateKey(lastDay).getUTCDay())
+    };
+  }
+
+  if (calendarLayout === 'week') {
+    const weekStart = addDaysToKey(calendarDate, -anchor.getUTCDay());
+    return { from: weekStart, to: addDaysToKey(weekStart, 7) };
+  }
+
+  return { from: calendarDate, to: addDaysToKey(calendarDate, AGENDA_DAYS) };
+}
+
+/**
+ * 달력 제목 생성 함수
+ *
+ * @param {{ from: string, to: string }} range - 조회 기간
+ * @returns {string} 달력 제목
+ */
+function getCalendarTitle(range) {
+  if (calendarLayout === 'month') {
+    const anchor = parseDateKey(calendarDate);
+    return `${anchor.getUTCFullYear()}년 ${anchor.getUTCMonth() + 1}월`;
+  }
+
+  const format = key => parseDateKey(key).toLocaleDateString('ko-KR', { timeZone: 'UTC' });
+  return `${format(range.from)} ~ ${format(addDaysToKey(range.to, -1))}`;
+}
+
+/**
+ * 달력 형식 변경 함수
+ *
+ * @param {string} layout - 'month', 'week' 또는 'agenda'
+ */
+async function setCalendarLayout(layout) {
+  calendarLayout = layout;
+
+  document.querySelectorAll('[data-calendar-layout]').forEach(button => {
+    button.classList.toggle('active', button.dataset.calendarLayout === layout);
+  });
+
+  await loadCalendar();
+}
+
+/**
+ * 달력 기간 이동 함수
+ *
+ * @param {number} direction - -1(이전) 또는 1(다음), 0이면 오늘로 이동
+ */
+async function moveCalendar(direction) {
+  if (direction === 0) {
+    calendarDate = getTodayKey();
+  } else if (calendarLayout === 'month') {
+    const anchor = parseDateKey(calendarDate);
+    calendarDate = toDateKey(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + direction, 1));
+  } else {
+    calendarDate = addDaysToKey(calendarDate, direction * (calendarLayout === 'week' ? 7 : AGENDA_DAYS));
+  }
+
+  await loadCalendar();
+}
+
+/**
+ * 달력 로드 함수
+ * 현재 필터 조건과 조회 기간으로 GET /api/tasks/calendar를 조회합니다
+ */
+async function loadCalendar() {
+  if (!calendarDate) {
+    calendarDate = getTodayKey();
+  }
+
+  try {
+    // 달력은 마감일순으로 표시하고 마감일 필터 대신 조회 기간을 사용
+    const query = getFilterQuery();
+    delete query.sortBy;
+    delete query.sortOrder;
+    delete query.limit;
+    delete query.dueDate;
+
+    const range = getCalendarRange();
+    const params = new URLSearchParams({ ...query, from: range.from, to: range.to });
+
+    const response = await apiRequest(`/tasks/calendar?${params}`, { offlineCache: true });
+    calendarTasks = response.data.tasks;
+    unscheduledTasks = response.data.unscheduled;
+
+    // 수정 모달 등 기존 함수가 사용할 수 있도록 전체 할 일 목록도 갱신
+    tasks = [...calendarTasks, ...unscheduledTasks];
+    taskPagination = null;
+    searchTerms = [];
+    showSearchError(null);
+
+    if (response.data.truncated) {
+      showInfo('할 일이 많아 일부만 달력에 표시됩니다. 필터로 범위를 좁혀주세요.');
+    }
+
+    renderCalendar();
+
+    // 오프라인에서 저장된 달력을 불러왔으면 보내지 못한 변경도 표시
+    if (response.offline) {
+      await reapplyPendingMutations();
+    }
+
+  } catch (error) {
+    console.error('달력 로드 실패:', error);
+
+    // 검색 조건 오류는 검색창에 표시하고 기존 달력 유지
+    if (error.status === 400 && document.getElementById('searchInput').value.trim()) {
+      showSearchError(error);
+      return;
+    }
+
+    showError(error.message || '달력을 불러오는데 실패했습니다.');
+  }
+}
+
+/**
+ * 달력 렌더링 함수
+ */
+function renderCalendar() {
+  const range = getCalendarRange();
+  const todayKey = getTodayKey();
+  const main = document.getElementById('calendarMain');
+
+  // 마감일별로 할 일 묶기
+  const tasksByDate = {};
+  calendarTasks.forEach(task => {
+    const key = toDateKey(task.dueDate);
+    (tasksByDate[key] = tasksByDate[key] || []).push(task);
+  });
+
+  document.getElementById('calendarTitle').textContent = getCalendarTitle(range);
+  main.className = `calendar-main calendar-${calendarLayout}`;
+
+  if (calendarLayout === 'agenda') {
+    const dateKeys = Object.keys(tasksByDate).sort();
+
+    main.innerHTML = dateKeys.length > 0
+      ? dateKeys.map(key => `
+        <div class="agenda-day ${key === todayKey ? 'today' : ''}" data-date="${key}">
+          <div class="agenda-date">
+            ${parseDateKey(key).toLocaleDateString('ko-KR', { month: 'long', day: 'numeric', weekday: 'short', timeZone: 'UTC' })}
+          </div>
+          <div class="agenda-tasks">
+            ${tasksByDate[key].map(task => createCalendarTaskElement(task)).join('')}
+          </div>
+        </div>
+      `).join('')
+      : `
+        <div class="empty-state">
+          <i class="bi bi-calendar-check"></i>
+          <p>이 기간에 마감일이 있는 할 일이 없습니다.</p>
+        </div>
+      `;
+  } else {
+    const currentMonth = parseDateKey(calendarDate).getUTCMonth();
+    const dayKeys = [];
+    for (let key = range.from; key < range.to; key = addDaysToKey(key, 1)) {
+      dayKeys.push(key);
+    }
+
+    const headerHtml = WEEKDAY_NAMES.map(name => `<div class="calendar-weekday">${name}</div>`).join('');
+    const daysHtml = dayKeys.map(key => {
+      const date = parseDateKey(key);
+      const classes = ['calendar-day'];
+      if (key === todayKey) classes.push('today');
+      if (key < todayKey) classes.push('past');
+      if (calendarLayout === 'month' && date.getUTCMonth() !== currentMonth) classes.push('other-month');
+
+      return `
+        <div class="${classes.join(' ')}" data-date="${key}">
+          <div class="calendar-day-number">${date.getUTCDate()}</div>
+          ${(tasksByDate[key] || []).map(task => createCalendarTaskElement(task)).join('')}
+        </div>
+      `;
+    }).join('');
+
+    main.innerHTML = `<div class="calendar-grid">${headerHtml}${daysHtml}</div>`;
+  }
+
+  // 마감일 없는 할 일 패널
+  document.getElementById('unscheduledCount').textContent = unscheduledTasks.length;
+  document.getElementById('unscheduledList').innerHTML = unscheduledTasks.length > 0
+    ? unscheduledTasks.map(task => createCalendarTaskElement(task)).join('')
+    : '<p class="text-muted small">마감일 없는 할 일이 없습니다.</p>';
+}
+
+/**
+ * 달력 할 일 요소 생성 함수
+ *
+ * @param {Object} task - 할 일 객체
+ * @returns {string} HTML 문자열
+ */
+function createCalendarTaskElement(task) {
+  const priorityClass = task.priority >= 4 ? 'priority-high' :
+                       task.priority >= 3 ? 'priority-medium' : 'priority-low';
+  const canEdit = canEditCurrentWorkspace();
+
+  // 다른 목록의 할 일("나에게 할당됨" 등)은 이 화면에서 옮기지 않음
+  const canMove = canEdit && (task.projectId || null) === currentProjectId;
+
+  return `
+    <div class="calendar-task ${priorityClass} ${task.completed ? 'completed' : ''}" data-task-id="${task._id}"
+         draggable="${canMove}" ${canEdit ? `onclick="editTask('${task._id}')"` : ''}>
+      ${task.recurrence ? '<i class="bi bi-arrow-repeat" title="반복 할 일"></i>' : ''}
+      <span>${escapeHtml(task.title)}</span>
+    </div>
+  `;
+}
+
+/**
+ * 달력에서 할 일 끌기 시작 처리 함수
+ *
+ * @param {DragEvent} event - 드래그 이벤트
+ */
+function handleCalendarDragStart(event) {
+  const item = event.target.closest('.calendar-task');
+  if (!item) return;
+
+  draggedTaskId = item.dataset.taskId;
+  event.dataTransfer.effectAllowed = 'move';
+  event.dataTransfer.setData('text/plain', draggedTaskId);
+  item.classList.add('dragging');
+}
+
+/**
+ * 달력에서 할 일 끌기 종료 처리 함수
+ */
+function handleCalendarDragEnd() {
+  draggedTaskId = null;
+  document.querySelectorAll('.calendar-task.dragging').forEach(item => item.classList.remove('dragging'));
+  document.querySelectorAll('#taskCalendar .drag-over').forEach(element => element.classList.remove('drag-over'));
+}
+
+/**
+ * 날짜 칸 위로 끌고 있을 때 처리 함수
+ * 지난 날짜에는 놓을 수 없습니다
+ *
+ * @param {DragEvent} event - 드래그 이벤트
+ */
+function handleCalendarDragOver(event) {
+  const target = event.target.closest('[data-date]');
+  if (!target || !draggedTaskId) return;
+  if (target.dataset.date && target.dataset.date < getTodayKey()) return;
+
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'move';
+
+  document.querySelectorAll('#taskCalendar .drag-over').forEach(element => element.classList.remove('drag-over'));
+  target.classList.add('drag-over');
+}
+
+/**
+ * 날짜 칸에 할 일 놓기 처리 함수
+ * 화면을 먼저 갱신한 뒤 마감일을 저장합니다 (마감일 없음 패널에 놓으면 마감일 제거)
+ *
+ * @param {DragEvent} event - 드래그 이벤트
+ */
+async function handleCalendarDrop(event) {
+  const target = event.target.closest('[data-date]');
+  if (!target || !draggedTaskId) return;
+
+  event.preventDefault();
+
+  const taskId = draggedTaskId;
+  const date = target.dataset.date || null;
+  handleCalendarDragEnd();
+
+  const task = tasks.find(t => t._id === taskId);
+  if (!task || (task.dueDate ? toDateKey(task.dueDate) : null) === date) return;
+
+  if (!date && task.recurrence) {
+    showError('반복 할 일은 마감일이 필요합니다.');
+    return;
+  }
+
+  // 낙관적 업데이트: 로컬 달력에서 먼저 이동
+  task.dueDate = date ? parseDateKey(date).toISOString() : null;
+  calendarTasks = calendarTasks.filter(t => t._id !== taskId);
+  unscheduledTasks = unscheduledTasks.filter(t => t._id !== taskId);
+  (date ? calendarTasks : unscheduledTasks).push(task);
+  renderCalendar();
+
+  try {
+    const body = { dueDate: date };
+    const response = await sendTaskMutation({
+      method: 'PUT',
+      url: `/tasks/${taskId}`,
+      body,
+      task,
+      localTask: buildLocalTask(task, body)
+    });
+
+    if (!response) {
+      showInfo(OFFLINE_QUEUED_MESSAGE);
+      return;
+    }
+
+    Object.assign(task, response.data.task);
+
+  } catch (error) {
+    console.error('마감일 변경 실패:', error);
+    showError(error.message || '마감일 변경에 실패했습니다.');
+    // 실패 시 서버 상태로 되돌림
+    await loadCalendar();
+  }
+}
+
+// ===========================
+// 체크리스트(하위 작업) 함수
+// ===========================
+
+/**
+ * 체크리스트 진행률 계산 함수
+ *
+ * @param {Object} task - 할 일 객체
+ * @returns {{ completed: number, total: number, percent: number }} 진행률 정보
+ */
+function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  const completed = subtasks.filter(subtask => subtask.completed).length;
+
+  return {
+    completed,
+    total: subtasks.length,
+    percent: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : 0
+  };
+}
+
+/**
+ * 수정 모달의 체크리스트 렌더링 함수
+ */
+function renderSubtaskList() {
+  const list = document.getElementById('editSubtaskList');
+  const subtasks = currentEditingTask ? currentEditingTask.subtasks || [] : [];
+  const progress = getSubtaskProgress(currentEditingTask || {});
+
+  document.getElementById('editSubtaskProgress').textContent =
+    progress.total > 0 ? `(${progress.completed}/${progress.total})` : '';
+
+  list.innerHTML = subtasks.map((subtask, index) => `
+    <li class="list-group-item subtask-item ${subtask.completed ? 'completed' : ''}">
+      <input class="form-check-input" type="checkbox" ${subtask.completed ? 'checked' : ''}
+             onchange="toggleSubtask('${subtask._id}')">
+      <span class="subtask-title">${escapeHtml(subtask.title)}</span>
+      <div class="subtask-actions">
+        <button type="button" class="btn btn-sm btn-link" onclick="moveSubtask('${subtask._id}', -1)"
+                title="위로" ${index === 0 ? 'disabled' : ''}>
+          <i class="bi bi-chevron-up"></i>
+        </button>
+        <button type="button" class="btn btn-sm btn-link" onclick="moveSubtask('${subtask._id}', 1)"
+                title="아래로" ${index === subtasks.length - 1 ? 'disabled' : ''}>
+          <i class="bi bi-chevron-down"></i>
+        </button>
+        <button type="button" class="btn btn-sm btn-link text-danger" onclick="removeSubtask('${subtask._id}')" title="삭제">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      </div>
+    </li>
+  `).join('');
+}
+
+/**
+ * 하위 작업 변경 결과 반영 함수
+ * 서버가 돌려준 할 일로 편집 중인 할 일과 목록을 갱신합니다
+ *
+ * @param {Object} updatedTask - 서버에서 받은 할 일 객체
+ */
+function applySubtaskUpdate(updatedTask) {
+  currentEditingTask = updatedTask;
+  applyTaskChange(updatedTask);
+  renderSubtaskList();
+}
+
+/**
+ * 하위 작업 추가 처리 함수
+ */
+async function handleAddSubtask() {
+  if (!currentEditingTask) return;
+
+  const input = document.getElementById('newSubtaskTitle');
+  const title = input.value.trim();
+
+  if (!title) {
+    showError('하위 작업 제목을 입력해주세요.');
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/tasks/${currentEditingTask._id}/subtasks`, {
+      method: 'POST',
+      body: JSON.stringify({ title })
+    });
+
+    input.value = '';
+    input.focus();
+    applySubtaskUpdate(response.data.task);
+
+  } catch (error) {
+    console.error('하위 작업 추가 실패:', error);
+    showError(error.message || '하위 작업 추가에 실패했습니다.');
+  }
+}
+
+/**
+ * 하위 작업 완료 상태 토글 함수
+ *
+ * @param {string} subtaskId - 하위 작업 ID
+ */
+async function toggleSubtask(subtaskId) {
+  if (!currentEditingTask) return;
+
+  const subtask = currentEditingTask.subtasks.find(item => item._id === subtaskId);
+  if (!subtask) return;
+
+  try {
+    const response = await apiRequest(`/tasks/${currentEditingTask._id}/subtasks/${subtaskId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ completed: !subtask.completed })
+    });
+
+    applySubtaskUpdate(response.data.task);
+
+  } catch (error) {
+    console.error('하위 작업 상태 변경 실패:', error);
+    showError(error.message || '하위 작업 상태 변경에 실패했습니다.');
+    renderSubtaskList();
+  }
+}
+
+/**
+ * 하위 작업 순서 이동 함수
+ *
+ * @param {string} subtaskId - 하위 작업 ID
+ * @param {number} direction - 이동 방향 (-1: 위로, 1: 아래로)
+ */
+async function moveSubtask(subtaskId, direction) {
+  if (!currentEditingTask) return;
+
+  const order = currentEditingTask.subtasks.map(subtask => subtask._id);
+  const index = order.indexOf(subtaskId);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= order.length) return;
+
+  // 두 항목의 위치 교환
+  [order[index], order[target]] = [order[target], order[index]];
+
+  try {
+    const response = await apiRequest(`/tasks/${currentEditingTask._id}/subtasks/reorder`, {
+      method: 'PUT',
+      body: JSON.stringify({ order })
+    });
+
+    applySubtaskUpdate(response.data.task);
+
+  } catch (error) {
+    console.error('하위 작업 순서 변경 실패:', error);
+    showError(error.message || '하위 작업 순서 변경에 실패했습니다.');
+  }
+}
+
+/**
+ * 하위 작업 삭제 함수
+ *
+ * @param {string} subtaskId - 하위 작업 ID
+ */
+async function removeSubtask(subtaskId) {
+  if (!currentEditingTask) return;
+
+  try {
+    const response = await apiRequest(`/tasks/${currentEditingTask._id}/subtasks/${subtaskId}`, {
+      method: 'DELETE'
+    });
+
+    applySubtaskUpdate(response.data.task);
+
+  } catch (error) {
+    console.error('하위 작업 삭제 실패:', error);
+    showError(error.message || '하위 작업 삭제에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 반복 설정 함수
+// ===========================
+
+// 반복 주기별 간격 단위 표시
+const RECURRENCE_UNITS = {
+  daily: '일마다',
+  weekly: '주마다',
+  monthly: '개월마다',
+  yearly: '년마다'
+};
+
+// 요일 이름 (0: 일요일)
+const WEEKDAY_NAMES = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * 반복 규칙 설명 문자열 생성 함수
+ *
+ * @param {Object} recurrence - 반복 규칙
+ * @returns {string} 예: "2주마다 (월, 금)"
+ */
+function describeRecurrence(recurrence) {
+  const labels = { daily: '매일', weekly: '매주', monthly: '매월', yearly: '매년' };
+  let text = recurrence.interval > 1
+    ? `${recurrence.interval}${RECURRENCE_UNITS[recurrence.frequency]}`
+    : labels[recurrence.frequency];
+
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    text += ` (${recurrence.byWeekday.map(day => WEEKDAY_NAMES[day]).join(', ')})`;
+  }
+
+  if (recurrence.count) {
+    text += ` · ${recurrence.occurrence || 1}/${recurrence.count}회`;
+  }
+
+  return text;
+}
+
+/**
+ * 반복 설정 입력 필드 채우기 함수
+ *
+ * @param {Object} recurrence - 반복 규칙 (없으면 반복 안 함)
+ */
+function fillRecurrenceFields(recurrence) {
+  document.getElementById('editTaskFrequency').value = recurrence ? recurrence.frequency : '';
+  document.getElementById('editTaskInterval').value = recurrence ? recurrence.interval || 1 : 1;
+
+  const weekdays = recurrence && recurrence.byWeekday ? recurrence.byWeekday : [];
+  WEEKDAY_NAMES.forEach((name, day) => {
+    document.getElementById(`weekday${day}`).checked = weekdays.includes(day);
+  });
+
+  let endType = 'never';
+  if (recurrence && recurrence.until) endType = 'until';
+  if (recurrence && recurrence.count) endType = 'count';
+
+  document.getElementById('editTaskEndType').value = endType;
+  document.getElementById('editTaskUntil').value = recurrence && recurrence.until ?
+    new Date(recurrence.until).toISOString().split('T')[0] : '';
+  document.getElementById('editTaskCount').value = recurrence && recurrence.count ? recurrence.count : 10;
+
+  // 저장된 반복 할 일일 때만 회차 관리 버튼 표시
+  document.getElementById('editTaskOccurrenceActions').style.display = recurrence ? 'flex' : 'none';
+
+  updateRecurrenceFields();
+}
+
+/**
+ * 반복 설정 입력 필드 표시 상태 갱신 함수
+ * 선택한 주기와 종료 조건에 맞는 입력 필드만 보여줍니다
+ */
+function updateRecurrenceFields() {
+  const frequency = document.getElementById('editTaskFrequency').value;
+  const endType = document.getElementById('editTaskEndType').value;
+
+  document.getElementById('editTaskInterval').disabled = !frequency;
+  document.getElementById('editTaskIntervalUnit').textContent = RECURRENCE_UNITS[frequency] || '일마다';
+  document.getElementById('editTaskWeekdays').style.display = frequency === 'weekly' ? 'block' : 'none';
+  document.getElementById('editTaskRecurrenceEnd').style.display = frequency ? 'flex' : 'none';
+  document.getElementById('editTaskUntil').style.display = endType === 'until' ? 'block' : 'none';
+  document.getElementById('editTaskCountGroup').style.display = endType === 'count' ? 'flex' : 'none';
+}
+
+/**
+ * 반복 설정 입력값 읽기 함수
+ *
+ * @returns {Object|null} 반복 규칙 (반복 안 함이면 null)
+ */
+function readRecurrenceFields() {
+  const frequency = document.getElementById('editTaskFrequency').value;
+  if (!frequency) return null;
+
+  const recurrence = {
+    frequency,
+    interval: parseInt(document.getElementById('editTaskInterval').value) || 1,
+    byWeekday: []
+  };
+
+  if (frequency === 'weekly') {
+    WEEKDAY_NAMES.forEach((name, day) => {
+      if (document.getElementById(`weekday${day}`).checked) {
+        recurrence.byWeekday.push(day);
+      }
+    });
+  }
+
+  const endType = document.getElementById('editTaskEndType').value;
+  if (endType === 'until') {
+    const until = document.getElementById('editTaskUntil').value;
+    if (until) recurrence.until = until;
+  } else if (endType === 'count') {
+    recurrence.count = parseInt(document.getElementById('editTaskCount').value) || 1;
+  }
+
+  return recurrence;
+}
+
+/**
+ * 반복 규칙 변경 여부 확인 함수
+ *
+ * @param {Object|null} previous - 기존 반복 규칙
+ * @param {Object|null} next - 입력된 반복 규칙
+ * @returns {boolean} 변경 여부
+ */
+function isRecurrenceChanged(previous, next) {
+  if (!previous || !next) return Boolean(previous) !== Boolean(next);
+
+  const previousUntil = previous.until ? new Date(previous.until).toISOString().split('T')[0] : undefined;
+
+  return previous.frequency !== next.frequency ||
+    (previous.interval || 1) !== next.interval ||
+    (previous.byWeekday || []).join(',') !== next.byWeekday.join(',') ||
+    previousUntil !== next.until ||
+    previous.count !== next.count;
+}
+
+/**
+ * 반복 회차 건너뛰기 처리 함수
+ */
+async function handleSkipOccurrence() {
+  if (!currentEditingTask) return;
+
+  try {
+    const response = await apiRequest(`/tasks/${currentEditingTask._id}/skip`, { method: 'POST' });
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('editTaskModal'));
+    modal.hide();
+
+    showSuccess('이번 회차를 건너뛰었습니다.');
+    applyTaskChange(response.data.task);
+    await loadStats();
+
+  } catch (error) {
+    console.error('반복 회차 건너뛰기 실패:', error);
+    showError(error.message || '반복 회차 건너뛰기에 실패했습니다.');
+  }
+}
+
+/**
+ * 반복 종료 처리 함수
+ */
+async function handleEndRecurrence() {
+  if (!currentEditingTask) return;
+
+  if (!confirm('이 할 일의 반복을 종료하시겠습니까? 현재 회차는 그대로 유지됩니다.')) {
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/tasks/${currentEditingTask._id}/recurrence`, { method: 'DELETE' });
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('editTaskModal'));
+    modal.hide();
+
+    showSuccess('반복이 종료되었습니다.');
+    applyTaskChange(response.data.task);
+
+  } catch (error) {
+    console.error('반복 종료 실패:', error);
+    showError(error.message || '반복 종료에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 담당자 함수
+// ===========================
+
+/**
+ * 이름 이니셜 생성 함수
+ * 한글 이름은 첫 글자, 영문 이름은 단어별 첫 글자(최대 2자)를 사용합니다
+ *
+ * @param {string} name - 사용자 이름
+ * @returns {string} 이니셜
+ */
+function getInitials(name) {
+  if (!name) return '?';
+
+  const words = name.trim().split(/\s+/);
+  if (/^[a-zA-Z]/.test(words[0])) {
+    return words.slice(0, 2).map(word => word[0].toUpperCase()).join('');
+  }
+
+  return words[0][0];
+}
+
+/**
+ * 담당자 이니셜 표시 HTML 생성 함수
+ *
+ * @param {Array} assignees - 담당자 목록 (이름과 이메일 포함)
+ * @returns {string} HTML 문자열
+ */
+function renderAssigneeAvatars(assignees) {
+  // 사용자 정보가 포함된 담당자만 표시
+  const people = (assignees || []).filter(assignee => assignee && assignee.name);
+  if (people.length === 0) return '';
+
+  const avatarsHtml = people.map(person => `
+    <span class="assignee-avatar" title="${escapeHtml(person.name)} (${escapeHtml(person.email)})">
+      ${escapeHtml(getInitials(person.name))}
+    </span>
+  `).join('');
+
+  return `<span class="assignee-avatars">${avatarsHtml}</span>`;
+}
+
+/**
+ * 담당자 선택 목록 채우기 함수
+ * 프로젝트 할 일은 프로젝트 멤버를, 개인 할 일은 본인만 후보로 표시합니다
+ *
+ * @param {Object} task - 편집 중인 할 일
+ */
+async function fillAssigneeFields(task) {
+  const container = document.getElementById('editTaskAssignees');
+  const info = document.getElementById('editTaskAssignmentInfo');
+  const assignedIds = (task.assignees || []).map(assignee => assignee._id || assignee);
+
+  let candidates = [currentUser];
+  container.innerHTML = '<small class="text-muted">담당자 후보를 불러오는 중...</small>';
+
+  try {
+    if (task.projectId) {
+      const response = await apiRequest(`/projects/${task.projectId}`);
+      candidates = response.data.project.members.map(member => member.userId);
+    }
+  } catch (error) {
+    console.error('담당자 후보 로드 실패:', error);
+  }
+  assigneeCandidates = candidates;
+
+  container.innerHTML = candidates.map(candidate => `
+    <div class="form-check form-check-inline">
+      <input class="form-check-input" type="checkbox" id="assignee-${candidate._id}"
+             value="${candidate._id}" ${assignedIds.includes(candidate._id) ? 'checked' : ''}>
+      <label class="form-check-label" for="assignee-${candidate._id}">
+        <span class="assignee-avatar">${escapeHtml(getInitials(candidate.name))}</span>
+        ${escapeHtml(candidate.name)}
+      </label>
+    </div>
+  `).join('');
+
+  // 마지막 담당자 변경 시각 표시
+  const history = task.assignmentHistory || [];
+  info.textContent = history.length > 0
+    ? `담당자 변경 ${history.length}회 · 마지막 변경 ${new Date(history[history.length - 1].changedAt).toLocaleString('ko-KR')}`
+    : '';
+}
+
+/**
+ * 선택된 담당자 ID 목록 읽기 함수
+ *
+ * @returns {Array<string>} 담당자 ID 목록
+ */
+function readAssigneeFields() {
+  return Array.from(document.querySelectorAll('#editTaskAssignees input:checked'))
+    .map(input => input.value);
+}
+
+/**
+ * 담당자 변경 여부 확인 함수
+ *
+ * @param {Array} previous - 기존 담당자 목록
+ * @param {Array<string>} next - 선택된 담당자 ID 목록
+ * @returns {boolean} 변경 여부
+ */
+function isAssigneesChanged(previous, next) {
+  const previousIds = (previous || []).map(assignee => assignee._id || assignee).sort();
+  return previousIds.join(',') !== [...next].sort().join(',');
+}
+
+// ===========================
+// 동시 수정 충돌 함수
+// ===========================
+
+// 충돌을 비교하는 수정 폼 항목과 표시 이름
+const EDITABLE_FIELD_LABELS = {
+  title: '제목',
+  description: '설명',
+  category: '카테고리',
+  priority: '우선순위',
+  dueDate: '마감일',
+  completed: '완료 여부',
+  tags: '태그',
+  recurrence: '반복',
+  reminders: '마감 알림',
+  assignees: '담당자'
+};
+
+// 우선순위 표시 이름
+const PRIORITY_LABELS = ['낮음', '조금 낮음', '보통', '높음', '매우 높음'];
+
+// 마감 알림 시점 표시 이름
+const REMINDER_LABELS = { 10080: '1주 전', 2880: '2일 전', 1440: '1일 전', 0: '당일' };
+
+/**
+ * 할 일을 수정 폼 입력값 형식으로 바꾸는 함수
+ *
+ * @param {Object} task - 할 일 객체
+ * @returns {Object} readEditForm과 같은 형식의 항목 값
+ */
+function toEditableFields(task) {
+  const recurrence = task.recurrence;
+
+  return {
+    title: task.title,
+    description: task.description || '',
+    category: task.category || '',
+    priority: task.priority,
+    dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
+    completed: Boolean(task.completed),
+    tags: task.tags || [],
+    recurrence: recurrence ? {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval || 1,
+      byWeekday: recurrence.byWeekday || [],
+      until: recurrence.until ? new Date(recurrence.until).toISOString().split('T')[0] : undefined,
+      count: recurrence.count
+    } : null,
+    reminders: task.reminders || [],
+    assignees: (task.assignees || []).map(assignee => assignee._id || assignee)
+  };
+}
+
+/**
+ * 항목 값 비교용 문자열 생성 함수
+ * 순서가 의미 없는 목록(알림, 담당자)은 정렬해서 비교합니다
+ *
+ * @param {string} key - 항목 이름
+ * @param {*} value - 항목 값
+ * @returns {string} 비교용 문자열
+ */
+function getEditableValueKey(key, value) {
+  if (key === 'recurrence') {
+    return value ? [
+      value.frequency,
+      value.interval,
+      value.frequency === 'weekly' ? value.byWeekday.join(',') : '',
+      value.until || '',
+      value.count || ''
+    ].join('|') : '';
+  }
+
+  if (key === 'reminders' || key === 'assignees') {
+    return [...value].sort().join(',');
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * 항목 값 표시 문자열 생성 함수
+ *
+ * @param {string} key - 항목 이름
+ * @param {*} value - 항목 값
+ * @returns {string} 표시 문자열
+ */
+function formatEditableValue(key, value) {
+  switch (key) {
+    case 'priority':
+      return PRIORITY_LABELS[value - 1] || String(value);
+    case 'completed':
+      return value ? '완료' : '미완료';
+    case 'tags':
+      return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : '없음';
+    case 'recurrence':
+      return value ? describeRecurrence(value) : '반복 안 함';
+    case 'reminders':
+      return value.length > 0
+        ? [...value].sort((a, b) => b - a).map(minutes => REMINDER_LABELS[minutes] || `${minutes}분 전`).join(', ')
+        : '없음';
+    case 'assignees': {
+      if (value.length === 0) return '없음';
+
+      // 담당자 후보와 양쪽 할 일의 담당자 정보에서 이름 찾기
+      const people = [
+        ...assigneeCandidates,
+        ...(editingBaseTask.assignees || []),
+        ...(editConflict ? editConflict.serverTask.assignees || [] : [])
+      ].filter(person => person && person._id);
+
+      return value.map(id => {
+        const person = people.find(candidate => candidate._id === id);
+        return person ? person.name : '알 수 없는 사용자';
+      }).join(', ');
+    }
+    default:
+      return value || '없음';
+  }
+}
+
+/**
+ * 수정 충돌 처리 함수
+ * 폼을 연 뒤 다른 곳에서 바뀐 항목을 찾아, 수정 폼 항목이 바뀌지 않았으면(하위 작업 변경 등) 새 버전으로
+ * 바로 다시 저장하고, 바뀌었으면 수정 모달에 충돌 내용을 표시합니다
+ *
+ * @param {Object} mine - 저장하려던 폼 입력값
+ * @param {Object} serverTask - 서버의 현재 할 일
+ * @param {string|null} etag - 서버의 현재 할 일 버전
+ */
+async function handleEditConflict(mine, serverTask, etag) {
+  const base = toEditableFields(editingBaseTask);
+  const server = toEditableFields(serverTask);
+  const differs = (a, b, key) => getEditableValueKey(key, a[key]) !== getEditableValueKey(key, b[key]);
+
+  const keys = Object.keys(EDITABLE_FIELD_LABELS);
+  const serverChanged = keys.filter(key => differs(server, base, key));
+  const mineChanged = keys.filter(key => differs(mine, base, key));
+
+  // 목록과 체크리스트는 서버의 최신 내용으로 갱신
+  applyTaskChange(serverTask);
+
+  if (serverChanged.length === 0) {
+    editingBaseTask = serverTask;
+    editingTaskETag = etag;
+    await handleSaveTask();
+    return;
+  }
+
+  editConflict = {
+    serverTask,
+    etag,
+    mine,
+    server,
+    mineChanged,
+    serverChanged,
+    // 양쪽에서 서로 다른 값으로 바꾼 항목
+    conflicts: serverChanged.filter(key => mineChanged.includes(key) && differs(mine, server, key))
+  };
+  renderEditConflict();
+}
+
+/**
+ * 수정 충돌 내용 표시 함수
+ * 양쪽에서 바꾼 항목은 저장할 값을 고르게 하고, 다른 곳에서만 바꾼 항목은 그대로 반영된다고 안내합니다
+ */
+function renderEditConflict() {
+  const { mine, server, serverChanged, conflicts } = editConflict;
+  const kept = serverChanged.filter(key => !conflicts.includes(key));
+
+  const messages = [conflicts.length > 0
+    ? '같은 항목을 다른 곳에서도 수정했습니다. 저장할 값을 선택해주세요.'
+    : '내가 바꾼 항목과 겹치지 않습니다.'];
+  if (kept.length > 0) {
+    messages.push(`다른 곳에서 바꾼 ${kept.map(key => EDITABLE_FIELD_LABELS[key]).join(', ')} 항목은 그대로 반영됩니다.`);
+  }
+  document.getElementById('editTaskConflictMessage').textContent = messages.join(' ');
+
+  document.getElementById('editTaskConflictTable').style.display = conflicts.length > 0 ? 'table' : 'none';
+  document.getElementById('editTaskConflictFields').innerHTML = conflicts.map(key => `
+    <tr>
+      <th scope="row">${EDITABLE_FIELD_LABELS[key]}</th>
+      <td>
+        <div class="form-check">
+          <input class="form-check-input" type="radio" name="conflict-${key}" id="conflict-${key}-mine" value="mine" checked>
+          <label class="form-check-label" for="conflict-${key}-mine">${escapeHtml(formatEditableValue(key, mine[key]))}</label>
+        </div>
+      </td>
+      <td>
+        <div class="form-check">
+          <input class="form-check-input" type="radio" name="conflict-${key}" id="conflict-${key}-server" value="server">
+          <label class="form-check-label" for="conflict-${key}-server">${escapeHtml(formatEditableValue(key, server[key]))}</label>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  const panel = document.getElementById('editTaskConflict');
+  panel.style.display = 'block';
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * 수정 충돌 표시 숨기기 함수
+ */
+function hideEditConflict() {
+  editConflict = null;
+  document.getElementById('editTaskConflict').style.display = 'none';
+}
+
+/**
+ * 수정 충돌 병합 저장 함수
+ * 서버의 할 일에 내가 바꾼 항목(충돌 항목은 선택한 값)을 합쳐 폼에 채운 뒤 새 버전으로 저장합니다
+ */
+async function handleResolveEditConflict() {
+  if (!editConflict) return;
+
+  const { serverTask, etag, mine, mineChanged } = editConflict;
+  const merged = { ...serverTask };
+
+  mineChanged.forEach(key => {
+    const choice = document.querySelector(`input[name="conflict-${key}"]:checked`);
+    if (!choice || choice.value === 'mine') {
+      merged[key] = mine[key];
+    }
+  });
+
+  editingBaseTask = serverTask;
+  editingTaskETag = etag;
+  hideEditConflict();
+
+  await fillEditForm(merged);
+  await fillAssigneeFields(merged);
+  await handleSaveTask();
+}
+
+/**
+ * 서버 내용 불러오기 함수
+ * 내 변경을 버리고 다른 곳에서 수정한 내용으로 폼을 다시 채웁니다
+ */
+async function handleLoadServerTask() {
+  if (!editConflict) return;
+
+  const { serverTask, etag } = editConflict;
+  editingBaseTask = serverTask;
+  editingTaskETag = etag;
+  hideEditConflict();
+
+  await fillEditForm(serverTask);
+  await fillAssigneeFields(serverTask);
+  showInfo('다른 곳에서 수정한 내용을 불러왔습니다.');
+}
+
+// ===========================
+// 프로젝트(워크스페이스) 함수
+// ===========================
+
+// 역할 표시 이름
+const ROLE_LABELS = {
+  owner: '소유자',
+  editor: '편집자',
+  viewer: '뷰어'
+};
+
+/**
+ * 현재 선택된 프로젝트 조회 함수
+ *
+ * @returns {Object|null} 프로젝트 객체 (개인 목록이면 null)
+ */
+function getCurrentProject() {
+  return projects.find(project => project._id === currentProjectId) || null;
+}
+
+/**
+ * 현재 목록 편집 가능 여부 확인 함수
+ * 개인 목록은 항상 편집 가능하고, 프로젝트는 뷰어가 아닐 때만 편집 가능합니다
+ *
+ * @returns {boolean} 편집 가능 여부
+ */
+function canEditCurrentWorkspace() {
+  const project = getCurrentProject();
+  return !project || project.myRole !== 'viewer';
+}
+
+/**
+ * 프로젝트 및 받은 초대 목록 로드 함수
+ */
+async function loadProjects() {
+  try {
+    const [projectResponse, invitationResponse] = await Promise.all([
+      apiRequest('/projects', { offlineCache: true }),
+      // 이메일 인증 전에는 받은 초대를 볼 수 없도록 제한되어 있을 수 있음
+      apiRequest('/projects/invitations', { offlineCache: true }).catch(error => {
+        if (error.data && error.data.emailVerificationRequired) {
+          return { data: { invitations: [] } };
+        }
+        throw error;
+      })
+    ]);
+
+    projects = projectResponse.data.projects;
+
+    // 선택했던 프로젝트에서 나갔거나 삭제된 경우 개인 목록으로 전환
+    if (currentProjectId && !getCurrentProject()) {
+      currentProjectId = null;
+    }
+
+    renderWorkspaceList();
+    renderInvitationList(invitationResponse.data.invitations);
+    updateWorkspaceHeader();
+
+  } catch (error) {
+    console.error('프로젝트 목록 로드 실패:', error);
+    projects = [];
+    renderWorkspaceList();
+  }
+}
+
+/**
+ * 사이드바 목록 렌더링 함수
+ */
+function renderWorkspaceList() {
+  const list = document.getElementById('workspaceList');
+
+  const personalHtml = `
+    <button type="button" class="list-group-item list-group-item-action ${currentProjectId ? '' : 'active'}"
+            onclick="selectWorkspace(null)">
+      <i class="bi bi-person"></i> 내 할 일
+    </button>
+  `;
+
+  const projectsHtml = projects.map(project => `
+    <button type="button" class="list-group-item list-group-item-action ${project._id === currentProjectId ? 'active' : ''}"
+            onclick="selectWorkspace('${project._id}')">
+      <span class="project-color" style="background-color: ${project.color}"></span>
+      <span class="project-name">${escapeHtml(project.name)}</span>
+      <span class="badge bg-light text-dark">${project.members.length}</span>
+    </button>
+  `).join('');
+
+  list.innerHTML = personalHtml + projectsHtml;
+}
+
+/**
+ * 받은 초대 목록 렌더링 함수
+ *
+ * @param {Array} invitations - 초대 목록
+ */
+function renderInvitationList(invitations) {
+  const section = document.getElementById('invitationSection');
+  const list = document.getElementById('invitationList');
+
+  section.style.display = invitations.length > 0 ? 'block' : 'none';
+  list.innerHTML = invitations.map(invitation => `
+    <div class="invitation-item">
+      <div class="invitation-text">
+        <strong>${escapeHtml(invitation.project.name)}</strong>
+        <small class="text-muted d-block">
+          ${invitation.invitedBy ? escapeHtml(invitation.invitedBy.name) + ' 님의 초대 · ' : ''}${ROLE_LABELS[invitation.role]}
+        </small>
+      </div>
+      <div class="invitation-actions">
+        <button class="btn btn-sm btn-success" onclick="respondInvitation('${invitation._id}', 'accept')" title="수락">
+          <i class="bi bi-check-lg"></i>
+        </button>
+        <button class="btn btn-sm btn-outline-secondary" onclick="respondInvitation('${invitation._id}', 'decline')" title="거절">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * 현재 목록 헤더 갱신 함수
+ * 목록 이름과 설정 버튼, 할 일 추가 폼 표시 여부를 갱신합니다
+ */
+function updateWorkspaceHeader() {
+  const project = getCurrentProject();
+  const title = document.getElementById('workspaceTitle');
+
+  if (project) {
+    title.innerHTML = `
+      <span class="project-color" style="background-color: ${project.color}"></span>
+      ${escapeHtml(project.name)}
+      <small class="text-muted">${ROLE_LABELS[project.myRole]}</small>
+    `;
+  } else {
+    title.innerHTML = '<i class="bi bi-person"></i> 내 할 일';
+  }
+
+  document.getElementById('projectSettingsBtn').style.display = project ? 'inline-flex' : 'none';
+  document.getElementById('addTaskCard').style.display = canEditCurrentWorkspace() ? 'block' : 'none';
+}
+
+/**
+ * 목록 전환 함수
+ *
+ * @param {string|null} projectId - 프로젝트 ID (null이면 개인 목록)
+ */
+async function selectWorkspace(projectId) {
+  currentProjectId = projectId;
+
+  renderWorkspaceList();
+  updateWorkspaceHeader();
+
+  await loadCategories();
+  await loadTasks();
+  await loadStats();
+}
+
+/**
+ * 초대 수락/거절 함수
+ *
+ * @param {string} invitationId - 초대 ID
+ * @param {string} action - 'accept' 또는 'decline'
+ */
+async function respondInvitation(invitationId, action) {
+  try {
+    const response = await apiRequest(`/projects/invitations/${invitationId}/${action}`, {
+      method: 'POST'
+    });
+
+    showSuccess(response.message);
+    await loadProjects();
+
+    // 수락한 프로젝트로 바로 이동
+    if (action === 'accept') {
+      await selectWorkspace(response.data.project._id);
+    }
+
+  } catch (error) {
+    console.error('초대 응답 실패:', error);
+    showError(error.message || '초대 처리에 실패했습니다.');
+  }
+}
+
+/**
+ * 프로젝트 모달 열기 함수
+ *
+ * @param {string|null} projectId - 설정할 프로젝트 ID (null이면 새 프로젝트 생성)
+ */
+async function openProjectModal(projectId) {
+  try {
+    editingProject = null;
+
+    if (projectId) {
+      const response = await apiRequest(`/projects/${projectId}`);
+      editingProject = response.data.project;
+    }
+
+    const isOwner = editingProject && editingProject.myRole === 'owner';
+
+    document.getElementById('projectModalTitle').textContent = editingProject ? '프로젝트 설정' : '새 프로젝트';
+    document.getElementById('projectName').value = editingProject ? editingProject.name : '';
+    document.getElementById('projectDescription').value = editingProject ? editingProject.description || '' : '';
+    document.getElementById('projectColor').value = editingProject ? editingProject.color : '#667eea';
+    document.getElementById('inviteEmail').value = '';
+
+    // 소유자가 아니면 설정 변경 불가
+    const readOnly = Boolean(editingProject) && !isOwner;
+    ['projectName', 'projectDescription', 'projectColor'].forEach(id => {
+      document.getElementById(id).disabled = readOnly;
+    });
+    document.getElementById('saveProjectBtn').style.display = readOnly ? 'none' : 'inline-flex';
+    document.getElementById('deleteProjectBtn').style.display = isOwner ? 'inline-flex' : 'none';
+    document.getElementById('leaveProjectBtn').style.display = readOnly ? 'inline-flex' : 'none';
+    document.getElementById('projectMembersSection').style.display = editingProject ? 'block' : 'none';
+    document.getElementById('projectInviteSection').style.display = isOwner ? 'block' : 'none';
+
+    if (editingProject) {
+      renderProjectMembers();
+    }
+
+    const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('projectModal'));
+    modal.show();
+
+  } catch (error) {
+    console.error('프로젝트 정보 로드 실패:', error);
+    showError(error.message || '프로젝트 정보를 불러오는데 실패했습니다.');
+  }
+}
+
+/**
+ * 프로젝트 멤버 및 초대 목록 렌더링 함수
+ */
+function renderProjectMembers() {
+  const isOwner = editingProject.myRole === 'owner';
+
+  document.getElementById('projectMemberList').innerHTML = editingProject.members.map(member => {
+    const user = member.userId || {};
+    const isMe = user._id === currentUser._id;
+
+    const roleHtml = isOwner
+      ? `<select class="form-select form-select-sm member-role-select"
+                 onchange="changeMemberRole('${user._id}', this.value)">
+           ${Object.keys(ROLE_LABELS).map(role => `
+             <option value="${role}" ${member.role === role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>
+           `).join('')}
+         </select>`
+      : `<span class="badge bg-secondary">${ROLE_LABELS[member.role]}</span>`;
+
+    return `
+      <li class="list-group-item member-item">
+        <div class="member-info">
+          <span class="member-name">${escapeHtml(user.name || '알 수 없음')}${isMe ? ' (나)' : ''}</span>
+          <small class="text-muted d-block">${escapeHtml(user.email || '')}</small>
+        </div>
+        ${roleHtml}
+        ${isOwner && !isMe ? `
+        <button class="btn btn-sm btn-link text-danger" onclick="removeMember('${user._id}')" title="내보내기">
+          <i class="bi bi-person-x"></i>
+        </button>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  const invitations = editingProject.invitations || [];
+  document.getElementById('projectInvitationList').innerHTML = invitations.map(invitation => `
+    <li class="list-group-item member-item">
+      <div class="member-info">
+        <span class="member-name">${escapeHtml(invitation.email)}</span>
+        <small class="text-muted d-block">초대 대기 중 · ${ROLE_LABELS[invitation.role]}</small>
+      </div>
+      <button class="btn btn-sm btn-link text-danger" onclick="cancelInvitation('${invitation._id}')" title="초대 취소">
+        <i class="bi bi-x-lg"></i>
+      </button>
+    </li>
+  `).join('');
+}
+
+/**
+ * 프로젝트 설정 모달 새로고침 함수
+ * 멤버 변경 후 모달과 사이드바를 최신 상태로 갱신합니다
+ */
+async function reloadEditingProject() {
+  const response = await apiRequest(`/projects/${editingProject._id}`);
+  editingProject = response.data.project;
+  renderProjectMembers();
+  await loadProjects();
+}
+
+/**
+ * 프로젝트 저장 처리 함수 (생성 또는 수정)
+ */
+async function handleSaveProject() {
+  const name = document.getElementById('projectName').value.trim();
+  const description = document.getElementById('projectDescription').value.trim();
+  const color = document.getElementById('projectColor').value;
+
+  if (!name) {
+    showError('프로젝트 이름을 입력해주세요.');
+    return;
+  }
+
+  try {
+    const response = await apiRequest(editingProject ? `/projects/${editingProject._id}` : '/projects', {
+      method: editingProject ? 'PUT' : 'POST',
+      body: JSON.stringify({ name, description, color })
+    });
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('projectModal'));
+    modal.hide();
+
+    showSuccess(response.message);
+    await loadProjects();
+
+    // 새로 만든 프로젝트로 이동
+    if (!editingProject) {
+      await selectWorkspace(response.data.project._id);
+    }
+
+  } catch (error) {
+    console.error('프로젝트 저장 실패:', error);
+    showError(error.message || '프로젝트 저장에 실패했습니다.');
+  }
+}
+
+/**
+ * 멤버 초대 처리 함수
+ */
+async function handleInviteMember() {
+  const email = document.getElementById('inviteEmail').value.trim();
+  const role = document.getElementById('inviteRole').value;
+
+  if (!email) {
+    showError('초대할 이메일을 입력해주세요.');
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/projects/${editingProject._id}/invitations`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role })
+    });
+
+    document.getElementById('inviteEmail').value = '';
+    showSuccess(response.message);
+    await reloadEditingProject();
+
+  } catch (error) {
+    console.error('멤버 초대 실패:', error);
+    showError(error.message || '멤버 초대에 실패했습니다.');
+  }
+}
+
+/**
+ * 초대 취소 함수
+ *
+ * @param {string} invitationId - 초대 ID
+ */
+async function cancelInvitation(invitationId) {
+  try {
+    await apiRequest(`/projects/${editingProject._id}/invitations/${invitationId}`, {
+      method: 'DELETE'
+    });
+
+    showSuccess('초대가 취소되었습니다.');
+    await reloadEditingProject();
+
+  } catch (error) {
+    console.error('초대 취소 실패:', error);
+    showError(error.message || '초대 취소에 실패했습니다.');
+  }
+}
+
+/**
+ * 멤버 역할 변경 함수
+ *
+ * @param {string} userId - 멤버 사용자 ID
+ * @param {string} role - 새 역할
+ */
+async function changeMemberRole(userId, role) {
+  try {
+    await apiRequest(`/projects/${editingProject._id}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+
+    showSuccess('멤버 역할이 변경되었습니다.');
+    await reloadEditingProject();
+    updateWorkspaceHeader();
+
+  } catch (error) {
+    console.error('멤버 역할 변경 실패:', error);
+    showError(error.message || '멤버 역할 변경에 실패했습니다.');
+    renderProjectMembers();
+  }
+}
+
+/**
+ * 멤버 내보내기 함수
+ *
+ * @param {string} userId - 멤버 사용자 ID
+ */
+async function removeMember(userId) {
+  if (!confirm('이 멤버를 프로젝트에서 내보내시겠습니까?')) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/projects/${editingProject._id}/members/${userId}`, {
+      method: 'DELETE'
+    });
+
+    showSuccess('멤버를 내보냈습니다.');
+    await reloadEditingProject();
+
+  } catch (error) {
+    console.error('멤버 내보내기 실패:', error);
+    showError(error.message || '멤버 내보내기에 실패했습니다.');
+  }
+}
+
+/**
+ * 프로젝트 나가기 처리 함수
+ */
+async function handleLeaveProject() {
+  if (!editingProject || !confirm(`'${editingProject.name}' 프로젝트에서 나가시겠습니까?`)) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/projects/${editingProject._id}/members/${currentUser._id}`, {
+      method: 'DELETE'
+    });
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('projectModal'));
+    modal.hide();
+
+    showSuccess('프로젝트에서 나갔습니다.');
+    await selectWorkspace(null);
+    await loadProjects();
+
+  } catch (error) {
+    console.error('프로젝트 나가기 실패:', error);
+    showError(error.message || '프로젝트 나가기에 실패했습니다.');
+  }
+}
+
+/**
+ * 프로젝트 삭제 처리 함수
+ */
+async function handleDeleteProject() {
+  if (!editingProject ||
+      !confirm(`'${editingProject.name}' 프로젝트와 모든 할 일을 삭제하시겠습니까? 이 작업은 되돌릴 수 없습니다.`)) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/projects/${editingProject._id}`, {
+      method: 'DELETE'
+    });
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('projectModal'));
+    modal.hide();
+
+    showSuccess('프로젝트가 삭제되었습니다.');
+    await selectWorkspace(null);
+    await loadProjects();
+
+  } catch (error) {
+    console.error('프로젝트 삭제 실패:', error);
+    showError(error.message || '프로젝트 삭제에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 저장된 보기(스마트 목록) 함수
+// ===========================
+
+// 필터 UI의 담당자 선택값과 쿼리 파라미터 매핑
+const ASSIGNEE_FILTERS = {
+  assignedToMe: { assignedTo: 'me' },
+  createdByMe: { createdBy: 'me' },
+  unassigned: { assignedTo: 'none' }
+};
+
+/**
+ * 보기 목록 로드 함수
+ */
+async function loadViews() {
+  try {
+    const response = await apiRequest('/views', { offlineCache: true });
+    views = response.data.views;
+
+    // 삭제된 보기가 선택되어 있던 경우 선택 해제
+    if (activeViewId && !views.some(view => view._id === activeViewId)) {
+      clearActiveView();
+    }
+
+    renderViewList();
+
+  } catch (error) {
+    console.error('보기 목록 로드 실패:', error);
+    views = [];
+    renderViewList();
+  }
+}
+
+/**
+ * 사이드바 보기 목록 렌더링 함수
+ */
+function renderViewList() {
+  const list = document.getElementById('viewList');
+
+  list.innerHTML = views.map(view => `
+    <button type="button" class="list-group-item list-group-item-action ${view._id === activeViewId ? 'active' : ''}"
+            onclick="applyView('${view._id}')">
+      <i class="bi ${view.icon}"></i>
+      <span class="project-name">${escapeHtml(view.name)}</span>
+      ${view.builtIn ? '' : `
+      <span class="view-delete" onclick="event.stopPropagation(); deleteView('${view._id}')" title="보기 삭제">
+        <i class="bi bi-x"></i>
+      </span>`}
+    </button>
+  `).join('');
+}
+
+/**
+ * 보기 적용 함수
+ * 보기의 조건을 필터 UI에 채우고, UI로 표현할 수 없는 조건은 따로 보관합니다
+ *
+ * @param {string} viewId - 보기 ID
+ */
+async function applyView(viewId) {
+  const view = views.find(item => item._id === viewId);
+  if (!view) return;
+
+  const { category, tags, tagMode, completed, assignedTo, createdBy, q, sortBy, sortOrder, projectId, ...rest } = view.query;
+  const extras = { ...rest };
+
+  setCategorySelectValue(document.getElementById('filterCategory'), category);
+  document.getElementById('filterTags').value = tags ? tags.split(',').join(', ') : '';
+  document.getElementById('filterTagMode').value = tagMode === 'all' ? 'all' : 'any';
+  renderTagCloud();
+  document.getElementById('filterStatus').value = completed || '';
+  document.getElementById('searchInput').value = q || '';
+
+  // 담당자 필터는 UI에 있는 조합이면 선택, 아니면 추가 조건으로 유지
+  const assigneeQuery = JSON.stringify({ ...(assignedTo && { assignedTo }), ...(createdBy && { createdBy }) });
+  const assigneeOption = Object.keys(ASSIGNEE_FILTERS)
+    .find(key => JSON.stringify(ASSIGNEE_FILTERS[key]) === assigneeQuery);
+  document.getElementById('filterAssignee').value = assigneeOption || '';
+  if (!assigneeOption) {
+    if (assignedTo) extras.assignedTo = assignedTo;
+    if (createdBy) extras.createdBy = createdBy;
+  }
+
+  // 정렬도 선택 목록에 있는 조합이면 선택, 아니면 추가 조건으로 유지
+  const sortSelect = document.getElementById('filterSort');
+  const sortValue = sortBy ? `${sortBy}:${sortOrder || 'desc'}` : '';
+  const hasSortOption = Array.from(sortSelect.options).some(option => option.value === sortValue);
+  sortSelect.value = hasSortOption ? sortValue : '';
+  if (!hasSortOption) {
+    extras.sortBy = sortBy;
+    extras.sortOrder = sortOrder || 'desc';
+  }
+
+  activeViewId = view._id;
+  viewExtraParams = extras;
+  renderViewList();
+
+  // 프로젝트가 지정된 보기는 해당 프로젝트로 전환 (기본 목록은 현재 목록에 적용)
+  if (projectId && projectId !== currentProjectId && projects.some(project => project._id === projectId)) {
+    await selectWorkspace(projectId);
+  } else {
+    await loadTasks();
+  }
+}
+
+/**
+ * 보기 선택 해제 함수
+ */
+function clearActiveView() {
+  if (!activeViewId && Object.keys(viewExtraParams).length === 0) return;
+
+  activeViewId = null;
+  viewExtraParams = {};
+  renderViewList();
+}
+
+/**
+ * 현재 필터를 보기로 저장하는 함수
+ */
+async function handleSaveView() {
+  const name = prompt('저장할 보기의 이름을 입력해주세요.');
+  if (!name || !name.trim()) return;
+
+  try {
+    const response = await apiRequest('/views', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: name.trim(),
+        query: getFilterQuery()
+      })
+    });
+
+    showSuccess('현재 필터가 보기로 저장되었습니다.');
+    await loadViews();
+    activeViewId = response.data.view._id;
+    renderViewList();
+
+  } catch (error) {
+    console.error('보기 저장 실패:', error);
+    showError(error.message || '보기 저장에 실패했습니다.');
+  }
+}
+
+/**
+ * 보기 삭제 함수
+ *
+ * @param {string} viewId - 보기 ID
+ */
+async function deleteView(viewId) {
+  if (!confirm('이 보기를 삭제하시겠습니까? 할 일은 삭제되지 않습니다.')) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/views/${viewId}`, { method: 'DELETE' });
+
+    showSuccess('보기가 삭제되었습니다.');
+    await loadViews();
+
+  } catch (error) {
+    console.error('보기 삭제 실패:', error);
+    showError(error.message || '보기 삭제에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 카테고리 관련 함수
+// ===========================
+
+/**
+ * 카테고리 목록 로드 함수
+ * 현재 목록(개인 또는 프로젝트)의 카테고리로 필터, 일괄 변경, 할 일 입력 선택 상자를 채웁니다
+ */
+async function loadCategories() {
+  try {
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/categories${query}`, { offlineCache: true });
+
+    categories = response.data.categories;
+    categoryCanEdit = response.data.canEdit;
+
+  } catch (error) {
+    console.error('카테고리 목록 로드 실패:', error);
+    categories = [];
+    categoryCanEdit = false;
+  }
+
+  fillCategorySelects();
+
+  if (document.getElementById('categoryModal').classList.contains('show')) {
+    renderCategoryList();
+  }
+}
+
+/**
+ * 선택 상자 옵션 채우기 함수
+ *
+ * @param {HTMLSelectElement} select - 선택 상자
+ * @param {Array} list - 카테고리 목록
+ * @param {string} [placeholder] - 첫 번째 빈 옵션의 텍스트
+ */
+function fillCategoryOptions(select, list, placeholder) {
+  select.innerHTML = '';
+
+  if (placeholder) {
+    select.add(new Option(placeholder, ''));
+  }
+
+  // 폼을 초기화하면 기본 카테고리가 선택되도록 defaultSelected 지정
+  list.forEach(category => {
+    select.add(new Option(category.name, category.name, category.isDefault && !placeholder));
+  });
+}
+
+/**
+ * 선택 상자 값 지정 함수
+ * 목록에 없는 카테고리(다른 목록의 보기 조건 등)는 옵션을 추가해서 선택합니다
+ *
+ * @param {HTMLSelectElement} select - 선택 상자
+ * @param {string} value - 카테고리 이름
+ */
+function setCategorySelectValue(select, value) {
+  if (value && !Array.from(select.options).some(option => option.value === value)) {
+    select.add(new Option(value, value));
+  }
+  select.value = value || '';
+}
+
+/**
+ * 카테고리 선택 상자 갱신 함수
+ * 필터와 할 일 입력에서 고른 값은 새 목록에도 있으면 유지합니다
+ */
+function fillCategorySelects() {
+  const filterSelect = document.getElementById('filterCategory');
+  const filterValue = filterSelect.value;
+  fillCategoryOptions(filterSelect, categories, '모든 카테고리');
+  setCategorySelectValue(filterSelect, filterValue);
+
+  fillCategoryOptions(document.getElementById('bulkCategory'), categories, '카테고리 변경');
+
+  const taskSelect = document.getElementById('taskCategory');
+  const taskValue = taskSelect.value;
+  fillCategoryOptions(taskSelect, categories);
+  if (categories.some(category => category.name === taskValue)) {
+    taskSelect.value = taskValue;
+  }
+}
+
+/**
+ * 할 일 수정 폼의 카테고리 선택지 채우기 함수
+ * 다른 목록의 할 일("나에게 할당됨" 보기 등)은 그 할 일이 속한 목록의 카테고리를 불러옵니다
+ *
+ * @param {Object} task - 수정할 할 일
+ */
+async function fillEditCategoryOptions(task) {
+  const select = document.getElementById('editTaskCategory');
+  let list = categories;
+
+  if ((task.projectId || null) !== currentProjectId) {
+    try {
+      const query = task.projectId ? `?projectId=${task.projectId}` : '';
+      const response = await apiRequest(`/categories${query}`, { offlineCache: true });
+      list = response.data.categories;
+    } catch (error) {
+      console.error('카테고리 목록 로드 실패:', error);
+      list = [];
+    }
+  }
+
+  fillCategoryOptions(select, list);
+  setCategorySelectValue(select, task.category);
+}
+
+/**
+ * 배지 글자색 계산 함수
+ * 밝은 배경(노란색 등)에는 어두운 글자를 사용합니다
+ *
+ * @param {string} color - 배경색 (#RRGGBB)
+ * @returns {string} 글자색
+ */
+function getContrastTextColor(color) {
+  const red = parseInt(color.slice(1, 3), 16);
+  const green = parseInt(color.slice(3, 5), 16);
+  const blue = parseInt(color.slice(5, 7), 16);
+  const brightness = (red * 299 + green * 587 + blue * 114) / 1000;
+
+  return brightness > 160 ? 'var(--dark-color)' : '#fff';
+}
+
+/**
+ * 카테고리 배지 HTML 생성 함수
+ * 현재 목록에 없는 카테고리(다른 프로젝트의 할 일 등)는 기본 색상으로 표시합니다
+ *
+ * @param {string} name - 카테고리 이름
+ * @returns {string} HTML 문자열
+ */
+function renderCategoryBadge(name) {
+  const category = categories.find(item => item.name === name);
+  const color = category ? category.color : '#6c757d';
+  const icon = category ? category.icon : 'bi-tag';
+
+  return `
+    <span class="badge category-badge" style="background-color: ${color}; color: ${getContrastTextColor(color)}">
+      <i class="bi ${icon}"></i> ${escapeHtml(name)}
+    </span>`;
+}
+
+/**
+ * 카테고리 관리 모달 열기 함수
+ */
+async function openCategoryModal() {
+  const project = getCurrentProject();
+  deletingCategoryId = null;
+
+  document.getElementById('categoryScopeText').textContent = project
+    ? `'${project.name}' 프로젝트 멤버가 함께 사용하는 카테고리입니다.`
+    : '내 할 일에서 사용하는 카테고리입니다.';
+
+  await loadCategories();
+  renderCategoryList();
+
+  const modal = new bootstrap.Modal(document.getElementById('categoryModal'));
+  modal.show();
+}
+
+/**
+ * 카테고리 관리 목록 렌더링 함수
+ */
+function renderCategoryList() {
+  const list = document.getElementById('categoryList');
+  const disabled = categoryCanEdit ? '' : 'disabled';
+  const lastIndex = categories.length - 1;
+
+  list.innerHTML = categories.map((category, index) => {
+    // 사용 중인 카테고리 삭제: 할 일을 옮길 카테고리 선택
+    if (category._id === deletingCategoryId) {
+      return `
+        <li class="list-group-item category-row category-delete-row">
+          <span>${escapeHtml(category.name)}의 할 일 ${category.taskCount}개를</span>
+          <select class="form-select form-select-sm" id="categoryReassignSelect"></select>
+          <span class="text-nowrap">(으)로 옮기고 삭제</span>
+          <div class="btn-group btn-group-sm">
+            <button type="button" class="btn btn-danger" onclick="confirmDeleteCategory('${category._id}')">
+              <i class="bi bi-trash"></i> 삭제
+            </button>
+            <button type="button" class="btn btn-outline-secondary" onclick="cancelDeleteCategory()">취소</button>
+          </div>
+        </li>
+      `;
+    }
+
+    return `
+      <li class="list-group-item category-row" data-category-id="${category._id}">
+        <input type="color" class="form-control form-control-color" title="색상" ${disabled}
+               onchange="updateCategory('${category._id}', { color: this.value })">
+        <span class="category-icon-preview"><i class="bi ${category.icon}"></i></span>
+        <input type="text" class="form-control form-control-sm category-icon-input" maxlength="43"
+               title="Bootstrap Icons 이름" ${disabled}
+               onchange="updateCategory('${category._id}', { icon: this.value.trim() })">
+        <input type="text" class="form-control form-control-sm category-name-input" maxlength="20" title="이름" ${disabled}
+               onchange="updateCategory('${category._id}', { name: this.value })">
+        <span class="text-muted small text-nowrap" title="이 카테고리를 사용하는 할 일 수">${category.taskCount}개</span>
+        <div class="btn-group btn-group-sm">
+          <button type="button" class="btn btn-outline-warning" title="기본 카테고리로 지정"
+                  ${disabled || (category.isDefault ? 'disabled' : '')}
+                  onclick="updateCategory('${category._id}', { isDefault: true })">
+            <i class="bi ${category.isDefault ? 'bi-star-fill' : 'bi-star'}"></i>
+          </button>
+          <button type="button" class="btn btn-outline-secondary" title="위로"
+                  ${disabled || (index === 0 ? 'disabled' : '')} onclick="moveCategory(${index}, -1)">
+            <i class="bi bi-arrow-up"></i>
+          </button>
+          <button type="button" class="btn btn-outline-secondary" title="아래로"
+                  ${disabled || (index === lastIndex ? 'disabled' : '')} onclick="moveCategory(${index}, 1)">
+            <i class="bi bi-arrow-down"></i>
+          </button>
+          <button type="button" class="btn btn-outline-danger" title="삭제"
+                  ${disabled || (categories.length <= 1 ? 'disabled' : '')} onclick="deleteCategory('${category._id}')">
+            <i class="bi bi-trash"></i>
+          </button>
+        </div>
+      </li>
+    `;
+  }).join('');
+
+  // 이름, 색상, 아이콘은 속성 이스케이프 없이 값으로 직접 설정
+  list.querySelectorAll('.category-row[data-category-id]').forEach(row => {
+    const category = categories.find(item => item._id === row.dataset.categoryId);
+    row.querySelector('input[type="color"]').value = category.color;
+    row.querySelector('.category-icon-input').value = category.icon;
+    row.querySelector('.category-name-input').value = category.name;
+  });
+
+  const reassignSelect = document.getElementById('categoryReassignSelect');
+  if (reassignSelect) {
+    categories
+      .filter(category => category._id !== deletingCategoryId)
+      .forEach(category => reassignSelect.add(new Option(category.name, category._id)));
+  }
+
+  document.getElementById('addCategoryForm').querySelectorAll('input, button').forEach(element => {
+    element.disabled = !categoryCanEdit;
+  });
+}
+
+/**
+ * 카테고리 변경 후 화면 갱신 함수
+ * 카테고리 이름은 할 일과 저장된 보기에 저장되므로 함께 다시 불러옵니다
+ */
+async function reloadAfterCategoryChange() {
+  await loadCategories();
+  await loadViews();
+  await loadTasks();
+}
+
+/**
+ * 카테고리 추가 처리 함수
+ *
+ * @param {Event} event - 폼 제출 이벤트
+ */
+async function handleAddCategory(event) {
+  event.preventDefault();
+
+  const nameInput = document.getElementById('newCategoryName');
+  const name = nameInput.value.trim();
+
+  if (!name) {
+    showError('카테고리 이름을 입력해주세요.');
+    return;
+  }
+
+  try {
+    await apiRequest('/categories', {
+      method: 'POST',
+      body: JSON.stringify({
+        name,
+        color: document.getElementById('newCategoryColor').value,
+        icon: document.getElementById('newCategoryIcon').value.trim() || undefined,
+        projectId: currentProjectId || undefined
+      })
+    });
+
+    nameInput.value = '';
+    showSuccess('카테고리가 추가되었습니다.');
+    await loadCategories();
+
+  } catch (error) {
+    console.error('카테고리 추가 실패:', error);
+    showError(error.message || '카테고리 추가에 실패했습니다.');
+  }
+}
+
+/**
+ * 카테고리 수정 함수
+ *
+ * @param {string} categoryId - 카테고리 ID
+ * @param {Object} changes - 변경할 값 (name, color, icon, isDefault)
+ */
+async function updateCategory(categoryId, changes) {
+  try {
+    const response = await apiRequest(`/categories/${categoryId}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+
+    if (changes.name !== undefined && response.data.renamedTaskCount > 0) {
+      showSuccess(`카테고리 이름을 바꾸고 할 일 ${response.data.renamedTaskCount}개에 반영했습니다.`);
+    } else {
+      showSuccess(response.message);
+    }
+
+    await reloadAfterCategoryChange();
+
+  } catch (error) {
+    console.error('카테고리 수정 실패:', error);
+    showError(error.message || '카테고리 수정에 실패했습니다.');
+    // 입력값을 저장된 값으로 되돌림
+    renderCategoryList();
+  }
+}
+
+/**
+ * 카테고리 순서 이동 함수
+ * 이웃한 카테고리와 표시 순서를 맞바꿉니다
+ *
+ * @param {number} index - 카테고리 위치
+ * @param {number} direction - -1(위) 또는 1(아래)
+ */
+async function moveCategory(index, direction) {
+  const category = categories[index];
+  const neighbor = categories[index + direction];
+  if (!category || !neighbor) return;
+
+  // 표시 순서가 같으면 목록 위치를 순서로 사용
+  const positions = category.position === neighbor.position
+    ? [index + direction, index]
+    : [neighbor.position, category.position];
+
+  try {
+    await Promise.all([
+      apiRequest(`/categories/${category._id}`, { method: 'PUT', body: JSON.stringify({ position: positions[0] }) }),
+      apiRequest(`/categories/${neighbor._id}`, { method: 'PUT', body: JSON.stringify({ position: positions[1] }) })
+    ]);
+
+    await loadCategories();
+
+  } catch (error) {
+    console.error('카테고리 순서 변경 실패:', error);
+    showError(error.message || '카테고리 순서 변경에 실패했습니다.');
+  }
+}
+
+/**
+ * 카테고리 삭제 함수
+ * 사용 중인 카테고리는 할 일을 옮길 카테고리를 먼저 고르도록 합니다
+ *
+ * @param {string} categoryId - 카테고리 ID
+ */
+async function deleteCategory(categoryId) {
+  const category = categories.find(item => item._id === categoryId);
+  if (!category) return;
+
+  if (category.taskCount > 0) {
+    deletingCategoryId = categoryId;
+    renderCategoryList();
+    return;
+  }
+
+  if (!confirm(`'${category.name}' 카테고리를 삭제하시겠습니까?`)) return;
+
+  await confirmDeleteCategory(categoryId);
+}
+
+/**
+ * 카테고리 삭제 실행 함수
+ *
+ * @param {string} categoryId - 카테고리 ID
+ */
+async function confirmDeleteCategory(categoryId) {
+  const reassignSelect = document.getElementById('categoryReassignSelect');
+  const query = reassignSelect ? `?reassignTo=${reassignSelect.value}` : '';
+
+  try {
+    const response = await apiRequest(`/categories/${categoryId}${query}`, { method: 'DELETE' });
+
+    deletingCategoryId = null;
+    showSuccess(response.message);
+    await reloadAfterCategoryChange();
+
+  } catch (error) {
+    console.error('카테고리 삭제 실패:', error);
+
+    // 그사이 다른 멤버가 이 카테고리로 할 일을 추가한 경우 옮길 카테고리 선택
+    if (error.status === 409 && error.data) {
+      const category = categories.find(item => item._id === categoryId);
+      if (category) category.taskCount = error.data.taskCount;
+      deletingCategoryId = categoryId;
+      renderCategoryList();
+    }
+
+    showError(error.message || '카테고리 삭제에 실패했습니다.');
+  }
+}
+
+/**
+ * 카테고리 삭제 취소 함수
+ */
+function cancelDeleteCategory() {
+  deletingCategoryId = null;
+  renderCategoryList();
+}
+
+// ===========================
+// 태그 관련 함수
+// ===========================
+
+// 자동 완성 후보 최대 개수
+const TAG_SUGGESTION_LIMIT = 8;
+
+/**
+ * 태그 입력값 해석 함수
+ *
+ * @param {string} value - 쉼표로 구분한 태그 문자열
+ * @returns {Array<string>} 중복과 빈 값을 제거한 태그 목록
+ */
+function parseTagInput(value) {
+  return [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * 할 일 태그 표시 HTML 생성 함수
+ * 태그를 누르면 해당 태그로 목록을 필터링합니다
+ *
+ * @param {Array<string>} tags - 태그 목록
+ * @returns {string} HTML 문자열
+ */
+function renderTaskTags(tags) {
+  if (!tags || tags.length === 0) return '';
+
+  return tags.map(tag => `
+    <button type="button" class="task-tag" data-tag="${encodeURIComponent(tag)}"
+            onclick="event.stopPropagation(); addTagFilter(decodeURIComponent(this.dataset.tag))">#${escapeHtml(tag)}</button>
+  `).join('');
+}
+
+/**
+ * 태그 목록 로드 함수
+ * 현재 목록의 태그를 사용 횟수와 함께 불러와 태그 클라우드를 그립니다
+ */
+async function loadTags() {
+  try {
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tags${query}`, { offlineCache: true });
+
+    tagStats = response.data.tags;
+    tagCanEdit = response.data.canEdit;
+
+  } catch (error) {
+    console.error('태그 목록 로드 실패:', error);
+    tagStats = [];
+    tagCanEdit = false;
+  }
+
+  renderTagCloud();
+
+  if (document.getElementById('tagModal').classList.contains('show')) {
+    renderTagList();
+  }
+}
+
+/**
+ * 태그 클라우드 렌더링 함수
+ * 많이 사용한 태그일수록 크게 표시하며, 필터에 포함된 태그는 강조합니다
+ */
+function renderTagCloud() {
+  const cloud = document.getElementById('tagCloud');
+
+  if (tagStats.length === 0) {
+    cloud.innerHTML = '<small class="text-muted">태그가 없습니다.</small>';
+    return;
+  }
+
+  const maxCount = Math.max(...tagStats.map(tag => tag.count));
+  const minCount = Math.min(...tagStats.map(tag => tag.count));
+  const activeTags = parseTagInput(document.getElementById('filterTags').value);
+
+  // 이름순으로 표시하고 글자 크기는 0.75rem ~ 1.25rem
+  cloud.innerHTML = tagStats
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(tag => {
+      const weight = maxCount === minCount ? 0.5 : (tag.count - minCount) / (maxCount - minCount);
+      return `
+        <button type="button" class="tag-cloud-item ${activeTags.includes(tag.name) ? 'active' : ''}"
+                style="font-size: ${(0.75 + weight * 0.5).toFixed(2)}rem"
+                title="${tag.count}개 (진행 중 ${tag.activeCount}개)" data-tag="${encodeURIComponent(tag.name)}"
+                onclick="toggleTagFilter(decodeURIComponent(this.dataset.tag))">${escapeHtml(tag.name)}</button>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * 태그 필터 추가 함수
+ *
+ * @param {string} name - 태그 이름
+ */
+function addTagFilter(name) {
+  const input = document.getElementById('filterTags');
+  const tags = parseTagInput(input.value);
+
+  if (tags.includes(name)) return;
+
+  input.value = [...tags, name].join(', ');
+  renderTagCloud();
+  filterTasks();
+}
+
+/**
+ * 태그 필터 전환 함수 (태그 클라우드)
+ *
+ * @param {string} name - 태그 이름
+ */
+function toggleTagFilter(name) {
+  const input = document.getElementById('filterTags');
+  const tags = parseTagInput(input.value);
+
+  if (!tags.includes(name)) {
+    addTagFilter(name);
+    return;
+  }
+
+  input.value = tags.filter(tag => tag !== name).join(', ');
+  renderTagCloud();
+  filterTasks();
+}
+
+/**
+ * 태그 자동 완성 설정 함수
+ * 쉼표로 구분한 입력값의 마지막 태그를 앞부분으로 GET /api/tags를 검색해 후보를 표시합니다
+ *
+ * @param {HTMLInputElement} input - 태그 입력 상자
+ * @param {Function} getProjectId - 검색할 목록의 프로젝트 ID를 반환하는 함수 (null이면 개인 목록)
+ */
+function setupTagAutocomplete(input, getProjectId) {
+  const menu = document.createElement('div');
+  menu.className = 'dropdown-menu tag-suggestions';
+  input.insertAdjacentElement('afterend', menu);
+
+  let debounceTimer = null;
+  let activeIndex = -1;
+
+  const hide = () => {
+    menu.classList.remove('show');
+    activeIndex = -1;
+  };
+
+  // 마지막 태그를 고른 후보로 바꾸고 다음 태그를 입력할 수 있도록 쉼표를 붙임
+  const choose = (name) => {
+    const parts = input.value.split(',');
+    parts[parts.length - 1] = ` ${name}`;
+    input.value = `${parts.join(',').trim()}, `;
+    hide();
+    input.focus();
+  };
+
+  const search = async () => {
+    const parts = input.value.split(',');
+    const prefix = parts[parts.length - 1].trim();
+    const entered = parts.slice(0, -1).map(tag => tag.trim());
+
+    if (!prefix) {
+      hide();
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({ q: prefix, limit: TAG_SUGGESTION_LIMIT });
+      const projectId = getProjectId();
+      if (projectId) params.set('projectId', projectId);
+
+      const response = await apiRequest(`/tags?${params.toString()}`);
+      const suggestions = response.data.tags.filter(tag => !entered.includes(tag.name));
+
+      // 응답을 기다리는 동안 입력이 바뀌었으면 무시
+      if (input.value.split(',').pop().trim() !== prefix) return;
+
+      if (suggestions.length === 0) {
+        hide();
+        return;
+      }
+
+      menu.innerHTML = suggestions.map(tag => `
+        <button type="button" class="dropdown-item d-flex justify-content-between">
+          <span>${escapeHtml(tag.name)}</span><small class="text-muted">${tag.count}</small>
+        </button>
+      `).join('');
+      menu.querySelectorAll('.dropdown-item').forEach((item, index) => {
+        // blur보다 먼저 처리되도록 mousedown 사용
+        item.addEventListener('mousedown', (event) => {
+          event.preventDefault();
+          choose(suggestions[index].name);
+        });
+      });
+      activeIndex = -1;
+      menu.classList.add('show');
+
+    } catch (error) {
+      console.error('태그 자동 완성 실패:', error);
+      hide();
+    }
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(search, 200);
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (!menu.classList.contains('show')) return;
+
+    const items = menu.querySelectorAll('.dropdown-item');
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      activeIndex = (activeIndex + (event.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+      items.forEach((item, index) => item.classList.toggle('active', index === activeIndex));
+    } else if (event.key === 'Enter' && activeIndex >= 0) {
+      // 후보를 고를 때는 폼 제출 대신 입력만 완성
+      event.preventDefault();
+      choose(items[activeIndex].querySelector('span').textContent);
+    } else if (event.key === 'Escape') {
+      event.stopPropagation();
+      hide();
+    }
+  });
+
+  input.addEventListener('blur', hide);
+}
+
+/**
+ * 태그 관리 모달 열기 함수
+ */
+async function openTagModal() {
+  document.getElementById('mergeTagTarget').value = '';
+
+  await loadTags();
+  renderTagList();
+
+  const modal = new bootstrap.Modal(document.getElementById('tagModal'));
+  modal.show();
+}
+
+/**
+ * 태그 관리 목록 렌더링 함수
+ */
+function renderTagList() {
+  const list = document.getElementById('tagList');
+  const disabled = tagCanEdit ? '' : 'disabled';
+
+  if (tagStats.length === 0) {
+    list.innerHTML = '<li class="list-group-item text-muted text-center">태그가 없습니다.</li>';
+    updateMergeTagsButton();
+    return;
+  }
+
+  list.innerHTML = tagStats.map(tag => `
+    <li class="list-group-item tag-row" data-tag="${encodeURIComponent(tag.name)}">
+      <input type="checkbox" class="form-check-input" title="병합할 태그로 선택" ${disabled}
+             onchange="updateMergeTagsButton()">
+      <input type="text" class="form-control form-control-sm" maxlength="20" title="이름" ${disabled}
+             onchange="renameTag(decodeURIComponent(this.closest('.tag-row').dataset.tag), this.value)">
+      <span class="text-muted small text-nowrap" title="이 태그를 사용하는 할 일 수">${tag.count}개</span>
+      <button type="button" class="btn btn-sm btn-outline-danger" title="태그 삭제" ${disabled}
+              onclick="deleteTag(decodeURIComponent(this.closest('.tag-row').dataset.tag))">
+        <i class="bi bi-trash"></i>
+      </button>
+    </li>
+  `).join('');
+
+  // 이름은 속성 이스케이프 없이 값으로 직접 설정
+  list.querySelectorAll('.tag-row').forEach((row, index) => {
+    row.querySelector('input[type="text"]').value = tagStats[index].name;
+  });
+
+  updateMergeTagsButton();
+}
+
+/**
+ * 선택된 병합 대상 태그 조회 함수
+ *
+ * @returns {Array<string>} 선택한 태그 목록
+ */
+function getSelectedTags() {
+  return Array.from(document.querySelectorAll('#tagList .tag-row'))
+    .filter(row => row.querySelector('input[type="checkbox"]').checked)
+    .map(row => decodeURIComponent(row.dataset.tag));
+}
+
+/**
+ * 병합 버튼 상태 갱신 함수
+ * 두 개 이상 선택했거나, 하나를 선택하고 다른 이름을 입력했을 때 병합할 수 있습니다
+ */
+function updateMergeTagsButton() {
+  const selected = getSelectedTags();
+  const target = document.getElementById('mergeTagTarget');
+
+  // 대상 이름을 비워 두면 처음 선택한 태그로 병합
+  target.placeholder = selected.length > 0 ? selected[0] : '병합할 태그 이름';
+
+  const targetName = target.value.trim() || selected[0];
+  document.getElementById('mergeTagsBtn').disabled = !tagCanEdit ||
+    selected.filter(tag => tag !== targetName).length === 0;
+}
+
+/**
+ * 태그 변경 후 화면 갱신 함수
+ * 필터에 입력한 태그 이름도 새 이름으로 바꿉니다
+ *
+ * @param {Array<string>} sources - 바뀐 태그 목록
+ * @param {string|null} target - 새 태그 (null이면 필터에서 제거)
+ */
+async function reloadAfterTagChange(sources, target) {
+  const input = document.getElementById('filterTags');
+  const filterTags = parseTagInput(input.value);
+
+  if (filterTags.some(tag => sources.includes(tag))) {
+    const replaced = filterTags.map(tag => (sources.includes(tag) ? target : tag)).filter(Boolean);
+    input.value = [...new Set(replaced)].join(', ');
+  }
+
+  await loadTasks();
+  await loadStats();
+}
+
+/**
+ * 태그 이름 변경 함수
+ * 이미 있는 이름으로 바꾸면 두 태그가 병합됩니다
+ *
+ * @param {string} name - 현재 태그 이름
+ * @param {string} newName - 새 태그 이름
+ */
+async function renameTag(name, newName) {
+  const trimmed = newName.trim();
+
+  if (!trimmed || trimmed === name) {
+    renderTagList();
+    return;
+  }
+
+  try {
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tags/${encodeURIComponent(name)}${query}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name: trimmed })
+    });
+
+    showSuccess(response.message);
+    await reloadAfterTagChange([name], response.data.name);
+
+  } catch (error) {
+    console.error('태그 이름 변경 실패:', error);
+    showError(error.message || '태그 이름 변경에 실패했습니다.');
+    renderTagList();
+  }
+}
+
+/**
+ * 선택한 태그 병합 처리 함수
+ */
+async function handleMergeTags() {
+  const selected = getSelectedTags();
+  const target = document.getElementById('mergeTagTarget').value.trim() || selected[0];
+  const sources = selected.filter(tag => tag !== target);
+
+  if (sources.length === 0) return;
+
+  if (!confirm(`${sources.map(tag => `'${tag}'`).join(', ')} 태그를 '${target}'(으)로 병합하시겠습니까?`)) return;
+
+  try {
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tags/merge${query}`, {
+      method: 'POST',
+      body: JSON.stringify({ sources, target })
+    });
+
+    document.getElementById('mergeTagTarget').value = '';
+    showSuccess(response.message);
+    await reloadAfterTagChange(sources, response.data.target);
+
+  } catch (error) {
+    console.error('태그 병합 실패:', error);
+    showError(error.message || '태그 병합에 실패했습니다.');
+  }
+}
+
+/**
+ * 태그 삭제 함수
+ * 할 일은 그대로 두고 태그만 제거합니다
+ *
+ * @param {string} name - 태그 이름
+ */
+async function deleteTag(name) {
+  if (!confirm(`모든 할 일에서 '${name}' 태그를 제거하시겠습니까? 할 일은 삭제되지 않습니다.`)) return;
+
+  try {
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tags/${encodeURIComponent(name)}${query}`, { method: 'DELETE' });
+
+    showSuccess(response.message);
+    await reloadAfterTagChange([name], null);
+
+  } catch (error) {
+    console.error('태그 삭제 실패:', error);
+    showError(error.message || '태그 삭제에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 알림 관련 함수
+// ===========================
+
+// 알림 목록 한 번에 불러올 개수
+const NOTIFICATION_PAGE_SIZE = 20;
+
+// 알림 종류별 아이콘
+const NOTIFICATION_ICONS = {
+  reminder: 'bi-alarm',
+  assignment: 'bi-person-check',
+  invitation: 'bi-envelope-paper'
+};
+
+/**
+ * 알림 목록 로드 함수
+ *
+ * @param {boolean} [more=false] - true이면 지금 목록보다 이전 알림을 이어서 불러옴
+ */
+async function loadNotifications(more = false) {
+  try {
+    const params = new URLSearchParams({ limit: NOTIFICATION_PAGE_SIZE });
+    if (more && notifications.length > 0) {
+      params.set('before', notifications[notifications.length - 1].createdAt);
+    }
+
+    const response = await apiRequest(`/notifications?${params.toString()}`);
+
+    notifications = more
+      ? [...notifications, ...response.data.notifications]
+      : response.data.notifications;
+    unreadNotificationCount = response.data.unreadCount;
+    notificationsHasMore = response.data.hasMore;
+
+    renderNotifications();
+
+  } catch (error) {
+    console.error('알림 로드 실패:', error);
+  }
+}
+
+/**
+ * 알림 목록 및 배지 렌더링 함수
+ */
+function renderNotifications() {
+  const badge = document.getElementById('notificationBadge');
+  badge.textContent = unreadNotificationCount > 99 ? '99+' : String(unreadNotificationCount);
+  badge.style.display = unreadNotificationCount > 0 ? 'inline-block' : 'none';
+
+  document.getElementById('markAllNotificationsReadBtn').disabled = unreadNotificationCount === 0;
+  document.getElementById('loadMoreNotificationsBtn').style.display = notificationsHasMore ? 'block' : 'none';
+
+  const list = document.getElementById('notificationList');
+
+  if (notifications.length === 0) {
+    list.innerHTML = '<div class="notification-empty">알림이 없습니다.</div>';
+    return;
+  }
+
+  list.innerHTML = notifications.map(notification => `
+    <div class="notification-item ${notification.readAt ? '' : 'unread'}" onclick="openNotification('${notification._id}')">
+      <i class="bi ${NOTIFICATION_ICONS[notification.type] || 'bi-bell'} notification-icon"></i>
+      <div class="flex-grow-1">
+        <div class="fw-semibold small">${escapeHtml(notification.title)}</div>
+        <div class="small">${escapeHtml(notification.message)}</div>
+        <div class="notification-time">${new Date(notification.createdAt).toLocaleString('ko-KR')}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * 새 알림 수신 처리 함수 (이벤트 스트림)
+ *
+ * @param {Object} notification - 새 알림
+ */
+function handleNewNotification(notification) {
+  if (notifications.some(n => n._id === notification._id)) return;
+
+  notifications.unshift(notification);
+  unreadNotificationCount += 1;
+  renderNotifications();
+
+  showNotification(notification.message, 'info');
+
+  // 초대를 받으면 사이드바의 받은 초대 목록 갱신
+  if (notification.type === 'invitation') {
+    loadProjects();
+  }
+}
+
+/**
+ * 알림 읽음 상태 반영 함수
+ * 이 탭에서 읽음 처리했거나 다른 탭/기기에서 읽음 처리한 이벤트를 받았을 때 사용합니다
+ *
+ * @param {Object} data - { ids: [알림 ID...] } 또는 { all: true }, unreadCount
+ */
+function applyNotificationsRead(data) {
+  const readAt = new Date().toISOString();
+
+  notifications.forEach(notification => {
+    if (!notification.readAt && (data.all || (data.ids || []).includes(notification._id))) {
+      notification.readAt = readAt;
+    }
+  });
+
+  unreadNotificationCount = data.unreadCount;
+  renderNotifications();
+}
+
+/**
+ * 알림 읽음 처리 함수
+ *
+ * @param {string} notificationId - 알림 ID
+ */
+async function markNotificationRead(notificationId) {
+  try {
+    const response = await apiRequest(`/notifications/${notificationId}/read`, { method: 'PUT' });
+    applyNotificationsRead({ ids: [notificationId], unreadCount: response.data.unreadCount });
+
+  } catch (error) {
+    console.error('알림 읽음 처리 실패:', error);
+    showError(error.message || '알림 읽음 처리에 실패했습니다.');
+  }
+}
+
+/**
+ * 모든 알림 읽음 처리 함수
+ */
+async function markAllNotificationsRead() {
+  try {
+    await apiRequest('/notifications/read-all', { method: 'PUT' });
+    applyNotificationsRead({ all: true, unreadCount: 0 });
+
+  } catch (error) {
+    console.error('알림 전체 읽음 처리 실패:', error);
+    showError(error.message || '알림 전체 읽음 처리에 실패했습니다.');
+  }
+}
+
+/**
+ * 알림 열기 함수
+ * 읽음으로 표시하고, 관련 할 일이 있으면 해당 목록으로 전환해 수정 창을 엽니다
+ *
+ * @param {string} notificationId - 알림 ID
+ */
+async function openNotification(notificationId) {
+  const notification = notifications.find(n => n._id === notificationId);
+  if (!notification) return;
+
+  if (!notification.readAt) {
+    await markNotificationRead(notificationId);
+  }
+
+  bootstrap.Dropdown.getOrCreateInstance(document.getElementById('notificationBtn')).hide();
+
+  if (notification.type === 'invitation') {
+    await loadProjects();
+    return;
+  }
+
+  if (!notification.taskId) return;
+
+  // 관련 할 일이 있는 목록으로 전환 (프로젝트에서 나간 경우 제외)
+  const projectId = notification.projectId || null;
+  if (projectId && !projects.some(project => project._id === projectId)) return;
+  if (projectId !== currentProjectId) {
+    await selectWorkspace(projectId);
+  }
+
+  if (tasks.some(task => task._id === notification.taskId)) {
+    editTask(notification.taskId);
+  }
+}
+
+// ===========================
+// 서버 이벤트 스트림 함수
+// ===========================
+
+// 연결이 끊겼을 때 다시 연결하기까지 기본 대기 시간 (서버의 retry 값이 있으면 사용)
+const EVENT_STREAM_RETRY_MS = 5000;
+
+/**
+ * 이벤트 블록 해석 함수 (text/event-stream 형식)
+ *
+ * @param {string} block - 빈 줄로 구분된 이벤트 블록
+ * @returns {{ event: string, data: Object|null, retry: number|null }} 이벤트 이름, 데이터, 재연결 대기 시간
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  let retry = null;
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith(':')) return; // keep-alive 주석
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') dataLines.push(value);
+    if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+  });
+
+  let data = null;
+  if (dataLines.length > 0) {
+    try {
+      data = JSON.parse(dataLines.join('\n'));
+    } catch (error) {
+      console.error('이벤트 데이터 해석 실패:', error);
+    }
+  }
+
+  return { event, data, retry };
+}
+
+/**
+ * 서버 이벤트 처리 함수
+ *
+ * @param {string} event - 이벤트 이름
+ * @param {Object} data - 이벤트 데이터
+ */
+function handleServerEvent(event, data) {
+  switch (event) {
+    case 'notification':
+      handleNewNotification(data.notification);
+      break;
+
+    case 'notifications:read':
+      applyNotificationsRead(data);
+      break;
+
+    case 'task:created':
+    case 'task:updated':
+    case 'task:moved':
+    case 'task:deleted':
+    case 'tasks:changed':
+      handleTaskEvent(event, data);
+      break;
+
+    default:
+      console.log(`처리하지 않는 서버 이벤트: ${event}`);
+  }
+}
+
+/**
+ * 이벤트 스트림 연결 함수
+ * EventSource는 Authorization 헤더를 보낼 수 없으므로 fetch 스트림으로 연결하고,
+ * 연결이 끊기면 잠시 후 다시 연결합니다 (로그인 세션이 취소되었으면 다시 연결하지 않음)
+ */
+async function connectEventStream() {
+  disconnectEventStream();
+
+  const controller = new AbortController();
+  eventStreamController = controller;
+  let retryMs = EVENT_STREAM_RETRY_MS;
+
+  try {
+    const response = await fetchWithAuth(`${API_BASE_URL}/events`, { signal: controller.signal });
+
+    // 토큰을 갱신할 수 없음 (로그인 화면으로 이동함)
+    if (response.status === 401) {
+      console.warn('이벤트 스트림 인증 실패: 다시 로그인해야 합니다.');
+      return;
+    }
+
+    if (!response.ok || !response.body) {
+      throw new Error(`HTTP 오류: ${response.status}`);
+    }
+
+    // 연결할 때마다 알림 목록을 새로 불러와 끊긴 동안 놓친 알림 반영
+    loadNotifications();
+
+    // 다시 연결된 경우 끊긴 동안 놓친 할 일 변경도 반영
+    if (eventStreamReconnecting) {
+      eventStreamReconnecting = false;
+      scheduleTaskReload();
+      scheduleStatsReload();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const message = parseEventBlock(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (message.retry) retryMs = message.retry;
+        if (message.data) handleServerEvent(message.event, message.data);
+
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('이벤트 스트림 연결 실패:', error);
+  }
+
+  // 로그아웃 등으로 연결을 닫은 경우가 아니면 다시 연결
+  if (eventStreamController === controller && !controller.signal.aborted) {
+    eventStreamReconnecting = true;
+    eventStreamRetryTimer = setTimeout(connectEventStream, retryMs);
+  }
+}
+
+/**
+ * 이벤트 스트림 연결 종료 함수
+ */
+function disconnectEventStream() {
+  clearTimeout(eventStreamRetryTimer);
+  eventStreamRetryTimer = null;
+  eventStreamReconnecting = false;
+  clearTimeout(taskReloadTimer);
+  clearTimeout(statsReloadTimer);
+
+  if (eventStreamController) {
+    eventStreamController.abort();
+    eventStreamController = null;
+  }
+}
+
+// ===========================
+// 실시간 동기화 함수
+// ===========================
+
+// 여러 변경이 연달아 올 때 목록과 통계를 한 번만 다시 불러오기 위한 대기 시간
+const TASK_RELOAD_DELAY_MS = 300;
+
+// 목록 정렬 기준별 비교 값 (서버의 정렬 순서와 동일, 마감일이 없으면 오름차순에서 먼저)
+const TASK_SORT_VALUES = {
+  createdAt: task => new Date(task.createdAt).getTime(),
+  dueDate: task => (task.dueDate ? new Date(task.dueDate).getTime() : -Infinity),
+  priority: task => task.priority,
+  title: task => task.title
+};
+
+/**
+ * 목록 다시 불러오기 예약 함수
+ * 화면에서 직접 반영할 수 없는 변경(일괄 작업, 검색 조건 등)이 있을 때 사용합니다
+ */
+function scheduleTaskReload() {
+  clearTimeout(taskReloadTimer);
+  taskReloadTimer = setTimeout(() => {
+    taskReloadTimer = null;
+    loadTasks();
+  }, TASK_RELOAD_DELAY_MS);
+}
+
+/**
+ * 통계 다시 불러오기 예약 함수
+ */
+function scheduleStatsReload() {
+  clearTimeout(statsReloadTimer);
+  statsReloadTimer = setTimeout(() => {
+    statsReloadTimer = null;
+    loadStats();
+  }, TASK_RELOAD_DELAY_MS);
+}
+
+/**
+ * 할 일이 현재 목록의 필터 조건과 일치하는지 확인하는 함수
+ * 검색어와 보기의 추가 조건(우선순위, 마감일 등)은 서버만 판단할 수 있으므로 null을 반환합니다
+ *
+ * @param {Object} task - 할 일 객체
+ * @returns {boolean|null} 일치 여부 (null이면 목록을 다시 불러와야 함)
+ */
+function matchesCurrentFilters(task) {
+  const query = getFilterQuery();
+  if (query.q || Object.keys(viewExtraParams).length > 0) return null;
+
+  // 프로젝트를 선택하지 않은 "나에게 할당됨" 목록은 참여 중인 모든 프로젝트의 할 일을 포함
+  const crossProject = !currentProjectId && query.assignedTo === 'me';
+  if (!crossProject && (task.projectId || null) !== currentProjectId) return false;
+
+  const assigneeIds = (task.assignees || []).map(assignee => assignee._id);
+
+  if (query.category && task.category !== query.category) return false;
+  if (query.completed && String(task.completed) !== query.completed) return false;
+  if (query.assignedTo === 'me' && !assigneeIds.includes(currentUser._id)) return false;
+  if (query.assignedTo === 'none' && assigneeIds.length > 0) return false;
+  if (query.createdBy === 'me' && task.userId !== currentUser._id) return false;
+
+  if (query.tags) {
+    const filterTags = query.tags.split(',');
+    const taskTags = task.tags || [];
+    const matched = query.tagMode === 'all'
+      ? filterTags.every(tag => taskTags.includes(tag))
+      : filterTags.some(tag => taskTags.includes(tag));
+    if (!matched) return false;
+  }
+
+  return true;
+}
+
+/**
+ * 목록 정렬 비교 함수 (현재 정렬 조건 기준)
+ *
+ * @param {Object} a - 할 일 객체
+ * @param {Object} b - 할 일 객체
+ * @returns {number} 비교 결과
+ */
+function compareTasksForList(a, b) {
+  const { sortBy = 'createdAt', sortOrder = 'desc' } = getFilterQuery();
+  const getValue = TASK_SORT_VALUES[sortBy] || TASK_SORT_VALUES.createdAt;
+  const [valueA, valueB] = [getValue(a), getValue(b)];
+  const result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+
+  return sortOrder === 'asc' ? result : -result;
+}
+
+/**
+ * 목록 화면에 할 일 변경 반영 함수
+ * 바뀐 항목의 요소만 교체/추가/제거하고, 현재 페이지 밖으로 밀려난 항목은 숨깁니다
+ *
+ * @param {Object} task - 할 일 객체
+ * @param {boolean} matches - 현재 필터 조건과 일치 여부
+ */
+function patchTaskList(task, matches) {
+  const taskList = document.getElementById('taskList');
+  const index = tasks.findIndex(t => t._id === task._id);
+  const existing = taskList.querySelector(`[data-task-id="${task._id}"]`);
+
+  if (index !== -1) {
+    tasks.splice(index, 1);
+  }
+
+  if (!matches) {
+    if (index === -1) return;
+
+    if (existing) existing.remove();
+    selectedTaskIds.delete(task._id);
+    if (taskPagination) taskPagination.totalItems -= 1;
+  } else {
+    if (index === -1 && taskPagination) taskPagination.totalItems += 1;
+
+    // 정렬 순서상 위치 계산 (현재 페이지의 마지막 뒤라면 다음 페이지에 속함)
+    let position = tasks.findIndex(other => compareTasksForList(task, other) < 0);
+    if (position === -1) position = tasks.length;
+
+    const pageSize = taskPagination ? taskPagination.itemsPerPage : Infinity;
+    const hasMore = taskPagination && taskPagination.totalItems > tasks.length + 1;
+
+    if (position >= pageSize || (position === tasks.length && hasMore)) {
+      if (existing) existing.remove();
+    } else {
+      tasks.splice(position, 0, task);
+
+      const template = document.createElement('template');
+      template.innerHTML = createTaskElement(task).trim();
+      const element = template.content.firstElementChild;
+      element.classList.add('slide-in');
+
+      if (existing) existing.remove();
+      const next = tasks[position + 1]
+        ? taskList.querySelector(`[data-task-id="${tasks[position + 1]._id}"]`)
+        : null;
+      taskList.insertBefore(element, next);
+
+      // 한 페이지를 넘으면 마지막 항목은 다음 페이지로 밀려남
+      if (tasks.length > pageSize) {
+        const overflow = tasks.pop();
+        const overflowElement = taskList.querySelector(`[data-task-id="${overflow._id}"]`);
+        if (overflowElement) overflowElement.remove();
+      }
+    }
+  }
+
+  // 빈 목록 안내 표시/제거
+  if (tasks.length === 0 || taskList.querySelector('.empty-state')) {
+    renderTaskList();
+  }
+  updateBulkActionBar();
+}
+
+/**
+ * 보드 화면에 할 일 변경 반영 함수
+ * 서버와 같은 규칙으로 열을 정하고 열 안의 순서(position)에 맞춰 넣습니다
+ *
+ * @param {Object} task - 할 일 객체
+ * @param {boolean} matches - 현재 필터 조건과 일치 여부
+ */
+function patchBoard(task, matches) {
+  boardColumns.forEach(column => {
+    column.tasks = column.tasks.filter(t => t._id !== task._id);
+  });
+
+  if (matches && boardColumns.length > 0) {
+    const keys = boardColumns.map(column => column.key);
+    const lastKey = keys[keys.length - 1];
+    let key = task.completed ? lastKey : task.status;
+    if (!task.completed && (!keys.includes(key) || key === lastKey)) {
+      key = keys[0];
+    }
+
+    const column = boardColumns[keys.indexOf(key)];
+    column.tasks.push(task);
+    column.tasks.sort((a, b) =>
+      ((a.position || 0) - (b.position || 0)) || (new Date(a.createdAt) - new Date(b.createdAt)));
+  }
+
+  tasks = boardColumns.flatMap(column => column.tasks);
+  renderBoard();
+}
+
+/**
+ * 달력 화면에 할 일 변경 반영 함수
+ * 마감일이 조회 기간 안이면 달력에, 마감일이 없으면 마감일 없음 패널에 넣습니다
+ *
+ * @param {Object} task - 할 일 객체
+ * @param {boolean} matches - 현재 필터 조건과 일치 여부
+ */
+function patchCalendar(task, matches) {
+  calendarTasks = calendarTasks.filter(t => t._id !== task._id);
+  unscheduledTasks = unscheduledTasks.filter(t => t._id !== task._id);
+
+  if (matches) {
+    const range = getCalendarRange();
+    const dueKey = task.dueDate ? toDateKey(task.dueDate) : null;
+
+    if (!dueKey) {
+      unscheduledTasks.push(task);
+      unscheduledTasks.sort((a, b) =>
+        (b.priority - a.priority) || (new Date(b.createdAt) - new Date(a.createdAt)));
+    } else if (dueKey >= range.from && dueKey < range.to) {
+      calendarTasks.push(task);
+      calendarTasks.sort((a, b) =>
+        (new Date(a.dueDate) - new Date(b.dueDate)) || (b.priority - a.priority));
+    }
+  }
+
+  tasks = [...calendarTasks, ...unscheduledTasks];
+  renderCalendar();
+}
+
+/**
+ * 현재 보기(목록/보드/달력)에 할 일 변경 반영 함수
+ *
+ * @param {Object} task - 할 일 객체
+ * @param {boolean} matches - 현재 필터 조건과 일치 여부 (false이면 화면에서 제거)
+ */
+function patchCurrentView(task, matches) {
+  if (currentViewMode === 'board') {
+    patchBoard(task, matches);
+  } else if (currentViewMode === 'calendar') {
+    patchCalendar(task, matches);
+  } else {
+    patchTaskList(task, matches);
+  }
+}
+
+/**
+ * 할 일 변경 반영 함수
+ * 서버 이벤트나 내 요청의 응답으로 받은 할 일을 현재 화면에 반영합니다 (같은 할 일을 여러 번 반영해도 결과는 같음)
+ *
+ * @param {Object} task - 할 일 객체 (담당자 정보 포함)
+ */
+function applyTaskChange(task) {
+  const matches = matchesCurrentFilters(task);
+  if (matches === null) {
+    scheduleTaskReload();
+    return;
+  }
+
+  patchCurrentView(task, matches);
+
+  // 수정 모달에 열려 있는 할 일이면 체크리스트와 변경 비교 기준도 갱신
+  if (currentEditingTask && currentEditingTask._id === task._id) {
+    currentEditingTask = task;
+    renderSubtaskList();
+  }
+}
+
+/**
+ * 할 일 삭제 반영 함수
+ *
+ * @param {string} taskId - 삭제된 할 일 ID
+ */
+function removeTaskLocally(taskId) {
+  const task = tasks.find(t => t._id === taskId);
+  if (task) {
+    patchCurrentView(task, false);
+  }
+
+  // 다른 사용자가 수정 중인 할 일을 삭제하면 모달 닫기
+  const modalElement = document.getElementById('editTaskModal');
+  if (currentEditingTask && currentEditingTask._id === taskId && modalElement.classList.contains('show')) {
+    bootstrap.Modal.getInstance(modalElement).hide();
+    showInfo('수정 중인 할 일이 삭제되었습니다.');
+  }
+}
+
+/**
+ * 보드 열 순서 반영 함수 (task:moved)
+ *
+ * @param {Object} task - 이동한 할 일 객체
+ * @param {Array<string>|null} order - 이동한 열의 할 일 ID 순서
+ */
+function applyTaskMove(task, order) {
+  applyTaskChange(task);
+  if (currentViewMode !== 'board' || !order) return;
+
+  const column = boardColumns.find(col => col.tasks.some(t => t._id === task._id));
+  if (!column) return;
+
+  // 순서 목록에 없는 할 일(필터로 가려졌다 나타난 할 일 등)은 뒤에 유지
+  const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+  column.tasks.sort((a, b) => rank(a._id) - rank(b._id));
+  tasks = boardColumns.flatMap(col => col.tasks);
+  renderBoard();
+}
+
+/**
+ * 할 일 변경 서버 이벤트 처리 함수
+ *
+ * @param {string} event - 이벤트 이름 (task:created, task:updated, task:moved, task:deleted, tasks:changed)
+ * @param {Object} data - 이벤트 데이터
+ */
+function handleTaskEvent(event, data) {
+  if (event === 'tasks:changed') {
+    // 다른 목록의 변경은 프로젝트를 선택하지 않은 "나에게 할당됨" 목록에만 영향
+    const crossProject = !currentProjectId && getFilterQuery().assignedTo === 'me';
+    if ((data.projectId || null) !== currentProjectId && !crossProject) return;
+
+    scheduleTaskReload();
+  } else if (event === 'task:deleted') {
+    removeTaskLocally(data.taskId);
+  } else if (event === 'task:moved') {
+    applyTaskMove(data.task, data.order);
+  } else {
+    applyTaskChange(data.task);
+  }
+
+  scheduleStatsReload();
+}
+
+// ===========================
+// 오프라인 지원 함수
+// ===========================
+
+// 마지막 조회 응답과 오프라인 변경 대기열을 저장하는 IndexedDB
+const OFFLINE_DB_NAME = 'taskflow-offline';
+const OFFLINE_DB_VERSION = 1;
+
+// 저장해 둘 최대 조회 응답 수 (검색어, 필터 조합마다 하나씩 쌓이므로 오래된 것부터 삭제)
+const OFFLINE_SNAPSHOT_LIMIT = 50;
+
+// 오프라인에서 만든 할 일의 임시 ID 접두사
+const LOCAL_TASK_PREFIX = 'local-';
+
+// 변경을 대기열에 저장했을 때 안내 문구
+const OFFLINE_QUEUED_MESSAGE = '오프라인 상태라 변경 내용을 저장해 두었습니다. 다시 연결되면 서버에 전송합니다.';
+
+/**
+ * 서비스 워커 등록 함수 (앱 화면 파일 캐시, 설치형 웹 앱)
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.error('서비스 워커 등록 실패:', error);
+  });
+}
+
+/**
+ * 오프라인 데이터베이스 열기 함수
+ *
+ * @returns {Promise<IDBDatabase>} 데이터베이스
+ */
+function openOfflineDb() {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // 사용자와 요청 URL별 마지막 조회 응답
+        const snapshots = db.createObjectStore('snapshots', { keyPath: 'key' });
+        snapshots.createIndex('savedAt', 'savedAt');
+        // 서버에 보내지 못한 변경 (저장 순서대로 다시 보냄)
+        db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return offlineDbPromise;
+}
+
+/**
+ * 오프라인 저장소 작업 실행 함수
+ *
+ * @param {string} storeName - 저장소 이름 ('snapshots' 또는 'mutations')
+ * @param {string} mode - 'readonly' 또는 'readwrite'
+ * @param {Function} operation - 저장소를 받아 요청을 반환하는 함수
+ * @returns {Promise<*>} 요청 결과 (트랜잭션 완료 후)
+ */
+async function runOfflineStore(storeName, mode, operation) {
+  const db = await openOfflineDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * 조회 응답 저장 함수
+ *
+ * @param {string} url - API 요청 URL
+ * @param {Object} data - API 응답
+ */
+async function saveOfflineSnapshot(url, data) {
+  if (!currentUser) return;
+
+  try {
+    await runOfflineStore('snapshots', 'readwrite', store => {
+      store.put({ key: `${currentUser._id}:${url}`, data, savedAt: Date.now() });
+
+      // 한도를 넘으면 오래된 응답 삭제
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - OFFLINE_SNAPSHOT_LIMIT;
+        if (excess <= 0) return;
+
+        store.index('savedAt').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess -= 1;
+          cursor.continue();
+        };
+      };
+    });
+  } catch (error) {
+    console.error('오프라인 데이터 저장 실패:', error);
+  }
+}
+
+/**
+ * 저장된 조회 응답 읽기 함수
+ *
+ * @param {string} url - API 요청 URL
+ * @returns {Promise<Object|null>} 저장된 API 응답
+ */
+async function readOfflineSnapshot(url) {
+  if (!currentUser) return null;
+
+  try {
+    const record = await runOfflineStore('snapshots', 'readonly',
+      store => store.get(`${currentUser._id}:${url}`));
+    return record ? record.data : null;
+  } catch (error) {
+    console.error('오프라인 데이터 읽기 실패:', error);
+    return null;
+  }
+}
+
+/**
+ * 오프라인 데이터 삭제 함수 (로그아웃 시)
+ */
+async function clearOfflineData() {
+  try {
+    await runOfflineStore('snapshots', 'readwrite', store => store.clear());
+    await runOfflineStore('mutations', 'readwrite', store => store.clear());
+  } catch (error) {
+    console.error('오프라인 데이터 삭제 실패:', error);
+  }
+}
+
+/**
+ * 현재 사용자의 대기 중인 변경 목록 조회 함수
+ *
+ * @returns {Promise<Array<Object>>} 저장 순서대로 정렬된 변경 목록
+ */
+async function loadPendingMutations() {
+  if (!currentUser) return [];
+
+  try {
+    const mutations = await runOfflineStore('mutations', 'readonly', store => store.getAll());
+    return mutations.filter(mutation => mutation.userId === currentUser._id);
+  } catch (error) {
+    console.error('오프라인 변경 목록 조회 실패:', error);
+    return [];
+  }
+}
+
+/**
+ * 대기 중인 변경 수 갱신 함수
+ */
+async function refreshPendingMutationCount() {
+  pendingMutationCount = (await loadPendingMutations()).length;
+  updateOfflineIndicator();
+}
+
+/**
+ * 오프라인 상태 표시 갱신 함수
+ */
+function updateOfflineIndicator() {
+  const indicator = document.getElementById('offlineIndicator');
+
+  if (!isOffline && pendingMutationCount === 0) {
+    indicator.style.display = 'none';
+    return;
+  }
+
+  indicator.style.display = 'inline-block';
+  indicator.innerHTML = isOffline
+    ? `<i class="bi bi-wifi-off"></i> 오프라인${pendingMutationCount > 0 ? ` · 대기 ${pendingMutationCount}건` : ''}`
+    : `<i class="bi bi-arrow-repeat"></i> 동기화 대기 ${pendingMutationCount}건`;
+}
+
+/**
+ * 온라인/오프라인 상태 변경 함수
+ * 다시 연결되면 대기 중인 변경을 서버에 보냅니다
+ *
+ * @param {boolean} offline - 오프라인 여부
+ */
+function setOfflineState(offline) {
+  if (isOffline === offline) return;
+
+  isOffline = offline;
+  updateOfflineIndicator();
+
+  if (offline) {
+    showInfo('오프라인 상태입니다. 변경 내용은 저장해 두었다가 다시 연결되면 전송합니다.');
+  } else {
+    syncPendingMutations();
+  }
+}
+
+/**
+ * 오프라인에서 만든 할 일인지 확인하는 함수
+ *
+ * @param {string} taskId - 할 일 ID
+ * @returns {boolean} 임시 ID 여부
+ */
+function isLocalTaskId(taskId) {
+  return String(taskId).startsWith(LOCAL_TASK_PREFIX);
+}
+
+/**
+ * 화면에 표시할 변경 후 할 일 생성 함수
+ *
+ * @param {Object} task - 변경 전 할 일
+ * @param {Object} changes - 요청 본문 (API 입력 형식)
+ * @returns {Object} 변경 내용을 반영한 할 일 (동기화 대기 표시 포함)
+ */
+function buildLocalTask(task, changes) {
+  const definedChanges = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+  const localTask = { ...task, ...definedChanges, pendingSync: true };
+
+  // 담당자는 사용자 ID로 보내므로 화면에는 기존 담당자 정보를 유지
+  localTask.assignees = task.assignees || [];
+
+  if (changes.dueDate !== undefined) {
+    localTask.dueDate = changes.dueDate ? parseDateKey(changes.dueDate).toISOString() : null;
+  }
+
+  return localTask;
+}
+
+/**
+ * 오프라인에서 만든 할 일 생성 함수 (서버에 저장되기 전까지 임시 ID 사용)
+ *
+ * @param {Object} body - POST /api/tasks 요청 본문
+ * @returns {Object} 화면에 표시할 할 일
+ */
+function buildNewLocalTask(body) {
+  const now = new Date().toISOString();
+
+  return buildLocalTask({
+    _id: `${LOCAL_TASK_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    userId: currentUser._id,
+    projectId: null,
+    description: '',
+    completed: false,
+    tags: [],
+    subtasks: [],
+    assignees: [],
+    reminders: [],
+    createdAt: now,
+    updatedAt: now
+  }, body);
+}
+
+/**
+ * 할 일 변경 대기열 저장 함수
+ * 오프라인에서 만든 할 일의 수정/삭제는 서버에 보낼 생성 요청에 합치거나 생성 요청을 취소합니다
+ *
+ * @param {Object} mutation - { method, url, body, task, localTask }
+ */
+async function queueTaskMutation({ method, url, body, task, localTask }) {
+  if (task && isLocalTaskId(task._id)) {
+    const mutations = await loadPendingMutations();
+    const create = mutations.find(item => item.method === 'POST' && item.localTask._id === task._id);
+
+    if (create) {
+      await runOfflineStore('mutations', 'readwrite', store => {
+        if (method === 'DELETE') return store.delete(create.id);
+
+        // 보드 순서는 생성 요청에 포함할 수 없음
+        const { order, ...changes } = body;
+        create.body = { ...create.body, ...changes };
+        if (create.body.dueDate === null) delete create.body.dueDate;
+        create.localTask = localTask;
+        return store.put(create);
+      });
+    }
+  } else {
+    await runOfflineStore('mutations', 'readwrite', store => store.add({
+      userId: currentUser._id,
+      method,
+      url,
+      body,
+      taskId: task ? task._id : null,
+      // 다시 보낼 때 서버의 updatedAt이 이보다 나중이면 충돌로 판단
+      baseUpdatedAt: task ? task.updatedAt : null,
+      localTask,
+      queuedAt: new Date().toISOString()
+    }));
+  }
+
+  await refreshPendingMutationCount();
+}
+
+/**
+ * 할 일 변경 요청 함수
+ * 온라인이면 바로 API를 호출하고, 오프라인이거나 먼저 보낼 변경이 남아 있으면 대기열에 저장합니다
+ *
+ * @param {Object} mutation - 변경 요청
+ * @param {string} mutation.method - HTTP 메서드
+ * @param {string} mutation.url - API 요청 URL
+ * @param {Object} [mutation.body] - 요청 본문
+ * @param {Object|null} mutation.task - 변경 전 할 일 (생성이면 null)
+ * @param {Object|null} mutation.localTask - 화면에 표시할 변경 후 할 일 (삭제면 null)
+ * @param {string|null} [mutation.etag] - 바로 보낼 때 If-Match로 보낼 할 일 버전
+ * @returns {Promise<Object|null>} API 응답 (대기열에 저장했으면 null)
+ */
+async function sendTaskMutation(mutation) {
+  const { method, url, body, task, etag } = mutation;
+
+  if (!isOffline && pendingMutationCount === 0 && !(task && isLocalTaskId(task._id))) {
+    try {
+      return await apiRequest(url, {
+        method,
+        ...(etag && { headers: { 'If-Match': etag } }),
+        ...(body && { body: JSON.stringify(body) })
+      });
+    } catch (error) {
+      if (!error.offline) throw error;
+    }
+  }
+
+  await queueTaskMutation(mutation);
+
+  // 순서를 지키기 위해 대기열에 넣은 경우 온라인이면 바로 보내기 시작
+  if (!isOffline) {
+    syncPendingMutations();
+  }
+  return null;
+}
+
+/**
+ * 대기 중인 변경 하나를 서버에 보내는 함수
+ * 서버의 할 일이 대기열에 넣은 뒤 다른 곳에서 바뀌었으면(updatedAt 비교) 덮어쓸지 묻습니다.
+ * 할 일 수정은 확인한 버전을 If-Match로 보내, 확인한 뒤 다른 곳에서 수정되면 다른 곳의 변경을 유지합니다
+ *
+ * @param {Object} mutation - 대기 중인 변경
+ * @param {Array<Object>} mutations - 전체 대기 목록 (같은 할 일의 다음 변경 기준 갱신용)
+ * @returns {Promise<string>} 결과 ('applied', 'conflict', 'missing', 'failed', 'offline')
+ */
+async function replayMutation(mutation, mutations) {
+  try {
+    let etag = null;
+    if (mutation.taskId) {
+      let current;
+      try {
+        const currentResponse = await apiRequest(`/tasks/${mutation.taskId}`);
+        current = currentResponse.data.task;
+        etag = currentResponse.etag || null;
+      } catch (error) {
+        // 다른 곳에서 이미 삭제된 할 일
+        if (error.status === 404) {
+          removeTaskLocally(mutation.taskId);
+          return mutation.method === 'DELETE' ? 'applied' : 'missing';
+        }
+        throw error;
+      }
+
+      if (new Date(current.updatedAt) > new Date(mutation.baseUpdatedAt)) {
+        const action = mutation.method === 'DELETE' ? '삭제' : '변경';
+        const overwrite = confirm(
+          `'${current.title}' 할 일이 오프라인 동안 다른 곳에서 수정되었습니다.\n\n` +
+          `확인: 오프라인에서 한 ${action}을 적용합니다.\n취소: 다른 곳에서 수정한 내용을 유지합니다.`
+        );
+
+        if (!overwrite) {
+          applyTaskChange(current);
+          return 'conflict';
+        }
+      }
+    }
+
+    let response;
+    try {
+      response = await apiRequest(mutation.url, {
+        method: mutation.method,
+        ...(etag && mutation.method === 'PUT' && mutation.url === `/tasks/${mutation.taskId}` && {
+          headers: { 'If-Match': etag }
+        }),
+        ...(mutation.body && { body: JSON.stringify(mutation.body) })
+      });
+    } catch (error) {
+      if (error.status === 412 && error.data) {
+        applyTaskChange(error.data.task);
+        return 'conflict';
+      }
+      throw error;
+    }
+    const savedTask = response.data && response.data.task;
+
+    if (mutation.method === 'POST') {
+      // 임시 ID로 표시하던 할 일을 서버의 할 일로 교체
+      removeTaskLocally(mutation.localTask._id);
+      applyTaskChange(savedTask);
+    } else if (mutation.method === 'DELETE') {
+      removeTaskLocally(mutation.taskId);
+    } else if (savedTask) {
+      applyTaskChange(savedTask);
+
+      // 같은 할 일의 다음 변경은 방금 저장한 버전과 비교
+      const later = mutations.filter(item => item.taskId === mutation.taskId && item.id > mutation.id);
+      if (later.length > 0) {
+        later.forEach(item => { item.baseUpdatedAt = savedTask.updatedAt; });
+        await runOfflineStore('mutations', 'readwrite', store => {
+          later.forEach(item => store.put(item));
+        });
+      }
+    }
+
+    return 'applied';
+
+  } catch (error) {
+    // 요청 제한(429)에 걸렸으면 오프라인일 때처럼 남은 변경을 두고 다음에 다시 보냄
+    if (error.offline || error.status === 429) return 'offline';
+
+    console.error('오프라인 변경 전송 실패:', error);
+    mutation.error = error.message;
+    return 'failed';
+  }
+}
+
+/**
+ * 대기 중인 변경 전송 함수
+ * 저장 순서대로 보내고, 중간에 다시 연결이 끊기면 남은 변경은 그대로 둡니다
+ */
+async function syncPendingMutations() {
+  if (isSyncing || isOffline || !currentUser) return;
+  isSyncing = true;
+
+  const summary = { applied: 0, conflict: 0, missing: 0, failed: [] };
+
+  try {
+    const mutations = await loadPendingMutations();
+
+    for (const mutation of mutations) {
+      const result = await replayMutation(mutation, mutations);
+      if (result === 'offline') break;
+
+      await runOfflineStore('mutations', 'readwrite', store => store.delete(mutation.id));
+
+      if (result === 'failed') {
+        summary.failed.push(mutation.error);
+      } else {
+        summary[result] += 1;
+      }
+    }
+
+  } catch (error) {
+    console.error('오프라인 변경 동기화 실패:', error);
+  } finally {
+    isSyncing = false;
+    await refreshPendingMutationCount();
+  }
+
+  const total = summary.applied + summary.conflict + summary.missing + summary.failed.length;
+  if (total === 0) return;
+
+  if (summary.failed.length > 0) {
+    showError(`오프라인 변경 ${summary.failed.length}건을 저장하지 못했습니다: ${[...new Set(summary.failed)].join(', ')}`);
+  } else {
+    const skipped = summary.conflict + summary.missing;
+    showSuccess(`오프라인 변경 ${summary.applied}건을 동기화했습니다.${skipped > 0 ? ` (${skipped}건은 다른 곳의 변경 유지)` : ''}`);
+  }
+
+  scheduleTaskReload();
+  scheduleStatsReload();
+}
+
+/**
+ * 대기 중인 변경을 화면에 다시 반영하는 함수
+ * 오프라인에서 저장된 목록을 불러온 뒤, 아직 서버에 보내지 못한 변경을 그 위에 표시합니다
+ */
+async function reapplyPendingMutations() {
+  const mutations = await loadPendingMutations();
+
+  mutations.forEach(mutation => {
+    if (mutation.method === 'DELETE') {
+      const task = tasks.find(t => t._id === mutation.taskId);
+      if (task) patchCurrentView(task, false);
+    } else if (mutation.localTask) {
+      // 서버만 판단할 수 있는 조건이어도 다시 불러오지 않고 표시
+      patchCurrentView(mutation.localTask, matchesCurrentFilters(mutation.localTask) !== false);
+    }
+  });
+}
+
+// ===========================
+// 마감 알림 관련 함수
+// ===========================
+
+// 수정 모달에서 선택할 수 있는 알림 시점 (마감일 기준 몇 분 전)
+const REMINDER_PRESETS = [10080, 2880, 1440, 0];
+
+/**
+ * 마감 알림 입력 필드 채우기 함수
+ *
+ * @param {Array<number>} reminders - 알림 시점 목록
+ */
+function fillReminderFields(reminders) {
+  REMINDER_PRESETS.forEach(minutes => {
+    document.getElementById(`reminder${minutes}`).checked = (reminders || []).includes(minutes);
+  });
+}
+
+/**
+ * 마감 알림 입력값 읽기 함수
+ * API로 설정한 선택지 밖의 알림 시점은 그대로 유지합니다
+ *
+ * @param {Array<number>} previous - 기존 알림 시점 목록
+ * @returns {Array<number>} 알림 시점 목록
+ */
+function readReminderFields(previous) {
+  const custom = (previous || []).filter(minutes => !REMINDER_PRESETS.includes(minutes));
+  const selected = REMINDER_PRESETS.filter(minutes => document.getElementById(`reminder${minutes}`).checked);
+
+  return [...custom, ...selected];
+}
+
+/**
+ * 마감 알림 메일 수신 설정 변경 함수
+ */
+async function handleEmailRemindersToggle() {
+  const toggle = document.getElementById('emailRemindersToggle');
+
+  try {
+    const response = await apiRequest('/auth/me/preferences', {
+      method: 'PUT',
+      body: JSON.stringify({ emailReminders: toggle.checked })
+    });
+
+    // 다음에 계정 모달을 열 때도 같은 상태로 표시되도록 저장
+    currentUser.notificationPreferences = response.data.notificationPreferences;
+    localStorage.setItem('taskflow_user', JSON.stringify(currentUser));
+
+    showSuccess(response.message);
+
+  } catch (error) {
+    console.error('알림 설정 변경 실패:', error);
+    toggle.checked = !toggle.checked;
+    showError(error.message || '알림 설정 변경에 실패했습니다.');
+  }
+}
+
+// ===========================
+// 계정 관련 함수
+// ===========================
+
+/**
+ * 계정 모달 열기 함수
+ */
+async function openAccountModal() {
+  document.getElementById('accountName').textContent = currentUser ? currentUser.name : '';
+  document.getElementById('accountEmail').textContent = currentUser ? currentUser.email : '';
+  document.getElementById('calendarFeedUrlGroup').style.display = 'none';
+  document.getElementById('icsImportFile').value = '';
+  document.getElementById('icsImportResult').innerHTML = '';
+
+  // 가져오기 대상은 현재 선택된 목록
+  const project = getCurrentProject();
+  const targetLabel = project ? `"${project.name}" 프로젝트` : '내 할 일';
+  document.getElementById('icsImportTarget').textContent = targetLabel;
+  document.getElementById('transferTarget').textContent = targetLabel;
+  document.getElementById('externalImportTarget').textContent = targetLabel;
+  document.getElementById('icsImportBtn').disabled = !canEditCurrentWorkspace();
+  document.getElementById('taskImportFile').value = '';
+  document.getElementById('taskImportPreviewBtn').disabled = !canEditCurrentWorkspace();
+  document.getElementById('taskImportBtn').disabled = true;
+  document.getElementById('taskImportResult').innerHTML = '';
+  document.getElementById('externalImportFile').value = '';
+  document.getElementById('externalImportPreviewBtn').disabled = !canEditCurrentWorkspace();
+  resetExternalImport();
+
+  // 저장된 사용자 정보에 설정이 없으면 기본값(받기)
+  const preferences = (currentUser && currentUser.notificationPreferences) || {};
+  document.getElementById('emailRemindersToggle').checked = preferences.emailReminders !== false;
+
+  const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('accountModal'));
+  modal.show();
+
+  loadSessions();
+  loadTwoFactorStatus();
+
+  try {
+    const response = await apiRequest('/calendar/feed');
+    renderCalendarFeedStatus(response.data.feed);
+  } catch (error) {
+    console.error('캘린더 구독 상태 로드 실패:', error);
+    document.getElementById('calendarFeedStatus').textContent = '구독 상태를 불러오지 못했습니다.';
+  }
+}
+
+/**
+ * 2단계 인증 상태 불러오기 함수
+ * 진행 중이던 등록, 비밀번호 입력, 복구 코드 표시는 닫습니다
+ */
+async function loadTwoFactorStatus() {
+  hideTwoFactorPassword();
+  document.getElementById('twoFactorSetup').style.display = 'none';
+  document.getElementById('twoFactorRecoveryCodes').style.display = 'none';
+  document.getElementById('twoFactorStatus').textContent = '2단계 인증 상태를 불러오는 중...';
+
+  try {
+    const response = await apiRequest('/auth/2fa');
+    renderTwoFactorStatus(response.data);
+  } catch (error) {
+    console.error('2단계 인증 상태 로드 실패:', error);
+    document.getElementById('twoFactorStatus').textContent = '2단계 인증 상태를 불러오지 못했습니다.';
+  }
+}
+
+/**
+ * 2단계 인증 상태 표시 함수
+ *
+ * @param {Object} status - { enabled, enabledAt, recoveryCodesRemaining }
+ */
+function renderTwoFactorStatus(status) {
+  const statusElement = document.getElementById('twoFactorStatus');
+
+  if (status.enabled) {
+    statusElement.innerHTML = `
+      <span class="badge bg-success">사용 중</span>
+      설정일 ${new Date(status.enabledAt).toLocaleDateString('ko-KR')} · 남은 복구 코드 ${status.recoveryCodesRemaining}개
+    `;
+  } else {
+    statusElement.innerHTML = '<span class="badge bg-secondary">사용 안 함</span>';
+  }
+
+  document.getElementById('setupTwoFactorBtn').style.display = status.enabled ? 'none' : 'inline-block';
+  document.getElementById('regenerateRecoveryCodesBtn').style.display = status.enabled ? 'inline-block' : 'none';
+  document.getElementById('disableTwoFactorBtn').style.display = status.enabled ? 'inline-block' : 'none';
+}
+
+/**
+ * 2단계 인증 설정 작업 전 비밀번호 입력 요청 함수
+ *
+ * @param {string} action - 작업 ('setup', 'recovery-codes', 'disable')
+ */
+function requestTwoFactorPassword(action) {
+  twoFactorPasswordAction = action;
+
+  const input = document.getElementById('twoFactorPassword');
+  input.value = '';
+  document.getElementById('twoFactorPasswordGroup').style.display = 'flex';
+  input.focus();
+}
+
+/**
+ * 비밀번호 입력 닫기 함수
+ */
+function hideTwoFactorPassword() {
+  twoFactorPasswordAction = null;
+  document.getElementById('twoFactorPassword').value = '';
+  document.getElementById('twoFactorPasswordGroup').style.display = 'none';
+}
+
+/**
+ * 비밀번호 확인 후 2단계 인증 설정 작업 실행 함수
+ */
+async function handleTwoFactorPasswordConfirm() {
+  const action = twoFactorPasswordAction;
+  const password = document.getElementById('twoFactorPassword').value;
+  if (!action) return;
+
+  if (!password) {
+    showError('현재 비밀번호를 입력해주세요.');
     return;
   }
 
-  if (!confirm(`완료된 할 일 ${completedTasks.length}개를 삭제하시겠습니까?`)) {
+  if (action === 'disable' && !confirm('2단계 인증을 끄면 비밀번호만으로 로그인할 수 있습니다. 계속하시겠습니까?')) {
     return;
   }
 
   try {
-    // API를 통한 완료된 할 일 삭제
-    await apiRequest('/tasks/completed', {
-      method: 'DELETE'
+    const response = await apiRequest(`/auth/2fa/${action}`, {
+      method: 'POST',
+      body: JSON.stringify({ password })
     });
 
-    showSuccess(`완료된 할 일 ${completedTasks.length}개가 삭제되었습니다.`);
-    await loadTasks();
-    await loadStats();
+    hideTwoFactorPassword();
+
+    if (action === 'setup') {
+      showTwoFactorSetup(response.data);
+    } else if (action === 'recovery-codes') {
+      showSuccess(response.message);
+      showRecoveryCodes(response.data.recoveryCodes);
+      await refreshTwoFactorStatus();
+    } else {
+      showSuccess(response.message);
+      updateCurrentUser(response.data.user);
+      await loadTwoFactorStatus();
+    }
 
   } catch (error) {
-    console.error('완료된 할 일 삭제 실패:', error);
-    showError(error.message || '완료된 할 일 삭제에 실패했습니다.');
+    console.error('2단계 인증 설정 실패:', error);
+    showError(error.message || '요청을 처리하지 못했습니다.');
+    document.getElementById('twoFactorPassword').select();
   }
 }
 
 /**
- * 할 일 새로고침 함수
+ * 인증 앱 등록 화면 표시 함수
+ * QR 코드 라이브러리를 불러오지 못했으면 키와 인증 앱 링크만 표시합니다
+ *
+ * @param {Object} setup - { secret, otpauthUri }
  */
-async function refreshTasks() {
-  await loadTasks();
-  await loadStats();
-  showInfo('할 일 목록이 새로고침되었습니다.');
+function showTwoFactorSetup(setup) {
+  const qrElement = document.getElementById('twoFactorQr');
+
+  if (typeof qrcode === 'function') {
+    const qr = qrcode(0, 'M');
+    qr.addData(setup.otpauthUri);
+    qr.make();
+    qrElement.innerHTML = qr.createSvgTag(4, 8);
+  } else {
+    qrElement.innerHTML = '';
+  }
+
+  document.getElementById('twoFactorSecret').textContent = setup.secret.replace(/(.{4})/g, '$1 ').trim();
+  document.getElementById('twoFactorAppLink').href = setup.otpauthUri;
+  document.getElementById('twoFactorSetupCode').value = '';
+  document.getElementById('twoFactorRecoveryCodes').style.display = 'none';
+  document.getElementById('twoFactorSetup').style.display = 'block';
+  document.getElementById('twoFactorSetupCode').focus();
 }
 
 /**
- * 할 일 필터링 함수
+ * 2단계 인증 사용 설정 처리 함수
  */
-function filterTasks() {
-  loadTasks(); // 필터링 조건으로 목록 다시 로드
+async function handleEnableTwoFactor() {
+  const code = document.getElementById('twoFactorSetupCode').value.trim();
+  if (!code) {
+    showError('인증 앱에 표시된 코드를 입력해주세요.');
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+
+    showSuccess(response.message);
+    updateCurrentUser(response.data.user);
+    document.getElementById('twoFactorSetup').style.display = 'none';
+    showRecoveryCodes(response.data.recoveryCodes);
+    await refreshTwoFactorStatus();
+
+  } catch (error) {
+    console.error('2단계 인증 사용 설정 실패:', error);
+    showError(error.message || '2단계 인증을 설정하지 못했습니다.');
+    document.getElementById('twoFactorSetupCode').select();
+  }
+}
+
+/**
+ * 2단계 인증 상태만 다시 불러오는 함수 (표시 중인 복구 코드는 유지)
+ */
+async function refreshTwoFactorStatus() {
+  try {
+    const response = await apiRequest('/auth/2fa');
+    renderTwoFactorStatus(response.data);
+  } catch (error) {
+    console.error('2단계 인증 상태 로드 실패:', error);
+  }
+}
+
+/**
+ * 복구 코드 표시 함수
+ *
+ * @param {Array<string>} codes - 복구 코드 목록
+ */
+function showRecoveryCodes(codes) {
+  document.getElementById('twoFactorRecoveryCodeList').innerHTML = codes
+    .map(code => `<li>${escapeHtml(code)}</li>`)
+    .join('');
+  document.getElementById('twoFactorRecoveryCodes').style.display = 'block';
+}
+
+/**
+ * 복구 코드 복사 함수
+ */
+async function copyRecoveryCodes() {
+  const codes = Array.from(document.querySelectorAll('#twoFactorRecoveryCodeList li'))
+    .map(item => item.textContent)
+    .join('\n');
+
+  try {
+    await navigator.clipboard.writeText(codes);
+    showSuccess('복구 코드가 복사되었습니다.');
+  } catch (error) {
+    // 클립보드 API를 사용할 수 없으면 직접 복사하도록 선택
+    const range = document.createRange();
+    range.selectNodeContents(document.getElementById('twoFactorRecoveryCodeList'));
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    showInfo('복구 코드를 선택했습니다. Ctrl+C로 복사해주세요.');
+  }
+}
+
+/**
+ * 저장된 사용자 정보 갱신 함수
+ *
+ * @param {Object} user - 서버에서 받은 사용자 정보
+ */
+function updateCurrentUser(user) {
+  currentUser = user;
+  localStorage.setItem('taskflow_user', JSON.stringify(currentUser));
+}
+
+/**
+ * 로그인 세션 목록 불러오기 함수
+ */
+async function loadSessions() {
+  const list = document.getElementById('sessionList');
+  list.innerHTML = '<li class="list-group-item text-muted small">로그인한 기기를 불러오는 중...</li>';
+
+  try {
+    const response = await apiRequest('/auth/sessions');
+    renderSessions(response.data.sessions);
+  } catch (error) {
+    console.error('로그인 세션 목록 로드 실패:', error);
+    list.innerHTML = '<li class="list-group-item text-muted small">로그인한 기기를 불러오지 못했습니다.</li>';
+  }
+}
+
+/**
+ * 로그인 세션 목록 표시 함수
+ *
+ * @param {Array<Object>} sessions - 세션 목록 ({ _id, device, ip, createdAt, lastSeenAt, current })
+ */
+function renderSessions(sessions) {
+  document.getElementById('sessionList').innerHTML = sessions.map(session => `
+    <li class="list-group-item">
+      <i class="bi ${/Android|iPhone|iPad/.test(session.device) ? 'bi-phone' : 'bi-laptop'} fs-5 text-muted"></i>
+      <div class="flex-grow-1">
+        <div>
+          ${escapeHtml(session.device)}
+          ${session.current ? '<span class="badge bg-primary ms-1">현재 기기</span>' : ''}
+        </div>
+        <small class="text-muted">
+          ${escapeHtml(session.ip || 'IP 알 수 없음')} · 마지막 사용 ${new Date(session.lastSeenAt).toLocaleString('ko-KR')}
+          · 로그인 ${new Date(session.createdAt).toLocaleDateString('ko-KR')}
+        </small>
+      </div>
+      <button type="button" class="btn btn-sm btn-outline-secondary" onclick="revokeSession('${session._id}', ${session.current})">
+        로그아웃
+      </button>
+    </li>
+  `).join('');
+}
+
+/**
+ * 로그인 세션 취소 함수
+ * 현재 기기의 세션이면 이 브라우저도 로그아웃합니다
+ *
+ * @param {string} sessionId - 세션 ID
+ * @param {boolean} isCurrent - 현재 기기의 세션인지 여부
+ */
+async function revokeSession(sessionId, isCurrent) {
+  if (isCurrent) {
+    await handleLogout();
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    showSuccess(response.message);
+    await loadSessions();
+
+  } catch (error) {
+    console.error('로그인 세션 취소 실패:', error);
+    showError(error.message || '기기 로그아웃에 실패했습니다.');
+  }
+}
+
+/**
+ * 모든 기기에서 로그아웃 처리 함수
+ */
+async function handleLogoutAll() {
+  let message = '이 기기를 포함한 모든 기기에서 로그아웃하시겠습니까?';
+  if (pendingMutationCount > 0) {
+    message += `\n서버에 보내지 못한 변경 ${pendingMutationCount}건도 삭제됩니다.`;
+  }
+  if (!confirm(message)) return;
+
+  try {
+    const response = await apiRequest('/auth/logout-all', { method: 'POST' });
+    await finishLogout(response.message);
+
+  } catch (error) {
+    console.error('모든 기기 로그아웃 실패:', error);
+    showError(error.message || '모든 기기에서 로그아웃하지 못했습니다.');
+  }
+}
+
+/**
+ * 캘린더 구독 상태 표시 함수
+ *
+ * @param {Object} feed - 구독 상태 ({ enabled, createdAt, lastAccessedAt })
+ */
+function renderCalendarFeedStatus(feed) {
+  const status = document.getElementById('calendarFeedStatus');
+
+  if (feed.enabled) {
+    const lastAccessed = feed.lastAccessedAt
+      ? new Date(feed.lastAccessedAt).toLocaleString('ko-KR')
+      : '아직 없음';
+    status.innerHTML = `
+      <span class="badge bg-success">사용 중</span>
+      발급일 ${new Date(feed.createdAt).toLocaleString('ko-KR')} · 마지막 조회 ${lastAccessed}
+    `;
+  } else {
+    status.innerHTML = '<span class="badge bg-secondary">사용 안 함</span>';
+  }
+
+  document.getElementById('rotateCalendarFeedBtn').innerHTML = feed.enabled
+    ? '<i class="bi bi-arrow-repeat"></i> 구독 주소 재발급'
+    : '<i class="bi bi-arrow-repeat"></i> 구독 주소 발급';
+  document.getElementById('revokeCalendarFeedBtn').style.display = feed.enabled ? 'inline-block' : 'none';
+}
+
+/**
+ * 캘린더 구독 주소 발급(재발급) 처리 함수
+ */
+async function handleRotateCalendarFeed() {
+  const isEnabled = document.getElementById('revokeCalendarFeedBtn').style.display !== 'none';
+  if (isEnabled && !confirm('구독 주소를 재발급하면 기존 주소로 구독 중인 캘린더는 더 이상 갱신되지 않습니다. 계속하시겠습니까?')) {
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/calendar/feed', { method: 'POST' });
+
+    renderCalendarFeedStatus(response.data.feed);
+    document.getElementById('calendarFeedUrl').value = response.data.url;
+    document.getElementById('calendarFeedUrlGroup').style.display = 'block';
+
+    showSuccess(response.message);
+
+  } catch (error) {
+    console.error('캘린더 구독 주소 발급 실패:', error);
+    showError(error.message || '구독 주소 발급에 실패했습니다.');
+  }
+}
+
+/**
+ * 캘린더 구독 해지 처리 함수
+ */
+async function handleRevokeCalendarFeed() {
+  if (!confirm('캘린더 구독을 해지하시겠습니까? 구독 중인 캘린더는 더 이상 갱신되지 않습니다.')) {
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/calendar/feed', { method: 'DELETE' });
+
+    renderCalendarFeedStatus(response.data.feed);
+    document.getElementById('calendarFeedUrlGroup').style.display = 'none';
+
+    showSuccess(response.message);
+
+  } catch (error) {
+    console.error('캘린더 구독 해지 실패:', error);
+    showError(error.message || '구독 해지에 실패했습니다.');
+  }
+}
+
+/**
+ * 캘린더 구독 주소 복사 함수
+ */
+async function copyCalendarFeedUrl() {
+  const input = document.getElementById('calendarFeedUrl');
+
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showSuccess('구독 주소가 복사되었습니다.');
+  } catch (error) {
+    // 클립보드 API를 사용할 수 없으면 직접 복사하도록 선택
+    input.select();
+    showInfo('주소를 선택했습니다. Ctrl+C로 복사해주세요.');
+  }
+}
+
+/**
+ * .ics 파일 가져오기 처리 함수
+ */
+async function handleIcsImport() {
+  const file = document.getElementById('icsImportFile').files[0];
+  const resultBox = document.getElementById('icsImportResult');
+
+  if (!file) {
+    showError('가져올 .ics 파일을 선택해주세요.');
+    return;
+  }
+
+  try {
+    const content = await file.text();
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+
+    const response = await apiRequest(`/calendar/import${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/calendar' },
+      body: content
+    });
+
+    const { results, summary } = response.data;
+    const failed = results.filter(result => result.error);
+    const warned = results.filter(result => !result.error && result.warnings.length > 0);
+
+    resultBox.innerHTML = `
+      <div>전체 ${summary.total}개 중 ${summary.imported}개를 가져왔습니다.${summary.failed > 0 ? ` (실패 ${summary.failed}개)` : ''}</div>
+      ${[...failed, ...warned].length > 0 ? `
+      <ul class="import-result-list">
+        ${failed.map(result => `
+          <li class="text-danger">${escapeHtml(result.title || '(제목 없음)')}: ${escapeHtml(result.message)}</li>
+        `).join('')}
+        ${warned.map(result => `
+          <li class="text-warning">${escapeHtml(result.title)}: ${escapeHtml(result.warnings.join(' '))}</li>
+        `).join('')}
+      </ul>` : ''}
+    `;
+
+    if (summary.imported > 0) {
+      showSuccess(response.message);
+      await loadTasks();
+      await loadStats();
+    }
+
+  } catch (error) {
+    console.error('캘린더 가져오기 실패:', error);
+    resultBox.innerHTML = '';
+    showError(error.message || '캘린더 가져오기에 실패했습니다.');
+  }
+}
+
+/**
+ * 할 일 내보내기 함수
+ * 인증 헤더가 필요하므로 파일을 직접 받아 다운로드 링크로 저장합니다
+ *
+ * @param {string} format - 파일 형식 (csv, json)
+ */
+async function exportTasks(format) {
+  const params = new URLSearchParams({ format });
+  if (currentProjectId) {
+    params.set('projectId', currentProjectId);
+  }
+
+  try {
+    const response = await fetchWithAuth(`${API_BASE_URL}/tasks/export?${params.toString()}`);
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.message || `HTTP 오류: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filenameMatch = disposition.match(/filename="([^"]+)"/);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filenameMatch ? filenameMatch[1] : `taskflow-tasks.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+
+  } catch (error) {
+    console.error('할 일 내보내기 실패:', error);
+    showError(error.message || '할 일 내보내기에 실패했습니다.');
+  }
+}
+
+/**
+ * 가져오기 결과 표시 함수
+ * 요약과 실패한 항목, 경고가 있는 항목을 표시합니다
+ *
+ * @param {HTMLElement} resultBox - 결과를 표시할 요소
+ * @param {Object} data - 가져오기 응답 데이터 ({ results, summary })
+ * @param {boolean} dryRun - 미리 보기 결과인지 여부
+ */
+function renderImportResult(resultBox, data, dryRun) {
+  const { results, summary } = data;
+  const failed = results.filter(result => result.error);
+  const warned = results.filter(result => !result.error && result.warnings);
+  const label = result => `${result.row}번째 항목${result.title ? ` "${escapeHtml(result.title)}"` : ''}`;
+
+  const summaryText = dryRun
+    ? `전체 ${summary.total}개 중 ${summary.valid}개를 가져올 수 있습니다.`
+    : `전체 ${summary.total}개 중 ${summary.imported}개를 가져왔습니다.`;
+
+  resultBox.innerHTML = `
+    <div>${summaryText}${summary.failed > 0 ? ` (실패 ${summary.failed}개)` : ''}</div>
+    ${failed.length + warned.length > 0 ? `
+    <ul class="import-result-list">
+      ${failed.map(result => `
+        <li class="text-danger">${label(result)}: ${escapeHtml(result.message)}</li>
+      `).join('')}
+      ${warned.map(result => `
+        <li class="text-warning">${label(result)}: ${escapeHtml(result.warnings.join(' '))}</li>
+      `).join('')}
+    </ul>` : ''}
+  `;
+}
+
+/**
+ * 할 일 가져오기 처리 함수
+ * 미리 보기(dryRun)로 행마다 검사 결과를 확인한 뒤 가져오기를 실행합니다
+ *
+ * @param {boolean} dryRun - true면 저장하지 않고 검사 결과만 표시
+ */
+async function handleTaskImport(dryRun) {
+  const file = document.getElementById('taskImportFile').files[0];
+  const importBtn = document.getElementById('taskImportBtn');
+  const resultBox = document.getElementById('taskImportResult');
+
+  if (!file) {
+    showError('가져올 CSV 또는 JSON 파일을 선택해주세요.');
+    return;
+  }
+
+  const isJson = file.name.toLowerCase().endsWith('.json');
+
+  try {
+    const content = await file.text();
+    const params = new URLSearchParams({ dryRun: String(dryRun) });
+    if (currentProjectId) {
+      params.set('projectId', currentProjectId);
+    }
+
+    const response = await apiRequest(`/tasks/import?${params.toString()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': isJson ? 'application/json' : 'text/csv' },
+      body: content
+    });
+
+    const { summary } = response.data;
+    renderImportResult(resultBox, response.data, dryRun);
+
+    // 미리 보기에서 가져올 수 있는 항목이 있을 때만 가져오기 허용
+    importBtn.disabled = !dryRun || summary.valid === 0;
+
+    if (!dryRun && summary.imported > 0) {
+      showSuccess(response.message);
+      await loadTasks();
+      await loadStats();
+    }
+
+  } catch (error) {
+    console.error('할 일 가져오기 실패:', error);
+    resultBox.innerHTML = '';
+    importBtn.disabled = true;
+    showError(error.message || '할 일 가져오기에 실패했습니다.');
+  }
+}
+
+// 다른 앱 가져오기 원본별 파일 형식
+const EXTERNAL_IMPORT_ACCEPT = {
+  todoist: '.csv,text/csv',
+  trello: '.json,application/json',
+  todotxt: '.txt,text/plain'
+};
+
+/**
+ * 다른 앱 가져오기 상태 초기화 함수
+ * 원본이나 파일을 바꾸면 다시 미리 보기를 해야 가져올 수 있습니다
+ */
+function resetExternalImport() {
+  document.getElementById('externalImportBtn').disabled = true;
+  document.getElementById('externalImportMapping').innerHTML = '';
+  document.getElementById('externalImportResult').innerHTML = '';
+}
+
+/**
+ * 다른 앱 가져오기 원본 변경 처리 함수
+ */
+function handleExternalImportSourceChange() {
+  const source = document.getElementById('externalImportSource').value;
+  const fileInput = document.getElementById('externalImportFile');
+
+  fileInput.accept = EXTERNAL_IMPORT_ACCEPT[source];
+  fileInput.value = '';
+  resetExternalImport();
+}
+
+/**
+ * 목록별 카테고리 매핑 표시 함수
+ * TaskFlow 카테고리와 이름이 다른 목록만 카테고리를 고를 수 있도록 표시합니다
+ *
+ * @param {Array} listCategories - 원본 목록별 카테고리 ({ name, count, known, category })
+ */
+function renderExternalImportMapping(listCategories) {
+  const container = document.getElementById('externalImportMapping');
+  const unknown = listCategories.filter(item => !item.known);
+
+  if (unknown.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="small text-muted mb-1">목록별로 가져올 카테고리를 선택하세요.</div>
+    <table class="table table-sm align-middle mb-0">
+      <tbody>
+        ${unknown.map(item => `
+          <tr>
+            <td>${escapeHtml(item.name)} <span class="text-muted">(${item.count}개)</span></td>
+            <td style="width: 160px;">
+              <select class="form-select form-select-sm"></select>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  // 선택지는 현재 목록의 카테고리, 원본 목록 이름은 속성 이스케이프 없이 직접 설정
+  container.querySelectorAll('select').forEach((select, index) => {
+    fillCategoryOptions(select, categories);
+    select.dataset.sourceList = unknown[index].name;
+    select.value = unknown[index].category;
+  });
+}
+
+/**
+ * 다른 앱 가져오기 처리 함수
+ * 미리 보기(dryRun)로 목록별 카테고리와 항목별 검사 결과를 확인한 뒤 가져오기를 실행합니다
+ *
+ * @param {boolean} dryRun - true면 저장하지 않고 검사 결과만 표시
+ */
+async function handleExternalImport(dryRun) {
+  const source = document.getElementById('externalImportSource').value;
+  const file = document.getElementById('externalImportFile').files[0];
+  const importBtn = document.getElementById('externalImportBtn');
+  const resultBox = document.getElementById('externalImportResult');
+
+  if (!file) {
+    showError('가져올 파일을 선택해주세요.');
+    return;
+  }
+
+  // 이미 고른 카테고리 매핑 유지
+  const categoryMap = {};
+  document.querySelectorAll('#externalImportMapping select[data-source-list]').forEach(select => {
+    categoryMap[select.dataset.sourceList] = select.value;
+  });
+
+  try {
+    const content = await file.text();
+    const params = new URLSearchParams({ dryRun: String(dryRun) });
+    if (currentProjectId) {
+      params.set('projectId', currentProjectId);
+    }
+
+    const response = await apiRequest(`/tasks/import/${source}?${params.toString()}`, {
+      method: 'POST',
+      body: JSON.stringify({ content, categoryMap })
+    });
+
+    if (dryRun) {
+      renderExternalImportMapping(response.data.categories);
+    } else {
+      document.getElementById('externalImportMapping').innerHTML = '';
+    }
+    renderImportResult(resultBox, response.data, dryRun);
+
+    // 미리 보기에서 가져올 수 있는 항목이 있을 때만 가져오기 허용
+    importBtn.disabled = !dryRun || response.data.summary.valid === 0;
+
+    if (!dryRun && response.data.summary.imported > 0) {
+      showSuccess(response.message);
+      await loadTasks();
+      await loadStats();
+    }
+
+  } catch (error) {
+    console.error('다른 앱 가져오기 실패:', error);
+    resultBox.innerHTML = '';
+    importBtn.disabled = true;
+    showError(error.message || '가져오기에 실패했습니다.');
+  }
 }
 
 // ===========================
@@ -694,7 +6837,8 @@ function filterTasks() {
 async function loadStats() {
   try {
     // API를 통한 통계 정보 조회
-    const response = await apiRequest('/tasks/stats');
+    const query = currentProjectId ? `?projectId=${currentProjectId}` : '';
+    const response = await apiRequest(`/tasks/stats${query}`, { offlineCache: true });
     const stats = response.data.stats;
 
     // 통계 정보 UI 업데이트
@@ -709,6 +6853,9 @@ async function loadStats() {
     document.getElementById('completedTasks').textContent = '0';
     document.getElementById('completionRate').textContent = '0%';
   }
+
+  // 태그 사용 횟수도 할 일 변경에 따라 달라지므로 함께 갱신
+  await loadTags();
 }
 
 // ===========================
@@ -717,7 +6864,7 @@ async function loadStats() {
 
 /**
  * HTML 이스케이프 함수
- * XSS 공격 방지를 위해 문자열을 안전한 HTML로 변환합니다
+ * XSS 공격 방지를 위해 문자열을 안전한 HTML로 변환합니다 (속성 값에 넣을 수 있도록 따옴표도 변환)
  *
  * @param {string} text - 변환할 텍스트
  * @returns {string} 이스케이프된 텍스트
@@ -725,7 +6872,31 @@ async function loadStats() {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * 검색어 강조 표시 함수
+ * HTML 이스케이프 후 검색 단어와 일치하는 부분을 <mark>로 감쌉니다
+ *
+ * @param {string} text - 원본 텍스트
+ * @returns {string} 강조 표시된 HTML 문자열
+ */
+function highlightText(text) {
+  if (searchTerms.length === 0) return escapeHtml(text);
+
+  // 긴 구문이 먼저 매칭되도록 정렬하고 정규식 특수문자 이스케이프
+  const pattern = searchTerms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  const regex = new RegExp(`(${pattern})`, 'gi');
+
+  // split에 캡처 그룹을 사용하면 홀수 번째 조각이 일치한 부분
+  return text.split(regex)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
 }
 
 /**
@@ -800,4 +6971,30 @@ function showNotification(message, type = 'info') {
 // 전역 스코프에 함수 노출 (HTML onclick 핸들러에서 접근 가능하도록)
 window.toggleTaskComplete = toggleTaskComplete;
 window.editTask = editTask;
-window.deleteTask = deleteTask;
\ No newline at end of file
+window.deleteTask = deleteTask;
+window.toggleSubtask = toggleSubtask;
+window.moveSubtask = moveSubtask;
+window.removeSubtask = removeSubtask;
+window.selectWorkspace = selectWorkspace;
+window.respondInvitation = respondInvitation;
+window.changeMemberRole = changeMemberRole;
+window.removeMember = removeMember;
+window.cancelInvitation = cancelInvitation;
+window.applyView = applyView;
+window.deleteView = deleteView;
+window.toggleTaskSelection = toggleTaskSelection;
+window.updateBoardColumn = updateBoardColumn;
+window.moveBoardColumn = moveBoardColumn;
+window.removeBoardColumn = removeBoardColumn;
+window.updateCategory = updateCategory;
+window.moveCategory = moveCategory;
+window.deleteCategory = deleteCategory;
+window.confirmDeleteCategory = confirmDeleteCategory;
+window.cancelDeleteCategory = cancelDeleteCategory;
+window.addTagFilter = addTagFilter;
+window.toggleTagFilter = toggleTagFilter;
+window.updateMergeTagsButton = updateMergeTagsButton;
+window.renameTag = renameTag;
+window.deleteTag = deleteTag;
+window.openNotification = openNotification;
+window.revokeSession = revokeSession;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * TaskFlow 서비스 워커
+ *
+ * 이 파일은 네트워크 없이도 앱을 열 수 있도록 앱 화면 파일(App Shell)을 캐시합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 설치 시 HTML, CSS, JavaScript, 아이콘과 CDN 라이브러리(Bootstrap, QR 코드) 미리 캐시
+ * - 같은 출처의 파일은 네트워크 우선 (연결되어 있으면 항상 최신 파일 사용, 실패하면 캐시)
+ * - 버전이 고정된 CDN 파일(Bootstrap, 글꼴)은 캐시 우선 후 백그라운드 갱신
+ * - 캐시 버전이 바뀌면 이전 캐시 삭제
+ *
+ * API 요청(/api/)은 캐시하지 않습니다. 마지막 할 일 목록과 오프라인 변경 대기열은 app.js가 IndexedDB에 저장합니다.
+ */
+
+// 캐시 이름 (미리 캐시할 파일 목록이 바뀌면 버전을 올림)
+const CACHE_NAME = 'taskflow-shell-v2';
+
+// 같은 출처의 앱 화면 파일
+const APP_SHELL = [
+  '/',
+  '/css/style.css',
+  '/js/app.js',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-maskable.svg'
+];
+
+// CDN 라이브러리 (실패해도 설치는 계속 진행)
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/bootstrap-icons.css',
+  'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js'
+];
+
+// 캐시 우선으로 처리할 외부 호스트 (아이콘 글꼴, Google Fonts 포함)
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * 설치: 앱 화면 파일 미리 캐시
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    await Promise.all(CDN_ASSETS.map(url =>
+      cache.add(url).catch(error => console.warn(`CDN 파일 캐시 실패: ${url}`, error))
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+/**
+ * 활성화: 이전 버전 캐시 삭제
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('taskflow-') && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * 네트워크 우선 처리 함수
+ * 응답을 캐시에 저장하고, 네트워크 오류 시 캐시된 응답(페이지 이동이면 첫 화면)을 반환합니다
+ *
+ * @param {Request} request - 요청
+ * @returns {Promise<Response>} 응답
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request.mode === 'navigate' ? '/' : request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request.mode === 'navigate' ? '/' : request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * 캐시 우선 처리 함수 (캐시가 있으면 바로 반환하고 백그라운드에서 갱신)
+ *
+ * @param {FetchEvent} event - fetch 이벤트
+ * @returns {Promise<Response>} 응답
+ */
+async function cacheFirst(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(event.request);
+
+  const update = fetch(event.request).then(response => {
+    // 글꼴 등 CORS 없이 받은 응답(opaque)도 캐시
+    if (response.ok || response.type === 'opaque') {
+      cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => null));
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * 요청 처리
+ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // API 요청과 실시간 이벤트 스트림은 서비스 워커를 거치지 않음
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(event));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -3,45 +3,93 @@
  *
  * 이 파일은 사용자 인증 관련 API 엔드포인트를 정의합니다.
  * 다음과 같은 주요 기능을 포함합니다:
- * - 회원가입 (/register)
- * - 로그인 (/login)
- * - 로그아웃 (/logout)
- * - JWT 토큰 생성 및 검증
+ * - 회원가입 (/register) 및 이메일 인증 (/verify-email, /resend-verification)
+ * - 로그인 (/login) 및 2단계 인증 코드 확인 (/login/2fa)
+ * - 외부 ID 공급자(OIDC) 로그인 (/oidc/providers, /oidc/:provider/start, /oidc/:provider/callback)
+ * - 비밀번호 재설정 (/forgot-password, /reset-password)
+ * - 액세스 토큰 갱신 (/refresh)
+ * - 로그아웃 (/logout) 및 모든 기기에서 로그아웃 (/logout-all)
+ * - 로그인 세션 목록 조회 및 개별 취소 (/sessions)
+ * - 알림 수신 설정 변경 (/me/preferences)
  * - 입력 데이터 유효성 검사
+ * - 로그인 시도와 메일 발송 요청 제한, 로그인 실패가 쌓인 계정의 점진적 잠금
+ *
+ * 로그인하면 짧은 수명의 액세스 토큰(token)과 리프레시 토큰(refreshToken)을 발급하고,
+ * 로그인 세션은 서버에 저장합니다 (utils/authTokens.js).
+ * 이메일 인증과 비밀번호 재설정 링크는 한 번만 쓸 수 있는 서명된 토큰으로 메일로 보냅니다 (utils/accountTokens.js).
  */
 
 const express = require('express');       // Express 라우터
-const jwt = require('jsonwebtoken');       // JWT 토큰 생성
 const User = require('../models/User');    // 사용자 모델
+const Session = require('../models/Session'); // 로그인 세션 모델
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { startSession, refreshSession, revokeSessions } = require('../utils/authTokens'); // 토큰 발급 및 세션 관리
+const {
+  isEmailUnverified,
+  isRestrictedWhenUnverified,
+  canSendAccountMail,
+  sendAccountMail,
+  consumeAccountToken,
+  getAppUrl
+} = require('../utils/accountTokens'); // 이메일 인증 및 비밀번호 재설정 메일
+const { startTwoFactorChallenge, completeTwoFactorChallenge } = require('../utils/twoFactor'); // 로그인 2단계 인증
+const {
+  LOGIN_STATE_TTL_SECONDS,
+  getOidcProviders,
+  findOidcProvider,
+  startOidcLogin,
+  readLoginState,
+  completeOidcLogin,
+  findOrCreateOidcUser
+} = require('../utils/oidc'); // 외부 ID 공급자(OIDC) 로그인
+const { loginLimiter, accountMailLimiter } = require('../middleware/rateLimit'); // 요청 제한
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit'); // 로그인 실패 잠금
 
 const router = express.Router();
 
+// 외부 로그인 진행 상태를 보관하는 쿠키 (콜백에서만 전송)
+const OIDC_STATE_COOKIE = 'taskflow_oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+/**
+ * 계정 확인 메일 백그라운드 발송 함수
+ * 응답을 기다리게 하지 않고, 실패하면 기록만 합니다 (사용자는 메일을 다시 요청할 수 있음)
+ *
+ * @param {Object} user - 사용자 문서
+ * @param {string} type - 메일 종류 (emailVerification, passwordReset)
+ * @param {Object} req - 요청 객체
+ */
+const sendAccountMailInBackground = (user, type, req) => {
+  sendAccountMail(user, type, req).catch(error => {
+    console.error('계정 확인 메일 발송 중 오류 발생:', error);
+  });
+};
+
 /**
- * JWT 토큰 생성 함수
- * 사용자 정보를 담은 JWT 토큰을 생성합니다
+ * 계정 잠금 응답 함수
+ * 로그인 실패가 쌓여 잠긴 계정이면 429와 Retry-After 헤더로 응답합니다
  *
- * @param {Object} user - 사용자 객체
- * @returns {string} JWT 토큰
+ * @param {Object} res - 응답 객체
+ * @param {{ retryAfterSeconds: number }} lockout - 잠금 정보
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      email: user.email
-    },
-    process.env.JWT_SECRET || 'your-secret-key', // 환경 변수 또는 기본 시크릿 키
-    {
-      expiresIn: '7d' // 토큰 만료 기간: 7일
-    }
-  );
+const sendLoginLockout = (res, lockout) => {
+  res.set('Retry-After', String(lockout.retryAfterSeconds));
+  res.status(429).json({
+    error: true,
+    message: `로그인에 여러 번 실패해 잠시 로그인할 수 없습니다. ${Math.ceil(lockout.retryAfterSeconds / 60)}분 후에 다시 시도해주세요.`,
+    data: {
+      retryAfter: lockout.retryAfterSeconds
+    }
+  });
 };
 
 /**
  * POST /api/auth/register
  * 회원가입 API
- * 새로운 사용자를 생성하고 JWT 토큰을 반환합니다
+ * 새로운 사용자를 생성하고 인증 메일을 보낸 뒤 JWT 토큰을 반환합니다.
+ * 미인증 계정의 로그인이 제한되어 있으면(UNVERIFIED_RESTRICTIONS=login) 토큰 없이 응답합니다
  */
-router.post('/register', async (req, res) => {
+router.post('/register', accountMailLimiter, async (req, res) => {
   try {
     // 요청 본문에서 필요한 정보 추출
     const { name, email, password } = req.body;
@@ -84,14 +132,30 @@ router.post('/register', async (req, res) => {
     const newUser = new User({
       name: name.trim(),
       email: email.toLowerCase().trim(),
-      password
+      password,
+      emailVerified: false
     });
 
     // 데이터베이스에 저장
     await newUser.save();
 
-    // JWT 토큰 생성
-    const token = generateToken(newUser);
+    // 이메일 인증 메일 발송
+    sendAccountMailInBackground(newUser, 'emailVerification', req);
+
+    // 인증 전 로그인이 제한되어 있으면 토큰을 발급하지 않음
+    if (isRestrictedWhenUnverified('login')) {
+      return res.status(201).json({
+        error: false,
+        message: '회원가입이 완료되었습니다. 메일함에서 인증 링크를 눌러 이메일을 인증한 뒤 로그인해주세요.',
+        data: {
+          user: newUser,
+          emailVerificationRequired: true
+        }
+      });
+    }
+
+    // 로그인 세션 생성 및 토큰 발급
+    const { token, refreshToken } = await startSession(newUser, req);
 
     // 성공 응답
     res.status(201).json({
@@ -99,7 +163,8 @@ router.post('/register', async (req, res) => {
       message: '회원가입이 성공적으로 완료되었습니다.',
       data: {
         user: newUser, // User 모델의 toJSON 메서드로 비밀번호가 제거됨
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -126,9 +191,11 @@ router.post('/register', async (req, res) => {
 /**
  * POST /api/auth/login
  * 로그인 API
- * 이메일과 비밀번호를 확인하여 JWT 토큰을 반환합니다
+ * 이메일과 비밀번호를 확인하여 JWT 토큰을 반환합니다.
+ * 2단계 인증을 켠 계정이면 토큰 대신 { twoFactorRequired: true, challengeToken }을 반환합니다 (/login/2fa로 완료)
+ * 같은 계정(이메일)으로 로그인에 여러 번 실패하면 비밀번호가 맞아도 잠시 429로 거부합니다
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     // 요청 본문에서 이메일과 비밀번호 추출
     const { email, password } = req.body;
@@ -141,11 +208,22 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // 로그인 실패가 쌓여 잠긴 계정 확인 (가입하지 않은 이메일도 같게 처리)
+    const lockout = await getLoginLockout(email);
+    if (lockout) {
+      return sendLoginLockout(res, lockout);
+    }
+
     // 이메일로 사용자 조회 (비밀번호 필드 포함)
     const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
 
     // 사용자 존재 여부 확인
     if (!user) {
+      const lockedNow = await recordLoginFailure(email);
+      if (lockedNow) {
+        return sendLoginLockout(res, lockedNow);
+      }
+
       return res.status(401).json({
         error: true,
         message: '이메일 또는 비밀번호가 올바르지 않습니다.'
@@ -163,14 +241,45 @@ router.post('/login', async (req, res) => {
     // 비밀번호 비교
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lockedNow = await recordLoginFailure(email);
+      if (lockedNow) {
+        return sendLoginLockout(res, lockedNow);
+      }
+
       return res.status(401).json({
         error: true,
         message: '이메일 또는 비밀번호가 올바르지 않습니다.'
       });
     }
 
-    // JWT 토큰 생성
-    const token = generateToken(user);
+    // 이메일 인증 전 로그인 제한
+    if (isEmailUnverified(user) && isRestrictedWhenUnverified('login')) {
+      return res.status(403).json({
+        error: true,
+        message: '이메일 인증 후 로그인할 수 있습니다. 메일함에서 인증 링크를 확인해주세요.',
+        data: {
+          emailVerificationRequired: true
+        }
+      });
+    }
+
+    // 2단계 인증을 켠 계정은 코드를 확인한 뒤 토큰 발급 (실패 기록은 로그인을 마칠 때 초기화)
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const challenge = await startTwoFactorChallenge(user);
+
+      return res.status(200).json({
+        error: false,
+        message: '인증 앱에 표시된 코드를 입력해주세요.',
+        data: {
+          twoFactorRequired: true,
+          ...challenge
+        }
+      });
+    }
+
+    // 로그인 세션 생성 및 토큰 발급
+    const { token, refreshToken } = await startSession(user, req);
+    await clearLoginFailures(user.email);
 
     // 마지막 로그인 시간 업데이트 (선택적)
     user.updatedAt = new Date();
@@ -182,7 +291,8 @@ router.post('/login', async (req, res) => {
       message: '로그인에 성공했습니다.',
       data: {
         user: user, // User 모델의 toJSON 메서드로 비밀번호가 제거됨
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -197,45 +307,587 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * POST /api/auth/logout
- * 로그아웃 API
- * 클라이언트 측에서 토큰을 삭제하도록 안내합니다
- * (실제 로그아웃은 클라이언트에서 처리)
+ * POST /api/auth/login/2fa
+ * 로그인 2단계 인증 API
+ * { challengeToken, code } 또는 { challengeToken, recoveryCode } 형식으로 받아 확인한 뒤 JWT 토큰을 반환합니다.
+ * 요청이 만료되었거나 실패가 너무 많으면 data.restartLogin이 true입니다 (비밀번호부터 다시 로그인)
+ * 잘못 입력한 코드는 계정의 로그인 실패로 기록합니다
+ */
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: true,
+        message: '인증 코드 또는 복구 코드를 입력해주세요.'
+      });
+    }
+
+    const result = await completeTwoFactorChallenge(challengeToken, { code, recoveryCode });
+    if (result.error) {
+      if (result.email) {
+        await recordLoginFailure(result.email);
+      }
+
+      return res.status(401).json({
+        error: true,
+        message: result.error,
+        data: {
+          restartLogin: Boolean(result.restartLogin)
+        }
+      });
+    }
+
+    const { user, recoveryCodesRemaining } = result.value;
+
+    // 로그인 세션 생성 및 토큰 발급
+    const { token, refreshToken } = await startSession(user, req);
+    await clearLoginFailures(user.email);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '로그인에 성공했습니다.',
+      data: {
+        user,
+        token,
+        refreshToken,
+        recoveryCodesRemaining
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '서버 내부 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * 요청 쿠키 조회 함수
+ *
+ * @param {Object} req - 요청 객체
+ * @param {string} name - 쿠키 이름
+ * @returns {string|null} 쿠키 값
+ */
+const readCookie = (req, name) => {
+  const cookies = String(req.get('Cookie') || '').split(';');
+  const found = cookies
+    .map(cookie => cookie.trim().split('='))
+    .find(([key]) => key === name);
+
+  return found ? decodeURIComponent(found.slice(1).join('=')) : null;
+};
+
+/**
+ * 외부 로그인 결과와 함께 웹 앱으로 돌아가는 함수
+ * 결과는 URL 해시(#)에 넣으므로 서버 접근 로그나 Referer 헤더에 남지 않습니다
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} key - 결과 종류 (oidcLogin, oidcTwoFactor, oidcError)
+ * @param {string} value - 결과 값
+ */
+const redirectToApp = (req, res, key, value) => {
+  res.redirect(`${getAppUrl(req)}/#${key}=${encodeURIComponent(value)}`);
+};
+
+/**
+ * 외부 로그인 콜백 주소 생성 함수 (공급자에 등록해야 하는 주소)
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} provider - 공급자 설정
+ * @returns {string} 콜백 주소
  */
-router.post('/logout', (req, res) => {
-  // 서버 측에서는 별도의 작업이 필요 없음
-  // 실제 로그아웃은 클라이언트에서 토큰을 삭제하여 처리
+const getOidcRedirectUri = (req, provider) => {
+  return `${getAppUrl(req)}/api/auth/oidc/${provider.id}/callback`;
+};
 
+/**
+ * GET /api/auth/oidc/providers
+ * 외부 로그인 공급자 목록 조회 API
+ * 로그인 화면에 표시할 공급자 ID와 이름을 반환합니다
+ */
+router.get('/oidc/providers', (req, res) => {
   res.status(200).json({
     error: false,
-    message: '로그아웃이 성공적으로 완료되었습니다.'
+    message: '외부 로그인 공급자 목록 조회에 성공했습니다.',
+    data: {
+      providers: getOidcProviders().map(({ id, name }) => ({ id, name }))
+    }
   });
 });
 
 /**
- * GET /api/auth/me
- * 현재 사용자 정보 조회 API
- * JWT 토큰을 검증하고 사용자 정보를 반환합니다
+ * GET /api/auth/oidc/:provider/start
+ * 외부 로그인 시작 API (브라우저 이동)
+ * 로그인 진행 상태를 쿠키에 저장하고 공급자 로그인 화면으로 이동합니다
  */
-router.get('/me', async (req, res) => {
+router.get('/oidc/:provider/start', async (req, res) => {
   try {
-    // Authorization 헤더에서 토큰 추출
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const provider = findOidcProvider(req.params.provider);
+    if (!provider) {
+      return redirectToApp(req, res, 'oidcError', '설정되지 않은 로그인 방법입니다.');
+    }
+
+    const { authorizationUrl, loginState } = await startOidcLogin(provider, getOidcRedirectUri(req, provider));
+
+    res.cookie(OIDC_STATE_COOKIE, loginState, {
+      path: OIDC_COOKIE_PATH,
+      httpOnly: true,
+      sameSite: 'lax', // 공급자에서 돌아오는 이동(GET)에는 전송
+      secure: req.secure || process.env.NODE_ENV === 'production',
+      maxAge: LOGIN_STATE_TTL_SECONDS * 1000
+    });
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('외부 로그인 시작 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '외부 로그인을 시작하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/callback
+ * 외부 로그인 콜백 API (공급자가 인증 코드와 함께 이동시키는 주소)
+ * 인증 코드를 확인해 사용자와 연결하고, 결과를 URL 해시에 넣어 웹 앱으로 이동합니다.
+ * - #oidcLogin=<리프레시 토큰>: 로그인 완료 (웹 앱이 바로 /refresh로 교체해 액세스 토큰을 받음)
+ * - #oidcTwoFactor=<요청 토큰>: 2단계 인증을 켠 계정 (/login/2fa로 완료)
+ * - #oidcError=<메시지>: 로그인 실패
+ */
+router.get('/oidc/:provider/callback', async (req, res) => {
+  try {
+    const loginState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_COOKIE_PATH });
+
+    const provider = findOidcProvider(req.params.provider);
+    if (!provider) {
+      return redirectToApp(req, res, 'oidcError', '설정되지 않은 로그인 방법입니다.');
+    }
+
+    // 사용자가 공급자 화면에서 취소했거나 공급자가 거부한 경우
+    if (req.query.error) {
+      console.warn(`외부 로그인 거부 (${provider.id}): ${req.query.error} ${req.query.error_description || ''}`);
+      return redirectToApp(req, res, 'oidcError', `${provider.name} 로그인이 취소되었거나 거부되었습니다.`);
+    }
+
+    const pending = readLoginState(loginState, provider, req.query.state);
+    if (pending.error) {
+      return redirectToApp(req, res, 'oidcError', pending.error);
+    }
+
+    if (!req.query.code) {
+      return redirectToApp(req, res, 'oidcError', '인증 코드를 받지 못했습니다. 다시 시도해주세요.');
+    }
+
+    let claims;
+    try {
+      claims = await completeOidcLogin(provider, {
+        code: req.query.code,
+        redirectUri: getOidcRedirectUri(req, provider),
+        ...pending.value
+      });
+    } catch (error) {
+      console.error(`외부 로그인 토큰 확인 중 오류 발생 (${provider.id}):`, error);
+      return redirectToApp(req, res, 'oidcError', `${provider.name} 로그인을 확인하지 못했습니다. 다시 시도해주세요.`);
+    }
+
+    const result = await findOrCreateOidcUser(provider, claims);
+    if (result.error) {
+      return redirectToApp(req, res, 'oidcError', result.error);
+    }
+
+    const user = result.value;
+
+    // 2단계 인증을 켠 계정은 코드를 확인한 뒤 토큰 발급
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const { challengeToken } = await startTwoFactorChallenge(user);
+      return redirectToApp(req, res, 'oidcTwoFactor', challengeToken);
+    }
+
+    // 로그인 세션 생성 (리프레시 토큰은 웹 앱이 바로 교체하므로 주소에 남은 값은 다시 쓸 수 없음)
+    const { refreshToken } = await startSession(user, req);
+    redirectToApp(req, res, 'oidcLogin', refreshToken);
+
+  } catch (error) {
+    console.error('외부 로그인 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '외부 로그인 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * 이메일 인증 API
+ * { token } 형식으로 인증 메일 링크의 토큰을 받아 이메일을 인증합니다 (로그인하지 않아도 사용 가능)
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
         error: true,
         message: '인증 토큰이 필요합니다.'
       });
     }
 
-    // 토큰 추출
-    const token = authHeader.substring(7); // 'Bearer ' 제거
+    const result = await consumeAccountToken(token, 'emailVerification', {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() }
+    });
+    if (result.error) {
+      return res.status(400).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '이메일 인증이 완료되었습니다.',
+      data: {
+        user: result.value
+      }
+    });
+
+  } catch (error) {
+    console.error('이메일 인증 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '이메일 인증 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * 인증 메일 재발송 API
+ * { email } 형식으로 받아 미인증 계정이면 새 인증 메일을 보냅니다 (1분에 한 번).
+ * 가입 여부를 알 수 없도록 항상 같은 응답을 반환합니다
+ */
+router.post('/resend-verification', accountMailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: '이메일은 필수 항목입니다.'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+    if (user && isEmailUnverified(user) && canSendAccountMail(user, 'emailVerification')) {
+      sendAccountMailInBackground(user, 'emailVerification', req);
+    }
+
+    res.status(200).json({
+      error: false,
+      message: '인증이 필요한 계정이면 인증 메일을 보냈습니다. 메일함을 확인해주세요.'
+    });
+
+  } catch (error) {
+    console.error('인증 메일 재발송 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '인증 메일 재발송 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * 비밀번호 재설정 메일 요청 API
+ * { email } 형식으로 받아 가입된 계정이면 재설정 링크를 보냅니다 (1분에 한 번).
+ * 가입 여부를 알 수 없도록 항상 같은 응답을 반환합니다
+ */
+router.post('/forgot-password', accountMailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: '이메일은 필수 항목입니다.'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+    if (user && canSendAccountMail(user, 'passwordReset')) {
+      sendAccountMailInBackground(user, 'passwordReset', req);
+    }
+
+    res.status(200).json({
+      error: false,
+      message: '가입된 이메일이면 비밀번호 재설정 링크를 보냈습니다. 메일함을 확인해주세요.'
+    });
+
+  } catch (error) {
+    console.error('비밀번호 재설정 메일 요청 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '비밀번호 재설정 메일 요청 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * 비밀번호 재설정 API
+ * { token, password } 형식으로 받아 비밀번호를 바꾸고 모든 기기에서 로그아웃합니다.
+ * 메일의 링크를 열었으므로 미인증 계정이면 이메일도 인증된 것으로 처리합니다
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: true,
+        message: '재설정 토큰과 새 비밀번호는 필수 항목입니다.'
+      });
+    }
+
+    // 토큰을 사용하기 전에 비밀번호 길이 검사 (실패해도 같은 링크로 다시 시도 가능)
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        error: true,
+        message: '비밀번호는 최소 6자 이상이어야 합니다.'
+      });
+    }
+
+    const result = await consumeAccountToken(token, 'passwordReset');
+    if (result.error) {
+      return res.status(400).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.value._id).select('+password');
+    user.password = password;
+    if (user.emailVerified !== true) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // 이전 비밀번호로 로그인한 모든 기기에서 로그아웃
+    await revokeSessions({ userId: user._id });
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '비밀번호가 변경되었습니다. 새 비밀번호로 로그인해주세요.'
+    });
+
+  } catch (error) {
+    console.error('비밀번호 재설정 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '비밀번호 재설정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * 액세스 토큰 갱신 API
+ * { refreshToken } 형식으로 받아 새 액세스 토큰과 새 리프레시 토큰을 발급합니다.
+ * 사용한 리프레시 토큰은 더 이상 쓸 수 없습니다 (409: 다른 탭에서 방금 갱신함, 401: 세션 만료 또는 취소)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: true,
+        message: '리프레시 토큰이 필요합니다.'
+      });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '토큰이 갱신되었습니다.',
+      data: result.value
+    });
+
+  } catch (error) {
+    console.error('토큰 갱신 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '토큰 갱신 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * 로그아웃 API
+ * 현재 로그인 세션을 취소합니다. 이 세션의 액세스 토큰과 리프레시 토큰은 바로 사용할 수 없게 됩니다
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.user.sessionId, userId: req.user.id });
+
+    res.status(200).json({
+      error: false,
+      message: '로그아웃이 성공적으로 완료되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('로그아웃 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '로그아웃 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * 모든 기기에서 로그아웃 API
+ * 현재 세션을 포함한 사용자의 모든 로그인 세션을 취소합니다
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeSessions({ userId: req.user.id });
+
+    res.status(200).json({
+      error: false,
+      message: `모든 기기(${revokedCount}개)에서 로그아웃되었습니다.`,
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('모든 기기 로그아웃 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '모든 기기에서 로그아웃하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * 로그인 세션 목록 조회 API
+ * 최근 사용순으로 기기 이름, IP, 로그인 시각, 마지막 사용 시각을 반환합니다 (current: 현재 요청의 세션)
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user.id, expiresAt: { $gt: new Date() } })
+      .select('device ip lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      error: false,
+      message: '로그인 세션 목록 조회에 성공했습니다.',
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: String(session._id) === String(req.user.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('로그인 세션 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '로그인 세션 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * 로그인 세션 취소 API
+ * 본인의 세션 하나를 취소합니다 (현재 세션이면 로그아웃과 같음)
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+
+    // ObjectId 형식 유효성 검사
+    if (!sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: true,
+        message: '유효하지 않은 세션 ID입니다.'
+      });
+    }
+
+    const revokedCount = await revokeSessions({ _id: sessionId, userId: req.user.id });
+    if (revokedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: '로그인 세션을 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(200).json({
+      error: false,
+      message: '로그인 세션이 취소되었습니다.',
+      data: {
+        current: sessionId === String(req.user.sessionId)
+      }
+    });
 
-    // 토큰 검증
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  } catch (error) {
+    console.error('로그인 세션 취소 중 오류 발생:', error);
 
+    res.status(500).json({
+      error: true,
+      message: '로그인 세션 취소 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * 현재 사용자 정보 조회 API
+ * 액세스 토큰과 로그인 세션을 확인하고 사용자 정보를 반환합니다
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
     // 사용자 조회
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(401).json({
         error: true,
@@ -263,24 +915,57 @@ router.get('/me', async (req, res) => {
   } catch (error) {
     console.error('사용자 정보 조회 중 오류 발생:', error);
 
-    // JWT 관련 에러 처리
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
+    res.status(500).json({
+      error: true,
+      message: '서버 내부 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/me/preferences
+ * 알림 수신 설정 변경 API
+ * { emailReminders: boolean } 형식으로 받아 마감 알림 메일 수신 여부를 변경합니다
+ */
+router.put('/me/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { emailReminders } = req.body;
+
+    if (typeof emailReminders !== 'boolean') {
+      return res.status(400).json({
         error: true,
-        message: '유효하지 않은 토큰입니다.'
+        message: 'emailReminders는 true 또는 false여야 합니다.'
       });
     }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { 'notificationPreferences.emailReminders': emailReminders } },
+      { new: true }
+    );
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
         error: true,
-        message: '토큰이 만료되었습니다.'
+        message: '사용자를 찾을 수 없습니다.'
       });
     }
 
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '알림 설정이 저장되었습니다.',
+      data: {
+        notificationPreferences: user.notificationPreferences
+      }
+    });
+
+  } catch (error) {
+    console.error('알림 설정 변경 중 오류 발생:', error);
+
     res.status(500).json({
       error: true,
-      message: '서버 내부 오류가 발생했습니다.'
+      message: '알림 설정 변경 중 오류가 발생했습니다.'
     });
   }
 });
@@ -0,0 +1,386 @@
+/**
+ * 캘린더 연동 라우터
+ *
+ * 이 파일은 외부 캘린더 앱과의 연동(iCalendar .ics) 관련 API 엔드포인트를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 구독 토큰으로 접근하는 .ics 피드 (GET /:token.ics, 인증 헤더 불필요)
+ * - 구독 토큰 상태 조회, 재발급, 해지 (GET/POST/DELETE /feed)
+ * - .ics 파일에서 할 일 가져오기 (POST /import)
+ */
+
+const express = require('express');           // Express 라우터
+const Task = require('../models/Task');       // 할 일 모델
+const User = require('../models/User');       // 사용자 모델
+const Project = require('../models/Project'); // 프로젝트 모델
+const Category = require('../models/Category'); // 카테고리 모델
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { normalizeTaskInput, resolveCategory } = require('../utils/taskInput'); // 새 할 일 입력값 및 카테고리 검사
+const { COMPONENTS, buildCalendar, parseCalendar } = require('../utils/ical'); // iCalendar 생성 및 해석
+const { publishTasksChanged } = require('../utils/taskEvents'); // 할 일 변경 실시간 전송
+const { getAppUrl } = require('../utils/accountTokens'); // 공개 주소 (APP_URL)
+
+const router = express.Router();
+
+// 피드에 포함할 최대 할 일 수
+const FEED_LIMIT = 1000;
+
+// 한 번에 가져올 수 있는 최대 항목 수
+const IMPORT_LIMIT = 500;
+
+/**
+ * 구독 피드 URL 생성 함수
+ * 요청의 Host 헤더 대신 APP_URL을 기준으로 만듭니다 (운영 환경에서 APP_URL이 없으면 에러)
+ *
+ * @param {Object} req - 요청 객체
+ * @param {string} token - 구독 토큰 원문
+ * @returns {string} .ics 피드 URL
+ */
+const buildFeedUrl = (req, token) => {
+  return `${getAppUrl(req)}${req.baseUrl}/${token}.ics`;
+};
+
+/**
+ * 구독 피드 상태 응답 객체 생성 함수
+ *
+ * @param {Object} user - 사용자 문서 (calendarFeed.tokenHash 포함 조회)
+ * @returns {Object} 피드 상태 ({ enabled, createdAt, lastAccessedAt })
+ */
+const toFeedStatus = (user) => {
+  const feed = user.calendarFeed || {};
+
+  return {
+    enabled: Boolean(feed.tokenHash),
+    createdAt: feed.createdAt || null,
+    lastAccessedAt: feed.lastAccessedAt || null
+  };
+};
+
+/**
+ * GET /api/calendar/feed
+ * 구독 피드 상태 조회 API
+ * 토큰 원문은 저장하지 않으므로 발급 여부와 사용 기록만 반환합니다
+ */
+router.get('/feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarFeed.tokenHash');
+
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '캘린더 구독 상태 조회에 성공했습니다.',
+      data: {
+        feed: toFeedStatus(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('캘린더 구독 상태 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '캘린더 구독 상태 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/feed
+ * 구독 토큰 발급(재발급) API
+ * 새 토큰을 발급하면 이전 피드 URL은 즉시 사용할 수 없게 됩니다.
+ * 토큰 원문이 담긴 피드 URL은 이 응답에서만 확인할 수 있습니다
+ */
+router.post('/feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    // 주소를 만들 수 없으면 기존 구독 주소를 무효화하지 않도록 저장 전에 생성
+    const token = user.rotateCalendarToken();
+    const url = buildFeedUrl(req, token);
+    await user.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '캘린더 구독 주소가 발급되었습니다. 이전 주소는 더 이상 사용할 수 없습니다.',
+      data: {
+        feed: toFeedStatus(user),
+        url
+      }
+    });
+
+  } catch (error) {
+    console.error('캘린더 구독 주소 발급 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '캘린더 구독 주소 발급 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/calendar/feed
+ * 구독 토큰 해지 API
+ */
+router.delete('/feed', authenticateToken, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeed: 1 } });
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '캘린더 구독이 해지되었습니다.',
+      data: {
+        feed: { enabled: false, createdAt: null, lastAccessedAt: null }
+      }
+    });
+
+  } catch (error) {
+    console.error('캘린더 구독 해지 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '캘린더 구독 해지 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/import
+ * .ics 파일 가져오기 API
+ * 요청 본문에 .ics 파일 내용(Content-Type: text/calendar)을 받아 VEVENT/VTODO 항목을 할 일로 만듭니다.
+ * 각 항목은 POST /api/tasks와 같은 규칙으로 검사하며, 실패한 항목이 있어도 나머지는 가져옵니다.
+ * ?projectId=를 지정하면 해당 프로젝트(편집자 이상)로 가져옵니다
+ */
+router.post(
+  '/import',
+  authenticateToken,
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const { projectId } = req.query;
+
+      // 프로젝트로 가져오려면 편집 권한 필요
+      if (projectId) {
+        if (!String(projectId).match(/^[0-9a-fA-F]{24}$/)) {
+          return res.status(400).json({
+            error: true,
+            message: '유효하지 않은 프로젝트 ID입니다.'
+          });
+        }
+
+        const project = await Project.findById(projectId);
+        if (!project || !project.getMemberRole(req.user.id)) {
+          return res.status(404).json({
+            error: true,
+            message: '프로젝트를 찾을 수 없습니다.'
+          });
+        }
+
+        if (!project.hasRole(req.user.id, 'editor')) {
+          return res.status(403).json({
+            error: true,
+            message: '이 프로젝트에 대한 권한이 없습니다.'
+          });
+        }
+      }
+
+      const calendarResult = parseCalendar(req.body);
+      if (calendarResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: calendarResult.error
+        });
+      }
+
+      const { items } = calendarResult.value;
+
+      if (items.length === 0) {
+        return res.status(400).json({
+          error: true,
+          message: '가져올 일정(VEVENT) 또는 할 일(VTODO)이 없습니다.'
+        });
+      }
+
+      if (items.length > IMPORT_LIMIT) {
+        return res.status(400).json({
+          error: true,
+          message: `한 번에 최대 ${IMPORT_LIMIT}개까지 가져올 수 있습니다.`
+        });
+      }
+
+      const categories = await Category.findForScope(req.user.id, projectId || null);
+      const categoryNames = categories.map(category => category.name);
+      const results = [];
+      const newTasks = [];
+
+      for (const [index, item] of items.entries()) {
+        const result = { index, uid: item.uid, title: item.title, warnings: item.warnings };
+        results.push(result);
+
+        // 취소된 일정은 가져오지 않음
+        if (item.cancelled) {
+          result.error = true;
+          result.message = '취소된 일정입니다.';
+          continue;
+        }
+
+        // CATEGORIES 중 가져올 범위의 카테고리와 일치하는 첫 값은 카테고리로, 나머지는 태그로 사용
+        const category = item.categories.find(value => categoryNames.includes(value));
+        const tags = [...new Set(item.categories.filter(value => value !== category))];
+
+        const inputResult = normalizeTaskInput({
+          title: item.title,
+          description: item.description,
+          category,
+          priority: item.priority,
+          dueDate: item.dueDate,
+          tags,
+          recurrence: item.recurrence
+        });
+
+        if (inputResult.error) {
+          result.error = true;
+          result.message = inputResult.error;
+          continue;
+        }
+
+        const task = new Task({
+          userId: req.user.id,
+          projectId: projectId || undefined,
+          ...inputResult.value,
+          // 일치하는 카테고리가 없으면 기본 카테고리
+          category: resolveCategory(categories, inputResult.value.category).value,
+          completed: item.completed,
+          completedAt: item.completed ? new Date() : undefined
+        });
+
+        // POST /api/tasks와 같이 저장 시 스키마 유효성 검사 (제목 길이, 마감일 범위 등)
+        try {
+          await task.save();
+        } catch (validationError) {
+          if (validationError.name !== 'ValidationError') throw validationError;
+
+          result.error = true;
+          result.message = Object.values(validationError.errors).map(err => err.message).join(', ');
+          continue;
+        }
+
+        result.error = false;
+        result.taskId = task._id;
+        newTasks.push(task);
+      }
+
+      if (newTasks.length > 0) {
+        await publishTasksChanged(req.user.id, projectId || null);
+      }
+
+      // 성공 응답
+      res.status(200).json({
+        error: false,
+        message: `${newTasks.length}개의 할 일을 가져왔습니다.`,
+        data: {
+          results,
+          summary: {
+            total: results.length,
+            imported: newTasks.length,
+            failed: results.length - newTasks.length
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('캘린더 가져오기 중 오류 발생:', error);
+
+      res.status(500).json({
+        error: true,
+        message: '캘린더 가져오기 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/calendar/:token.ics
+ * 캘린더 구독 피드 API
+ * 캘린더 앱이 주기적으로 조회하므로 인증 헤더 대신 URL의 구독 토큰으로 사용자를 확인합니다.
+ * 개인 할 일과 참여 중인 프로젝트에서 나에게 할당된 할 일 중 마감일이 있는 할 일을 내보냅니다.
+ * ?component=todo를 지정하면 VEVENT 대신 VTODO로 내보냅니다
+ *
+ * 주의: /feed, /import 보다 나중에 등록해야 경로가 가려지지 않음
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const { component = 'event' } = req.query;
+
+    if (!COMPONENTS.includes(component)) {
+      return res.status(400).json({
+        error: true,
+        message: `component는 ${COMPONENTS.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    const user = await User.findByCalendarToken(req.params.token);
+
+    // 토큰이 틀렸거나 해지된 경우
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: '캘린더 피드를 찾을 수 없습니다.'
+      });
+    }
+
+    const myProjects = await Project.find({ 'members.userId': user._id }).select('_id');
+
+    const tasks = await Task.find({
+      dueDate: { $ne: null },
+      $or: [
+        { userId: user._id, projectId: null },
+        { projectId: { $in: myProjects.map(project => project._id) }, assignees: user._id }
+      ]
+    })
+      .sort({ dueDate: -1 })
+      .limit(FEED_LIMIT);
+
+    // 마지막 조회 시각 기록 (응답을 늦추지 않도록 기다리지 않음)
+    User.updateOne({ _id: user._id }, { 'calendarFeed.lastAccessedAt': new Date() })
+      .catch(error => console.error('캘린더 피드 조회 기록 중 오류 발생:', error));
+
+    const calendar = buildCalendar(tasks, {
+      name: `TaskFlow - ${user.name}`,
+      component,
+      domain: req.hostname
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="taskflow.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+
+  } catch (error) {
+    console.error('캘린더 피드 생성 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '캘린더 피드 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,505 @@
+/**
+ * 카테고리 라우터
+ *
+ * 이 파일은 개인 목록과 프로젝트별 카테고리 관련 API 엔드포인트를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 카테고리 목록 조회 (GET /, 카테고리가 없으면 기본 카테고리 생성)
+ * - 카테고리 생성/수정 (POST /, PUT /:id, 이름 변경 시 할 일과 저장된 보기도 함께 변경)
+ * - 카테고리 삭제 (DELETE /:id, 사용 중이면 다른 카테고리로 할 일을 옮긴 뒤 삭제)
+ * - JWT 인증 미들웨어 적용
+ * - 프로젝트 카테고리는 멤버만 조회, 편집자 이상만 변경 가능
+ */
+
+const express = require('express');             // Express 라우터
+const mongoose = require('mongoose');           // ObjectId 변환
+const Category = require('../models/Category'); // 카테고리 모델
+const Task = require('../models/Task');         // 할 일 모델
+const Project = require('../models/Project');   // 프로젝트 모델
+const View = require('../models/View');         // 저장된 보기 모델
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { publishTasksChanged } = require('../utils/taskEvents'); // 할 일 변경 실시간 전송
+
+const router = express.Router();
+
+// 모든 카테고리 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+/**
+ * 카테고리 범위 확인 함수
+ * 프로젝트를 지정하면 현재 사용자가 필요한 역할 이상의 멤버인지 확인합니다.
+ * 실패 시 에러 응답을 보내고 null을 반환합니다.
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} [projectId] - 프로젝트 ID (없으면 개인 카테고리)
+ * @param {string} minRole - 필요한 최소 역할 (viewer, editor, owner)
+ * @returns {Promise<{ project: Object|null }|null>} 범위 정보
+ */
+const resolveScope = async (req, res, projectId, minRole) => {
+  if (!projectId) {
+    return { project: null };
+  }
+
+  // ObjectId 형식 유효성 검사
+  if (!String(projectId).match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 프로젝트 ID입니다.'
+    });
+    return null;
+  }
+
+  const project = await Project.findById(projectId);
+
+  // 멤버가 아니면 프로젝트의 존재 여부도 알리지 않음
+  if (!project || !project.getMemberRole(req.user.id)) {
+    res.status(404).json({
+      error: true,
+      message: '프로젝트를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (!project.hasRole(req.user.id, minRole)) {
+    res.status(403).json({
+      error: true,
+      message: '이 프로젝트의 카테고리를 변경할 권한이 없습니다.'
+    });
+    return null;
+  }
+
+  return { project };
+};
+
+/**
+ * 카테고리 조회 및 권한 확인 함수
+ * 실패 시 에러 응답을 보내고 null을 반환합니다
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} [categoryId] - 카테고리 ID (기본값: req.params.id)
+ * @returns {Promise<Object|null>} 카테고리 문서
+ */
+const findEditableCategory = async (req, res, categoryId = req.params.id) => {
+  // ObjectId 형식 유효성 검사
+  if (!String(categoryId).match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 카테고리 ID입니다.'
+    });
+    return null;
+  }
+
+  const category = await Category.findById(categoryId);
+
+  // 다른 사용자의 개인 카테고리는 존재 여부도 알리지 않음
+  if (!category || (!category.projectId && category.userId.toString() !== req.user.id)) {
+    res.status(404).json({
+      error: true,
+      message: '카테고리를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (category.projectId) {
+    const scope = await resolveScope(req, res, category.projectId, 'editor');
+    if (!scope) return null;
+  }
+
+  return category;
+};
+
+/**
+ * 카테고리가 속한 범위의 할 일 조건 생성 함수
+ *
+ * @param {Object} category - 카테고리 문서
+ * @returns {Object} 할 일 조회 조건
+ */
+const taskScopeFilter = (category) => {
+  return category.projectId
+    ? { projectId: category.projectId }
+    : { userId: category.userId, projectId: null };
+};
+
+/**
+ * 카테고리 이름을 사용하는 저장된 보기 조건 생성 함수
+ * 개인 카테고리는 내 개인 목록 보기, 프로젝트 카테고리는 해당 프로젝트 보기가 대상입니다
+ *
+ * @param {Object} category - 카테고리 문서
+ * @returns {Object} 보기 조회 조건
+ */
+const viewScopeFilter = (category) => {
+  return category.projectId
+    ? { 'query.projectId': category.projectId.toString(), 'query.category': category.name }
+    : { userId: category.userId, 'query.projectId': { $exists: false }, 'query.category': category.name };
+};
+
+/**
+ * 카테고리 이름 변경 반영 함수
+ * 같은 범위의 할 일과 저장된 보기에 저장된 카테고리 이름을 바꾸고, 할 일이 바뀌면 목록 갱신 이벤트를 보냅니다
+ *
+ * @param {Object} category - 변경 전 이름을 가진 카테고리 문서
+ * @param {string} newName - 새 카테고리 이름
+ * @returns {Promise<number>} 변경된 할 일 수
+ */
+const renameCategoryUsage = async (category, newName) => {
+  const [taskResult] = await Promise.all([
+    Task.updateMany({ ...taskScopeFilter(category), category: category.name }, { $set: { category: newName } }),
+    View.updateMany(viewScopeFilter(category), { $set: { 'query.category': newName } })
+  ]);
+
+  if (taskResult.modifiedCount > 0) {
+    await publishTasksChanged(category.userId, category.projectId);
+  }
+
+  return taskResult.modifiedCount;
+};
+
+/**
+ * 카테고리 입력값 검사 함수
+ *
+ * @param {Object} input - 요청 본문 (name, color, icon)
+ * @returns {string|null} 에러 메시지
+ */
+const validateCategoryInput = ({ name, color, icon }) => {
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return '카테고리 이름은 필수 항목입니다.';
+  }
+
+  // 검색 조건 언어(category:업무,학습)와 CSV 태그 구분자로 쓰이는 문자는 사용할 수 없음
+  if (typeof name === 'string' && /[,:"]/.test(name)) {
+    return '카테고리 이름에는 쉼표(,), 콜론(:), 큰따옴표(")를 사용할 수 없습니다.';
+  }
+
+  if (color !== undefined && typeof color !== 'string') {
+    return '색상은 #RRGGBB 형식이어야 합니다.';
+  }
+
+  if (icon !== undefined && typeof icon !== 'string') {
+    return '아이콘은 bi-로 시작하는 Bootstrap Icons 이름이어야 합니다.';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/categories
+ * 카테고리 목록 조회 API
+ * ?projectId=를 지정하면 프로젝트 카테고리를, 없으면 개인 카테고리를 표시 순서대로 반환합니다.
+ * 각 카테고리를 사용하는 할 일 수(taskCount)를 함께 반환합니다
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+
+    const scope = await resolveScope(req, res, projectId, 'viewer');
+    if (!scope) return;
+
+    const { project } = scope;
+    const categories = await Category.findForScope(req.user.id, project ? project._id : null);
+
+    // 카테고리별 할 일 수
+    const counts = await Task.aggregate([
+      { $match: project ? { projectId: project._id } : { userId: new mongoose.Types.ObjectId(req.user.id), projectId: null } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(item => [item._id, item.count]));
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '카테고리 목록 조회에 성공했습니다.',
+      data: {
+        categories: categories.map(category => ({
+          ...category.toObject(),
+          taskCount: countMap.get(category.name) || 0
+        })),
+        canEdit: !project || project.hasRole(req.user.id, 'editor')
+      }
+    });
+
+  } catch (error) {
+    console.error('카테고리 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '카테고리 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/categories
+ * 카테고리 생성 API
+ * projectId를 지정하면 프로젝트 카테고리(편집자 이상)를 만들고, 새 카테고리는 목록의 마지막에 추가됩니다
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId, name, color, icon } = req.body;
+
+    const inputError = validateCategoryInput({ name: name === undefined ? '' : name, color, icon });
+    if (inputError) {
+      return res.status(400).json({
+        error: true,
+        message: inputError
+      });
+    }
+
+    const scope = await resolveScope(req, res, projectId, 'editor');
+    if (!scope) return;
+
+    const { project } = scope;
+    const categories = await Category.findForScope(req.user.id, project ? project._id : null);
+
+    if (categories.length >= Category.MAX_CATEGORIES) {
+      return res.status(400).json({
+        error: true,
+        message: `카테고리는 최대 ${Category.MAX_CATEGORIES}개까지 만들 수 있습니다.`
+      });
+    }
+
+    const newCategory = new Category({
+      ...Category.scopeFilter(req.user.id, project ? project._id : null),
+      name: name.trim(),
+      color: color || undefined,
+      icon: icon || undefined,
+      position: categories[categories.length - 1].position + 1
+    });
+
+    await newCategory.save();
+
+    // 성공 응답 (201: Created)
+    res.status(201).json({
+      error: false,
+      message: '카테고리가 추가되었습니다.',
+      data: {
+        category: { ...newCategory.toObject(), taskCount: 0 }
+      }
+    });
+
+  } catch (error) {
+    console.error('카테고리 생성 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    // 이름 중복 에러 처리
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: true,
+        message: '같은 이름의 카테고리가 이미 있습니다.'
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '카테고리 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/categories/:id
+ * 카테고리 수정 API
+ * 이름, 색상, 아이콘, 표시 순서, 기본 카테고리 여부를 수정합니다.
+ * 이름을 바꾸면 같은 범위의 할 일과 저장된 보기의 카테고리 이름도 함께 바뀝니다
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, color, icon, position, isDefault } = req.body;
+
+    const inputError = validateCategoryInput({ name, color, icon });
+    if (inputError) {
+      return res.status(400).json({
+        error: true,
+        message: inputError
+      });
+    }
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({
+        error: true,
+        message: '표시 순서는 0 이상의 정수여야 합니다.'
+      });
+    }
+
+    if (isDefault !== undefined && isDefault !== true) {
+      return res.status(400).json({
+        error: true,
+        message: '기본 카테고리는 다른 카테고리를 기본으로 지정해서 변경해주세요.'
+      });
+    }
+
+    const category = await findEditableCategory(req, res);
+    if (!category) return;
+
+    const newName = name !== undefined ? name.trim() : category.name;
+
+    if (newName !== category.name) {
+      const duplicate = await Category.exists({
+        ...Category.scopeFilter(category.userId, category.projectId),
+        name: newName
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          error: true,
+          message: '같은 이름의 카테고리가 이미 있습니다.'
+        });
+      }
+    }
+
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+    if (position !== undefined) category.position = position;
+
+    // 이름 형식을 먼저 검사한 뒤 할 일에 반영
+    const oldName = category.name;
+    category.name = newName;
+    await category.validate();
+
+    let renamedTaskCount = 0;
+    if (newName !== oldName) {
+      category.name = oldName;
+      renamedTaskCount = await renameCategoryUsage(category, newName);
+      category.name = newName;
+    }
+
+    // 기본 카테고리는 범위마다 하나
+    if (isDefault) {
+      await Category.updateMany(
+        { ...Category.scopeFilter(category.userId, category.projectId), _id: { $ne: category._id } },
+        { $set: { isDefault: false } }
+      );
+      category.isDefault = true;
+    }
+
+    await category.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '카테고리가 수정되었습니다.',
+      data: {
+        category,
+        renamedTaskCount
+      }
+    });
+
+  } catch (error) {
+    console.error('카테고리 수정 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    // 이름 중복 에러 처리
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: true,
+        message: '같은 이름의 카테고리가 이미 있습니다.'
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '카테고리 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/categories/:id
+ * 카테고리 삭제 API
+ * 이 카테고리를 사용하는 할 일이 있으면 ?reassignTo=<카테고리 ID>로 옮길 카테고리를 지정해야 하며,
+ * 지정하지 않으면 409와 함께 사용 중인 할 일 수를 반환합니다. 마지막 카테고리는 삭제할 수 없습니다
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { reassignTo } = req.query;
+
+    const category = await findEditableCategory(req, res);
+    if (!category) return;
+
+    const scopeFilter = Category.scopeFilter(category.userId, category.projectId);
+    const categoryCount = await Category.countDocuments(scopeFilter);
+
+    if (categoryCount <= 1) {
+      return res.status(400).json({
+        error: true,
+        message: '마지막 카테고리는 삭제할 수 없습니다.'
+      });
+    }
+
+    const taskCount = await Task.countDocuments({ ...taskScopeFilter(category), category: category.name });
+
+    // 옮길 카테고리 확인 (같은 범위의 다른 카테고리)
+    let target = null;
+    if (reassignTo) {
+      target = String(reassignTo).match(/^[0-9a-fA-F]{24}$/)
+        ? await Category.findOne({ ...scopeFilter, _id: reassignTo })
+        : null;
+
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          error: true,
+          message: '할 일을 옮길 카테고리를 찾을 수 없습니다.'
+        });
+      }
+    }
+
+    if (taskCount > 0 && !target) {
+      return res.status(409).json({
+        error: true,
+        message: `이 카테고리를 사용하는 할 일이 ${taskCount}개 있습니다. 할 일을 옮길 카테고리를 선택해주세요.`,
+        data: { taskCount }
+      });
+    }
+
+    let reassignedTaskCount = 0;
+    if (target && taskCount > 0) {
+      reassignedTaskCount = await renameCategoryUsage(category, target.name);
+    }
+
+    // 기본 카테고리를 삭제하면 옮길 카테고리(없으면 첫 번째 카테고리)가 기본이 됨
+    if (category.isDefault) {
+      const nextDefault = target || await Category.findOne({ ...scopeFilter, _id: { $ne: category._id } })
+        .sort({ position: 1, createdAt: 1 });
+      await Category.updateOne({ _id: nextDefault._id }, { $set: { isDefault: true } });
+    }
+
+    await category.deleteOne();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: reassignedTaskCount > 0
+        ? `카테고리가 삭제되었습니다. ${reassignedTaskCount}개의 할 일을 '${target.name}'(으)로 옮겼습니다.`
+        : '카테고리가 삭제되었습니다.',
+      data: {
+        reassignedTaskCount
+      }
+    });
+
+  } catch (error) {
+    console.error('카테고리 삭제 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '카테고리 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
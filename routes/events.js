@@ -0,0 +1,41 @@
+/**
+ * 실시간 이벤트 라우터
+ *
+ * 이 파일은 브라우저가 서버 이벤트를 받는 Server-Sent Events 엔드포인트를 정의합니다.
+ * 다른 API와 같은 JWT(Authorization 헤더)로 인증하므로, 브라우저에서는 EventSource 대신
+ * fetch 스트림으로 연결합니다.
+ *
+ * 전송하는 이벤트:
+ * - notification: 새 알림 ({ notification })
+ * - notifications:read: 다른 탭/기기에서 알림을 읽음 ({ ids | all, unreadCount })
+ */
+
+const express = require('express');           // Express 라우터
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { openEventStream } = require('../utils/eventStream'); // 이벤트 스트림 연결 관리
+
+const router = express.Router();
+
+// 모든 이벤트 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+/**
+ * GET /api/events
+ * 이벤트 스트림 연결 API
+ * 연결을 유지하면서 현재 사용자에게 발생한 이벤트를 text/event-stream 형식으로 보냅니다
+ */
+router.get('/', (req, res) => {
+  try {
+    openEventStream(req, res);
+
+  } catch (error) {
+    console.error('이벤트 스트림 연결 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '이벤트 스트림 연결 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+/**
+ * 알림 라우터
+ *
+ * 이 파일은 앱 안 알림 관련 API 엔드포인트를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 알림 목록 조회 (최신순, 읽지 않은 알림만 조회 및 이어서 불러오기 지원)
+ * - 알림 읽음 처리 (하나 또는 전체)
+ * - JWT 인증 미들웨어 적용
+ *
+ * 새 알림과 읽음 처리는 이벤트 스트림(/api/events)으로 같은 사용자의 다른 탭/기기에도 전달됩니다.
+ */
+
+const express = require('express');                     // Express 라우터
+const Notification = require('../models/Notification'); // 알림 모델
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { sendToUser } = require('../utils/eventStream'); // 실시간 이벤트 전송
+
+const router = express.Router();
+
+// 모든 알림 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+// 알림 목록 기본/최대 반환 개수
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * GET /api/notifications
+ * 알림 목록 조회 API
+ * ?unread=true이면 읽지 않은 알림만, ?before=<날짜>이면 그보다 오래된 알림을 반환합니다 (이어서 불러오기)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { unread, before, limit } = req.query;
+
+    if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_LIMIT)) {
+      return res.status(400).json({
+        error: true,
+        message: `limit은 1부터 ${MAX_LIMIT}까지의 숫자여야 합니다.`
+      });
+    }
+
+    const query = { userId: req.user.id };
+
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    if (before !== undefined) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          error: true,
+          message: 'before는 날짜 형식이어야 합니다.'
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const pageSize = limit ? Number(limit) : DEFAULT_LIMIT;
+
+    // 한 개 더 조회해서 다음 페이지가 있는지 확인
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1);
+    const hasMore = notifications.length > pageSize;
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '알림 목록 조회에 성공했습니다.',
+      data: {
+        notifications: notifications.slice(0, pageSize),
+        unreadCount: await Notification.countUnread(req.user.id),
+        hasMore
+      }
+    });
+
+  } catch (error) {
+    console.error('알림 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '알림 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * 모든 알림 읽음 처리 API
+ */
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    // 다른 탭/기기의 배지도 갱신
+    sendToUser(req.user.id, 'notifications:read', { all: true, unreadCount: 0 });
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: `${result.modifiedCount}개의 알림을 읽음으로 표시했습니다.`,
+      data: {
+        modifiedCount: result.modifiedCount,
+        unreadCount: 0
+      }
+    });
+
+  } catch (error) {
+    console.error('알림 전체 읽음 처리 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '알림 전체 읽음 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * 알림 읽음 처리 API
+ * 이미 읽은 알림이면 읽은 시각을 바꾸지 않습니다
+ */
+router.put('/:id/read', async (req, res) => {
+  try {
+    // ObjectId 형식 유효성 검사
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: true,
+        message: '유효하지 않은 알림 ID입니다.'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: true,
+        message: '알림을 찾을 수 없습니다.'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    // 다른 탭/기기의 배지도 갱신
+    sendToUser(req.user.id, 'notifications:read', { ids: [notification._id], unreadCount });
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '알림을 읽음으로 표시했습니다.',
+      data: {
+        notification,
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('알림 읽음 처리 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '알림 읽음 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,672 @@
+/**
+ * 프로젝트(워크스페이스) 라우터
+ *
+ * 이 파일은 공유 프로젝트 관련 API 엔드포인트를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 프로젝트 생성/목록/조회/수정/삭제
+ * - 이메일 초대 (생성, 취소, 수락, 거절), 가입한 사용자에게는 앱 안 알림
+ * - 이메일 미인증 계정의 초대 보내기/받기 제한 (UNVERIFIED_RESTRICTIONS 설정에 따라)
+ * - 멤버 역할 변경 및 내보내기/나가기
+ * - JWT 인증 미들웨어 적용
+ */
+
+const express = require('express');             // Express 라우터
+const Project = require('../models/Project');   // 프로젝트 모델
+const Task = require('../models/Task');         // 할 일 모델
+const Category = require('../models/Category'); // 카테고리 모델
+const User = require('../models/User');         // 사용자 모델 (초대 알림)
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth'); // 인증 미들웨어
+const { notifyUsers } = require('../utils/notifications'); // 앱 안 알림
+const { isEmailUnverified, isRestrictedWhenUnverified } = require('../utils/accountTokens'); // 미인증 계정 제한
+
+const router = express.Router();
+
+// 모든 프로젝트 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+/**
+ * 프로젝트 응답 객체 생성 함수
+ * 현재 사용자의 역할을 추가하고, 소유자가 아니면 초대 목록을 숨깁니다
+ *
+ * @param {Object} project - 프로젝트 문서
+ * @param {string} userId - 현재 사용자 ID
+ * @returns {Object} 응답용 프로젝트 객체
+ */
+const toProjectResponse = (project, userId) => {
+  const projectObject = project.toObject();
+  const myRole = project.getMemberRole(userId);
+
+  projectObject.myRole = myRole;
+  if (myRole !== 'owner') {
+    delete projectObject.invitations;
+  }
+  delete projectObject.__v;
+
+  return projectObject;
+};
+
+/**
+ * 프로젝트 조회 및 권한 확인 함수
+ * 실패 시 에러 응답을 보내고 null을 반환합니다
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} minRole - 필요한 최소 역할 (viewer, editor, owner)
+ * @returns {Promise<Object|null>} 프로젝트 문서
+ */
+const findProjectForMember = async (req, res, minRole) => {
+  const projectId = req.params.id;
+
+  // ObjectId 형식 유효성 검사
+  if (!projectId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 프로젝트 ID입니다.'
+    });
+    return null;
+  }
+
+  const project = await Project.findById(projectId);
+
+  // 멤버가 아니면 프로젝트의 존재 여부도 알리지 않음
+  if (!project || !project.getMemberRole(req.user.id)) {
+    res.status(404).json({
+      error: true,
+      message: '프로젝트를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (!project.hasRole(req.user.id, minRole)) {
+    res.status(403).json({
+      error: true,
+      message: minRole === 'owner'
+        ? '프로젝트 소유자만 할 수 있는 작업입니다.'
+        : '이 프로젝트에 대한 권한이 없습니다.'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+/**
+ * 소유자 수 계산 함수
+ *
+ * @param {Object} project - 프로젝트 문서
+ * @returns {number} 소유자 수
+ */
+const countOwners = (project) => {
+  return project.members.filter(member => member.role === 'owner').length;
+};
+
+/**
+ * GET /api/projects
+ * 참여 중인 프로젝트 목록 조회 API
+ */
+router.get('/', async (req, res) => {
+  try {
+    const projects = await Project.findForUser(req.user.id);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '프로젝트 목록 조회에 성공했습니다.',
+      data: {
+        projects: projects.map(project => toProjectResponse(project, req.user.id))
+      }
+    });
+
+  } catch (error) {
+    console.error('프로젝트 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '프로젝트 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/projects
+ * 프로젝트 생성 API
+ * 생성한 사용자가 소유자(owner)가 됩니다
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    // 필수 필드 유효성 검사
+    if (!name || name.trim() === '') {
+      return res.status(400).json({
+        error: true,
+        message: '프로젝트 이름은 필수 항목입니다.'
+      });
+    }
+
+    const newProject = new Project({
+      name: name.trim(),
+      description: description ? description.trim() : '',
+      color: color || undefined,
+      members: [{ userId: req.user.id, role: 'owner' }]
+    });
+
+    await newProject.save();
+
+    // 성공 응답 (201: Created)
+    res.status(201).json({
+      error: false,
+      message: '프로젝트가 생성되었습니다.',
+      data: {
+        project: toProjectResponse(newProject, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('프로젝트 생성 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '프로젝트 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/projects/invitations
+ * 받은 초대 목록 조회 API
+ * 현재 사용자의 이메일로 온 대기 중인 초대를 반환합니다
+ */
+router.get('/invitations', requireVerifiedEmail('invitations'), async (req, res) => {
+  try {
+    const invitations = await Project.findInvitationsForEmail(req.user.email);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '초대 목록 조회에 성공했습니다.',
+      data: {
+        invitations
+      }
+    });
+
+  } catch (error) {
+    console.error('초대 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '초대 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/projects/invitations/:invitationId/accept
+ * 초대 수락 API
+ * 초대받은 이메일의 사용자만 수락할 수 있습니다
+ */
+router.post('/invitations/:invitationId/accept', requireVerifiedEmail('invitations'), async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const email = req.user.email.toLowerCase();
+
+    // ObjectId 형식 유효성 검사
+    if (!invitationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: true,
+        message: '유효하지 않은 초대 ID입니다.'
+      });
+    }
+
+    const project = await Project.findOne({
+      invitations: {
+        $elemMatch: { _id: invitationId, email, expiresAt: { $gt: new Date() } }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: '초대를 찾을 수 없거나 만료되었습니다.'
+      });
+    }
+
+    const invitation = project.invitations.id(invitationId);
+
+    // 이미 멤버가 아니면 초대된 역할로 추가
+    if (!project.getMemberRole(req.user.id)) {
+      project.members.push({ userId: req.user.id, role: invitation.role });
+    }
+    invitation.deleteOne();
+
+    await project.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: `'${project.name}' 프로젝트에 참여했습니다.`,
+      data: {
+        project: toProjectResponse(project, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('초대 수락 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '초대 수락 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/projects/invitations/:invitationId/decline
+ * 초대 거절 API
+ */
+router.post('/invitations/:invitationId/decline', async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const email = req.user.email.toLowerCase();
+
+    // ObjectId 형식 유효성 검사
+    if (!invitationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: true,
+        message: '유효하지 않은 초대 ID입니다.'
+      });
+    }
+
+    const result = await Project.updateOne(
+      { invitations: { $elemMatch: { _id: invitationId, email } } },
+      { $pull: { invitations: { _id: invitationId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: '초대를 찾을 수 없습니다.'
+      });
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '초대를 거절했습니다.'
+    });
+
+  } catch (error) {
+    console.error('초대 거절 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '초대 거절 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ * 프로젝트 상세 조회 API
+ * 멤버 이름과 이메일을 포함하여 반환합니다
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const project = await findProjectForMember(req, res, 'viewer');
+    if (!project) return;
+
+    await project.populate('members.userId', 'name email');
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '프로젝트 조회에 성공했습니다.',
+      data: {
+        project: toProjectResponse(project, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('프로젝트 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '프로젝트 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ * 프로젝트 수정 API (소유자 전용)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    const project = await findProjectForMember(req, res, 'owner');
+    if (!project) return;
+
+    if (name !== undefined) {
+      if (name.trim() === '') {
+        return res.status(400).json({
+          error: true,
+          message: '프로젝트 이름은 필수 항목입니다.'
+        });
+      }
+      project.name = name.trim();
+    }
+
+    if (description !== undefined) {
+      project.description = description ? description.trim() : '';
+    }
+
+    if (color !== undefined) {
+      project.color = color;
+    }
+
+    await project.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '프로젝트가 수정되었습니다.',
+      data: {
+        project: toProjectResponse(project, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('프로젝트 수정 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '프로젝트 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * 프로젝트 삭제 API (소유자 전용)
+ * 프로젝트에 속한 할 일과 카테고리도 함께 삭제됩니다
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const project = await findProjectForMember(req, res, 'owner');
+    if (!project) return;
+
+    const result = await Task.deleteMany({ projectId: project._id });
+    await Category.deleteMany({ projectId: project._id });
+    await project.deleteOne();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '프로젝트가 삭제되었습니다.',
+      data: {
+        deletedTaskCount: result.deletedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('프로젝트 삭제 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '프로젝트 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/projects/:id/invitations
+ * 멤버 초대 API (소유자 전용)
+ * 같은 이메일로 대기 중인 초대가 있으면 역할과 만료일을 갱신합니다
+ */
+router.post('/:id/invitations', requireVerifiedEmail('invite'), async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+
+    if (!email || email.trim() === '') {
+      return res.status(400).json({
+        error: true,
+        message: '초대할 이메일은 필수 항목입니다.'
+      });
+    }
+
+    if (!['editor', 'viewer'].includes(role)) {
+      return res.status(400).json({
+        error: true,
+        message: '초대 역할은 editor 또는 viewer여야 합니다.'
+      });
+    }
+
+    const project = await findProjectForMember(req, res, 'owner');
+    if (!project) return;
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // 이미 멤버인 사용자는 초대할 수 없음
+    await project.populate('members.userId', 'name email');
+    const isMember = project.members.some(member =>
+      member.userId && member.userId.email === normalizedEmail
+    );
+    if (isMember) {
+      return res.status(409).json({
+        error: true,
+        message: '이미 프로젝트 멤버인 사용자입니다.'
+      });
+    }
+
+    // 기존 초대는 제거하고 새로 발행
+    project.invitations = project.invitations.filter(inv => inv.email !== normalizedEmail);
+    project.invitations.push({
+      email: normalizedEmail,
+      role,
+      invitedBy: req.user.id
+    });
+
+    await project.save();
+    const invitation = project.invitations[project.invitations.length - 1];
+
+    // 이미 가입한 사용자면 앱 안 알림으로도 알림 (초대를 받을 수 없는 미인증 계정은 제외)
+    const invitee = await User.findOne({ email: normalizedEmail, isActive: true }).select('_id emailVerified');
+    if (invitee && !(isEmailUnverified(invitee) && isRestrictedWhenUnverified('invitations'))) {
+      const inviter = project.members.find(member => member.userId && member.userId._id.toString() === req.user.id);
+      await notifyUsers([invitee._id], {
+        type: 'invitation',
+        title: '프로젝트 초대',
+        message: `${inviter && inviter.userId.name ? inviter.userId.name : '프로젝트 소유자'} 님이 '${project.name}' 프로젝트에 초대했습니다.`,
+        projectId: project._id,
+        actorId: req.user.id
+      });
+    }
+
+    // 성공 응답 (201: Created)
+    res.status(201).json({
+      error: false,
+      message: `${normalizedEmail} 님을 초대했습니다.`,
+      data: {
+        invitation
+      }
+    });
+
+  } catch (error) {
+    console.error('멤버 초대 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '멤버 초대 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/invitations/:invitationId
+ * 초대 취소 API (소유자 전용)
+ */
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const project = await findProjectForMember(req, res, 'owner');
+    if (!project) return;
+
+    const invitation = project.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        error: true,
+        message: '초대를 찾을 수 없습니다.'
+      });
+    }
+
+    invitation.deleteOne();
+    await project.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '초대가 취소되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('초대 취소 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '초대 취소 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/members/:userId
+ * 멤버 역할 변경 API (소유자 전용)
+ * 프로젝트에는 항상 한 명 이상의 소유자가 남아 있어야 합니다
+ */
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!Object.keys(Project.ROLE_LEVELS).includes(role)) {
+      return res.status(400).json({
+        error: true,
+        message: '역할은 owner, editor, viewer 중 하나여야 합니다.'
+      });
+    }
+
+    const project = await findProjectForMember(req, res, 'owner');
+    if (!project) return;
+
+    const member = project.members.find(m => m.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: true,
+        message: '멤버를 찾을 수 없습니다.'
+      });
+    }
+
+    // 마지막 소유자의 역할은 낮출 수 없음
+    if (member.role === 'owner' && role !== 'owner' && countOwners(project) === 1) {
+      return res.status(409).json({
+        error: true,
+        message: '프로젝트에는 최소 한 명의 소유자가 필요합니다.'
+      });
+    }
+
+    member.role = role;
+    await project.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '멤버 역할이 변경되었습니다.',
+      data: {
+        project: toProjectResponse(project, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('멤버 역할 변경 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '멤버 역할 변경 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/members/:userId
+ * 멤버 내보내기 / 프로젝트 나가기 API
+ * 소유자는 다른 멤버를 내보낼 수 있고, 모든 멤버는 스스로 나갈 수 있습니다
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+
+    const project = await findProjectForMember(req, res, isSelf ? 'viewer' : 'owner');
+    if (!project) return;
+
+    const member = project.members.find(m => m.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: true,
+        message: '멤버를 찾을 수 없습니다.'
+      });
+    }
+
+    // 마지막 소유자는 나갈 수 없음
+    if (member.role === 'owner' && countOwners(project) === 1) {
+      return res.status(409).json({
+        error: true,
+        message: '마지막 소유자는 프로젝트를 나갈 수 없습니다. 다른 멤버를 소유자로 지정하거나 프로젝트를 삭제하세요.'
+      });
+    }
+
+    project.members = project.members.filter(m => m !== member);
+    await project.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: isSelf ? '프로젝트에서 나갔습니다.' : '멤버를 내보냈습니다.'
+    });
+
+  } catch (error) {
+    console.error('멤버 제거 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '멤버 제거 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
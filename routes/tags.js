@@ -0,0 +1,388 @@
+/**
+ * 태그 라우터
+ *
+ * 이 파일은 개인 목록과 프로젝트별 태그 관련 API 엔드포인트를 정의합니다.
+ * 태그는 별도 문서 없이 할 일의 tags 배열에 저장되므로, 모든 API는 할 일을 집계하거나 일괄 변경합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 태그 목록과 사용 횟수 조회 (GET /, ?q=로 자동 완성용 앞부분 검색)
+ * - 태그 이름 변경 (PUT /:name, 이미 있는 이름이면 병합)
+ * - 여러 태그를 하나로 병합 (POST /merge)
+ * - 태그 삭제 (DELETE /:name, 할 일에서 태그만 제거)
+ * - JWT 인증 미들웨어 적용
+ * - 프로젝트 태그는 멤버만 조회, 편집자 이상만 변경 가능
+ */
+
+const express = require('express');           // Express 라우터
+const mongoose = require('mongoose');         // ObjectId 변환
+const Task = require('../models/Task');       // 할 일 모델
+const Project = require('../models/Project'); // 프로젝트 모델
+const { TAG_MAX_LENGTH } = require('../utils/taskInput'); // 태그 최대 길이
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { publishTasksChanged } = require('../utils/taskEvents'); // 할 일 변경 실시간 전송
+
+const router = express.Router();
+
+// 모든 태그 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+// 태그 목록 최대 반환 개수
+const TAG_LIST_LIMIT = 500;
+
+/**
+ * 태그 범위 확인 함수
+ * ?projectId=를 지정하면 현재 사용자가 필요한 역할 이상의 멤버인지 확인하고,
+ * 해당 범위의 할 일 조회 조건을 반환합니다. 실패 시 에러 응답을 보내고 null을 반환합니다.
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} minRole - 필요한 최소 역할 (viewer, editor, owner)
+ * @returns {Promise<{ project: Object|null, taskFilter: Object }|null>} 프로젝트와 할 일 조회 조건
+ */
+const resolveScope = async (req, res, minRole) => {
+  const { projectId } = req.query;
+
+  if (!projectId) {
+    return {
+      project: null,
+      taskFilter: { userId: new mongoose.Types.ObjectId(req.user.id), projectId: null }
+    };
+  }
+
+  // ObjectId 형식 유효성 검사
+  if (!String(projectId).match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 프로젝트 ID입니다.'
+    });
+    return null;
+  }
+
+  const project = await Project.findById(projectId);
+
+  // 멤버가 아니면 프로젝트의 존재 여부도 알리지 않음
+  if (!project || !project.getMemberRole(req.user.id)) {
+    res.status(404).json({
+      error: true,
+      message: '프로젝트를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (!project.hasRole(req.user.id, minRole)) {
+    res.status(403).json({
+      error: true,
+      message: '이 프로젝트의 태그를 변경할 권한이 없습니다.'
+    });
+    return null;
+  }
+
+  return { project, taskFilter: { projectId: project._id } };
+};
+
+/**
+ * 태그 이름 검사 함수
+ * 태그 필터(tags=a,b)와 일괄 작업에서 쉼표를 구분자로 사용하므로 쉼표는 사용할 수 없습니다
+ *
+ * @param {*} name - 태그 이름
+ * @returns {{ value: string|null, error: string|null }} 정리된 태그 이름 또는 에러 메시지
+ */
+const validateTagName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { value: null, error: '태그 이름을 입력해주세요.' };
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed.length > TAG_MAX_LENGTH) {
+    return { value: null, error: `태그는 ${TAG_MAX_LENGTH}자 이하여야 합니다.` };
+  }
+
+  if (trimmed.includes(',')) {
+    return { value: null, error: '태그 이름에는 쉼표(,)를 사용할 수 없습니다.' };
+  }
+
+  return { value: trimmed, error: null };
+};
+
+/**
+ * 태그 교체 함수
+ * 할 일마다 원본 태그를 대상 태그로 바꾸고(순서 유지) 중복을 제거합니다.
+ * 파이프라인 업데이트 한 번으로 처리하므로 각 할 일의 태그는 읽고 다시 쓰는 사이에 다른 변경과 섞이지 않습니다
+ *
+ * @param {Object} taskFilter - 범위의 할 일 조회 조건
+ * @param {Array<string>} sources - 바꿀 태그 목록
+ * @param {string} target - 대상 태그
+ * @returns {Promise<number>} 변경된 할 일 수
+ */
+const replaceTags = async (taskFilter, sources, target) => {
+  const result = await Task.updateMany(
+    { ...taskFilter, tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $reduce: {
+            input: '$tags',
+            initialValue: [],
+            in: {
+              $let: {
+                vars: {
+                  tag: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+                },
+                in: {
+                  $cond: [
+                    { $in: ['$$tag', '$$value'] },
+                    '$$value',
+                    { $concatArrays: ['$$value', ['$$tag']] }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    }]
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * GET /api/tags
+ * 태그 목록 조회 API
+ * 범위(?projectId=, 없으면 개인 목록)의 할 일에 붙은 태그를 사용 횟수가 많은 순서로 반환합니다.
+ * ?q=를 지정하면 그 글자로 시작하는 태그만(대소문자 무시), ?limit=로 최대 개수를 지정합니다 (자동 완성용)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > TAG_LIST_LIMIT)) {
+      return res.status(400).json({
+        error: true,
+        message: `limit은 1부터 ${TAG_LIST_LIMIT}까지의 숫자여야 합니다.`
+      });
+    }
+
+    const scope = await resolveScope(req, res, 'viewer');
+    if (!scope) return;
+
+    const pipeline = [
+      { $match: scope.taskFilter },
+      { $unwind: '$tags' }
+    ];
+
+    if (q !== undefined && String(q).trim() !== '') {
+      // 정규식 특수문자 이스케이프 후 앞부분 일치
+      const prefix = String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      pipeline.push({ $match: { tags: { $regex: `^${prefix}`, $options: 'i' } } });
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          activeCount: { $sum: { $cond: ['$completed', 0, 1] } }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit ? Number(limit) : TAG_LIST_LIMIT },
+      { $project: { _id: 0, name: '$_id', count: 1, activeCount: 1 } }
+    );
+
+    const tags = await Task.aggregate(pipeline);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '태그 목록 조회에 성공했습니다.',
+      data: {
+        tags,
+        canEdit: !scope.project || scope.project.hasRole(req.user.id, 'editor')
+      }
+    });
+
+  } catch (error) {
+    console.error('태그 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '태그 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/tags/merge
+ * 태그 병합 API
+ * { sources: [태그...], target: 태그 } 형식으로 받아 범위의 모든 할 일에서 원본 태그를 대상 태그로 바꿉니다.
+ * 대상 태그가 이미 있는 할 일은 원본 태그만 제거됩니다
+ */
+router.post('/merge', async (req, res) => {
+  try {
+    const { sources, target } = req.body;
+
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: '병합할 태그를 하나 이상 지정해야 합니다.'
+      });
+    }
+
+    const targetResult = validateTagName(target);
+    if (targetResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: targetResult.error
+      });
+    }
+
+    // 원본 태그는 저장된 값 그대로 찾음 (대상 태그와 같은 값은 제외)
+    const sourceNames = [...new Set(sources.filter(tag => typeof tag === 'string' && tag !== ''))]
+      .filter(tag => tag !== targetResult.value);
+
+    if (sourceNames.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: '대상 태그와 다른 태그를 하나 이상 지정해야 합니다.'
+      });
+    }
+
+    const scope = await resolveScope(req, res, 'editor');
+    if (!scope) return;
+
+    const modifiedCount = await replaceTags(scope.taskFilter, sourceNames, targetResult.value);
+    if (modifiedCount > 0) {
+      await publishTasksChanged(req.user.id, scope.project ? scope.project._id : null);
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: `${sourceNames.length}개의 태그를 '${targetResult.value}'(으)로 병합했습니다.`,
+      data: {
+        target: targetResult.value,
+        modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('태그 병합 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '태그 병합 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/tags/:name
+ * 태그 이름 변경 API
+ * { name: 새 이름 } 형식으로 받아 범위의 모든 할 일에서 태그 이름을 바꿉니다.
+ * 새 이름의 태그가 이미 있으면 두 태그가 병합됩니다 (data.merged)
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const oldName = req.params.name;
+
+    const nameResult = validateTagName(req.body.name);
+    if (nameResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: nameResult.error
+      });
+    }
+
+    const scope = await resolveScope(req, res, 'editor');
+    if (!scope) return;
+
+    if (!(await Task.exists({ ...scope.taskFilter, tags: oldName }))) {
+      return res.status(404).json({
+        error: true,
+        message: '태그를 찾을 수 없습니다.'
+      });
+    }
+
+    if (nameResult.value === oldName) {
+      return res.status(400).json({
+        error: true,
+        message: '새 태그 이름이 기존 이름과 같습니다.'
+      });
+    }
+
+    const merged = Boolean(await Task.exists({ ...scope.taskFilter, tags: nameResult.value }));
+    const modifiedCount = await replaceTags(scope.taskFilter, [oldName], nameResult.value);
+    if (modifiedCount > 0) {
+      await publishTasksChanged(req.user.id, scope.project ? scope.project._id : null);
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: merged
+        ? `'${oldName}' 태그를 기존 '${nameResult.value}' 태그와 병합했습니다.`
+        : '태그 이름이 변경되었습니다.',
+      data: {
+        name: nameResult.value,
+        merged,
+        modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('태그 이름 변경 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '태그 이름 변경 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tags/:name
+ * 태그 삭제 API
+ * 범위의 모든 할 일에서 태그를 제거합니다 (할 일은 삭제하지 않음)
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const scope = await resolveScope(req, res, 'editor');
+    if (!scope) return;
+
+    const result = await Task.updateMany(
+      { ...scope.taskFilter, tags: req.params.name },
+      { $pull: { tags: req.params.name } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: '태그를 찾을 수 없습니다.'
+      });
+    }
+
+    if (result.modifiedCount > 0) {
+      await publishTasksChanged(req.user.id, scope.project ? scope.project._id : null);
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: `${result.modifiedCount}개의 할 일에서 태그를 삭제했습니다.`,
+      data: {
+        modifiedCount: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('태그 삭제 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '태그 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,82 +4,1769 @@
  * 이 파일은 할 일 CRUD(Create, Read, Update, Delete) 관련 API 엔드포인트를 정의합니다.
  * 다음과 같은 주요 기능을 포함합니다:
  * - 할 일 생성 (POST /)
- * - 할 일 목록 조회 (GET /)
- * - 특정 할 일 조회 (GET /:id)
- * - 할 일 수정 (PUT /:id)
+ * - 할 일 목록 조회, 전문 검색 및 조건 검색 (GET /)
+ * - 특정 할 일 조회 (GET /:id, 버전을 나타내는 ETag 헤더 포함)
+ * - 할 일 수정 (PUT /:id, If-Match 헤더로 다른 곳의 수정을 덮어쓰지 않도록 확인)
  * - 할 일 삭제 (DELETE /:id)
  * - 할 일 통계 조회 (GET /stats)
+ * - 칸반 보드 조회 및 열 구성 변경 (GET /board, PUT /board/columns)
+ * - 기간별 달력 조회 (GET /calendar)
+ * - CSV/JSON 내보내기 및 가져오기 (GET /export, POST /import)
+ * - 다른 앱(Todoist, Trello, todo.txt) 파일 가져오기 (POST /import/:source)
+ * - 보드에서 할 일 이동 (PUT /:id/move)
+ * - 할 일 일괄 작업 (POST /bulk)
+ * - 완료된 할 일 일괄 삭제 (DELETE /completed)
+ * - 반복 할 일 회차 건너뛰기 (POST /:id/skip)
+ * - 반복 종료 (DELETE /:id/recurrence)
+ * - 하위 작업 추가/순서 변경/수정/삭제 (/:id/subtasks)
  * - JWT 인증 미들웨어 적용
+ * - 프로젝트 멤버 역할에 따른 접근 권한 확인
+ * - 담당자로 지정된 사용자에게 알림
+ * - 할 일 변경 내용을 같은 범위의 사용자에게 실시간 전송 (/api/events)
  */
 
 const express = require('express');       // Express 라우터
-const jwt = require('jsonwebtoken');       // JWT 토큰 검증
+const { once } = require('events');       // 응답 스트림 대기
 const Task = require('../models/Task');    // 할 일 모델
+const Project = require('../models/Project'); // 프로젝트 모델
+const Board = require('../models/Board');  // 칸반 보드 모델
+const Category = require('../models/Category'); // 카테고리 모델
+const User = require('../models/User');    // 사용자 모델 (알림 작성자 이름)
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { normalizeRecurrence } = require('../utils/recurrence'); // 반복 규칙 검사
+const { parseSearchQuery, buildTextSearch } = require('../utils/search'); // 검색어 해석
+const { parseTaskQuery } = require('../utils/taskQuery'); // 검색 조건 언어 해석
+const { normalizeTaskInput, normalizeTags, normalizeReminders, resolveCategory } = require('../utils/taskInput'); // 새 할 일 입력값 및 카테고리 검사
+const {
+  TRANSFER_FORMATS,
+  TRANSFER_BODY_LIMIT,
+  toCsvHeader,
+  toCsvRow,
+  toJsonRecord,
+  parseTransferFile,
+  toTaskInput
+} = require('../utils/taskTransfer'); // 내보내기/가져오기 변환
+const { IMPORT_SOURCES, parseExternalFile } = require('../utils/importers'); // 외부 앱 파일 변환
+const { notifyUsers } = require('../utils/notifications'); // 앱 안 알림
+const {
+  publishTaskCreated,
+  publishTaskUpdated,
+  publishTaskMoved,
+  publishTaskDeleted,
+  publishTasksChanged
+} = require('../utils/taskEvents'); // 할 일 변경 실시간 전송
 
 const router = express.Router();
 
+// 모든 할일 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+/**
+ * 프로젝트 조회 및 권한 확인 함수
+ * 프로젝트를 찾고 현재 사용자가 필요한 역할 이상인지 확인합니다.
+ * 실패 시 에러 응답을 보내고 null을 반환합니다.
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} projectId - 프로젝트 ID
+ * @param {string} minRole - 필요한 최소 역할 (viewer, editor, owner)
+ * @returns {Promise<Object|null>} 프로젝트 문서
+ */
+const findAccessibleProject = async (req, res, projectId, minRole) => {
+  // ObjectId 형식 유효성 검사
+  if (!String(projectId).match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 프로젝트 ID입니다.'
+    });
+    return null;
+  }
+
+  const project = await Project.findById(projectId);
+
+  // 멤버가 아니면 프로젝트의 존재 여부도 알리지 않음
+  if (!project || !project.getMemberRole(req.user.id)) {
+    res.status(404).json({
+      error: true,
+      message: '프로젝트를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (!project.hasRole(req.user.id, minRole)) {
+    res.status(403).json({
+      error: true,
+      message: '이 프로젝트에 대한 권한이 없습니다.'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+/**
+ * 할 일 ETag 생성 함수
+ * 할 일이 바뀔 때마다 갱신되는 updatedAt(밀리초)을 버전으로 사용합니다
+ *
+ * @param {Object} task - 할 일 문서
+ * @returns {string} ETag 값 (예: "1712345678901")
+ */
+const getTaskETag = (task) => `"${task.updatedAt.getTime()}"`;
+
+/**
+ * If-Match 헤더 확인 함수
+ * 헤더에 나열된 ETag 중 하나가 현재 버전과 같거나 '*'이면 일치로 판단합니다
+ *
+ * @param {string} ifMatch - If-Match 헤더 값
+ * @param {Object} task - 할 일 문서
+ * @returns {boolean} 일치 여부
+ */
+const matchesTaskETag = (ifMatch, task) => {
+  const etag = getTaskETag(task);
+  return ifMatch.split(',').some(value => value.trim() === '*' || value.trim() === etag);
+};
+
+/**
+ * 수정 충돌 응답 함수
+ * 요청한 버전 이후에 다른 곳에서 수정된 경우 412와 함께 현재 서버의 할 일을 보냅니다
+ *
+ * @param {Object} res - 응답 객체
+ * @param {Object} task - 현재 할 일 문서
+ */
+const sendTaskConflict = async (res, task) => {
+  await task.populate(ASSIGNEE_POPULATE);
+
+  res.set('ETag', getTaskETag(task));
+  res.status(412).json({
+    error: true,
+    message: '다른 곳에서 먼저 수정된 할 일입니다. 변경 내용을 확인한 뒤 다시 저장해주세요.',
+    data: {
+      task
+    }
+  });
+};
+
+/**
+ * 할 일 조회 및 권한 확인 함수
+ * ID 형식을 검사하고 할 일을 찾은 뒤 현재 사용자의 접근 권한을 확인합니다.
+ * 개인 할 일은 작성자만, 프로젝트 할 일은 필요한 역할 이상의 멤버만 접근할 수 있습니다.
+ * 실패 시 에러 응답을 보내고 null을 반환합니다.
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} minRole - 프로젝트 할 일에 필요한 최소 역할 (viewer, editor)
+ * @returns {Promise<Object|null>} 할 일 문서
+ */
+const findAccessibleTask = async (req, res, minRole) => {
+  const taskId = req.params.id;
+
+  // ObjectId 형식 유효성 검사
+  if (!taskId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 할 일 ID입니다.'
+    });
+    return null;
+  }
+
+  const task = await Task.findById(taskId);
+
+  // 개인 할 일은 작성자만 접근 가능
+  if (!task || (!task.projectId && task.userId.toString() !== req.user.id)) {
+    res.status(404).json({
+      error: true,
+      message: '할 일을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  // 프로젝트 할 일은 멤버 역할 확인
+  if (task.projectId) {
+    const project = await Project.findById(task.projectId);
+    const role = project ? project.getMemberRole(req.user.id) : null;
+
+    if (!role) {
+      res.status(404).json({
+        error: true,
+        message: '할 일을 찾을 수 없습니다.'
+      });
+      return null;
+    }
+
+    if (!project.hasRole(req.user.id, minRole)) {
+      res.status(403).json({
+        error: true,
+        message: '이 할 일을 수정할 권한이 없습니다.'
+      });
+      return null;
+    }
+  }
+
+  return task;
+};
+
+/**
+ * 담당자 목록 검사 함수
+ * 프로젝트 할 일은 프로젝트 멤버만, 개인 할 일은 작성자 본인만 담당자로 지정할 수 있습니다.
+ * 실패 시 에러 응답을 보내고 null을 반환합니다.
+ *
+ * @param {Object} res - 응답 객체
+ * @param {Array} assignees - 요청 본문의 담당자 ID 목록
+ * @param {Object|null} project - 소속 프로젝트 (개인 할 일이면 null)
+ * @param {string} ownerId - 개인 할 일의 작성자 ID
+ * @returns {Array<string>|null} 중복이 제거된 담당자 ID 목록
+ */
+const resolveAssignees = (res, assignees, project, ownerId) => {
+  if (!Array.isArray(assignees)) {
+    res.status(400).json({
+      error: true,
+      message: '담당자는 사용자 ID 배열이어야 합니다.'
+    });
+    return null;
+  }
+
+  const ids = [...new Set(assignees.map(id => String(id)))];
+
+  if (ids.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 담당자 ID가 포함되어 있습니다.'
+    });
+    return null;
+  }
+
+  const isAllowed = project
+    ? (id) => Boolean(project.getMemberRole(id))
+    : (id) => id === ownerId.toString();
+
+  if (!ids.every(isAllowed)) {
+    res.status(400).json({
+      error: true,
+      message: project
+        ? '프로젝트 멤버만 담당자로 지정할 수 있습니다.'
+        : '개인 할 일은 본인만 담당자로 지정할 수 있습니다.'
+    });
+    return null;
+  }
+
+  return ids;
+};
+
+/**
+ * 담당자 정보 조회 옵션 (이름과 이메일만 포함)
+ */
+const ASSIGNEE_POPULATE = { path: 'assignees', select: 'name email' };
+
+/**
+ * 담당자 지정 알림 함수
+ * 새로 담당자가 된 사용자에게 알림을 보냅니다 (스스로 지정한 경우는 제외)
+ *
+ * @param {Object} task - 할 일 문서
+ * @param {Array<string>} userIds - 새로 지정된 담당자 ID 목록
+ * @param {string} actorId - 담당자를 지정한 사용자 ID
+ */
+const notifyAssignees = async (task, userIds, actorId) => {
+  const recipients = userIds.map(String).filter(id => id !== String(actorId));
+  if (recipients.length === 0) return;
+
+  try {
+    const actor = await User.findById(actorId).select('name');
+
+    await notifyUsers(recipients, {
+      type: 'assignment',
+      title: '담당자 지정',
+      message: `${actor ? actor.name : '알 수 없는 사용자'} 님이 '${task.title}' 할 일을 회원님에게 할당했습니다.`,
+      taskId: task._id,
+      projectId: task.projectId,
+      actorId
+    });
+  } catch (error) {
+    console.error('담당자 지정 알림 중 오류 발생:', error);
+  }
+};
+
+// 일괄 작업 종류
+const BULK_ACTIONS = ['complete', 'uncomplete', 'setCategory', 'setPriority', 'addTags', 'removeTags', 'moveDueDate', 'delete'];
+
+// 일괄 작업 한 번에 처리할 수 있는 최대 할 일 수
+const BULK_LIMIT = 500;
+
+// 하루를 밀리초로 표현한 값
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// 보드에 한 번에 표시할 수 있는 최대 할 일 수
+const BOARD_LIMIT = 500;
+
+// 달력 조회 최대 기간(일)과 한 번에 표시할 수 있는 최대 할 일 수
+const CALENDAR_MAX_DAYS = 366;
+const CALENDAR_LIMIT = 1000;
+
+// 한 번에 가져올 수 있는 최대 할 일 수
+const IMPORT_LIMIT = 1000;
+
+/**
+ * 달력 날짜 파라미터 해석 함수
+ * 마감일 저장 방식과 같이 YYYY-MM-DD를 UTC 자정으로 변환합니다
+ *
+ * @param {string} value - 날짜 문자열
+ * @returns {Date|null} 해당 날짜의 UTC 자정 (형식이 올바르지 않으면 null)
+ */
+const parseCalendarDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 할 일 목록 조회 조건 생성 함수
+ * GET /api/tasks의 필터 파라미터를 MongoDB 조회 조건으로 변환합니다.
+ * 목록 조회와 일괄 작업(filter 대상)에서 함께 사용하며, 실패 시 에러 응답을 보내고 null을 반환합니다.
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {Object} params - 필터 파라미터 (completed, category, priority, dueDate, tags, tagMode, projectId, assignedTo, createdBy, q)
+ * @returns {Promise<{ query: Object, search: Object|null }|null>} 조회 조건과 해석된 검색어
+ */
+const buildTaskListQuery = async (req, res, params) => {
+  const {
+    completed,      // 완료 상태 필터 (true/false)
+    category,       // 카테고리 필터
+    priority,       // 우선순위 필터
+    dueDate,        // 마감일 필터
+    tags,           // 태그 필터 (쉼표로 구분)
+    tagMode,        // 태그 필터 방식 (any: 하나라도 포함, all: 모두 포함)
+    projectId,      // 프로젝트 필터 (없으면 개인 할 일)
+    assignedTo,     // 담당자 필터 (me, none, 사용자 ID)
+    createdBy,      // 작성자 필터 (me, 사용자 ID)
+    q               // 검색어 (조건 언어 + 제목, 설명, 태그 전문 검색)
+  } = params;
+
+  // 검색 조건 객체 생성 (프로젝트 목록 또는 개인 목록)
+  const query = {};
+
+  // 사용자 필터 값 검사 (me 또는 ObjectId)
+  const resolveUserFilter = (value) => (value === 'me' ? req.user.id : value);
+  const isValidUserFilter = (value) => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value);
+
+  if (assignedTo && assignedTo !== 'none' && !isValidUserFilter(assignedTo)) {
+    res.status(400).json({
+      error: true,
+      message: 'assignedTo는 me, none 또는 사용자 ID여야 합니다.'
+    });
+    return null;
+  }
+
+  if (tagMode !== undefined && !['any', 'all'].includes(tagMode)) {
+    res.status(400).json({
+      error: true,
+      message: 'tagMode는 any 또는 all이어야 합니다.'
+    });
+    return null;
+  }
+
+  if (createdBy && !isValidUserFilter(createdBy)) {
+    res.status(400).json({
+      error: true,
+      message: 'createdBy는 me 또는 사용자 ID여야 합니다.'
+    });
+    return null;
+  }
+
+  if (projectId) {
+    const project = await findAccessibleProject(req, res, projectId, 'viewer');
+    if (!project) return null;
+
+    query.projectId = project._id;
+  } else if (assignedTo === 'me') {
+    // 프로젝트를 지정하지 않은 "나에게 할당됨" 보기는 개인 할 일과 참여 중인 모든 프로젝트를 대상으로 함
+    const myProjects = await Project.find({ 'members.userId': req.user.id }).select('_id');
+    query.$or = [
+      { projectId: null, userId: req.user.id },
+      { projectId: { $in: myProjects.map(project => project._id) } }
+    ];
+  } else {
+    query.userId = req.user.id;
+    query.projectId = null;
+  }
+
+  // 담당자/작성자 필터
+  if (assignedTo === 'none') {
+    query.assignees = { $size: 0 };
+  } else if (assignedTo) {
+    query.assignees = resolveUserFilter(assignedTo);
+  }
+
+  if (createdBy) {
+    // 개인 목록에서는 작성자가 항상 본인이므로 다른 사용자를 지정하면 결과가 비어 있음
+    if (query.userId && query.userId !== resolveUserFilter(createdBy)) {
+      query.userId = { $in: [] };
+    } else {
+      query.userId = resolveUserFilter(createdBy);
+    }
+  }
+
+  // 필터링 조건 추가
+  if (completed !== undefined) {
+    query.completed = String(completed) === 'true';
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (priority) {
+    query.priority = parseInt(priority);
+  }
+
+  if (tags) {
+    const tagsResult = normalizeTags(Array.isArray(tags) ? tags.join(',') : tags);
+    if (tagsResult.value && tagsResult.value.length > 0) {
+      query.tags = tagMode === 'all' ? { $all: tagsResult.value } : { $in: tagsResult.value };
+    }
+  }
+
+  if (dueDate) {
+    const date = new Date(dueDate);
+    const nextDay = new Date(date);
+    nextDay.setDate(date.getDate() + 1);
+
+    query.dueDate = {
+      $gte: date,
+      $lt: nextDay
+    };
+  }
+
+  // 검색어 해석: 조건(category:업무, priority>=4 등)은 조회 조건으로, 나머지는 전문 검색어로 사용
+  let search = null;
+  if (q !== undefined && String(q).trim() !== '') {
+    const queryResult = parseTaskQuery(String(q), { userId: req.user.id });
+    if (queryResult.error) {
+      res.status(400).json({
+        error: true,
+        message: queryResult.error.message,
+        data: {
+          token: queryResult.error.token,
+          position: queryResult.error.position
+        }
+      });
+      return null;
+    }
+
+    if (queryResult.value.conditions.length > 0) {
+      query.$and = queryResult.value.conditions;
+    }
+
+    // 전문 검색 조건 (따옴표 구문과 -제외어 지원)
+    if (queryResult.value.text) {
+      const searchResult = parseSearchQuery(queryResult.value.text);
+      if (searchResult.error) {
+        res.status(400).json({
+          error: true,
+          message: searchResult.error
+        });
+        return null;
+      }
+
+      search = searchResult.value;
+      query.$text = { $search: buildTextSearch(search) };
+    }
+  }
+
+  return { query, search };
+};
+
+/**
+ * 일괄 작업 검사 및 변경 내용 생성 함수
+ * 작업 종류에 맞는 값인지 확인하고 모든 대상에 공통으로 적용할 변경 내용을 만듭니다.
+ *
+ * @param {string} action - 작업 종류 (BULK_ACTIONS 중 하나)
+ * @param {*} value - 작업 값 (카테고리, 우선순위, 태그 목록, 마감일 이동 정보)
+ * @returns {{ value: Object|null, error: string|null }} 변경 내용 또는 에러 메시지
+ */
+const normalizeBulkAction = (action, value) => {
+  switch (action) {
+    case 'complete':
+      return { value: { completed: true, completedAt: new Date() }, error: null };
+
+    case 'uncomplete':
+      return { value: { completed: false, $unset: { completedAt: 1 } }, error: null };
+
+    case 'setCategory': {
+      // 카테고리가 할 일의 범위(개인/프로젝트)에 있는지는 항목마다 확인
+      if (typeof value !== 'string' || value.trim() === '') {
+        return { value: null, error: '카테고리 이름을 지정해야 합니다.' };
+      }
+      return { value: { category: value.trim() }, error: null };
+    }
+
+    case 'setPriority': {
+      const priority = Number(value);
+      if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+        return { value: null, error: '우선순위는 1부터 5까지의 숫자여야 합니다.' };
+      }
+      return { value: { priority }, error: null };
+    }
+
+    case 'addTags':
+    case 'removeTags': {
+      const tags = (Array.isArray(value) ? value : [value])
+        .filter(tag => typeof tag === 'string' && tag.trim() !== '')
+        .map(tag => tag.trim());
+
+      if (tags.length === 0) {
+        return { value: null, error: '태그를 하나 이상 입력해주세요.' };
+      }
+
+      return {
+        value: action === 'addTags'
+          ? { $addToSet: { tags: { $each: tags } } }
+          : { $pull: { tags: { $in: tags } } },
+        error: null
+      };
+    }
+
+    case 'moveDueDate': {
+      // { days: n }은 각 할 일의 마감일을 n일 이동, { date }는 모두 같은 날짜로 지정 (null이면 마감일 제거)
+      if (value && value.days !== undefined) {
+        const days = Number(value.days);
+        if (!Number.isInteger(days) || days === 0 || Math.abs(days) > 3650) {
+          return { value: null, error: '이동할 일 수는 0이 아닌 정수여야 합니다.' };
+        }
+        return { value: { days }, error: null };
+      }
+
+      if (value && value.date !== undefined) {
+        if (value.date === null || value.date === '') {
+          return { value: { $unset: { dueDate: 1 } }, error: null };
+        }
+        const date = new Date(value.date);
+        if (isNaN(date.getTime())) {
+          return { value: null, error: '마감일 형식이 올바르지 않습니다.' };
+        }
+        return { value: { dueDate: date }, error: null };
+      }
+
+      return { value: null, error: '마감일 이동은 { days } 또는 { date } 형식이어야 합니다.' };
+    }
+
+    case 'delete':
+      return { value: {}, error: null };
+
+    default:
+      return { value: null, error: `작업은 ${BULK_ACTIONS.join(', ')} 중 하나여야 합니다.` };
+  }
+};
+
+/**
+ * 일괄 작업 항목 처리 함수
+ * 할 일 하나에 작업을 적용하고 항목별 결과를 반환합니다
+ *
+ * @param {Object} task - 대상 할 일
+ * @param {string} action - 작업 종류
+ * @param {Object} change - normalizeBulkAction으로 만든 변경 내용
+ * @returns {Promise<Object>} 항목 결과 ({ id, error, message, unchanged, nextTaskId })
+ */
+const applyBulkAction = async (task, action, change) => {
+  const result = { id: task._id.toString(), error: false };
+
+  if (action === 'delete') {
+    await Task.deleteOne({ _id: task._id });
+    return result;
+  }
+
+  // 이미 완료된 할 일은 원래 완료일을 유지하도록 건너뜀
+  if (action === 'complete' && task.completed) {
+    return { ...result, unchanged: true };
+  }
+
+  let update = change;
+
+  if (action === 'moveDueDate') {
+    if (change.days !== undefined) {
+      if (!task.dueDate) {
+        return { ...result, error: true, message: '마감일이 없는 할 일입니다.' };
+      }
+      update = { dueDate: new Date(task.dueDate.getTime() + change.days * DAY_MS) };
+    }
+
+    // 반복 할 일은 마감일을 기준으로 다음 회차를 계산하므로 제거할 수 없음
+    if (update.$unset && task.recurrence) {
+      return { ...result, error: true, message: '반복 할 일은 마감일이 필요합니다.' };
+    }
+  }
+
+  // 완료 처리는 그사이 다른 요청이 완료한 할 일의 완료일도 덮어쓰지 않도록 미완료일 때만 적용
+  const updatedTask = await Task.findOneAndUpdate(
+    action === 'complete' ? { _id: task._id, completed: false } : { _id: task._id },
+    update,
+    {
+      new: true,          // 수정된 문서 반환
+      runValidators: true // 유효성 검사 실행
+    }
+  );
+
+  if (!updatedTask) {
+    if (action === 'complete' && await Task.exists({ _id: task._id })) {
+      return { ...result, unchanged: true };
+    }
+    return { ...result, error: true, message: '할 일을 찾을 수 없습니다.' };
+  }
+
+  // 반복 할 일을 새로 완료하면 다음 회차 생성
+  if (action === 'complete' && !task.completed) {
+    const nextTask = await updatedTask.spawnNextOccurrence();
+    if (nextTask) {
+      result.nextTaskId = nextTask._id.toString();
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 보드 상태 열 검사 및 정규화 함수
+ * 키가 없는 열은 새 키를 만들어 주고, 키 중복과 개수 제한을 확인합니다
+ *
+ * @param {Array} input - 요청 본문의 상태 열 목록
+ * @returns {{ value: Array|null, error: string|null }} 정규화 결과 또는 에러 메시지
+ */
+const normalizeBoardColumns = (input) => {
+  if (!Array.isArray(input) || input.length < Board.MIN_COLUMNS || input.length > Board.MAX_COLUMNS) {
+    return {
+      value: null,
+      error: `상태 열은 ${Board.MIN_COLUMNS}개 이상 ${Board.MAX_COLUMNS}개 이하의 배열이어야 합니다.`
+    };
+  }
+
+  const columns = [];
+  for (const column of input) {
+    if (!column || typeof column.name !== 'string' || column.name.trim() === '') {
+      return { value: null, error: '열 이름은 필수 항목입니다.' };
+    }
+
+    // 새 열은 기존 할 일과 겹치지 않는 키를 생성
+    const key = column.key || `col_${Date.now().toString(36)}${columns.length}`;
+    if (!/^[a-z0-9_]{1,30}$/.test(key)) {
+      return { value: null, error: '열 키는 영문 소문자, 숫자, 밑줄로 30자 이하여야 합니다.' };
+    }
+    if (columns.some(existing => existing.key === key)) {
+      return { value: null, error: `열 키가 중복되었습니다: ${key}` };
+    }
+
+    if (column.color && !/^#[0-9a-fA-F]{6}$/.test(column.color)) {
+      return { value: null, error: '색상은 #RRGGBB 형식이어야 합니다.' };
+    }
+
+    columns.push({ key, name: column.name.trim(), color: column.color || undefined });
+  }
+
+  return { value: columns, error: null };
+};
+
+/**
+ * 할 일을 보드 열별로 나누는 함수
+ * 완료된 할 일은 마지막 열에, 상태가 없거나 알 수 없는 미완료 할 일은 첫 번째 열에 배치합니다
+ *
+ * @param {Array} columns - 상태 열 목록
+ * @param {Array} tasks - 할 일 목록
+ * @returns {Array} 열 정보와 해당 열의 할 일 목록 (열 안에서 position 순)
+ */
+const groupTasksByColumn = (columns, tasks) => {
+  const keys = columns.map(column => column.key);
+  const lastKey = keys[keys.length - 1];
+  const grouped = columns.map(column => ({ ...column, tasks: [] }));
+
+  tasks.forEach(task => {
+    let key = task.completed ? lastKey : task.status;
+
+    // 완료가 해제된 할 일은 마지막 열에 남지 않도록 첫 번째 열로 이동
+    if (!task.completed && (!keys.includes(key) || key === lastKey)) {
+      key = keys[0];
+    }
+
+    grouped[keys.indexOf(key)].tasks.push(task);
+  });
+
+  grouped.forEach(column => {
+    column.tasks.sort((a, b) => (a.position - b.position) || (a.createdAt - b.createdAt));
+  });
+
+  return grouped;
+};
+
+/**
+ * 가져온 행 검사 및 저장 함수
+ * 행마다 POST /api/tasks와 같은 규칙과 Task 스키마로 검사하고, dryRun이 아니면 저장합니다.
+ * 실패한 행이 있어도 나머지 행은 계속 처리하며, 내보낸 파일을 그대로 복원할 수 있도록 지난 마감일은 허용합니다
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Array<Object>} records - 가져올 행 목록 (toTaskInput 입력 형식, skipReason/warnings 포함 가능)
+ * @param {Object} options - 가져오기 옵션
+ * @param {Object|null} options.project - 가져올 프로젝트 (없으면 개인 할 일)
+ * @param {Array<Object>} options.categories - 가져올 범위의 카테고리 목록
+ * @param {boolean} options.dryRun - true면 저장하지 않고 검사만 수행
+ * @returns {Promise<{ results: Array<Object>, summary: Object }>} 행별 결과와 요약
+ */
+const importTaskRecords = async (req, records, { project, categories, dryRun }) => {
+  const results = [];
+  let validCount = 0;
+  let importedCount = 0;
+
+  for (const [index, record] of records.entries()) {
+    // 행 번호는 헤더를 제외하고 1부터 시작
+    const result = { row: index + 1, title: record && record.title ? String(record.title) : '' };
+    if (record && Array.isArray(record.warnings) && record.warnings.length > 0) {
+      result.warnings = record.warnings;
+    }
+    results.push(result);
+
+    // 원본에서 가져오지 않기로 한 행 (보관된 카드 등)
+    if (record && record.skipReason) {
+      result.error = true;
+      result.message = record.skipReason;
+      continue;
+    }
+
+    const recordResult = toTaskInput(record);
+    if (recordResult.error) {
+      result.error = true;
+      result.message = recordResult.error;
+      continue;
+    }
+
+    const { input, completed, completedAt, status } = recordResult.value;
+
+    const inputResult = normalizeTaskInput(input);
+    if (inputResult.error) {
+      result.error = true;
+      result.message = inputResult.error;
+      continue;
+    }
+
+    const categoryResult = resolveCategory(categories, inputResult.value.category);
+    if (categoryResult.error) {
+      result.error = true;
+      result.message = categoryResult.error;
+      continue;
+    }
+
+    const task = new Task({
+      userId: req.user.id,
+      projectId: project ? project._id : undefined,
+      ...inputResult.value,
+      category: categoryResult.value,
+      completed,
+      completedAt,
+      status
+    });
+
+    // Task 스키마 유효성 검사 (지난 마감일 검사는 제외)
+    try {
+      await task.validate({ pathsToSkip: ['dueDate'] });
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+
+      result.error = true;
+      result.message = Object.values(validationError.errors).map(err => err.message).join(', ');
+      continue;
+    }
+
+    result.error = false;
+    result.task = {
+      title: task.title,
+      category: task.category,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      completed: task.completed,
+      tags: task.tags
+    };
+    validCount += 1;
+
+    if (!dryRun) {
+      await task.save({ validateBeforeSave: false });
+      result.taskId = task._id;
+      importedCount += 1;
+    }
+  }
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      valid: validCount,
+      imported: importedCount,
+      failed: results.length - validCount
+    }
+  };
+};
+
+/**
+ * POST /api/tasks
+ * 새로운 할 일 생성 API (Create)
+ * 사용자의 할 일을 생성합니다
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId, assignees } = req.body;
+
+    // 제목, 우선순위, 마감일, 반복 규칙 등 입력값 검사
+    const inputResult = normalizeTaskInput(req.body);
+    if (inputResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: inputResult.error
+      });
+    }
+
+    // 프로젝트 할 일은 편집 권한 이상의 멤버만 생성 가능
+    let project = null;
+    if (projectId) {
+      project = await findAccessibleProject(req, res, projectId, 'editor');
+      if (!project) return;
+    }
+
+    // 담당자 유효성 검사
+    let assigneeIds = [];
+    if (assignees !== undefined) {
+      assigneeIds = resolveAssignees(res, assignees, project, req.user.id);
+      if (!assigneeIds) return;
+    }
+
+    // 카테고리 확인 (지정하지 않으면 기본 카테고리)
+    const categories = await Category.findForScope(req.user.id, project ? project._id : null);
+    const categoryResult = resolveCategory(categories, inputResult.value.category);
+    if (categoryResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: categoryResult.error
+      });
+    }
+
+    // 새 할 일 생성
+    const newTask = new Task({
+      userId: req.user.id,              // 인증된 사용자 ID (작성자)
+      projectId: projectId || undefined, // 소속 프로젝트 (없으면 개인 할 일)
+      ...inputResult.value,
+      category: categoryResult.value,
+      assignees: assigneeIds,
+      // 생성 시 지정한 담당자도 이력에 남김
+      assignmentHistory: assigneeIds.length > 0
+        ? [{ changedBy: req.user.id, added: assigneeIds, removed: [] }]
+        : []
+    });
+
+    // 데이터베이스에 저장
+    const savedTask = await newTask.save();
+    await notifyAssignees(savedTask, assigneeIds, req.user.id);
+    await savedTask.populate(ASSIGNEE_POPULATE);
+    await publishTaskCreated(savedTask);
+
+    // 성공 응답 (201: Created)
+    res.status(201).json({
+      error: false,
+      message: '할 일이 성공적으로 생성되었습니다.',
+      data: {
+        task: savedTask
+      }
+    });
+
+  } catch (error) {
+    console.error('할 일 생성 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '할 일 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks
+ * 할 일 목록 조회 API (Read)
+ * 사용자의 모든 할 일 목록을 반환합니다
+ */
+router.get('/', async (req, res) => {
+  try {
+    // 쿼리 파라미터 추출
+    const {
+      page = 1,       // 페이지 번호 (기본값: 1)
+      limit = 10,     // 페이지당 항목 수 (기본값: 10)
+      sortBy = 'createdAt', // 정렬 기준 (기본값: 생성일)
+      sortOrder = 'desc'     // 정렬 순서 (기본값: 내림차순)
+    } = req.query;
+
+    // 필터 조건 생성 (실패 시 에러 응답이 이미 전송됨)
+    const listQuery = await buildTaskListQuery(req, res, req.query);
+    if (!listQuery) return;
+
+    const { query, search } = listQuery;
+
+    // 정렬 옵션 설정 (검색 시 정렬 기준을 지정하지 않으면 관련도순)
+    const sortOptions = {};
+    const projection = {};
+    if (search) {
+      projection.score = { $meta: 'textScore' };
+    }
+
+    if (search && !req.query.sortBy) {
+      sortOptions.score = { $meta: 'textScore' };
+    } else {
+      sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    }
+
+    // 페이지네이션 계산
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // 데이터베이스 조회
+    const [tasks, totalCount] = await Promise.all([
+      Task.find(query, projection)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .populate(ASSIGNEE_POPULATE),
+      Task.countDocuments(query)
+    ]);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '할 일 목록 조회에 성공했습니다.',
+      data: {
+        tasks,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalItems: totalCount,
+          itemsPerPage: limitNum
+        },
+        // 해석된 검색어 (클라이언트 강조 표시용)
+        search
+      }
+    });
+
+  } catch (error) {
+    console.error('할 일 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '할 일 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/stats
+ * 할 일 통계 조회 API
+ * 사용자의 할 일 통계 정보를 반환합니다
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+
+    // 프로젝트 통계는 멤버만 조회 가능
+    if (projectId) {
+      const project = await findAccessibleProject(req, res, projectId, 'viewer');
+      if (!project) return;
+    }
+
+    // 사용자(또는 프로젝트)의 통계 정보 조회
+    const stats = await Task.getUserStats(req.user.id, projectId);
+
+    // 마감 임박 할 일 조회
+    const upcomingTasks = await Task.getUpcomingTasks(req.user.id, 3, projectId);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '할 일 통계 조회에 성공했습니다.',
+      data: {
+        stats,
+        upcomingTasks: upcomingTasks.slice(0, 5) // 최대 5개만 반환
+      }
+    });
+
+  } catch (error) {
+    console.error('할 일 통계 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '할 일 통계 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/board
+ * 칸반 보드 조회 API
+ * 상태 열과 열별 할 일 목록을 반환합니다 (목록 조회와 같은 필터 사용 가능)
+ *
+ * 주의: /:id 보다 먼저 등록해야 경로가 가려지지 않음
+ */
+router.get('/board', async (req, res) => {
+  try {
+    // 필터 조건 생성 (실패 시 에러 응답이 이미 전송됨)
+    const listQuery = await buildTaskListQuery(req, res, req.query);
+    if (!listQuery) return;
+
+    const { projectId } = req.query;
+    const [columns, tasks] = await Promise.all([
+      Board.getColumns(req.user.id, projectId),
+      Task.find(listQuery.query)
+        .limit(BOARD_LIMIT)
+        .populate(ASSIGNEE_POPULATE)
+    ]);
+
+    // 프로젝트 보드의 열 구성은 소유자만 변경 가능
+    let canConfigure = true;
+    if (projectId) {
+      const project = await Project.findById(projectId);
+      canConfigure = project.hasRole(req.user.id, 'owner');
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '보드 조회에 성공했습니다.',
+      data: {
+        columns: groupTasksByColumn(columns, tasks),
+        canConfigure,
+        truncated: tasks.length >= BOARD_LIMIT
+      }
+    });
+
+  } catch (error) {
+    console.error('보드 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '보드 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/tasks/board/columns
+ * 보드 상태 열 구성 변경 API
+ * 개인 보드는 본인이, 프로젝트 보드(?projectId=)는 소유자만 변경할 수 있습니다.
+ * 삭제된 열에 있던 할 일은 첫 번째 열로 이동합니다
+ */
+router.put('/board/columns', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+
+    if (projectId) {
+      const project = await findAccessibleProject(req, res, projectId, 'owner');
+      if (!project) return;
+    }
+
+    const columnsResult = normalizeBoardColumns(req.body.columns);
+    if (columnsResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: columnsResult.error
+      });
+    }
+
+    const board = await Board.findOneAndUpdate(
+      Board.scopeFilter(req.user.id, projectId),
+      { columns: columnsResult.value },
+      {
+        new: true,          // 수정된 문서 반환
+        upsert: true,       // 처음 설정하면 보드 생성
+        runValidators: true // 유효성 검사 실행
+      }
+    );
+
+    // 삭제된 열의 상태 값 정리
+    const taskScope = projectId ? { projectId } : { userId: req.user.id, projectId: null };
+    const statusResult = await Task.updateMany(
+      { ...taskScope, status: { $nin: board.columns.map(column => column.key) } },
+      { $unset: { status: 1 } }
+    );
+    if (statusResult.modifiedCount > 0) {
+      await publishTasksChanged(req.user.id, projectId);
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '보드 열 구성이 저장되었습니다.',
+      data: {
+        columns: board.columns
+      }
+    });
+
+  } catch (error) {
+    console.error('보드 열 구성 변경 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '보드 열 구성 변경 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/calendar
+ * 달력 조회 API
+ * from 이상 to 미만(YYYY-MM-DD, UTC 기준 날짜)에 마감일이 있는 할 일과 마감일이 없는 할 일을 함께 반환합니다.
+ * 목록 조회와 같은 필터를 사용하며, unscheduled=false이면 마감일 없는 할 일은 조회하지 않습니다
+ */
+router.get('/calendar', async (req, res) => {
+  try {
+    const { from, to, unscheduled, dueDate, ...filters } = req.query;
+
+    const fromDate = parseCalendarDate(from);
+    const toDate = parseCalendarDate(to);
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        error: true,
+        message: 'from과 to는 YYYY-MM-DD 형식의 날짜여야 합니다.'
+      });
+    }
+
+    const rangeDays = (toDate - fromDate) / DAY_MS;
+    if (rangeDays <= 0 || rangeDays > CALENDAR_MAX_DAYS) {
+      return res.status(400).json({
+        error: true,
+        message: `조회 기간은 1일 이상 ${CALENDAR_MAX_DAYS}일 이하여야 합니다.`
+      });
+    }
+
+    // 필터 조건 생성 (마감일 필터는 조회 기간으로 대체)
+    const listQuery = await buildTaskListQuery(req, res, filters);
+    if (!listQuery) return;
+
+    const { query } = listQuery;
+    const includeUnscheduled = unscheduled !== 'false';
+
+    const [tasks, unscheduledTasks] = await Promise.all([
+      Task.find({ ...query, dueDate: { $gte: fromDate, $lt: toDate } })
+        .sort({ dueDate: 1, priority: -1 })
+        .limit(CALENDAR_LIMIT)
+        .populate(ASSIGNEE_POPULATE),
+      includeUnscheduled
+        ? Task.find({ ...query, dueDate: null })
+          .sort({ priority: -1, createdAt: -1 })
+          .limit(CALENDAR_LIMIT)
+          .populate(ASSIGNEE_POPULATE)
+        : []
+    ]);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '달력 조회에 성공했습니다.',
+      data: {
+        from: fromDate,
+        to: toDate,
+        tasks,
+        unscheduled: includeUnscheduled ? unscheduledTasks : undefined,
+        truncated: tasks.length >= CALENDAR_LIMIT || unscheduledTasks.length >= CALENDAR_LIMIT
+      }
+    });
+
+  } catch (error) {
+    console.error('달력 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '달력 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/export
+ * 할 일 내보내기 API
+ * format=csv|json으로 목록 조회와 같은 필터에 맞는 모든 할 일을 파일로 내려받습니다.
+ * 할 일이 많아도 메모리에 모두 올리지 않도록 한 건씩 읽으며 응답에 씁니다
+ *
+ * 주의: /:id 보다 먼저 등록해야 경로가 가려지지 않음
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+
+    if (!TRANSFER_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: true,
+        message: `내보내기 형식은 ${TRANSFER_FORMATS.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    // 필터 조건 생성 (실패 시 에러 응답이 이미 전송됨)
+    const listQuery = await buildTaskListQuery(req, res, filters);
+    if (!listQuery) return;
+
+    const exportedAt = new Date();
+    const filename = `taskflow-tasks-${exportedAt.toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200).set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // 응답 버퍼가 가득 차면 비워질 때까지 기다림
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    await write(format === 'csv'
+      ? toCsvHeader()
+      : `{"version":1,"exportedAt":${JSON.stringify(exportedAt)},"tasks":[`);
+
+    const cursor = Task.find(listQuery.query).sort({ createdAt: 1 }).lean().cursor();
+    let count = 0;
+
+    for await (const task of cursor) {
+      if (format === 'csv') {
+        await write(toCsvRow(task));
+      } else {
+        await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(toJsonRecord(task))}`);
+      }
+      count += 1;
+    }
+
+    if (format === 'json') {
+      await write('\n]}\n');
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('할 일 내보내기 중 오류 발생:', error);
+
+    // 이미 파일을 보내기 시작했다면 불완전한 파일로 끝나지 않도록 연결을 끊음
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '할 일 내보내기 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/import
+ * 할 일 가져오기 API
+ * 내보내기 파일과 같은 형식(Content-Type: text/csv 또는 application/json)을 받아 행마다 할 일을 만듭니다.
+ * 각 행은 POST /api/tasks와 같은 규칙과 Task 스키마로 검사하며, 실패한 행이 있어도 나머지는 가져옵니다.
+ * dryRun=true이면 저장하지 않고 검사 결과만 반환하고, ?projectId=를 지정하면 해당 프로젝트(편집자 이상)로 가져옵니다.
+ * 내보낸 파일을 그대로 복원할 수 있도록 지난 마감일은 허용합니다
+ *
+ * 주의: /:id 보다 먼저 등록해야 경로가 가려지지 않음
+ */
+router.post(
+  '/import',
+  express.text({ type: 'text/csv', limit: TRANSFER_BODY_LIMIT }),
+  async (req, res) => {
+    try {
+      const { projectId, dryRun } = req.query;
+      const isDryRun = dryRun === 'true';
+
+      let format = null;
+      if (req.is('text/csv')) {
+        format = 'csv';
+      } else if (req.is('application/json')) {
+        format = 'json';
+      }
+
+      if (!format) {
+        return res.status(400).json({
+          error: true,
+          message: 'Content-Type은 text/csv 또는 application/json이어야 합니다.'
+        });
+      }
+
+      // 프로젝트로 가져오려면 편집 권한 필요
+      let project = null;
+      if (projectId) {
+        project = await findAccessibleProject(req, res, projectId, 'editor');
+        if (!project) return;
+      }
+
+      const fileResult = parseTransferFile(format, req.body);
+      if (fileResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: fileResult.error
+        });
+      }
+
+      const records = fileResult.value;
+
+      if (records.length === 0) {
+        return res.status(400).json({
+          error: true,
+          message: '가져올 할 일이 없습니다.'
+        });
+      }
+
+      if (records.length > IMPORT_LIMIT) {
+        return res.status(400).json({
+          error: true,
+          message: `한 번에 최대 ${IMPORT_LIMIT}개까지 가져올 수 있습니다.`
+        });
+      }
+
+      const categories = await Category.findForScope(req.user.id, project ? project._id : null);
+      const { results, summary } = await importTaskRecords(req, records, { project, categories, dryRun: isDryRun });
+      if (summary.imported > 0) {
+        await publishTasksChanged(req.user.id, project ? project._id : null);
+      }
+
+      // 성공 응답
+      res.status(200).json({
+        error: false,
+        message: isDryRun
+          ? `${summary.valid}개의 할 일을 가져올 수 있습니다.`
+          : `${summary.imported}개의 할 일을 가져왔습니다.`,
+        data: {
+          dryRun: isDryRun,
+          results,
+          summary
+        }
+      });
+
+    } catch (error) {
+      console.error('할 일 가져오기 중 오류 발생:', error);
+
+      res.status(500).json({
+        error: true,
+        message: '할 일 가져오기 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/tasks/import/:source
+ * 다른 앱에서 가져오기 API
+ * Todoist CSV(todoist), Trello 보드 JSON(trello), Microsoft To Do/todo.txt(todotxt) 파일 내용을
+ * { content, categoryMap } 형식으로 받아 할 일로 가져옵니다.
+ * 원본의 목록(섹션, 목록, +프로젝트)은 categoryMap에 따라 카테고리로 바꾸며,
+ * 가져올 범위의 카테고리와 이름이 같으면 그대로 사용하고 매핑하지 않은 목록은 기본 카테고리로 가져옵니다.
+ * dryRun=true로 미리 보면 data.categories에서 매핑이 필요한 목록을 확인할 수 있습니다
+ */
+router.post('/import/:source', async (req, res) => {
+  try {
+    const { source } = req.params;
+    const { projectId, dryRun } = req.query;
+    const { content, categoryMap = {} } = req.body;
+    const isDryRun = dryRun === 'true';
+
+    if (!IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        error: true,
+        message: `가져오기 원본은 ${IMPORT_SOURCES.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({
+        error: true,
+        message: '가져올 파일 내용이 비어 있습니다.'
+      });
+    }
+
+    if (!categoryMap || typeof categoryMap !== 'object' || Array.isArray(categoryMap)) {
+      return res.status(400).json({
+        error: true,
+        message: '카테고리 매핑은 { "원본 목록": "카테고리" } 형식이어야 합니다.'
+      });
+    }
+
+    // 프로젝트로 가져오려면 편집 권한 필요
+    let project = null;
+    if (projectId) {
+      project = await findAccessibleProject(req, res, projectId, 'editor');
+      if (!project) return;
+    }
+
+    // 카테고리 매핑 검사 (가져올 범위의 카테고리만 지정 가능)
+    const categories = await Category.findForScope(req.user.id, project ? project._id : null);
+    const categoryNames = categories.map(category => category.name);
+
+    const invalidCategory = Object.values(categoryMap).find(category => !categoryNames.includes(category));
+    if (invalidCategory !== undefined) {
+      return res.status(400).json({
+        error: true,
+        message: `'${invalidCategory}' 카테고리가 없습니다. 카테고리를 먼저 추가해주세요.`
+      });
+    }
+
+    // 매핑하지 않은 목록은 기본 카테고리로 가져옴
+    const fallbackCategory = resolveCategory(categories).value;
+
+    const fileResult = parseExternalFile(source, content);
+    if (fileResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: fileResult.error
+      });
+    }
+
+    const records = fileResult.value;
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: '가져올 할 일이 없습니다.'
+      });
+    }
+
+    if (records.length > IMPORT_LIMIT) {
+      return res.status(400).json({
+        error: true,
+        message: `한 번에 최대 ${IMPORT_LIMIT}개까지 가져올 수 있습니다.`
+      });
+    }
+
+    // 원본 목록별 카테고리 결정
+    const listCategories = new Map();
+    records.forEach(record => {
+      if (!record.list || record.skipReason) return;
+
+      if (!listCategories.has(record.list)) {
+        const known = categoryNames.includes(record.list);
+        const mapped = Object.prototype.hasOwnProperty.call(categoryMap, record.list);
+        listCategories.set(record.list, {
+          name: record.list,
+          count: 0,
+          known,
+          mapped: known || mapped,
+          category: known ? record.list : (mapped ? categoryMap[record.list] : fallbackCategory)
+        });
+      }
+
+      const listCategory = listCategories.get(record.list);
+      listCategory.count += 1;
+      record.category = listCategory.category;
+    });
+
+    const { results, summary } = await importTaskRecords(req, records, { project, categories, dryRun: isDryRun });
+    if (summary.imported > 0) {
+      await publishTasksChanged(req.user.id, project ? project._id : null);
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: isDryRun
+        ? `${summary.valid}개의 할 일을 가져올 수 있습니다.`
+        : `${summary.imported}개의 할 일을 가져왔습니다.`,
+      data: {
+        dryRun: isDryRun,
+        source,
+        categories: [...listCategories.values()],
+        results,
+        summary
+      }
+    });
+
+  } catch (error) {
+    console.error('외부 앱 가져오기 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '외부 앱 가져오기 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
- * 인증 미들웨어
- * JWT 토큰을 검증하여 사용자 인증을 처리합니다
+ * POST /api/tasks/bulk
+ * 할 일 일괄 작업 API
+ * ID 목록(ids) 또는 목록 조회와 같은 필터(filter)로 지정한 할 일에 같은 작업을 적용하고,
+ * 항목마다 성공/실패 결과를 반환합니다
+ *
+ * 주의: /:id 보다 먼저 등록해야 경로가 가려지지 않음
  */
-const authenticateToken = async (req, res, next) => {
+router.post('/bulk', async (req, res) => {
   try {
-    // Authorization 헤더에서 토큰 추출
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const { action, value, ids, filter } = req.body;
+
+    // 작업 종류 및 값 유효성 검사
+    const actionResult = normalizeBulkAction(action, value);
+    if (actionResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: actionResult.error
+      });
+    }
+
+    // 대상 지정 방식 확인 (ids와 filter 중 하나만)
+    if ((ids === undefined) === (filter === undefined)) {
+      return res.status(400).json({
+        error: true,
+        message: '대상은 ids 또는 filter 중 하나로 지정해야 합니다.'
+      });
+    }
+
+    let targetIds;
+    let tasks;
+
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({
+          error: true,
+          message: 'ids는 할 일 ID 배열이어야 합니다.'
+        });
+      }
+
+      targetIds = [...new Set(ids.map(id => String(id)))];
+      const validIds = targetIds.filter(id => id.match(/^[0-9a-fA-F]{24}$/));
+      tasks = await Task.find({ _id: { $in: validIds } });
+    } else {
+      if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        return res.status(400).json({
+          error: true,
+          message: 'filter는 목록 조회 조건 객체여야 합니다.'
+        });
+      }
+
+      // 필터 조건 생성 (실패 시 에러 응답이 이미 전송됨)
+      const listQuery = await buildTaskListQuery(req, res, filter);
+      if (!listQuery) return;
+
+      tasks = await Task.find(listQuery.query).limit(BULK_LIMIT + 1);
+      targetIds = tasks.map(task => task._id.toString());
+    }
+
+    if (targetIds.length > BULK_LIMIT) {
+      return res.status(400).json({
         error: true,
-        message: '인증 토큰이 필요합니다.'
+        message: `한 번에 최대 ${BULK_LIMIT}개의 할 일만 처리할 수 있습니다. 대상을 좁혀주세요.`
       });
     }
 
-    // 토큰 추출
-    const token = authHeader.substring(7); // 'Bearer ' 제거
-
-    // 토큰 검증
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    // 프로젝트별 권한은 한 번만 조회
+    const projectCache = new Map();
+    const getProject = async (projectId) => {
+      const key = projectId.toString();
+      if (!projectCache.has(key)) {
+        projectCache.set(key, await Project.findById(projectId));
+      }
+      return projectCache.get(key);
+    };
 
-    // 요청 객체에 사용자 정보 추가
-    req.user = {
-      id: decoded.id,
-      email: decoded.email
+    // 범위(개인/프로젝트)별 카테고리도 한 번만 조회
+    const categoryCache = new Map();
+    const getCategoryNames = async (task) => {
+      const key = task.projectId ? task.projectId.toString() : 'personal';
+      if (!categoryCache.has(key)) {
+        const categories = await Category.findForScope(task.userId, task.projectId);
+        categoryCache.set(key, categories.map(category => category.name));
+      }
+      return categoryCache.get(key);
     };
 
-    next(); // 다음 미들웨어로 이동
+    const taskMap = new Map(tasks.map(task => [task._id.toString(), task]));
+    const results = [];
+
+    for (const id of targetIds) {
+      const task = taskMap.get(id);
+
+      // 개인 할 일은 작성자만, 프로젝트 할 일은 멤버만 존재를 확인할 수 있음
+      const project = task && task.projectId ? await getProject(task.projectId) : null;
+      const visible = task && (task.projectId
+        ? Boolean(project && project.getMemberRole(req.user.id))
+        : task.userId.toString() === req.user.id);
+
+      if (!visible) {
+        results.push({ id, error: true, message: '할 일을 찾을 수 없습니다.' });
+        continue;
+      }
+
+      if (project && !project.hasRole(req.user.id, 'editor')) {
+        results.push({ id, error: true, message: '이 할 일을 수정할 권한이 없습니다.' });
+        continue;
+      }
+
+      if (action === 'setCategory' && !(await getCategoryNames(task)).includes(actionResult.value.category)) {
+        results.push({ id, error: true, message: `'${actionResult.value.category}' 카테고리가 없습니다.` });
+        continue;
+      }
+
+      try {
+        results.push(await applyBulkAction(task, action, actionResult.value));
+      } catch (error) {
+        // 항목별 실패는 전체 작업을 중단하지 않음
+        const message = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message).join(', ')
+          : '작업 처리 중 오류가 발생했습니다.';
+
+        if (error.name !== 'ValidationError') {
+          console.error('일괄 작업 항목 처리 중 오류 발생:', error);
+        }
+
+        results.push({ id, error: true, message });
+      }
+    }
+
+    const succeeded = results.filter(result => !result.error).length;
+    const unchanged = results.filter(result => result.unchanged).length;
+
+    // 할 일이 바뀐 범위(개인 목록, 프로젝트)마다 목록 갱신 이벤트 전송
+    const changedScopes = new Map();
+    results.filter(result => !result.error && !result.unchanged).forEach(result => {
+      const task = taskMap.get(result.id);
+      changedScopes.set(task.projectId ? task.projectId.toString() : `user:${task.userId}`, task);
+    });
+    for (const task of changedScopes.values()) {
+      await publishTasksChanged(task.userId, task.projectId);
+    }
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: `${results.length}개 중 ${succeeded}개의 할 일에 작업을 적용했습니다.`,
+      data: {
+        action,
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          unchanged,
+          failed: results.length - succeeded
+        }
+      }
+    });
 
   } catch (error) {
-    console.error('토큰 검증 중 오류 발생:', error);
+    console.error('일괄 작업 중 오류 발생:', error);
 
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        error: true,
-        message: '유효하지 않은 토큰입니다.'
-      });
+    res.status(500).json({
+      error: true,
+      message: '일괄 작업 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/completed
+ * 완료된 할 일 일괄 삭제 API
+ * 개인 목록(또는 projectId로 지정한 프로젝트)의 완료된 할 일을 모두 삭제합니다
+ *
+ * 주의: /:id 보다 먼저 등록해야 경로가 가려지지 않음
+ */
+router.delete('/completed', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+
+    // 삭제 범위 (프로젝트는 편집 권한 이상 필요)
+    const scope = { userId: req.user.id, projectId: null };
+    if (projectId) {
+      const project = await findAccessibleProject(req, res, projectId, 'editor');
+      if (!project) return;
+
+      delete scope.userId;
+      scope.projectId = project._id;
     }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: true,
-        message: '토큰이 만료되었습니다.'
-      });
+    // 완료된 할 일 삭제
+    const result = await Task.deleteMany({
+      ...scope,
+      completed: true
+    });
+    if (result.deletedCount > 0) {
+      await publishTasksChanged(req.user.id, scope.projectId);
     }
 
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '완료된 할 일들이 성공적으로 삭제되었습니다.',
+      data: {
+        deletedCount: result.deletedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('완료된 할 일 삭제 중 오류 발생:', error);
+
     res.status(500).json({
       error: true,
-      message: '인증 중 오류가 발생했습니다.'
+      message: '완료된 할 일 삭제 중 오류가 발생했습니다.'
     });
   }
-};
+});
 
-// 모든 할일 관련 라우트에 인증 미들웨어 적용
-router.use(authenticateToken);
+/**
+ * GET /api/tasks/:id
+ * 특정 할 일 조회 API (Read)
+ * ID로 특정 할 일을 조회합니다
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    // 할 일 조회 (프로젝트 할 일은 모든 멤버가 조회 가능)
+    const task = await findAccessibleTask(req, res, 'viewer');
+    if (!task) return;
+
+    // 담당자 및 담당자 변경 이력의 사용자 정보 포함
+    await task.populate([
+      ASSIGNEE_POPULATE,
+      { path: 'assignmentHistory.changedBy', select: 'name email' },
+      { path: 'assignmentHistory.added', select: 'name email' },
+      { path: 'assignmentHistory.removed', select: 'name email' }
+    ]);
+
+    // 수정할 때 If-Match로 보낼 버전 (If-None-Match가 같으면 Express가 304로 응답)
+    res.set('ETag', getTaskETag(task));
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '할 일 조회에 성공했습니다.',
+      data: {
+        task
+      }
+    });
+
+  } catch (error) {
+    console.error('할 일 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '할 일 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
 
 /**
- * POST /api/tasks
- * 새로운 할 일 생성 API (Create)
- * 사용자의 할 일을 생성합니다
+ * PUT /api/tasks/:id
+ * 할 일 수정 API (Update)
+ * ID로 특정 할 일을 수정합니다.
+ * If-Match 헤더(GET /:id 응답의 ETag)를 보내면 그 버전일 때만 수정하고, 그 사이 다른 곳에서
+ * 수정되었으면 412와 함께 현재 할 일을 돌려줍니다. 헤더가 없으면 버전을 확인하지 않습니다
  */
-router.post('/', async (req, res) => {
+router.put('/:id', async (req, res) => {
   try {
     const {
       title,
@@ -87,15 +1774,22 @@ router.post('/', async (req, res) => {
       category,
       priority,
       dueDate,
-      tags
+      completed,
+      tags,
+      reminders,
+      recurrence,
+      assignees
     } = req.body;
 
-    // 필수 필드 유효성 검사
-    if (!title || title.trim() === '') {
-      return res.status(400).json({
-        error: true,
-        message: '할 일 제목은 필수 항목입니다.'
-      });
+    // 할 일 조회 및 편집 권한 확인
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
+
+    // 클라이언트가 알고 있는 버전과 다르면 덮어쓰지 않음
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matchesTaskETag(ifMatch, task)) {
+      await sendTaskConflict(res, task);
+      return;
     }
 
     // 우선순위 유효성 검사
@@ -106,323 +1800,612 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // 새 할 일 생성
-    const newTask = new Task({
-      userId: req.user.id,              // 인증된 사용자 ID
-      title: title.trim(),
-      description: description ? description.trim() : '',
-      category: category || '개인',
-      priority: priority || 3,
-      dueDate: dueDate ? new Date(dueDate) : undefined,
-      tags: tags || []
-    });
+    // 업데이트할 필드 객체 생성
+    const updateFields = {};
+
+    if (title !== undefined) {
+      if (title.trim() === '') {
+        return res.status(400).json({
+          error: true,
+          message: '할 일 제목은 필수 항목입니다.'
+        });
+      }
+      updateFields.title = title.trim();
+    }
+
+    if (description !== undefined) {
+      updateFields.description = description ? description.trim() : '';
+    }
+
+    if (category !== undefined) {
+      // 할 일이 속한 범위(개인/프로젝트)의 카테고리만 지정 가능
+      const categories = await Category.findForScope(task.userId, task.projectId);
+      const categoryResult = resolveCategory(categories, category);
+      if (categoryResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: categoryResult.error
+        });
+      }
+      updateFields.category = categoryResult.value;
+    }
+
+    if (priority !== undefined) {
+      updateFields.priority = priority;
+    }
+
+    if (dueDate !== undefined) {
+      if (dueDate) {
+        updateFields.dueDate = new Date(dueDate);
+      } else {
+        // 반복 할 일은 반복을 함께 해제할 때만 마감일을 지울 수 있음
+        if (task.recurrence && recurrence === undefined) {
+          return res.status(400).json({
+            error: true,
+            message: '반복 할 일은 마감일이 필요합니다.'
+          });
+        }
+        updateFields.$unset = { dueDate: 1 };
+      }
+    }
+
+    if (completed !== undefined) {
+      updateFields.completed = completed;
+    }
+
+    if (tags !== undefined) {
+      const tagsResult = normalizeTags(tags);
+      if (tagsResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: tagsResult.error
+        });
+      }
+      updateFields.tags = tagsResult.value;
+    }
+
+    if (reminders !== undefined) {
+      const remindersResult = normalizeReminders(reminders);
+      if (remindersResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: remindersResult.error
+        });
+      }
+      updateFields.reminders = remindersResult.value;
+    }
+
+    if (recurrence !== undefined) {
+      const recurrenceResult = normalizeRecurrence(recurrence);
+      if (recurrenceResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: recurrenceResult.error
+        });
+      }
+
+      // 반복 기준 날짜: 이번에 바꾸는 마감일, 없으면 저장된 마감일
+      // (마감일을 지우거나 마감일이 없는 할 일에는 반복을 설정할 수 없음)
+      const recurrenceStartDate = dueDate !== undefined ? updateFields.dueDate : task.dueDate;
+      if (recurrenceResult.value && !recurrenceStartDate) {
+        return res.status(400).json({
+          error: true,
+          message: '반복 할 일은 마감일이 필요합니다.'
+        });
+      }
+
+      if (recurrenceResult.value) {
+        // 반복 규칙이 바뀌면 기준 날짜와 회차 번호를 새로 시작
+        updateFields.recurrence = {
+          ...recurrenceResult.value,
+          startDate: recurrenceStartDate,
+          occurrence: 1
+        };
+      } else {
+        updateFields.$unset = { ...updateFields.$unset, recurrence: 1 };
+      }
+    }
+
+    // 새로 지정된 담당자 (수정 후 알림)
+    let addedAssignees = [];
+
+    if (assignees !== undefined) {
+      const project = task.projectId ? await Project.findById(task.projectId) : null;
+      const assigneeIds = resolveAssignees(res, assignees, project, task.userId);
+      if (!assigneeIds) return;
+
+      // 기존 담당자와 비교하여 변경 내역 기록
+      const previousIds = task.assignees.map(id => id.toString());
+      const added = assigneeIds.filter(id => !previousIds.includes(id));
+      const removed = previousIds.filter(id => !assigneeIds.includes(id));
+
+      if (added.length > 0 || removed.length > 0) {
+        updateFields.assignees = assigneeIds;
+        updateFields.$push = {
+          assignmentHistory: { changedBy: req.user.id, added, removed, changedAt: new Date() }
+        };
+        addedAssignees = added;
+      }
+    }
+
+    // 할 일 수정 (버전을 확인했으면 확인한 뒤 다른 곳에서 수정되지 않았을 때만)
+    const updatedTask = await Task.findOneAndUpdate(
+      ifMatch ? { _id: task._id, updatedAt: task.updatedAt } : { _id: task._id },
+      updateFields,
+      {
+        new: true,        // 수정된 문서 반환
+        runValidators: true // 유효성 검사 실행
+      }
+    );
+
+    // 할 일 존재 여부 확인
+    if (!updatedTask) {
+      const currentTask = ifMatch ? await Task.findById(task._id) : null;
+      if (currentTask) {
+        await sendTaskConflict(res, currentTask);
+        return;
+      }
+
+      return res.status(404).json({
+        error: true,
+        message: '할 일을 찾을 수 없습니다.'
+      });
+    }
+
+    // 새로 지정된 담당자에게 알림
+    await notifyAssignees(updatedTask, addedAssignees, req.user.id);
+
+    // 반복 할 일이 완료되면 다음 회차 생성
+    let nextTask = null;
+    if (completed === true && updatedTask.completed) {
+      nextTask = await updatedTask.spawnNextOccurrence();
+    }
+
+    await updatedTask.populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(updatedTask);
+    if (nextTask) {
+      await nextTask.populate(ASSIGNEE_POPULATE);
+      await publishTaskCreated(nextTask);
+    }
+
+    // 성공 응답 (다음 수정에 사용할 버전 포함)
+    res.set('ETag', getTaskETag(updatedTask));
+    res.status(200).json({
+      error: false,
+      message: nextTask
+        ? '할 일이 완료되어 다음 반복 할 일이 생성되었습니다.'
+        : '할 일이 성공적으로 수정되었습니다.',
+      data: {
+        task: updatedTask,
+        nextTask
+      }
+    });
+
+  } catch (error) {
+    console.error('할 일 수정 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '할 일 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/tasks/:id/move
+ * 보드에서 할 일 이동 API
+ * 할 일의 상태 열을 바꾸고, order(이동한 열의 할 일 ID 순서)가 주어지면 열 안의 순서를 저장합니다.
+ * 마지막 열로 옮기면 완료 처리되고, 마지막 열에서 빼면 완료가 해제됩니다
+ */
+router.put('/:id/move', async (req, res) => {
+  try {
+    const { status, order } = req.body;
+
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
+
+    const columns = await Board.getColumns(task.userId, task.projectId);
+    const keys = columns.map(column => column.key);
+
+    if (!keys.includes(status)) {
+      return res.status(400).json({
+        error: true,
+        message: `상태는 ${keys.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    if (order !== undefined) {
+      if (!Array.isArray(order) || order.length > BOARD_LIMIT ||
+          !order.every(id => String(id).match(/^[0-9a-fA-F]{24}$/)) ||
+          !order.map(String).includes(task._id.toString())) {
+        return res.status(400).json({
+          error: true,
+          message: 'order는 이동한 할 일을 포함한 할 일 ID 배열이어야 합니다.'
+        });
+      }
+
+      // 같은 범위(개인 목록 또는 프로젝트)의 할 일만 순서 변경
+      const taskScope = task.projectId
+        ? { projectId: task.projectId }
+        : { userId: task.userId, projectId: null };
+
+      await Task.bulkWrite(order.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, ...taskScope },
+          update: { position: index }
+        }
+      })));
+    }
+
+    // 상태 변경 및 완료 여부 연동
+    const isDone = status === keys[keys.length - 1];
+    const update = isDone
+      ? { status, completed: true, ...(!task.completed && { completedAt: new Date() }) }
+      : { status, completed: false, $unset: { completedAt: 1 } };
+
+    const updatedTask = await Task.findOneAndUpdate(
+      { _id: task._id },
+      update,
+      {
+        new: true,          // 수정된 문서 반환
+        runValidators: true // 유효성 검사 실행
+      }
+    );
+
+    // 반복 할 일이 완료되면 다음 회차 생성
+    let nextTask = null;
+    if (isDone && !task.completed) {
+      nextTask = await updatedTask.spawnNextOccurrence();
+    }
 
-    // 데이터베이스에 저장
-    const savedTask = await newTask.save();
+    await updatedTask.populate(ASSIGNEE_POPULATE);
+    await publishTaskMoved(updatedTask, order === undefined ? null : order.map(String));
+    if (nextTask) {
+      await nextTask.populate(ASSIGNEE_POPULATE);
+      await publishTaskCreated(nextTask);
+    }
 
-    // 성공 응답 (201: Created)
-    res.status(201).json({
+    // 성공 응답
+    res.status(200).json({
       error: false,
-      message: '할 일이 성공적으로 생성되었습니다.',
+      message: nextTask
+        ? '할 일이 완료되어 다음 반복 할 일이 생성되었습니다.'
+        : '할 일이 이동되었습니다.',
       data: {
-        task: savedTask
+        task: updatedTask,
+        nextTask
       }
     });
 
   } catch (error) {
-    console.error('할 일 생성 중 오류 발생:', error);
-
-    // Mongoose 유효성 검사 에러 처리
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        error: true,
-        message: messages.join(', ')
-      });
-    }
+    console.error('할 일 이동 중 오류 발생:', error);
 
     res.status(500).json({
       error: true,
-      message: '할 일 생성 중 오류가 발생했습니다.'
+      message: '할 일 이동 중 오류가 발생했습니다.'
     });
   }
 });
 
 /**
- * GET /api/tasks
- * 할 일 목록 조회 API (Read)
- * 사용자의 모든 할 일 목록을 반환합니다
+ * POST /api/tasks/:id/skip
+ * 반복 할 일 회차 건너뛰기 API
+ * 완료 처리 없이 현재 회차의 마감일을 다음 회차로 옮깁니다
  */
-router.get('/', async (req, res) => {
+router.post('/:id/skip', async (req, res) => {
   try {
-    // 쿼리 파라미터 추출
-    const {
-      completed,      // 완료 상태 필터 (true/false)
-      category,       // 카테고리 필터
-      priority,       // 우선순위 필터
-      dueDate,        // 마감일 필터
-      page = 1,       // 페이지 번호 (기본값: 1)
-      limit = 10,     // 페이지당 항목 수 (기본값: 10)
-      sortBy = 'createdAt', // 정렬 기준 (기본값: 생성일)
-      sortOrder = 'desc'     // 정렬 순서 (기본값: 내림차순)
-    } = req.query;
-
-    // 검색 조건 객체 생성
-    const query = { userId: req.user.id };
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
 
-    // 필터링 조건 추가
-    if (completed !== undefined) {
-      query.completed = completed === 'true';
+    if (!task.recurrence) {
+      return res.status(400).json({
+        error: true,
+        message: '반복 할 일이 아닙니다.'
+      });
     }
 
-    if (category) {
-      query.category = category;
+    // 남은 회차가 없으면 건너뛸 수 없음
+    const skipped = await task.skipOccurrence();
+    if (!skipped) {
+      return res.status(409).json({
+        error: true,
+        message: '남은 반복 회차가 없습니다.'
+      });
     }
 
-    if (priority) {
-      query.priority = parseInt(priority);
-    }
+    await task.populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(task);
 
-    if (dueDate) {
-      const date = new Date(dueDate);
-      const nextDay = new Date(date);
-      nextDay.setDate(date.getDate() + 1);
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '이번 회차를 건너뛰었습니다.',
+      data: {
+        task
+      }
+    });
 
-      query.dueDate = {
-        $gte: date,
-        $lt: nextDay
-      };
-    }
+  } catch (error) {
+    console.error('반복 회차 건너뛰기 중 오류 발생:', error);
 
-    // 정렬 옵션 설정
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    res.status(500).json({
+      error: true,
+      message: '반복 회차 건너뛰기 중 오류가 발생했습니다.'
+    });
+  }
+});
 
-    // 페이지네이션 계산
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+/**
+ * DELETE /api/tasks/:id/recurrence
+ * 반복 종료 API
+ * 현재 회차를 마지막으로 반복을 끝냅니다 (할 일 자체는 유지)
+ */
+router.delete('/:id/recurrence', async (req, res) => {
+  try {
+    const existingTask = await findAccessibleTask(req, res, 'editor');
+    if (!existingTask) return;
 
-    // 데이터베이스 조회
-    const [tasks, totalCount] = await Promise.all([
-      Task.find(query)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum),
-      Task.countDocuments(query)
-    ]);
+    const task = await Task.findOneAndUpdate(
+      { _id: existingTask._id },
+      { $unset: { recurrence: 1 } },
+      { new: true }
+    ).populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(task);
 
     // 성공 응답
     res.status(200).json({
       error: false,
-      message: '할 일 목록 조회에 성공했습니다.',
+      message: '반복이 종료되었습니다.',
       data: {
-        tasks,
-        pagination: {
-          currentPage: pageNum,
-          totalPages: Math.ceil(totalCount / limitNum),
-          totalItems: totalCount,
-          itemsPerPage: limitNum
-        }
+        task
       }
     });
 
   } catch (error) {
-    console.error('할 일 목록 조회 중 오류 발생:', error);
+    console.error('반복 종료 중 오류 발생:', error);
 
     res.status(500).json({
       error: true,
-      message: '할 일 목록 조회 중 오류가 발생했습니다.'
+      message: '반복 종료 중 오류가 발생했습니다.'
     });
   }
 });
 
 /**
- * GET /api/tasks/stats
- * 할 일 통계 조회 API
- * 사용자의 할 일 통계 정보를 반환합니다
+ * POST /api/tasks/:id/subtasks
+ * 하위 작업 추가 API
+ * 체크리스트의 마지막(또는 지정한 위치)에 하위 작업을 추가합니다
  */
-router.get('/stats', async (req, res) => {
+router.post('/:id/subtasks', async (req, res) => {
   try {
-    // 사용자의 통계 정보 조회
-    const stats = await Task.getUserStats(req.user.id);
+    const { title, position } = req.body;
 
-    // 마감 임박 할 일 조회
-    const upcomingTasks = await Task.getUpcomingTasks(req.user.id, 3);
+    // 필수 필드 유효성 검사
+    if (!title || title.trim() === '') {
+      return res.status(400).json({
+        error: true,
+        message: '하위 작업 제목은 필수 항목입니다.'
+      });
+    }
 
-    // 성공 응답
-    res.status(200).json({
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
+
+    // 위치가 지정되면 해당 위치에, 아니면 맨 뒤에 추가
+    const subtask = { title: title.trim() };
+    if (Number.isInteger(position) && position >= 0 && position < task.subtasks.length) {
+      task.subtasks.splice(position, 0, subtask);
+    } else {
+      task.subtasks.push(subtask);
+    }
+
+    // 바뀐 하위 작업만 검사 (저장된 마감일이 지났어도 체크리스트는 수정 가능)
+    await task.save({ validateModifiedOnly: true });
+    await task.populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(task);
+
+    // 성공 응답 (201: Created)
+    res.status(201).json({
       error: false,
-      message: '할 일 통계 조회에 성공했습니다.',
+      message: '하위 작업이 추가되었습니다.',
       data: {
-        stats,
-        upcomingTasks: upcomingTasks.slice(0, 5) // 최대 5개만 반환
+        task
       }
     });
 
   } catch (error) {
-    console.error('할 일 통계 조회 중 오류 발생:', error);
+    console.error('하위 작업 추가 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
 
     res.status(500).json({
       error: true,
-      message: '할 일 통계 조회 중 오류가 발생했습니다.'
+      message: '하위 작업 추가 중 오류가 발생했습니다.'
     });
   }
 });
 
 /**
- * GET /api/tasks/:id
- * 특정 할 일 조회 API (Read)
- * ID로 특정 할 일을 조회합니다
+ * PUT /api/tasks/:id/subtasks/reorder
+ * 하위 작업 순서 변경 API
+ * 요청 본문의 order 배열(하위 작업 ID 목록) 순서대로 체크리스트를 재배열합니다
  */
-router.get('/:id', async (req, res) => {
+router.put('/:id/subtasks/reorder', async (req, res) => {
   try {
-    const taskId = req.params.id;
+    const { order } = req.body;
 
-    // ObjectId 형식 유효성 검사
-    if (!taskId.match(/^[0-9a-fA-F]{24}$/)) {
+    if (!Array.isArray(order)) {
       return res.status(400).json({
         error: true,
-        message: '유효하지 않은 할 일 ID입니다.'
+        message: '순서는 하위 작업 ID 배열이어야 합니다.'
       });
     }
 
-    // 할 일 조회
-    const task = await Task.findOne({
-      _id: taskId,
-      userId: req.user.id
-    });
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
 
-    // 할 일 존재 여부 확인
-    if (!task) {
-      return res.status(404).json({
+    // 모든 하위 작업이 정확히 한 번씩 포함되어야 함
+    const currentIds = task.subtasks.map(subtask => subtask._id.toString());
+    const isSamePermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => currentIds.includes(id));
+
+    if (!isSamePermutation) {
+      return res.status(400).json({
         error: true,
-        message: '할 일을 찾을 수 없습니다.'
+        message: '순서 목록이 현재 하위 작업과 일치하지 않습니다.'
       });
     }
 
+    const reordered = order.map(id => task.subtasks.id(id).toObject());
+    task.subtasks = reordered;
+    await task.save({ validateModifiedOnly: true });
+    await task.populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(task);
+
     // 성공 응답
     res.status(200).json({
       error: false,
-      message: '할 일 조회에 성공했습니다.',
+      message: '하위 작업 순서가 변경되었습니다.',
       data: {
         task
       }
     });
 
   } catch (error) {
-    console.error('할 일 조회 중 오류 발생:', error);
+    console.error('하위 작업 순서 변경 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
 
     res.status(500).json({
       error: true,
-      message: '할 일 조회 중 오류가 발생했습니다.'
+      message: '하위 작업 순서 변경 중 오류가 발생했습니다.'
     });
   }
 });
 
 /**
- * PUT /api/tasks/:id
- * 할 일 수정 API (Update)
- * ID로 특정 할 일을 수정합니다
+ * PUT /api/tasks/:id/subtasks/:subtaskId
+ * 하위 작업 수정 API
+ * 하위 작업의 제목 또는 완료 상태를 변경합니다
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id/subtasks/:subtaskId', async (req, res) => {
   try {
-    const taskId = req.params.id;
-    const {
-      title,
-      description,
-      category,
-      priority,
-      dueDate,
-      completed,
-      tags
-    } = req.body;
+    const { title, completed } = req.body;
 
-    // ObjectId 형식 유효성 검사
-    if (!taskId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        error: true,
-        message: '유효하지 않은 할 일 ID입니다.'
-      });
-    }
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
 
-    // 우선순위 유효성 검사
-    if (priority && (priority < 1 || priority > 5)) {
-      return res.status(400).json({
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
         error: true,
-        message: '우선순위는 1부터 5까지의 숫자여야 합니다.'
+        message: '하위 작업을 찾을 수 없습니다.'
       });
     }
 
-    // 업데이트할 필드 객체 생성
-    const updateFields = {};
-
     if (title !== undefined) {
       if (title.trim() === '') {
         return res.status(400).json({
           error: true,
-          message: '할 일 제목은 필수 항목입니다.'
+          message: '하위 작업 제목은 필수 항목입니다.'
         });
       }
-      updateFields.title = title.trim();
+      subtask.title = title.trim();
     }
 
-    if (description !== undefined) {
-      updateFields.description = description ? description.trim() : '';
+    if (completed !== undefined) {
+      subtask.completed = Boolean(completed);
     }
 
-    if (category !== undefined) {
-      updateFields.category = category;
-    }
+    await task.save({ validateModifiedOnly: true });
+    await task.populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(task);
 
-    if (priority !== undefined) {
-      updateFields.priority = priority;
-    }
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '하위 작업이 수정되었습니다.',
+      data: {
+        task
+      }
+    });
 
-    if (dueDate !== undefined) {
-      updateFields.dueDate = dueDate ? new Date(dueDate) : undefined;
-    }
+  } catch (error) {
+    console.error('하위 작업 수정 중 오류 발생:', error);
 
-    if (completed !== undefined) {
-      updateFields.completed = completed;
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
     }
 
-    if (tags !== undefined) {
-      updateFields.tags = tags;
-    }
+    res.status(500).json({
+      error: true,
+      message: '하위 작업 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
 
-    // 할 일 수정
-    const updatedTask = await Task.findOneAndUpdate(
-      {
-        _id: taskId,
-        userId: req.user.id
-      },
-      updateFields,
-      {
-        new: true,        // 수정된 문서 반환
-        runValidators: true // 유효성 검사 실행
-      }
-    );
+/**
+ * DELETE /api/tasks/:id/subtasks/:subtaskId
+ * 하위 작업 삭제 API
+ */
+router.delete('/:id/subtasks/:subtaskId', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
 
-    // 할 일 존재 여부 확인
-    if (!updatedTask) {
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
       return res.status(404).json({
         error: true,
-        message: '할 일을 찾을 수 없습니다.'
+        message: '하위 작업을 찾을 수 없습니다.'
       });
     }
 
+    subtask.deleteOne();
+    await task.save({ validateModifiedOnly: true });
+    await task.populate(ASSIGNEE_POPULATE);
+    await publishTaskUpdated(task);
+
     // 성공 응답
     res.status(200).json({
       error: false,
-      message: '할 일이 성공적으로 수정되었습니다.',
+      message: '하위 작업이 삭제되었습니다.',
       data: {
-        task: updatedTask
+        task
       }
     });
 
   } catch (error) {
-    console.error('할 일 수정 중 오류 발생:', error);
+    console.error('하위 작업 삭제 중 오류 발생:', error);
 
     // Mongoose 유효성 검사 에러 처리
     if (error.name === 'ValidationError') {
@@ -435,7 +2418,7 @@ router.put('/:id', async (req, res) => {
 
     res.status(500).json({
       error: true,
-      message: '할 일 수정 중 오류가 발생했습니다.'
+      message: '하위 작업 삭제 중 오류가 발생했습니다.'
     });
   }
 });
@@ -447,23 +2430,14 @@ router.put('/:id', async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const taskId = req.params.id;
-
-    // ObjectId 형식 유효성 검사
-    if (!taskId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        error: true,
-        message: '유효하지 않은 할 일 ID입니다.'
-      });
-    }
+    // 할 일 조회 및 편집 권한 확인
+    const task = await findAccessibleTask(req, res, 'editor');
+    if (!task) return;
 
     // 할 일 삭제
-    const deletedTask = await Task.findOneAndDelete({
-      _id: taskId,
-      userId: req.user.id
-    });
+    const deletedTask = await Task.findOneAndDelete({ _id: task._id });
 
-    // 할 일 존재 여부 확인
+    // 그 사이 다른 요청으로 삭제된 경우
     if (!deletedTask) {
       return res.status(404).json({
         error: true,
@@ -471,6 +2445,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    await publishTaskDeleted(deletedTask);
+
     // 성공 응답
     res.status(200).json({
       error: false,
@@ -490,36 +2466,4 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-/**
- * DELETE /api/tasks/completed
- * 완료된 할 일 일괄 삭제 API
- * 완료된 모든 할 일을 삭제합니다
- */
-router.delete('/completed', async (req, res) => {
-  try {
-    // 완료된 할 일 삭제
-    const result = await Task.deleteMany({
-      userId: req.user.id,
-      completed: true
-    });
-
-    // 성공 응답
-    res.status(200).json({
-      error: false,
-      message: '완료된 할 일들이 성공적으로 삭제되었습니다.',
-      data: {
-        deletedCount: result.deletedCount
-      }
-    });
-
-  } catch (error) {
-    console.error('완료된 할 일 삭제 중 오류 발생:', error);
-
-    res.status(500).json({
-      error: true,
-      message: '완료된 할 일 삭제 중 오류가 발생했습니다.'
-    });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,332 @@
+/**
+ * 2단계 인증 설정 라우터
+ *
+ * 이 파일은 로그인한 사용자의 2단계 인증(TOTP) 설정 API 엔드포인트를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 2단계 인증 상태 조회 (사용 여부, 남은 복구 코드 수)
+ * - 등록 시작 (비밀 키와 인증 앱 등록용 otpauth:// URI 발급) 및 코드 확인 후 사용 설정
+ * - 복구 코드 발급 (사용 설정할 때, 다시 만들 때 한 번만 표시)
+ * - 2단계 인증 끄기
+ * - JWT 인증 미들웨어 적용
+ *
+ * 등록 시작, 끄기, 복구 코드 다시 만들기는 현재 비밀번호를 다시 입력해야 합니다 (로그인과 같은 요청 제한 적용).
+ * 로그인 두 번째 단계는 routes/auth.js의 /login/2fa에서 처리합니다.
+ */
+
+const express = require('express');       // Express 라우터
+const User = require('../models/User');    // 사용자 모델
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { loginLimiter } = require('../middleware/rateLimit'); // 비밀번호 재입력 요청 제한
+const {
+  generateSecret,
+  buildOtpAuthUri,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../utils/totp'); // TOTP 계산 및 복구 코드
+
+const router = express.Router();
+
+// 모든 2단계 인증 설정 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+// 인증 앱에 표시할 서비스 이름
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'TaskFlow';
+
+/**
+ * 비밀번호 재확인 함수
+ * 실패하면 직접 오류 응답을 보내고 null을 반환합니다
+ * (401은 웹 앱이 토큰 만료로 처리하므로 잘못된 비밀번호는 400으로 응답)
+ *
+ * @param {Object} req - 요청 객체 (req.body.password)
+ * @param {Object} res - 응답 객체
+ * @returns {Promise<Object|null>} 사용자 문서
+ */
+const verifyPasswordForRequest = async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    res.status(400).json({
+      error: true,
+      message: '현재 비밀번호를 입력해주세요.'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+  if (!user || !user.isActive) {
+    res.status(404).json({
+      error: true,
+      message: '사용자를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (!(await user.comparePassword(String(password)))) {
+    res.status(400).json({
+      error: true,
+      message: '비밀번호가 올바르지 않습니다.'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * GET /api/auth/2fa
+ * 2단계 인증 상태 조회 API
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodeHashes');
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(200).json({
+      error: false,
+      message: '2단계 인증 상태 조회에 성공했습니다.',
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodeHashes || []).length : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 상태 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '2단계 인증 상태 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * 2단계 인증 등록 시작 API
+ * { password } 형식으로 받아 새 비밀 키를 만들고, 인증 앱에 등록할 키와 otpauth:// URI를 반환합니다.
+ * /enable에서 코드를 확인하기 전까지는 사용되지 않습니다
+ */
+router.post('/setup', loginLimiter, async (req, res) => {
+  try {
+    const user = await verifyPasswordForRequest(req, res);
+    if (!user) return;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: true,
+        message: '이미 2단계 인증을 사용 중입니다.'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.status(200).json({
+      error: false,
+      message: '인증 앱에 키를 등록한 뒤 표시된 코드를 입력해주세요.',
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri({ secret, account: user.email, issuer: TOTP_ISSUER })
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 등록 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '2단계 인증 등록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * 2단계 인증 사용 설정 API
+ * { code } 형식으로 등록 중인 키의 코드를 확인하고 사용 설정합니다. 복구 코드는 이 응답에서만 확인할 수 있습니다
+ */
+router.post('/enable', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: true,
+        message: '인증 앱에 표시된 코드를 입력해주세요.'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: true,
+        message: '이미 2단계 인증을 사용 중입니다.'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: true,
+        message: '먼저 2단계 인증 등록을 시작해주세요.'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: true,
+        message: '인증 코드가 올바르지 않습니다. 인증 앱의 현재 코드를 입력해주세요.'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode),
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      },
+      { new: true }
+    );
+
+    // 그 사이 등록을 다시 시작했으면 새 키로 다시 확인해야 함
+    if (!updated) {
+      return res.status(409).json({
+        error: true,
+        message: '등록 중인 키가 바뀌었습니다. 새로 표시된 키로 다시 시도해주세요.'
+      });
+    }
+
+    res.status(200).json({
+      error: false,
+      message: '2단계 인증을 사용하도록 설정했습니다.',
+      data: {
+        user: updated,
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 사용 설정 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '2단계 인증 사용 설정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * 복구 코드 다시 만들기 API
+ * { password } 형식으로 받아 새 복구 코드를 발급합니다 (이전 복구 코드는 모두 무효)
+ */
+router.post('/recovery-codes', loginLimiter, async (req, res) => {
+  try {
+    const user = await verifyPasswordForRequest(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: true,
+        message: '2단계 인증을 사용하고 있지 않습니다.'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    res.status(200).json({
+      error: false,
+      message: '새 복구 코드를 만들었습니다. 이전 복구 코드는 더 이상 사용할 수 없습니다.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('복구 코드 발급 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '복구 코드 발급 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * 2단계 인증 끄기 API
+ * { password } 형식으로 받아 비밀 키와 복구 코드를 삭제합니다
+ */
+router.post('/disable', loginLimiter, async (req, res) => {
+  try {
+    const user = await verifyPasswordForRequest(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: true,
+        message: '2단계 인증을 사용하고 있지 않습니다.'
+      });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodeHashes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.challengeHash': 1,
+          'twoFactor.challengeFailures': 1
+        }
+      },
+      { new: true }
+    );
+
+    res.status(200).json({
+      error: false,
+      message: '2단계 인증을 껐습니다.',
+      data: {
+        user: updated
+      }
+    });
+
+  } catch (error) {
+    console.error('2단계 인증 끄기 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '2단계 인증을 끄는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,425 @@
+/**
+ * 저장된 보기(스마트 목록) 라우터
+ *
+ * 이 파일은 사용자별로 저장한 할 일 조회 조건 관련 API 엔드포인트를 정의합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 기본 제공 스마트 목록과 저장된 보기 목록 조회 (GET /)
+ * - 보기 생성/조회/수정/삭제 (POST /, GET /:id, PUT /:id, DELETE /:id)
+ * - 저장할 조회 조건 유효성 검사
+ * - JWT 인증 미들웨어 적용
+ */
+
+const express = require('express');           // Express 라우터
+const View = require('../models/View');       // 저장된 보기 모델
+const Project = require('../models/Project'); // 프로젝트 모델
+const { authenticateToken } = require('../middleware/auth'); // 인증 미들웨어
+const { parseTaskQuery } = require('../utils/taskQuery');    // 검색 조건 언어 해석
+const { parseSearchQuery } = require('../utils/search');     // 검색어 해석
+
+const router = express.Router();
+
+// 모든 보기 관련 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+/**
+ * 보기 응답 객체 생성 함수
+ *
+ * @param {Object} view - 보기 문서
+ * @returns {Object} 응답용 보기 객체
+ */
+const toViewResponse = (view) => {
+  const viewObject = view.toObject({ flattenMaps: true });
+  viewObject.builtIn = false;
+  delete viewObject.__v;
+
+  return viewObject;
+};
+
+/**
+ * 저장할 조회 조건 검사 및 정규화 함수
+ * GET /api/tasks가 받는 파라미터만 허용하고, 값은 문자열로 저장합니다.
+ *
+ * @param {Object} input - 요청 본문의 조회 조건
+ * @param {string} userId - 현재 사용자 ID
+ * @returns {Promise<{ value: Object|null, error: string|null, data?: Object }>} 정규화 결과 또는 에러 정보
+ */
+const normalizeViewQuery = async (input, userId) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, error: '조회 조건은 객체여야 합니다.' };
+  }
+
+  const unknownKeys = Object.keys(input).filter(key => !View.QUERY_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    return {
+      value: null,
+      error: `지원하지 않는 조회 조건입니다: ${unknownKeys.join(', ')}`
+    };
+  }
+
+  // 빈 값은 저장하지 않음
+  const query = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      query[key] = String(value).trim();
+    }
+  }
+
+  if (query.completed && !['true', 'false'].includes(query.completed)) {
+    return { value: null, error: 'completed는 true 또는 false여야 합니다.' };
+  }
+
+  if (query.priority && !/^[1-5]$/.test(query.priority)) {
+    return { value: null, error: '우선순위는 1부터 5까지의 숫자여야 합니다.' };
+  }
+
+  if (query.dueDate && isNaN(new Date(query.dueDate).getTime())) {
+    return { value: null, error: '마감일 형식이 올바르지 않습니다.' };
+  }
+
+  if (query.sortBy && !View.SORT_FIELDS.includes(query.sortBy)) {
+    return { value: null, error: `정렬 기준은 ${View.SORT_FIELDS.join(', ')} 중 하나여야 합니다.` };
+  }
+
+  if (query.sortOrder && !['asc', 'desc'].includes(query.sortOrder)) {
+    return { value: null, error: '정렬 순서는 asc 또는 desc여야 합니다.' };
+  }
+
+  if (query.tagMode && !['any', 'all'].includes(query.tagMode)) {
+    return { value: null, error: 'tagMode는 any 또는 all이어야 합니다.' };
+  }
+
+  if (query.limit && !/^\d+$/.test(query.limit)) {
+    return { value: null, error: '페이지당 항목 수는 숫자여야 합니다.' };
+  }
+
+  // 프로젝트 보기는 참여 중인 프로젝트만 지정 가능
+  if (query.projectId) {
+    const project = query.projectId.match(/^[0-9a-fA-F]{24}$/)
+      ? await Project.findById(query.projectId)
+      : null;
+
+    if (!project || !project.getMemberRole(userId)) {
+      return { value: null, error: '프로젝트를 찾을 수 없습니다.' };
+    }
+  }
+
+  // 검색 조건은 저장 시점에 미리 해석하여 잘못된 토큰을 알려줌
+  if (query.q) {
+    const queryResult = parseTaskQuery(query.q, { userId });
+    if (queryResult.error) {
+      return {
+        value: null,
+        error: queryResult.error.message,
+        data: { token: queryResult.error.token, position: queryResult.error.position }
+      };
+    }
+
+    if (queryResult.value.text) {
+      const searchResult = parseSearchQuery(queryResult.value.text);
+      if (searchResult.error) {
+        return { value: null, error: searchResult.error };
+      }
+    }
+  }
+
+  return { value: query, error: null };
+};
+
+/**
+ * 보기 조회 및 소유자 확인 함수
+ * 실패 시 에러 응답을 보내고 null을 반환합니다
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Promise<Object|null>} 보기 문서
+ */
+const findOwnView = async (req, res) => {
+  const viewId = req.params.id;
+
+  // 기본 제공 스마트 목록은 수정/삭제할 수 없음
+  if (View.BUILT_IN_VIEWS.some(view => view._id === viewId)) {
+    res.status(403).json({
+      error: true,
+      message: '기본 제공 목록은 변경할 수 없습니다.'
+    });
+    return null;
+  }
+
+  // ObjectId 형식 유효성 검사
+  if (!viewId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: true,
+      message: '유효하지 않은 보기 ID입니다.'
+    });
+    return null;
+  }
+
+  const view = await View.findOne({ _id: viewId, userId: req.user.id });
+
+  if (!view) {
+    res.status(404).json({
+      error: true,
+      message: '보기를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return view;
+};
+
+/**
+ * GET /api/views
+ * 보기 목록 조회 API
+ * 기본 제공 스마트 목록 뒤에 사용자가 저장한 보기를 표시 순서대로 반환합니다
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await View.findForUser(req.user.id);
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '보기 목록 조회에 성공했습니다.',
+      data: {
+        views: [...View.BUILT_IN_VIEWS, ...views.map(toViewResponse)]
+      }
+    });
+
+  } catch (error) {
+    console.error('보기 목록 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '보기 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * POST /api/views
+ * 보기 생성 API
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, icon, query } = req.body;
+
+    // 필수 필드 유효성 검사
+    if (!name || name.trim() === '') {
+      return res.status(400).json({
+        error: true,
+        message: '보기 이름은 필수 항목입니다.'
+      });
+    }
+
+    const queryResult = await normalizeViewQuery(query || {}, req.user.id);
+    if (queryResult.error) {
+      return res.status(400).json({
+        error: true,
+        message: queryResult.error,
+        data: queryResult.data
+      });
+    }
+
+    // 새 보기는 목록의 마지막에 추가
+    const lastView = await View.findOne({ userId: req.user.id }).sort({ position: -1 });
+
+    const newView = new View({
+      userId: req.user.id,
+      name: name.trim(),
+      icon: icon || undefined,
+      query: queryResult.value,
+      position: lastView ? lastView.position + 1 : 0
+    });
+
+    await newView.save();
+
+    // 성공 응답 (201: Created)
+    res.status(201).json({
+      error: false,
+      message: '보기가 저장되었습니다.',
+      data: {
+        view: toViewResponse(newView)
+      }
+    });
+
+  } catch (error) {
+    console.error('보기 생성 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    // 이름 중복 에러 처리
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: true,
+        message: '같은 이름의 보기가 이미 있습니다.'
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '보기 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/views/:id
+ * 특정 보기 조회 API
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const builtInView = View.BUILT_IN_VIEWS.find(view => view._id === req.params.id);
+
+    if (builtInView) {
+      return res.status(200).json({
+        error: false,
+        message: '보기 조회에 성공했습니다.',
+        data: {
+          view: builtInView
+        }
+      });
+    }
+
+    const view = await findOwnView(req, res);
+    if (!view) return;
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '보기 조회에 성공했습니다.',
+      data: {
+        view: toViewResponse(view)
+      }
+    });
+
+  } catch (error) {
+    console.error('보기 조회 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '보기 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/views/:id
+ * 보기 수정 API
+ * 이름, 아이콘, 조회 조건, 표시 순서를 수정합니다
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, icon, query, position } = req.body;
+
+    const view = await findOwnView(req, res);
+    if (!view) return;
+
+    if (name !== undefined) {
+      if (!name || name.trim() === '') {
+        return res.status(400).json({
+          error: true,
+          message: '보기 이름은 필수 항목입니다.'
+        });
+      }
+      view.name = name.trim();
+    }
+
+    if (icon !== undefined) {
+      view.icon = icon || undefined;
+    }
+
+    if (query !== undefined) {
+      const queryResult = await normalizeViewQuery(query || {}, req.user.id);
+      if (queryResult.error) {
+        return res.status(400).json({
+          error: true,
+          message: queryResult.error,
+          data: queryResult.data
+        });
+      }
+      view.query = queryResult.value;
+    }
+
+    if (position !== undefined) {
+      if (!Number.isInteger(position) || position < 0) {
+        return res.status(400).json({
+          error: true,
+          message: '표시 순서는 0 이상의 정수여야 합니다.'
+        });
+      }
+      view.position = position;
+    }
+
+    await view.save();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '보기가 수정되었습니다.',
+      data: {
+        view: toViewResponse(view)
+      }
+    });
+
+  } catch (error) {
+    console.error('보기 수정 중 오류 발생:', error);
+
+    // Mongoose 유효성 검사 에러 처리
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: true,
+        message: messages.join(', ')
+      });
+    }
+
+    // 이름 중복 에러 처리
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: true,
+        message: '같은 이름의 보기가 이미 있습니다.'
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: '보기 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/views/:id
+ * 보기 삭제 API
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const view = await findOwnView(req, res);
+    if (!view) return;
+
+    await view.deleteOne();
+
+    // 성공 응답
+    res.status(200).json({
+      error: false,
+      message: '보기가 삭제되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('보기 삭제 중 오류 발생:', error);
+
+    res.status(500).json({
+      error: true,
+      message: '보기 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,8 @@
  * - 라우팅 설정
  * - 에러 처리
  * - CORS 및 보안 설정
+ * - 요청 제한 (IP별, 할 일 API는 더 넉넉하게)
+ * - 마감 알림 스케줄러 실행
  */
 
 const express = require('express');  // Express 웹 프레임워크
@@ -19,7 +21,19 @@ require('dotenv').config();           // 환경 변수 관리
 
 // 라우터 모듈 임포트
 const authRoutes = require('./routes/auth');   // 인증 관련 라우트
+const twoFactorRoutes = require('./routes/twoFactor'); // 2단계 인증 설정 라우트
 const taskRoutes = require('./routes/tasks');  // 할 일 관리 라우트
+const projectRoutes = require('./routes/projects'); // 공유 프로젝트 라우트
+const viewRoutes = require('./routes/views');  // 저장된 보기 라우트
+const calendarRoutes = require('./routes/calendar'); // 캘린더 연동(.ics) 라우트
+const categoryRoutes = require('./routes/categories'); // 카테고리 라우트
+const tagRoutes = require('./routes/tags');    // 태그 라우트
+const notificationRoutes = require('./routes/notifications'); // 알림 라우트
+const eventRoutes = require('./routes/events'); // 실시간 이벤트(SSE) 라우트
+const { TRANSFER_BODY_LIMIT } = require('./utils/taskTransfer'); // 할 일 가져오기 본문 크기 제한
+const { startReminderScheduler } = require('./utils/reminderScheduler'); // 마감 알림 스케줄러
+const { closeAllStreams } = require('./utils/eventStream'); // 실시간 이벤트 연결 관리
+const { authLimiter, taskApiLimiter, apiLimiter } = require('./middleware/rateLimit'); // 요청 제한
 
 // Express 애플리케이션 생성
 const app = express();
@@ -29,6 +43,9 @@ const PORT = process.env.PORT || 3000;
 // MongoDB 연결 URI 설정
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/taskflow';
 
+// 마감 알림 스케줄러 (REMINDER_SCHEDULER=false이면 실행하지 않음)
+let reminderScheduler = null;
+
 /**
  * 데이터베이스 연결 함수
  * MongoDB에 연결하고 연결 상태를 콘솔에 출력합니다
@@ -52,8 +69,24 @@ const connectDB = async () => {
  * 미들웨어 설정
  * 요청 처리 전에 실행되는 함수들입니다
  */
+// 프록시 뒤에서 실행하면 X-Forwarded-For의 클라이언트 IP 사용 (요청 제한, 로그인 기기 IP)
+// 예: TRUST_PROXY=1 (프록시 1단계), TRUST_PROXY=loopback
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  if (/^\d+$/.test(TRUST_PROXY)) {
+    app.set('trust proxy', Number(TRUST_PROXY));
+  } else {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+  }
+}
+
 app.use(morgan('dev'));  // 개발 환경에 적합한 로그 형식
-app.use(cors());         // 모든 출처의 CORS 요청 허용
+app.use(cors({
+  // 모든 출처의 CORS 요청 허용 (할 일 버전 헤더와 요청 제한 헤더 공개)
+  exposedHeaders: ['ETag', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
+// 할 일 가져오기는 내보낸 파일 전체를 본문으로 받으므로 더 큰 본문 허용 (전역 파서보다 먼저 등록)
+app.use('/api/tasks/import', express.json({ limit: TRANSFER_BODY_LIMIT }));
 app.use(express.json());  // JSON 형식의 요청 본문 파싱
 app.use(express.urlencoded({ extended: true })); // URL 인코딩된 요청 본문 파싱
 
@@ -67,8 +100,17 @@ app.use(express.static('public'));
  * API 라우트 등록
  * 각 기능별 라우터를 특정 경로에 연결합니다
  */
+app.use('/api/auth', authLimiter); // 인증 API 전체 요청 제한 (로그인, 메일 발송은 라우트에서 따로 제한)
+app.use('/api/auth/2fa', twoFactorRoutes); // 2단계 인증 설정 API (등록, 사용 설정, 끄기, 복구 코드)
 app.use('/api/auth', authRoutes);  // 인증 관련 API (/api/auth/register, /api/auth/login 등)
-app.use('/api/tasks', taskRoutes); // 할 일 관리 API (/api/tasks CRUD)
+app.use('/api/tasks', taskApiLimiter, taskRoutes); // 할 일 관리 API (/api/tasks CRUD)
+app.use('/api/projects', apiLimiter, projectRoutes); // 공유 프로젝트 API (/api/projects, 멤버 및 초대)
+app.use('/api/views', apiLimiter, viewRoutes); // 저장된 보기 API (/api/views CRUD, 기본 스마트 목록)
+app.use('/api/calendar', apiLimiter, calendarRoutes); // 캘린더 연동 API (.ics 구독 피드, 가져오기)
+app.use('/api/categories', apiLimiter, categoryRoutes); // 카테고리 API (/api/categories CRUD)
+app.use('/api/tags', apiLimiter, tagRoutes); // 태그 API (목록, 이름 변경, 병합)
+app.use('/api/notifications', apiLimiter, notificationRoutes); // 알림 API (목록, 읽음 처리)
+app.use('/api/events', apiLimiter, eventRoutes); // 실시간 이벤트 스트림 (Server-Sent Events)
 
 /**
  * 루트 경로 처리
@@ -80,7 +122,14 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       auth: '/api/auth',
-      tasks: '/api/tasks'
+      tasks: '/api/tasks',
+      projects: '/api/projects',
+      views: '/api/views',
+      calendar: '/api/calendar',
+      categories: '/api/categories',
+      tags: '/api/tags',
+      notifications: '/api/notifications',
+      events: '/api/events'
     }
   });
 });
@@ -131,6 +180,18 @@ app.use((error, req, res, next) => {
     message = '이미 존재하는 데이터입니다.';
   }
 
+  // 요청 본문 파싱 에러 처리
+  if (error.type === 'entity.parse.failed') {
+    statusCode = 400;
+    message = '요청 본문의 JSON 형식이 올바르지 않습니다.';
+  }
+
+  // 요청 본문 크기 초과 에러 처리
+  if (error.type === 'entity.too.large') {
+    statusCode = 413;
+    message = '요청 본문이 너무 큽니다.';
+  }
+
   // JWT 에러 처리
   if (error.name === 'JsonWebTokenError') {
     statusCode = 401;
@@ -166,6 +227,12 @@ const startServer = async () => {
       console.log(`서버 주소: http://localhost:${PORT}`);
       console.log(`환경: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // 3. 마감 알림 스케줄러 시작
+    if (process.env.REMINDER_SCHEDULER !== 'false') {
+      reminderScheduler = startReminderScheduler({ intervalMs: process.env.REMINDER_INTERVAL_MS });
+      console.log('⏰ 마감 알림 스케줄러가 시작되었습니다.');
+    }
   } catch (error) {
     console.error('서버 시작 실패:', error);
     process.exit(1);
@@ -179,6 +246,12 @@ const startServer = async () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM 신호 수신. 서버를 정상적으로 종료합니다...');
 
+  // 마감 알림 스케줄러 중지
+  if (reminderScheduler) reminderScheduler.stop();
+
+  // 열려 있는 이벤트 스트림 종료
+  closeAllStreams();
+
   // MongoDB 연결 종료
   mongoose.connection.close(() => {
     console.log('MongoDB 연결이 종료되었습니다.');
@@ -189,6 +262,12 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT 신호 수신. 서버를 정상적으로 종료합니다...');
 
+  // 마감 알림 스케줄러 중지
+  if (reminderScheduler) reminderScheduler.stop();
+
+  // 열려 있는 이벤트 스트림 종료
+  closeAllStreams();
+
   // MongoDB 연결 종료
   mongoose.connection.close(() => {
     console.log('MongoDB 연결이 종료되었습니다.');
@@ -0,0 +1,51 @@
+/**
+ * CSV 유틸리티 테스트 (utils/csv.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { UTF8_BOM, stringifyCsvRow, parseCsv, parseCsvRecords } = require('../utils/csv');
+
+describe('stringifyCsvRow', () => {
+  test('쉼표, 따옴표, 줄바꿈이 있는 값만 따옴표로 감쌈', () => {
+    assert.equal(
+      stringifyCsvRow(['보고서', 'a,b', '"인용"', '첫 줄\n둘째 줄', null, 3]),
+      '보고서,"a,b","""인용""","첫 줄\n둘째 줄",,3\r\n'
+    );
+  });
+});
+
+describe('parseCsv', () => {
+  test('생성한 행을 그대로 되돌림', () => {
+    const values = ['a,b', '"x"', '줄\r\n바꿈', ''];
+    const { value, error } = parseCsv(UTF8_BOM + stringifyCsvRow(values) + stringifyCsvRow(['다음']));
+
+    assert.equal(error, null);
+    assert.deepEqual(value, [values, ['다음']]);
+  });
+
+  test('빈 줄은 제외하고 마지막 줄바꿈이 없어도 해석', () => {
+    assert.deepEqual(parseCsv('a,b\n\nc,d').value, [['a', 'b'], ['c', 'd']]);
+  });
+
+  test('닫히지 않은 따옴표는 에러', () => {
+    assert.ok(parseCsv('a,"b\n').error);
+    assert.ok(parseCsv(undefined).error);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  test('첫 행을 헤더로 사용하고 없는 값은 빈 문자열', () => {
+    const { value } = parseCsvRecords(' title ,priority\n회의,4\n메모\n');
+
+    assert.deepEqual(value.headers, ['title', 'priority']);
+    assert.deepEqual(value.records, [
+      { title: '회의', priority: '4' },
+      { title: '메모', priority: '' }
+    ]);
+  });
+
+  test('내용이 없으면 에러', () => {
+    assert.ok(parseCsvRecords('\n\n').error);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * iCalendar 유틸리티 테스트 (utils/ical.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, buildRecurrenceRule, parseCalendar } = require('../utils/ical');
+
+// 내보낼 할 일
+const task = {
+  _id: 'abc123',
+  title: '주간 회의; 안건, 정리',
+  description: '첫 줄\n둘째 줄',
+  category: '업무',
+  tags: ['client'],
+  priority: 5,
+  dueDate: new Date('2025-03-10T00:00:00.000Z'),
+  updatedAt: new Date('2025-03-01T12:30:00.000Z'),
+  recurrence: { frequency: 'weekly', interval: 2, byWeekday: [1, 3], count: 5, occurrence: 2 }
+};
+
+describe('buildRecurrenceRule', () => {
+  test('간격, 요일, 남은 횟수를 RRULE로 변환', () => {
+    assert.equal(buildRecurrenceRule(task.recurrence), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4');
+  });
+
+  test('종료일은 UNTIL 날짜로 변환', () => {
+    const rule = buildRecurrenceRule({ frequency: 'monthly', until: new Date('2025-12-31T00:00:00.000Z') });
+    assert.equal(rule, 'FREQ=MONTHLY;UNTIL=20251231');
+  });
+});
+
+describe('buildCalendar', () => {
+  test('종일 일정과 이스케이프된 텍스트를 CRLF로 생성', () => {
+    const ics = buildCalendar([task], { name: '내 할 일' });
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.match(ics, /\r\nUID:abc123@taskflow\r\n/);
+    assert.match(ics, /\r\nDTSTART;VALUE=DATE:20250310\r\nDTEND;VALUE=DATE:20250311\r\n/);
+    assert.match(ics, /\r\nSUMMARY:주간 회의\\; 안건\\, 정리\r\n/);
+    assert.match(ics, /\r\nPRIORITY:1\r\n/);
+  });
+
+  test('75바이트를 넘는 줄은 한글을 자르지 않고 접음', () => {
+    const ics = buildCalendar([{ ...task, title: '가'.repeat(60), recurrence: null }], { component: 'todo' });
+
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+    assert.match(ics.replace(/\r\n /g, ''), new RegExp(`SUMMARY:${'가'.repeat(60)}\r\n`));
+  });
+});
+
+describe('parseCalendar', () => {
+  test('생성한 문서를 다시 해석하면 같은 내용', () => {
+    const { value, error } = parseCalendar(buildCalendar([{ ...task, title: '가'.repeat(60) }]));
+    const [item] = value.items;
+
+    assert.equal(error, null);
+    assert.equal(item.uid, 'abc123@taskflow');
+    assert.equal(item.title, '가'.repeat(60));
+    assert.equal(item.description, '첫 줄\n둘째 줄');
+    assert.deepEqual(item.dueDate, task.dueDate);
+    assert.deepEqual(item.categories, ['업무', 'client']);
+    assert.equal(item.priority, 5);
+    assert.deepEqual(item.recurrence, { frequency: 'weekly', interval: 2, byWeekday: [1, 3], until: undefined, count: 4 });
+  });
+
+  test('VALARM 안의 속성은 무시하고 완료 상태를 해석', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'SUMMARY:보고서',
+      'DUE:20250401T090000Z',
+      'STATUS:COMPLETED',
+      'BEGIN:VALARM',
+      'SUMMARY:알림',
+      'END:VALARM',
+      'END:VTODO',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    const [item] = parseCalendar(ics).value.items;
+
+    assert.equal(item.title, '보고서');
+    assert.equal(item.completed, true);
+    assert.deepEqual(item.dueDate, new Date('2025-04-01T00:00:00.000Z'));
+  });
+
+  test('표현할 수 없는 반복 규칙은 경고와 함께 반복 없이 해석', () => {
+    const ics = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nSUMMARY:월례\nDTSTART;VALUE=DATE:20250311\nRRULE:FREQ=MONTHLY;BYDAY=2TU\nEND:VEVENT\nEND:VCALENDAR';
+    const [item] = parseCalendar(ics).value.items;
+
+    assert.equal(item.recurrence, null);
+    assert.equal(item.warnings.length, 1);
+  });
+
+  test('iCalendar 문서가 아니면 에러', () => {
+    assert.ok(parseCalendar('title,dueDate').error);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * 요청 제한 및 로그인 잠금 유틸리티 테스트 (utils/rateLimit.js)
+ * 기본 설정(15분 동안 5번 실패하면 1분부터 두 배씩 잠금)을 기준으로 합니다
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, setRateLimitStore } = require('../utils/rateLimitStore');
+const {
+  createSlidingWindow,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/rateLimit');
+
+const MINUTE_MS = 60 * 1000;
+
+// 구간 경계에 맞춘 기준 시각
+const START_MS = 1000000 * 15 * MINUTE_MS;
+
+const realNow = Date.now;
+let now;
+
+/**
+ * 응답이 늦는 공유 저장소 흉내 (동시 요청 사이에 다른 요청이 끼어들 수 있음)
+ *
+ * @returns {Object} 저장소
+ */
+const createSlowStore = () => {
+  const store = createMemoryStore();
+  const delay = () => new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+
+  return {
+    get: async (key) => { await delay(); return store.get(key); },
+    increment: async (key, ttlMs) => { await delay(); return store.increment(key, ttlMs); },
+    set: async (key, value, ttlMs) => { await delay(); return store.set(key, value, ttlMs); },
+    delete: async (key) => { await delay(); return store.delete(key); }
+  };
+};
+
+beforeEach(() => {
+  now = START_MS;
+  Date.now = () => now;
+  setRateLimitStore(createMemoryStore());
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+describe('createSlidingWindow', () => {
+  test('limit까지 허용하고 이후에는 거부', async () => {
+    const counter = createSlidingWindow({ name: 'test', limit: 3, windowMs: MINUTE_MS });
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await counter.hit('ip'));
+    }
+
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.equal(results[0].resetSeconds, 60);
+    assert.equal(results[3].retryAfterSeconds, 76);
+
+    // 알려준 시각에 다시 요청하면 허용
+    now += 76 * 1000;
+    assert.equal((await counter.hit('ip')).allowed, true);
+  });
+
+  test('대상별로 따로 셈', async () => {
+    const counter = createSlidingWindow({ name: 'test', limit: 1, windowMs: MINUTE_MS });
+
+    assert.equal((await counter.hit('a')).allowed, true);
+    assert.equal((await counter.hit('b')).allowed, true);
+    assert.equal((await counter.hit('a')).allowed, false);
+  });
+
+  test('직전 구간의 횟수는 지난 비율만큼 줄여서 셈', async () => {
+    const counter = createSlidingWindow({ name: 'test', limit: 4, windowMs: MINUTE_MS });
+    for (let i = 0; i < 4; i++) {
+      await counter.hit('ip');
+    }
+
+    // 다음 구간의 절반: 직전 구간 4번 → 2번으로 추정
+    now = START_MS + MINUTE_MS * 1.5;
+    assert.equal((await counter.hit('ip')).allowed, true);
+    assert.equal((await counter.hit('ip')).allowed, true);
+
+    const rejected = await counter.hit('ip');
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfterSeconds, 16);
+
+    now += 15 * 1000;
+    assert.equal((await counter.hit('ip')).allowed, false);
+  });
+
+  test('동시에 들어온 요청도 limit을 넘겨 허용하지 않음', async () => {
+    setRateLimitStore(createSlowStore());
+    const counter = createSlidingWindow({ name: 'test', limit: 5, windowMs: MINUTE_MS });
+
+    const results = await Promise.all(Array.from({ length: 50 }, () => counter.hit('ip')));
+    assert.equal(results.filter(result => result.allowed).length, 5);
+  });
+
+  test('add는 기록 후 추정 횟수를 반환하고 reset은 기록을 지움', async () => {
+    const counter = createSlidingWindow({ name: 'test', limit: 5, windowMs: MINUTE_MS });
+
+    assert.equal(await counter.add('id'), 1);
+    assert.equal(await counter.add('id'), 2);
+    await counter.reset('id');
+    assert.equal(await counter.add('id'), 1);
+  });
+});
+
+describe('로그인 잠금', () => {
+  test('다섯 번째 실패에서 1분 잠그고, 다시 잠기면 두 배', async () => {
+    for (let i = 0; i < 4; i++) {
+      assert.equal(await recordLoginFailure('User@Example.com'), null);
+    }
+    assert.deepEqual(await recordLoginFailure('user@example.com'), { retryAfterSeconds: 60 });
+    assert.deepEqual(await getLoginLockout(' user@example.com '), { retryAfterSeconds: 60 });
+
+    now += MINUTE_MS;
+    assert.equal(await getLoginLockout('user@example.com'), null);
+
+    for (let i = 0; i < 4; i++) {
+      await recordLoginFailure('user@example.com');
+    }
+    assert.deepEqual(await recordLoginFailure('user@example.com'), { retryAfterSeconds: 120 });
+  });
+
+  test('로그인에 성공하면 실패 기록과 잠금 단계를 초기화', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure('user@example.com');
+    }
+    now += MINUTE_MS;
+    await clearLoginFailures('user@example.com');
+
+    for (let i = 0; i < 4; i++) {
+      assert.equal(await recordLoginFailure('user@example.com'), null);
+    }
+    assert.deepEqual(await recordLoginFailure('user@example.com'), { retryAfterSeconds: 60 });
+  });
+
+  test('동시에 실패해도 잠그고 잠금 단계는 한 번만 올림', async () => {
+    setRateLimitStore(createSlowStore());
+
+    const results = await Promise.all(Array.from({ length: 40 }, () => recordLoginFailure('user@example.com')));
+
+    assert.ok(results.some(Boolean));
+    results.filter(Boolean).forEach(result => assert.equal(result.retryAfterSeconds, 60));
+    assert.deepEqual(await getLoginLockout('user@example.com'), { retryAfterSeconds: 60 });
+  });
+
+  test('저장소 오류 시 잠그지 않고 진행', async () => {
+    const failing = () => Promise.reject(new Error('연결 끊김'));
+    setRateLimitStore({ get: failing, increment: failing, set: failing, delete: failing });
+
+    const realError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(await recordLoginFailure('user@example.com'), null);
+      assert.equal(await getLoginLockout('user@example.com'), null);
+    } finally {
+      console.error = realError;
+    }
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * 반복 일정 유틸리티 테스트 (utils/recurrence.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRecurrence, getNextDate, getNextOccurrence } = require('../utils/recurrence');
+
+// UTC 자정 날짜 생성
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+describe('normalizeRecurrence', () => {
+  test('빈 값은 반복 해제로 해석', () => {
+    assert.deepEqual(normalizeRecurrence(null), { value: null, error: null });
+  });
+
+  test('지원하지 않는 주기와 잘못된 간격은 에러', () => {
+    assert.ok(normalizeRecurrence({ frequency: 'hourly' }).error);
+    assert.ok(normalizeRecurrence({ frequency: 'daily', interval: 0 }).error);
+    assert.ok(normalizeRecurrence({ frequency: 'weekly', byWeekday: [7] }).error);
+    assert.ok(normalizeRecurrence({ frequency: 'daily', until: 'not-a-date' }).error);
+    assert.ok(normalizeRecurrence({ frequency: 'daily', count: 0 }).error);
+  });
+
+  test('요일은 매주 반복에서만 중복 없이 정렬해 저장', () => {
+    const weekly = normalizeRecurrence({ frequency: 'weekly', byWeekday: [5, 1, 5] });
+    assert.deepEqual(weekly.value.byWeekday, [1, 5]);
+
+    const daily = normalizeRecurrence({ frequency: 'daily', byWeekday: [1] });
+    assert.deepEqual(daily.value.byWeekday, []);
+  });
+});
+
+describe('getNextDate', () => {
+  test('매일 반복은 간격만큼 이동', () => {
+    assert.deepEqual(getNextDate(day('2025-01-30'), { frequency: 'daily', interval: 3 }), day('2025-02-02'));
+  });
+
+  test('매주 요일 지정은 같은 주의 남은 요일, 없으면 간격 뒤 첫 요일', () => {
+    // 2025-01-06은 월요일
+    const recurrence = { frequency: 'weekly', interval: 2, byWeekday: [1, 3] };
+    assert.deepEqual(getNextDate(day('2025-01-06'), recurrence), day('2025-01-08'));
+    assert.deepEqual(getNextDate(day('2025-01-08'), recurrence), day('2025-01-20'));
+  });
+
+  test('매월 반복은 없는 날짜를 말일로 맞추고 다음 달에는 기준 일자로 돌아감', () => {
+    const recurrence = { frequency: 'monthly', interval: 1, startDate: day('2025-01-31') };
+    assert.deepEqual(getNextDate(day('2025-01-31'), recurrence), day('2025-02-28'));
+    assert.deepEqual(getNextDate(day('2025-02-28'), recurrence), day('2025-03-31'));
+  });
+
+  test('매년 반복은 윤일을 평년에 2월 28일로 맞춤', () => {
+    const recurrence = { frequency: 'yearly', interval: 1, startDate: day('2024-02-29') };
+    assert.deepEqual(getNextDate(day('2024-02-29'), recurrence), day('2025-02-28'));
+  });
+});
+
+describe('getNextOccurrence', () => {
+  test('회차 번호를 늘리고 count에 도달하면 종료', () => {
+    const recurrence = { frequency: 'daily', interval: 1, count: 3, occurrence: 2 };
+    assert.deepEqual(getNextOccurrence(day('2025-01-01'), recurrence), { dueDate: day('2025-01-02'), occurrence: 3 });
+    assert.equal(getNextOccurrence(day('2025-01-02'), { ...recurrence, occurrence: 3 }), null);
+  });
+
+  test('until 이후의 회차는 만들지 않음', () => {
+    const recurrence = { frequency: 'weekly', interval: 1, until: day('2025-01-10') };
+    assert.equal(getNextOccurrence(day('2025-01-05'), recurrence), null);
+  });
+
+  test('notBefore 이전의 회차는 건너뛰되 notBefore 당일 회차는 유지', () => {
+    const recurrence = { frequency: 'daily', interval: 1, occurrence: 1 };
+    assert.deepEqual(
+      getNextOccurrence(day('2025-01-01'), recurrence, day('2025-01-05')),
+      { dueDate: day('2025-01-05'), occurrence: 5 }
+    );
+  });
+});
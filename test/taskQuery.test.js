@@ -0,0 +1,69 @@
+/**
+ * 조건 검색 언어 해석 테스트 (utils/taskQuery.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTaskQuery } = require('../utils/taskQuery');
+
+// 기준 시각 (2025-03-10 15:00 UTC)
+const context = { userId: 'u1', now: new Date('2025-03-10T15:00:00.000Z') };
+
+describe('parseTaskQuery', () => {
+  test('조건과 전문 검색어를 나눔', () => {
+    const result = parseTaskQuery('회의 category:업무,학습 priority>=4 tag:"큰 고객" 자료', context);
+
+    assert.equal(result.error, null);
+    assert.equal(result.value.text, '회의 자료');
+    assert.deepEqual(result.value.conditions, [
+      { category: { $in: ['업무', '학습'] } },
+      { priority: { $gte: 4 } },
+      { tags: '큰 고객' }
+    ]);
+  });
+
+  test('날짜는 UTC 하루 단위로 비교', () => {
+    const { value } = parseTaskQuery('due<7d created:2025-03-01 due:none', context);
+
+    assert.deepEqual(value.conditions, [
+      { dueDate: { $lt: new Date('2025-03-17T00:00:00.000Z') } },
+      { createdAt: { $gte: new Date('2025-03-01T00:00:00.000Z'), $lt: new Date('2025-03-02T00:00:00.000Z') } },
+      { dueDate: null }
+    ]);
+  });
+
+  test('플래그와 부정 조건', () => {
+    const { value } = parseTaskQuery('overdue -completed -tag:client', context);
+
+    assert.deepEqual(value.conditions, [
+      { completed: false, dueDate: { $lt: new Date('2025-03-10T00:00:00.000Z') } },
+      { $nor: [{ completed: true }] },
+      { $nor: [{ tags: 'client' }] }
+    ]);
+  });
+
+  test('assignee:me는 현재 사용자로 해석', () => {
+    const { value } = parseTaskQuery('assignee:me', context);
+    assert.deepEqual(value.conditions, [{ assignees: 'u1' }]);
+  });
+
+  test('잘못된 값은 문제가 된 토큰과 위치를 반환', () => {
+    const result = parseTaskQuery('보고서 priority>=9', context);
+
+    assert.equal(result.value, null);
+    assert.equal(result.error.token, 'priority>=9');
+    assert.equal(result.error.position, 4);
+  });
+
+  test('알 수 없는 필드는 에러', () => {
+    assert.equal(parseTaskQuery('priorty>=4', context).error.token, 'priorty>=4');
+    assert.equal(parseTaskQuery('statsu:done', context).error.token, 'statsu:done');
+  });
+
+  test('URL과 시각은 전문 검색어로 사용', () => {
+    const { value } = parseTaskQuery('https://example.com/a at:10:30 10:30', context);
+
+    assert.deepEqual(value.conditions, []);
+    assert.equal(value.text, 'https://example.com/a at:10:30 10:30');
+  });
+});
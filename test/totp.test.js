@@ -0,0 +1,86 @@
+/**
+ * TOTP 유틸리티 테스트 (utils/totp.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  encodeBase32,
+  decodeBase32,
+  generateSecret,
+  buildOtpAuthUri,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../utils/totp');
+
+// RFC 6238 부록 B의 SHA1 비밀 키
+const RFC_SECRET = encodeBase32(Buffer.from('12345678901234567890', 'ascii'));
+
+describe('Base32', () => {
+  test('RFC 4648 예시와 같게 인코딩', () => {
+    assert.equal(encodeBase32(Buffer.from('foobar')), 'MZXW6YTBOI');
+  });
+
+  test('공백, 하이픈, 패딩, 소문자를 허용해 디코딩', () => {
+    assert.equal(decodeBase32('mzxw-6ytb oi==').toString(), 'foobar');
+    assert.throws(() => decodeBase32('MZXW1'));
+  });
+
+  test('비밀 키는 160비트', () => {
+    assert.equal(decodeBase32(generateSecret()).length, 20);
+  });
+});
+
+describe('generateCode', () => {
+  test('RFC 6238 시험 값의 뒤 6자리와 일치', () => {
+    assert.equal(generateCode(RFC_SECRET, getTimeStep(59 * 1000)), '287082');
+    assert.equal(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000)), '081804');
+    assert.equal(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000)), '005924');
+  });
+});
+
+describe('verifyCode', () => {
+  const timeMs = 1111111109 * 1000;
+  const step = getTimeStep(timeMs);
+
+  test('앞뒤 한 단계까지 허용하고 일치한 단계를 반환', () => {
+    assert.equal(verifyCode(RFC_SECRET, '081 804', timeMs), step);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), timeMs), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), timeMs), step + 1);
+  });
+
+  test('두 단계 이상 벗어나거나 형식이 다르면 null', () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), timeMs), null);
+    assert.equal(verifyCode(RFC_SECRET, '12345', timeMs), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined, timeMs), null);
+  });
+});
+
+describe('buildOtpAuthUri', () => {
+  test('발급자와 계정을 라벨에 넣고 기본 설정을 명시', () => {
+    const uri = buildOtpAuthUri({ secret: 'ABC', account: 'user@example.com', issuer: 'TaskFlow' });
+
+    assert.equal(
+      uri,
+      'otpauth://totp/TaskFlow%3Auser%40example.com?secret=ABC&issuer=TaskFlow&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('복구 코드', () => {
+  test('서로 다른 xxxxx-xxxxx 형식 코드 10개', () => {
+    const codes = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  test('해시는 대소문자, 공백, 하이픈 차이를 무시', () => {
+    assert.equal(hashRecoveryCode('ab12c-3de45'), hashRecoveryCode(' AB12C 3DE45 '));
+    assert.notEqual(hashRecoveryCode('ab12c-3de45'), hashRecoveryCode('ab12c-3de46'));
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * 계정 확인 토큰 유틸리티
+ *
+ * 이 파일은 메일로 보내는 계정 확인 링크(이메일 인증, 비밀번호 재설정)를 관리합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 서명된 토큰(JWT) 발급 (종류별 audience와 만료 시간 포함)
+ * - 한 번만 사용 가능한 토큰 (토큰 ID 해시를 사용자에 저장하고, 사용하면 원자적으로 삭제)
+ * - 인증 링크와 비밀번호 재설정 링크 메일 발송 (재발송 간격 제한)
+ * - 이메일을 인증하지 않은 계정의 제한 설정 (UNVERIFIED_RESTRICTIONS)
+ *
+ * 링크의 토큰은 URL 해시(#)에 넣으므로 서버 접근 로그나 Referer 헤더에 남지 않습니다.
+ * 종류별로 마지막에 보낸 토큰 하나만 유효하며, 새 메일을 보내면 이전 링크는 사용할 수 없습니다.
+ */
+
+const crypto = require('crypto');           // 토큰 ID 생성 및 해시
+const jwt = require('jsonwebtoken');        // 토큰 서명 및 검증
+const User = require('../models/User');      // 사용자 모델
+const { sendMail } = require('./mailer');    // 메일 발송
+
+// 토큰 서명 키 (액세스 토큰과 같은 키, audience로 구분)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// 같은 종류의 메일을 다시 보내기까지 최소 간격 (1분)
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 환경 변수의 분 단위 값 읽기 함수
+ *
+ * @param {string|undefined} value - 환경 변수 값
+ * @param {number} defaultMinutes - 기본값
+ * @returns {number} 분
+ */
+const readMinutes = (value, defaultMinutes) => {
+  return Number(value) > 0 ? Math.floor(Number(value)) : defaultMinutes;
+};
+
+// 토큰 종류별 설정 (만료 시간, 링크 이름, 메일 내용)
+const TOKEN_TYPES = {
+  emailVerification: {
+    audience: 'taskflow:email-verification',
+    ttlMinutes: readMinutes(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 24 * 60),
+    linkKey: 'verifyEmail',
+    subject: '[TaskFlow] 이메일 주소를 인증해주세요',
+    intro: (user) => `${user.name} 님, TaskFlow에 가입해주셔서 감사합니다.\n아래 링크를 눌러 이메일 주소를 인증해주세요.`,
+    outro: '직접 가입하지 않았다면 이 메일을 무시하세요.'
+  },
+  passwordReset: {
+    audience: 'taskflow:password-reset',
+    ttlMinutes: readMinutes(process.env.PASSWORD_RESET_TTL_MINUTES, 60),
+    linkKey: 'resetPassword',
+    subject: '[TaskFlow] 비밀번호 재설정 안내',
+    intro: (user) => `${user.name} 님, 비밀번호 재설정 요청을 받았습니다.\n아래 링크에서 새 비밀번호를 설정해주세요.`,
+    outro: '비밀번호 재설정을 요청하지 않았다면 이 메일을 무시하세요. 비밀번호는 바뀌지 않습니다.'
+  }
+};
+
+// 이메일 미인증 계정에 적용할 수 있는 제한
+// - login: 로그인 불가 (회원가입 후에도 토큰을 발급하지 않음)
+// - invitations: 이메일로 받은 프로젝트 초대 조회 및 수락 불가
+// - invite: 다른 사용자를 프로젝트에 초대 불가
+// - reminders: 마감 알림 메일을 보내지 않음
+const UNVERIFIED_RESTRICTION_NAMES = ['login', 'invitations', 'invite', 'reminders'];
+
+// 기본 제한 (환경 변수를 빈 값으로 지정하면 제한 없음)
+const DEFAULT_UNVERIFIED_RESTRICTIONS = 'invitations,reminders';
+
+/**
+ * 미인증 계정 제한 설정 해석 함수
+ *
+ * @param {string|undefined} value - 쉼표로 구분한 제한 이름
+ * @returns {Set<string>} 적용할 제한
+ */
+const parseRestrictions = (value) => {
+  const names = String(value === undefined ? DEFAULT_UNVERIFIED_RESTRICTIONS : value)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  names
+    .filter(name => !UNVERIFIED_RESTRICTION_NAMES.includes(name))
+    .forEach(name => console.warn(`알 수 없는 미인증 계정 제한은 무시합니다: ${name}`));
+
+  return new Set(names.filter(name => UNVERIFIED_RESTRICTION_NAMES.includes(name)));
+};
+
+// 적용 중인 미인증 계정 제한
+const unverifiedRestrictions = parseRestrictions(process.env.UNVERIFIED_RESTRICTIONS);
+
+/**
+ * 토큰 ID 해시 함수
+ *
+ * @param {string} tokenId - 토큰 ID
+ * @returns {string} 16진수 해시 문자열
+ */
+const hashTokenId = (tokenId) => {
+  return crypto.createHash('sha256').update(String(tokenId)).digest('hex');
+};
+
+/**
+ * 만료 시간 설명 함수
+ *
+ * @param {number} minutes - 분
+ * @returns {string} "24시간", "30분" 등
+ */
+const describeMinutes = (minutes) => {
+  return minutes % 60 === 0 ? `${minutes / 60}시간` : `${minutes}분`;
+};
+
+/**
+ * 앱 주소 조회 함수
+ * APP_URL 환경 변수를 사용하고, 개발 환경에서만 요청의 Host 헤더로 대신합니다
+ * (운영 환경에서 Host 헤더를 믿으면 다른 사이트로 향하는 재설정 링크가 발송될 수 있음)
+ * 외부 로그인(OIDC)의 콜백 주소와 로그인 후 돌아갈 주소에도 사용합니다
+ *
+ * @param {Object} req - 요청 객체
+ * @returns {string} 끝에 /가 없는 앱 주소
+ */
+const getAppUrl = (req) => {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/+$/, '');
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('운영 환경에서는 APP_URL 환경 변수를 설정해야 합니다.');
+  }
+
+  return `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * 이메일 미인증 계정 여부 확인 함수
+ * 이메일 인증 기능 이전에 가입해 값이 없는 계정은 인증된 것으로 취급합니다
+ *
+ * @param {Object} user - 사용자 문서 (emailVerified 포함)
+ * @returns {boolean} 미인증 여부
+ */
+const isEmailUnverified = (user) => user.emailVerified === false;
+
+/**
+ * 미인증 계정 제한 적용 여부 확인 함수
+ *
+ * @param {string} restriction - 제한 이름 (login, invitations, invite, reminders)
+ * @returns {boolean} 적용 여부
+ */
+const isRestrictedWhenUnverified = (restriction) => unverifiedRestrictions.has(restriction);
+
+/**
+ * 계정 확인 메일 재발송 가능 여부 확인 함수
+ *
+ * @param {Object} user - 사용자 문서 (accountTokens 포함)
+ * @param {string} type - 토큰 종류 (emailVerification, passwordReset)
+ * @returns {boolean} 마지막 발송 후 재발송 간격이 지났는지 여부
+ */
+const canSendAccountMail = (user, type) => {
+  const sentAt = user.accountTokens && user.accountTokens[type] && user.accountTokens[type].sentAt;
+  return !sentAt || Date.now() - sentAt.getTime() >= RESEND_INTERVAL_MS;
+};
+
+/**
+ * 계정 확인 메일 발송 함수
+ * 새 토큰을 발급해 사용자에 저장하고(이전 토큰은 무효화) 링크를 메일로 보냅니다
+ *
+ * @param {Object} user - 사용자 문서
+ * @param {string} type - 토큰 종류 (emailVerification, passwordReset)
+ * @param {Object} req - 요청 객체 (앱 주소)
+ * @returns {Promise<{ messageId: string, accepted: Array<string> }>} 발송 결과
+ */
+const sendAccountMail = async (user, type, req) => {
+  const config = TOKEN_TYPES[type];
+  const appUrl = getAppUrl(req);
+  const tokenId = crypto.randomBytes(16).toString('hex');
+
+  const token = jwt.sign(
+    { sub: String(user._id), jti: tokenId },
+    JWT_SECRET,
+    {
+      audience: config.audience,
+      expiresIn: config.ttlMinutes * 60
+    }
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { [`accountTokens.${type}`]: { tokenHash: hashTokenId(tokenId), sentAt: new Date() } } }
+  );
+
+  return await sendMail({
+    to: user.email,
+    subject: config.subject,
+    text: [
+      config.intro(user),
+      '',
+      `${appUrl}/#${config.linkKey}=${token}`,
+      '',
+      `이 링크는 ${describeMinutes(config.ttlMinutes)} 동안 한 번만 사용할 수 있습니다.`,
+      config.outro
+    ].join('\n')
+  });
+};
+
+/**
+ * 계정 확인 토큰 사용 함수
+ * 서명, 종류, 만료를 확인하고, 사용자에 저장된 마지막 토큰과 같을 때만 토큰을 삭제하며 update를 함께 적용합니다
+ * (같은 토큰으로 동시에 요청해도 하나만 성공)
+ *
+ * @param {string} token - 링크의 토큰
+ * @param {string} type - 토큰 종류 (emailVerification, passwordReset)
+ * @param {Object} [update={}] - 토큰을 삭제하면서 함께 적용할 변경 (예: { $set: { emailVerified: true } })
+ * @returns {Promise<{ value?: Object, error?: string }>} 사용자 문서 또는 오류 메시지
+ */
+const consumeAccountToken = async (token, type, update = {}) => {
+  const config = TOKEN_TYPES[type];
+
+  let payload;
+  try {
+    payload = jwt.verify(String(token), JWT_SECRET, { audience: config.audience });
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError'
+        ? '링크가 만료되었습니다. 메일을 다시 요청해주세요.'
+        : '유효하지 않은 링크입니다.'
+    };
+  }
+
+  if (!/^[0-9a-fA-F]{24}$/.test(payload.sub || '') || !payload.jti) {
+    return { error: '유효하지 않은 링크입니다.' };
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: payload.sub,
+      isActive: true,
+      [`accountTokens.${type}.tokenHash`]: hashTokenId(payload.jti)
+    },
+    {
+      ...update,
+      $unset: { [`accountTokens.${type}`]: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return { error: '이미 사용했거나 더 이상 유효하지 않은 링크입니다. 메일을 다시 요청해주세요.' };
+  }
+
+  return { value: user };
+};
+
+module.exports = {
+  getAppUrl,
+  isEmailUnverified,
+  isRestrictedWhenUnverified,
+  canSendAccountMail,
+  sendAccountMail,
+  consumeAccountToken
+};
@@ -0,0 +1,238 @@
+/**
+ * 인증 토큰 및 로그인 세션 유틸리티
+ *
+ * 이 파일은 로그인 후 발급하는 토큰과 서버에 저장하는 로그인 세션을 관리합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 짧은 수명의 액세스 토큰(JWT) 발급 및 검증 (토큰에 세션 ID 포함)
+ * - 로그인할 때 세션 생성 및 리프레시 토큰 발급
+ * - 리프레시 토큰으로 액세스 토큰 재발급 (매번 새 리프레시 토큰으로 교체)
+ * - 이미 교체된 리프레시 토큰이 다시 사용되면 탈취로 보고 세션 종료
+ * - 세션 취소 (로그아웃, 모든 기기에서 로그아웃, 세션 목록에서 개별 취소)
+ *
+ * 액세스 토큰은 요청마다 세션이 남아 있는지 확인하므로, 세션을 취소하면 만료 전이라도 바로 거부됩니다.
+ */
+
+const jwt = require('jsonwebtoken');                      // JWT 토큰 생성 및 검증
+const User = require('../models/User');                   // 사용자 모델
+const Session = require('../models/Session');             // 로그인 세션 모델
+const { closeSessionStreams } = require('./eventStream'); // 취소된 세션의 이벤트 스트림 종료
+
+// JWT 서명 키 (환경 변수 또는 기본 시크릿 키)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// 액세스 토큰 수명 (jsonwebtoken 형식, 기본 15분)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// 리프레시 토큰(세션) 수명 (마지막 갱신부터, 기본 30일)
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) > 0
+  ? Number(process.env.REFRESH_TOKEN_TTL_DAYS)
+  : 30;
+
+// 직전 리프레시 토큰을 재사용으로 보지 않는 시간 (여러 탭이 동시에 갱신하는 경우, 30초)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// 마지막 사용 시각을 다시 기록하기까지 최소 간격 (1분)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// 하루를 밀리초로 표현한 값
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// User-Agent에서 찾을 브라우저와 운영체제 (먼저 나온 항목 우선)
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * 기기 이름 생성 함수
+ *
+ * @param {string} userAgent - 브라우저 User-Agent
+ * @returns {string} "Chrome (Windows)" 형식의 기기 이름
+ */
+const describeDevice = (userAgent) => {
+  const find = (list) => (list.find(([token]) => userAgent.includes(token)) || [])[1];
+  const browser = find(BROWSERS);
+  const system = find(SYSTEMS);
+
+  if (browser && system) return `${browser} (${system})`;
+  return browser || system || '알 수 없는 기기';
+};
+
+/**
+ * 세션 만료 시각 계산 함수
+ *
+ * @param {Date} now - 기준 시각
+ * @returns {Date} 만료 시각
+ */
+const getSessionExpiry = (now) => new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+/**
+ * 액세스 토큰 생성 함수
+ *
+ * @param {Object} user - 사용자 객체
+ * @param {Object} session - 로그인 세션 문서
+ * @returns {string} JWT 액세스 토큰
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      sid: session._id
+    },
+    JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  );
+};
+
+/**
+ * 액세스 토큰 검증 함수
+ * 서명과 만료를 확인합니다 (실패하면 jsonwebtoken 오류를 그대로 던짐)
+ *
+ * @param {string} token - JWT 액세스 토큰
+ * @returns {Object} 토큰 내용 ({ id, email, sid })
+ */
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+/**
+ * 로그인 세션 생성 함수
+ * 로그인/회원가입에 성공했을 때 호출하며, 응답으로 보낼 토큰을 반환합니다
+ *
+ * @param {Object} user - 사용자 문서
+ * @param {Object} req - 요청 객체 (기기 정보와 IP)
+ * @returns {Promise<{ token: string, refreshToken: string }>} 액세스 토큰과 리프레시 토큰
+ */
+const startSession = async (user, req) => {
+  const userAgent = String(req.get('User-Agent') || '').slice(0, 500);
+  const session = new Session({
+    userId: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: getSessionExpiry(new Date())
+  });
+
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+
+  return {
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+};
+
+/**
+ * 세션 취소 함수
+ * 세션을 삭제하고, 그 세션으로 연결된 실시간 이벤트 스트림도 닫습니다
+ *
+ * @param {Object} filter - 삭제할 세션 조건 (예: { userId }, { _id, userId })
+ * @returns {Promise<number>} 취소한 세션 수
+ */
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await Session.deleteMany({ _id: { $in: ids } });
+  closeSessionStreams(ids);
+
+  return ids.length;
+};
+
+/**
+ * 토큰 갱신 함수
+ * 리프레시 토큰을 확인하고 새 액세스 토큰과 새 리프레시 토큰을 발급합니다.
+ * 이미 교체된 토큰이 유예 시간 뒤에 다시 사용되면 탈취된 것으로 보고 세션을 종료합니다
+ *
+ * @param {string} refreshToken - 리프레시 토큰 원문
+ * @param {Object} req - 요청 객체 (IP 기록)
+ * @returns {Promise<{ value?: Object, error?: string, status?: number }>} 새 토큰 또는 오류 메시지와 상태 코드
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = Session.parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: '유효하지 않은 리프레시 토큰입니다.', status: 401 };
+  }
+
+  const now = new Date();
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session || session.expiresAt <= now) {
+    return { error: '로그인 세션이 만료되었습니다. 다시 로그인해주세요.', status: 401 };
+  }
+
+  if (session.refreshTokenHash !== parsed.secretHash) {
+    // 다른 탭이 방금 같은 토큰으로 갱신한 경우 (클라이언트는 저장된 새 토큰을 사용)
+    if (session.previousTokenHash === parsed.secretHash && now - session.rotatedAt < ROTATION_GRACE_MS) {
+      return { error: '이미 갱신된 리프레시 토큰입니다.', status: 409 };
+    }
+
+    // 교체된 토큰의 재사용: 토큰이 유출되었을 수 있으므로 세션 종료
+    await revokeSessions({ _id: session._id });
+    return { error: '이미 사용된 리프레시 토큰입니다. 보안을 위해 로그인 세션을 종료했습니다.', status: 401 };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id });
+    return { error: '유효하지 않은 사용자입니다.', status: 401 };
+  }
+
+  // 확인한 토큰이 그대로일 때만 교체 (같은 토큰으로 동시에 갱신하면 하나만 성공)
+  const nextToken = session.issueRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: parsed.secretHash },
+    {
+      $set: {
+        refreshTokenHash: session.refreshTokenHash,
+        previousTokenHash: parsed.secretHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        ip: req.ip,
+        expiresAt: getSessionExpiry(now)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { error: '이미 갱신된 리프레시 토큰입니다.', status: 409 };
+  }
+
+  return {
+    value: {
+      user,
+      token: generateAccessToken(user, rotated),
+      refreshToken: nextToken
+    }
+  };
+};
+
+/**
+ * 액세스 토큰의 세션 확인 함수
+ * 세션이 남아 있으면 마지막 사용 시각과 IP를 기록합니다 (1분에 한 번)
+ *
+ * @param {Object} decoded - 검증한 액세스 토큰 내용
+ * @param {Object} req - 요청 객체
+ * @returns {Promise<boolean>} 세션 유효 여부
+ */
+const touchSession = async (decoded, req) => {
+  if (!decoded.sid) return false;
+
+  const now = new Date();
+  const session = await Session.findOne({ _id: decoded.sid, userId: decoded.id }).select('lastSeenAt ip expiresAt');
+  if (!session || session.expiresAt <= now) return false;
+
+  if (now - session.lastSeenAt >= TOUCH_INTERVAL_MS || session.ip !== req.ip) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: now, ip: req.ip } });
+  }
+
+  return true;
+};
+
+module.exports = {
+  verifyAccessToken,
+  startSession,
+  refreshSession,
+  revokeSessions,
+  touchSession
+};
@@ -0,0 +1,143 @@
+/**
+ * CSV 유틸리티
+ *
+ * 이 파일은 RFC 4180 형식의 CSV 생성과 해석을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 값 목록을 CSV 한 줄로 변환 (쉼표, 따옴표, 줄바꿈이 있는 값은 따옴표로 감쌈)
+ * - CSV 텍스트를 행 배열 또는 헤더 기준 객체 배열로 해석
+ *
+ * 한글이 엑셀에서 깨지지 않도록 내보낼 때는 UTF-8 BOM을 붙이고, 해석할 때는 BOM을 제거합니다.
+ */
+
+// 엑셀이 UTF-8로 인식하도록 파일 앞에 붙이는 BOM
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * CSV 값 변환 함수
+ *
+ * @param {*} value - 값 (null/undefined는 빈 값)
+ * @returns {string} CSV 필드 문자열
+ */
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV 한 줄 생성 함수
+ *
+ * @param {Array} values - 필드 값 목록
+ * @returns {string} CRLF로 끝나는 CSV 한 줄
+ */
+const stringifyCsvRow = (values) => {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+};
+
+/**
+ * CSV 해석 함수
+ * 따옴표로 감싼 필드 안의 쉼표, 줄바꿈, 이스케이프된 따옴표("")를 처리합니다
+ *
+ * @param {string} text - CSV 텍스트
+ * @returns {{ value: Array<Array<string>>|null, error: string|null }} 행 배열 또는 에러 메시지
+ */
+const parseCsv = (text) => {
+  if (typeof text !== 'string') {
+    return { value: null, error: 'CSV 내용이 비어 있습니다.' };
+  }
+
+  const input = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      // CRLF는 한 번의 줄바꿈으로 처리
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (inQuotes) {
+    return { value: null, error: 'CSV 형식이 올바르지 않습니다. 닫히지 않은 따옴표가 있습니다.' };
+  }
+
+  // 마지막 줄에 줄바꿈이 없는 경우
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 빈 줄 제외
+  return {
+    value: rows.filter(values => values.length > 1 || values[0] !== ''),
+    error: null
+  };
+};
+
+/**
+ * 헤더 기준 CSV 해석 함수
+ * 첫 행을 헤더로 사용하여 각 행을 { 헤더: 값 } 객체로 변환합니다
+ *
+ * @param {string} text - CSV 텍스트
+ * @returns {{ value: { headers: Array<string>, records: Array<Object> }|null, error: string|null }} 헤더와 행 객체 목록 또는 에러 메시지
+ */
+const parseCsvRecords = (text) => {
+  const csvResult = parseCsv(text);
+  if (csvResult.error) return csvResult;
+
+  const [headerRow, ...rows] = csvResult.value;
+  if (!headerRow) {
+    return { value: null, error: 'CSV 내용이 비어 있습니다.' };
+  }
+
+  const headers = headerRow.map(header => header.trim());
+  const records = rows.map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) record[header] = values[index] !== undefined ? values[index] : '';
+    });
+    return record;
+  });
+
+  return { value: { headers, records }, error: null };
+};
+
+module.exports = {
+  UTF8_BOM,
+  stringifyCsvRow,
+  parseCsv,
+  parseCsvRecords
+};
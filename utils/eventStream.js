@@ -0,0 +1,148 @@
+/**
+ * 실시간 이벤트 스트림 유틸리티
+ *
+ * 이 파일은 Server-Sent Events(SSE)로 브라우저에 이벤트를 보내는 연결을 관리합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 사용자별 연결 등록 및 해제 (한 사용자가 여러 탭/기기로 연결 가능)
+ * - 특정 사용자(들)의 모든 연결에 이벤트 전송 (알림, 할 일 변경)
+ * - 로그아웃 등으로 취소된 로그인 세션의 연결 종료
+ * - 프록시가 연결을 끊지 않도록 주기적인 keep-alive 주석 전송
+ *
+ * 연결 목록은 서버 메모리에만 있으므로, 서버를 여러 대 실행하면 같은 서버에 연결된 브라우저에만 전달됩니다.
+ */
+
+// 연결이 끊겼을 때 브라우저가 다시 연결하기까지 대기 시간 (밀리초)
+const RETRY_MS = 5000;
+
+// keep-alive 주석 전송 간격 (25초)
+const HEARTBEAT_MS = 25 * 1000;
+
+// 사용자 ID별 연결된 응답 객체 목록
+const clients = new Map();
+
+// keep-alive 타이머 (연결이 있을 때만 실행)
+let heartbeatTimer = null;
+
+/**
+ * 모든 연결에 keep-alive 주석 전송
+ */
+const sendHeartbeat = () => {
+  clients.forEach(connections => {
+    connections.forEach(res => res.write(': ping\n\n'));
+  });
+};
+
+/**
+ * 이벤트 스트림 열기 함수
+ * 응답을 SSE 형식으로 바꾸고 사용자의 연결로 등록합니다. 요청이 끝나면 자동으로 해제됩니다
+ *
+ * @param {Object} req - 요청 객체 (req.user 필요)
+ * @param {Object} res - 응답 객체
+ */
+const openEventStream = (req, res) => {
+  const userId = String(req.user.id);
+  res.locals.sessionId = String(req.user.sessionId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx 응답 버퍼링 해제
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(res);
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  }
+
+  req.on('close', () => {
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) clients.delete(userId);
+    }
+
+    if (clients.size === 0 && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  });
+};
+
+/**
+ * 사용자에게 이벤트 전송 함수
+ * 연결되어 있지 않으면 아무 일도 하지 않습니다
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} event - 이벤트 이름
+ * @param {Object} data - 전송할 데이터 (JSON으로 직렬화)
+ */
+const sendToUser = (userId, event, data) => {
+  const connections = clients.get(String(userId));
+  if (!connections) return;
+
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  connections.forEach(res => res.write(payload));
+};
+
+/**
+ * 여러 사용자에게 이벤트 전송 함수
+ *
+ * @param {Array<string>} userIds - 사용자 ID 목록
+ * @param {string} event - 이벤트 이름
+ * @param {Object} data - 전송할 데이터
+ */
+const sendToUsers = (userIds, event, data) => {
+  new Set(userIds.map(String)).forEach(userId => sendToUser(userId, event, data));
+};
+
+/**
+ * 로그인 세션의 연결 종료 함수
+ * 세션이 취소되면 그 세션의 토큰으로 연 연결을 닫습니다 (브라우저는 다시 연결하다 인증에 실패)
+ *
+ * @param {Array<string>} sessionIds - 취소된 세션 ID 목록
+ */
+const closeSessionStreams = (sessionIds) => {
+  const ids = new Set(sessionIds.map(String));
+
+  clients.forEach(connections => {
+    connections.forEach(res => {
+      if (ids.has(res.locals.sessionId)) res.end();
+    });
+  });
+};
+
+/**
+ * 연결된 브라우저가 있는지 확인하는 함수
+ *
+ * @returns {boolean} 연결 여부
+ */
+const hasConnections = () => clients.size > 0;
+
+/**
+ * 모든 연결 종료 함수 (서버 종료 시 사용)
+ */
+const closeAllStreams = () => {
+  clients.forEach(connections => {
+    connections.forEach(res => res.end());
+  });
+  clients.clear();
+
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+};
+
+module.exports = {
+  openEventStream,
+  sendToUser,
+  sendToUsers,
+  closeSessionStreams,
+  hasConnections,
+  closeAllStreams
+};
@@ -0,0 +1,428 @@
+/**
+ * iCalendar(.ics) 유틸리티
+ *
+ * 이 파일은 RFC 5545 iCalendar 형식의 생성과 해석을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 할 일을 VEVENT(종일 일정) 또는 VTODO 항목으로 변환
+ * - 반복 규칙을 RRULE로 변환하고, RRULE을 반복 규칙으로 해석
+ * - 긴 줄 접기(75바이트)와 텍스트 이스케이프 처리
+ * - .ics 파일에서 VEVENT/VTODO 항목 추출
+ *
+ * 마감일은 날짜만 UTC 자정으로 저장하므로 날짜 값(VALUE=DATE)으로 내보내고,
+ * 가져올 때도 시각은 무시하고 날짜만 사용합니다.
+ */
+
+// 하루를 밀리초로 표현한 값
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// 반복 주기 ↔ RRULE FREQ
+const FREQ_MAP = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+// 요일 번호(0: 일요일) ↔ RRULE BYDAY
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// 지원하는 구성 요소
+const COMPONENTS = ['event', 'todo'];
+
+/**
+ * 텍스트 값 이스케이프 함수
+ *
+ * @param {string} value - 원본 텍스트
+ * @returns {string} iCalendar TEXT 형식으로 이스케이프된 문자열
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * 텍스트 값 이스케이프 해제 함수
+ *
+ * @param {string} value - iCalendar TEXT 값
+ * @returns {string} 원본 텍스트
+ */
+const unescapeText = (value) => {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+};
+
+/**
+ * 긴 줄 접기 함수
+ * 한 줄이 75바이트를 넘지 않도록 나누며, 한글 등 멀티바이트 문자는 중간에서 자르지 않습니다
+ *
+ * @param {string} line - 내용 줄
+ * @returns {string} CRLF와 공백으로 접힌 줄
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // 이어지는 줄은 맨 앞 공백 1바이트를 포함
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * 날짜 값 생성 함수 (YYYYMMDD, UTC 기준)
+ *
+ * @param {Date} date - 날짜
+ * @returns {string} DATE 값
+ */
+const formatDate = (date) => {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * 날짜-시각 값 생성 함수 (YYYYMMDDTHHMMSSZ)
+ *
+ * @param {Date} date - 날짜
+ * @returns {string} UTC DATE-TIME 값
+ */
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * 반복 규칙을 RRULE 값으로 변환하는 함수
+ * 횟수 제한은 현재 회차부터 남은 횟수로 변환합니다
+ *
+ * @param {Object} recurrence - 할 일의 반복 규칙
+ * @returns {string} RRULE 값 (FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE 등)
+ */
+const buildRecurrenceRule = (recurrence) => {
+  const parts = [`FREQ=${FREQ_MAP[recurrence.frequency]}`];
+
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+
+  if (recurrence.frequency === 'weekly' && recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+
+  if (recurrence.until) {
+    parts.push(`UNTIL=${formatDate(recurrence.until)}`);
+  } else if (recurrence.count) {
+    const remaining = recurrence.count - (recurrence.occurrence || 1) + 1;
+    parts.push(`COUNT=${Math.max(remaining, 1)}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * 할 일을 iCalendar 구성 요소 줄 목록으로 변환하는 함수
+ *
+ * @param {Object} task - 할 일 문서 (dueDate 필수)
+ * @param {string} component - 'event'(VEVENT) 또는 'todo'(VTODO)
+ * @param {string} domain - UID에 사용할 도메인
+ * @returns {string[]} 접기 전 내용 줄 목록
+ */
+const buildTaskComponent = (task, component, domain) => {
+  const name = component === 'todo' ? 'VTODO' : 'VEVENT';
+  const lines = [
+    `BEGIN:${name}`,
+    `UID:${task._id}@${domain}`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || new Date())}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (component === 'todo') {
+    lines.push(`DUE;VALUE=DATE:${formatDate(task.dueDate)}`);
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completed && task.completedAt) {
+      lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+    }
+  } else {
+    // 종일 일정의 DTEND는 다음 날(포함하지 않음)
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(task.dueDate).getTime() + DAY_MS)}`);
+  }
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  const categories = [task.category, ...(task.tags || [])].filter(Boolean);
+  if (categories.length > 0) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+
+  // 우선순위 1~5(높을수록 중요) → iCalendar 1~9(낮을수록 중요)
+  if (task.priority) {
+    lines.push(`PRIORITY:${11 - task.priority * 2}`);
+  }
+
+  // 다음 회차가 이미 생성된 회차는 단일 항목으로 내보내 중복을 막음
+  if (task.recurrence && !task.nextOccurrenceId) {
+    lines.push(`RRULE:${buildRecurrenceRule(task.recurrence)}`);
+  }
+
+  lines.push(`END:${name}`);
+  return lines;
+};
+
+/**
+ * iCalendar 문서 생성 함수
+ *
+ * @param {Array} tasks - 마감일이 있는 할 일 목록
+ * @param {Object} options - 생성 옵션
+ * @param {string} [options.name] - 캘린더 이름 (X-WR-CALNAME)
+ * @param {string} [options.component] - 'event' 또는 'todo' (기본값: event)
+ * @param {string} [options.domain] - UID 도메인 (기본값: taskflow)
+ * @returns {string} .ics 문서 (CRLF 줄바꿈)
+ */
+const buildCalendar = (tasks, options = {}) => {
+  const { name = 'TaskFlow', component = 'event', domain = 'taskflow' } = options;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TaskFlow//TaskFlow Calendar//KO',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...tasks.flatMap(task => buildTaskComponent(task, component, domain)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * 내용 줄 해석 함수
+ * NAME;PARAM=VALUE:값 형식을 나누며, 따옴표로 묶인 매개변수 안의 콜론은 무시합니다
+ *
+ * @param {string} line - 펼친 내용 줄
+ * @returns {{ name: string, params: Object, value: string }|null} 해석 결과
+ */
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colonIndex = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+
+  if (colonIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/"/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+/**
+ * 날짜 속성 값 해석 함수
+ * 시각과 시간대는 무시하고 날짜 부분만 UTC 자정으로 변환합니다
+ *
+ * @param {string} value - DATE 또는 DATE-TIME 값
+ * @returns {Date|null} 해당 날짜의 UTC 자정
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * RRULE 값 해석 함수
+ * TaskFlow 반복 규칙으로 표현할 수 없는 규칙이면 에러 메시지를 반환합니다
+ *
+ * @param {string} value - RRULE 값
+ * @param {Date|null} startDate - 첫 회차 날짜 (BYMONTHDAY 확인용)
+ * @returns {{ value: Object|null, error: string|null }} 반복 규칙 또는 에러 메시지
+ */
+const parseRecurrenceRule = (value, startDate) => {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, ...rest] = part.split('=');
+    rule[key.toUpperCase()] = rest.join('=');
+  });
+
+  const frequency = Object.keys(FREQ_MAP).find(key => FREQ_MAP[key] === rule.FREQ);
+  if (!frequency) {
+    return { value: null, error: `지원하지 않는 반복 주기입니다: ${rule.FREQ}` };
+  }
+
+  // 시리즈 시작일과 같은 날짜의 BYMONTHDAY는 기본 동작과 같으므로 허용
+  if (rule.BYMONTHDAY !== undefined &&
+      !(startDate && rule.BYMONTHDAY === String(startDate.getUTCDate()))) {
+    return { value: null, error: '지원하지 않는 반복 규칙입니다: BYMONTHDAY' };
+  }
+  delete rule.BYMONTHDAY;
+
+  const unsupported = Object.keys(rule)
+    .filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'].includes(key));
+  if (unsupported.length > 0) {
+    return { value: null, error: `지원하지 않는 반복 규칙입니다: ${unsupported.join(', ')}` };
+  }
+
+  let byWeekday = [];
+  if (rule.BYDAY) {
+    // 매월 둘째 화요일(2TU) 같은 순번 지정은 지원하지 않음
+    if (frequency !== 'weekly' || rule.BYDAY.split(',').some(day => !WEEKDAY_CODES.includes(day))) {
+      return { value: null, error: `지원하지 않는 반복 규칙입니다: BYDAY=${rule.BYDAY}` };
+    }
+    byWeekday = rule.BYDAY.split(',').map(day => WEEKDAY_CODES.indexOf(day));
+  }
+
+  return {
+    value: {
+      frequency,
+      interval: rule.INTERVAL ? parseInt(rule.INTERVAL) : 1,
+      byWeekday,
+      until: rule.UNTIL ? parseDateValue(rule.UNTIL) : undefined,
+      count: rule.COUNT ? parseInt(rule.COUNT) : undefined
+    },
+    error: null
+  };
+};
+
+/**
+ * iCalendar 우선순위 변환 함수
+ * iCalendar 1~9(낮을수록 중요, 0은 미지정) → TaskFlow 1~5(높을수록 중요)
+ *
+ * @param {string} value - PRIORITY 값
+ * @returns {number|undefined} TaskFlow 우선순위
+ */
+const parsePriority = (value) => {
+  const priority = parseInt(value);
+  if (!Number.isInteger(priority) || priority < 1 || priority > 9) return undefined;
+
+  return 5 - Math.floor((priority - 1) / 2);
+};
+
+/**
+ * iCalendar 문서 해석 함수
+ * VEVENT와 VTODO 항목을 할 일 입력값 형태로 변환합니다
+ *
+ * @param {string} text - .ics 파일 내용
+ * @returns {{ value: { items: Array }|null, error: string|null }}
+ *   항목 목록 (각 항목: uid, component, title, description, dueDate, recurrence,
+ *   priority, completed, categories, warnings) 또는 에러 메시지
+ */
+const parseCalendar = (text) => {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    return { value: null, error: 'iCalendar(.ics) 형식의 파일이 아닙니다.' };
+  }
+
+  // 접힌 줄 펼치기 (줄바꿈 뒤 공백 또는 탭)
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const items = [];
+  let current = null;
+  let nestedDepth = 0; // VALARM 등 항목 안의 하위 구성 요소
+
+  lines.forEach(rawLine => {
+    const line = parseContentLine(rawLine);
+    if (!line) return;
+
+    if (line.name === 'BEGIN') {
+      const componentName = line.value.toUpperCase();
+      if (current) {
+        nestedDepth += 1;
+      } else if (componentName === 'VEVENT' || componentName === 'VTODO') {
+        current = { component: componentName === 'VTODO' ? 'todo' : 'event', props: {}, categories: [] };
+      }
+      return;
+    }
+
+    if (line.name === 'END') {
+      if (current && nestedDepth > 0) {
+        nestedDepth -= 1;
+      } else if (current) {
+        items.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (!current || nestedDepth > 0) return;
+
+    // CATEGORIES는 여러 번 나올 수 있고, 값은 쉼표로 구분
+    if (line.name === 'CATEGORIES') {
+      current.categories.push(...line.value.split(/(?<!\\),/).map(unescapeText).map(value => value.trim()).filter(Boolean));
+      return;
+    }
+
+    if (current.props[line.name] === undefined) {
+      current.props[line.name] = line.value;
+    }
+  });
+
+  return {
+    value: {
+      items: items.map(({ component, props, categories }) => {
+        const warnings = [];
+        const dueDate = parseDateValue(component === 'todo' ? (props.DUE || props.DTSTART) : props.DTSTART);
+
+        let recurrence = null;
+        if (props.RRULE) {
+          const ruleResult = parseRecurrenceRule(props.RRULE, dueDate);
+          if (ruleResult.error) {
+            warnings.push(`${ruleResult.error} (반복 없이 가져옵니다)`);
+          } else {
+            recurrence = ruleResult.value;
+          }
+        }
+
+        const status = (props.STATUS || '').toUpperCase();
+
+        return {
+          uid: props.UID ? unescapeText(props.UID) : null,
+          component,
+          title: props.SUMMARY ? unescapeText(props.SUMMARY).trim() : '',
+          description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION).trim() : '',
+          dueDate,
+          recurrence,
+          priority: parsePriority(props.PRIORITY),
+          completed: status === 'COMPLETED' || Boolean(props.COMPLETED),
+          cancelled: status === 'CANCELLED',
+          categories,
+          warnings
+        };
+      })
+    },
+    error: null
+  };
+};
+
+module.exports = {
+  COMPONENTS,
+  buildCalendar,
+  buildRecurrenceRule,
+  parseCalendar
+};
@@ -0,0 +1,273 @@
+/**
+ * 외부 서비스 가져오기 유틸리티
+ *
+ * 이 파일은 다른 할 일 앱에서 내보낸 파일을 TaskFlow 가져오기 행으로 변환합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - Todoist 프로젝트 CSV (라벨, 섹션, 우선순위, 하위 작업, 메모)
+ * - Trello 보드 JSON (목록, 라벨, 마감일, 체크리스트)
+ * - Microsoft To Do 및 todo.txt (완료 표시, 우선순위, +프로젝트, @컨텍스트, due:)
+ *
+ * 변환 결과는 내보내기 파일과 같은 행 형식(toTaskInput 입력)이며, 카테고리 대신 원래 목록 이름(list)을 담습니다.
+ * 목록 이름을 카테고리로 바꾸는 매핑은 가져오기 API에서 처리합니다.
+ */
+
+const { parseCsvRecords } = require('./csv'); // CSV 해석
+
+// 지원하는 가져오기 원본
+const IMPORT_SOURCES = ['todoist', 'trello', 'todotxt'];
+
+// todo.txt 우선순위(A~Z)를 TaskFlow 우선순위로 변환 (E 이후는 모두 1)
+const TODOTXT_PRIORITIES = { A: 5, B: 4, C: 3, D: 2 };
+
+// Todoist 우선순위(1: 가장 높음 ~ 4: 없음)를 TaskFlow 우선순위로 변환
+const TODOIST_PRIORITIES = { 1: 5, 2: 4, 3: 3, 4: 3 };
+
+/**
+ * 날짜 문자열에서 YYYY-MM-DD 부분을 꺼내는 함수
+ *
+ * @param {string} value - 날짜 문자열 (2026-10-20, 2026-10-20 14:00 등)
+ * @returns {string|null} YYYY-MM-DD (날짜로 시작하지 않으면 null)
+ */
+const extractDate = (value) => {
+  const match = String(value || '').trim().match(/^(\d{4}-\d{2}-\d{2})(?:$|[\sT])/);
+  return match && !isNaN(new Date(match[1]).getTime()) ? match[1] : null;
+};
+
+/**
+ * Todoist CSV 변환 함수
+ * 제목의 @라벨은 태그로, 섹션은 목록으로 사용하고, 들여쓰기된 할 일은 바로 위 할 일의 하위 작업이 됩니다.
+ * 반복 일정 등 자연어로 된 마감일은 해석하지 않고 경고와 함께 마감일 없이 가져옵니다
+ *
+ * @param {string} content - CSV 텍스트
+ * @returns {{ value: Array<Object>|null, error: string|null }} 가져오기 행 목록 또는 에러 메시지
+ */
+const parseTodoist = (content) => {
+  const csvResult = parseCsvRecords(content);
+  if (csvResult.error) return csvResult;
+
+  if (!csvResult.value.headers.includes('TYPE') || !csvResult.value.headers.includes('CONTENT')) {
+    return { value: null, error: 'Todoist CSV 형식이 아닙니다. TYPE, CONTENT 열이 있어야 합니다.' };
+  }
+
+  const records = [];
+  let section = null;
+  let parent = null;
+
+  for (const row of csvResult.value.records) {
+    const type = String(row.TYPE || '').trim().toLowerCase();
+
+    if (type === 'section') {
+      section = String(row.CONTENT || '').trim() || null;
+      parent = null;
+      continue;
+    }
+
+    // 메모는 바로 위 할 일의 설명에 덧붙임
+    if (type === 'note') {
+      if (parent && row.CONTENT) {
+        parent.description = [parent.description, String(row.CONTENT).trim()].filter(Boolean).join('\n');
+      }
+      continue;
+    }
+
+    if (type !== 'task') continue;
+
+    // 제목에 포함된 @라벨을 태그로 분리
+    const tags = [];
+    const title = String(row.CONTENT || '')
+      .replace(/(^|\s)@([^\s@]+)/g, (match, space, label) => {
+        tags.push(label);
+        return space;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // 들여쓰기(INDENT 2 이상)된 할 일은 하위 작업으로 추가
+    if (Number(row.INDENT) > 1 && parent) {
+      parent.subtasks.push({ title, completed: false });
+      continue;
+    }
+
+    const warnings = [];
+    let dueDate;
+    const dateText = String(row.DATE || '').trim();
+    if (dateText) {
+      dueDate = extractDate(dateText);
+      if (!dueDate) {
+        warnings.push(`마감일 "${dateText}"을(를) 해석할 수 없어 마감일 없이 가져옵니다.`);
+      }
+    }
+
+    parent = {
+      title,
+      description: String(row.DESCRIPTION || '').trim(),
+      priority: TODOIST_PRIORITIES[Number(row.PRIORITY)],
+      dueDate,
+      tags,
+      subtasks: [],
+      list: section,
+      warnings
+    };
+    records.push(parent);
+  }
+
+  return { value: records, error: null };
+};
+
+/**
+ * Trello 보드 JSON 변환 함수
+ * 카드가 속한 목록은 목록 이름으로, 라벨은 태그로, 체크리스트 항목은 하위 작업으로 가져옵니다.
+ * 보관된 카드와 보관된 목록의 카드는 가져오지 않습니다
+ *
+ * @param {string} content - 보드 JSON 텍스트
+ * @returns {{ value: Array<Object>|null, error: string|null }} 가져오기 행 목록 또는 에러 메시지
+ */
+const parseTrello = (content) => {
+  let board;
+  try {
+    board = JSON.parse(content);
+  } catch (error) {
+    return { value: null, error: 'Trello 보드 JSON 형식이 올바르지 않습니다.' };
+  }
+
+  if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    return { value: null, error: 'Trello 보드 JSON 형식이 올바르지 않습니다. cards, lists 항목이 있어야 합니다.' };
+  }
+
+  const lists = new Map(board.lists.map(list => [list.id, list]));
+  const checklists = Array.isArray(board.checklists) ? board.checklists : [];
+
+  const records = board.cards.map(card => {
+    const list = lists.get(card.idList);
+    const due = card.due ? new Date(card.due) : null;
+
+    // 체크리스트 항목을 순서대로 하위 작업으로 변환
+    const subtasks = checklists
+      .filter(checklist => checklist.idCard === card.id)
+      .sort((a, b) => (a.pos || 0) - (b.pos || 0))
+      .flatMap(checklist => (checklist.checkItems || [])
+        .slice()
+        .sort((a, b) => (a.pos || 0) - (b.pos || 0))
+        .map(item => ({ title: item.name, completed: item.state === 'complete' })));
+
+    return {
+      title: card.name,
+      description: card.desc,
+      // 마감 시각은 UTC 기준 날짜만 사용
+      dueDate: due && !isNaN(due.getTime()) ? due.toISOString().slice(0, 10) : undefined,
+      completed: Boolean(card.dueComplete),
+      tags: (card.labels || []).map(label => label.name).filter(Boolean),
+      subtasks,
+      list: list ? list.name : null,
+      warnings: [],
+      skipReason: card.closed || (list && list.closed) ? '보관된 카드입니다.' : undefined
+    };
+  });
+
+  return { value: records, error: null };
+};
+
+/**
+ * todo.txt 변환 함수 (Microsoft To Do에서 todo.txt로 내보낸 파일 포함)
+ * 첫 +프로젝트는 목록 이름으로, 나머지 +프로젝트와 @컨텍스트는 태그로 가져옵니다
+ *
+ * @param {string} content - todo.txt 텍스트
+ * @returns {{ value: Array<Object>|null, error: string|null }} 가져오기 행 목록 또는 에러 메시지
+ */
+const parseTodoTxt = (content) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+
+  const records = lines.map(line => {
+    let rest = line.trim();
+    const warnings = [];
+    let completed = false;
+    let completedAt;
+    let priority;
+
+    // 완료 표시와 완료일 (x 2026-10-18 ...)
+    const doneMatch = rest.match(/^x\s+(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+    if (doneMatch) {
+      completed = true;
+      completedAt = doneMatch[1];
+      rest = rest.slice(doneMatch[0].length);
+    }
+
+    // 우선순위 ((A) ...)
+    const priorityMatch = rest.match(/^\(([A-Z])\)\s+/);
+    if (priorityMatch) {
+      priority = TODOTXT_PRIORITIES[priorityMatch[1]] || 1;
+      rest = rest.slice(priorityMatch[0].length);
+    }
+
+    // 생성일은 사용하지 않음
+    rest = rest.replace(/^\d{4}-\d{2}-\d{2}\s+/, '');
+
+    const projects = [];
+    const tags = [];
+    let dueDate;
+    const words = [];
+
+    for (const word of rest.split(/\s+/)) {
+      const keyValue = word.match(/^([a-zA-Z]+):([^\s:]+)$/);
+
+      if (/^\+\S+$/.test(word)) {
+        projects.push(word.slice(1));
+      } else if (/^@\S+$/.test(word)) {
+        tags.push(word.slice(1));
+      } else if (keyValue && keyValue[1] === 'due') {
+        dueDate = extractDate(keyValue[2]);
+        if (!dueDate) warnings.push(`마감일 "${keyValue[2]}"을(를) 해석할 수 없어 마감일 없이 가져옵니다.`);
+      } else if (keyValue && keyValue[1] === 'pri') {
+        // 완료된 할 일은 우선순위를 pri:A 형태로 보관
+        priority = TODOTXT_PRIORITIES[keyValue[2].toUpperCase()] || 1;
+      } else if (keyValue && keyValue[1] === 'rec') {
+        warnings.push('반복(rec:)은 지원하지 않아 반복 없이 가져옵니다.');
+      } else if (keyValue && keyValue[1] === 't') {
+        // 시작일(t:)은 사용하지 않음
+      } else {
+        words.push(word);
+      }
+    }
+
+    return {
+      title: words.join(' '),
+      priority,
+      dueDate,
+      completed,
+      completedAt,
+      tags: [...projects.slice(1), ...tags],
+      list: projects[0] || null,
+      warnings
+    };
+  });
+
+  return { value: records, error: null };
+};
+
+/**
+ * 외부 서비스 파일 변환 함수
+ *
+ * @param {string} source - 가져오기 원본 (IMPORT_SOURCES 중 하나)
+ * @param {string} content - 파일 내용
+ * @returns {{ value: Array<Object>|null, error: string|null }} 가져오기 행 목록 또는 에러 메시지
+ */
+const parseExternalFile = (source, content) => {
+  // 파일 앞의 UTF-8 BOM 제거
+  const text = content.replace(/^\uFEFF/, '');
+
+  switch (source) {
+    case 'todoist':
+      return parseTodoist(text);
+    case 'trello':
+      return parseTrello(text);
+    case 'todotxt':
+      return parseTodoTxt(text);
+    default:
+      return { value: null, error: `가져오기 원본은 ${IMPORT_SOURCES.join(', ')} 중 하나여야 합니다.` };
+  }
+};
+
+module.exports = {
+  IMPORT_SOURCES,
+  parseExternalFile
+};
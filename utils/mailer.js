@@ -0,0 +1,433 @@
+/**
+ * 메일 발송 유틸리티
+ *
+ * 이 파일은 알림 메일 등을 보낼 때 사용하는 메일 전송 방식(transport)을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - SMTP 전송 (STARTTLS, SMTPS, AUTH PLAIN/LOGIN 지원)
+ * - 콘솔 전송 (개발 환경에서 메일 내용을 로그로 출력)
+ * - 파일 전송 (메일을 JSON 파일로 저장, 테스트에서 받은 메일 확인)
+ * - 환경 변수에 따른 전송 방식 선택 및 교체 (setMailTransport)
+ *
+ * 전송 방식은 { name, send(message) } 형태의 객체이며, send는 { messageId, accepted }를 반환합니다.
+ * 로컬 SMTP 수신 도구(MailHog, smtp4dev 등)에 연결하면 실제 메일을 보내지 않고 확인할 수 있습니다.
+ */
+
+const net = require('net');       // SMTP 평문 연결
+const tls = require('tls');       // SMTPS 및 STARTTLS
+const os = require('os');         // EHLO 호스트 이름
+const crypto = require('crypto'); // Message-ID 생성
+const fs = require('fs');         // 파일 전송 (메일 저장)
+const path = require('path');     // 파일 전송 경로
+
+// SMTP 응답 대기 시간 (밀리초)
+const SMTP_TIMEOUT_MS = 30000;
+
+// 기본 보내는 사람
+const DEFAULT_FROM = 'TaskFlow <no-reply@taskflow.local>';
+
+/**
+ * 주소 문자열에서 메일 주소만 꺼내는 함수
+ *
+ * @param {string} value - "이름 <주소>" 또는 "주소"
+ * @returns {string} 메일 주소
+ */
+const extractAddress = (value) => {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+};
+
+/**
+ * 헤더 값 인코딩 함수 (RFC 2047)
+ * ASCII가 아닌 문자(한글 등)가 있으면 UTF-8 Base64로 인코딩합니다
+ *
+ * @param {string} text - 헤더 값
+ * @returns {string} 인코딩된 헤더 값
+ */
+const encodeHeader = (text) => {
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * 주소 헤더 인코딩 함수
+ * "이름 <주소>" 형식이면 이름 부분만 인코딩합니다
+ *
+ * @param {string} value - 주소 문자열
+ * @returns {string} 헤더 값
+ */
+const encodeAddressHeader = (value) => {
+  const match = String(value).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  if (!match || !match[1]) return extractAddress(value);
+
+  const name = match[1].replace(/^"|"$/g, '');
+  return `${encodeHeader(name)} <${match[2].trim()}>`;
+};
+
+/**
+ * 메일 원문 생성 함수
+ * 본문은 UTF-8 텍스트를 Base64로 인코딩하며, 줄바꿈은 CRLF를 사용합니다.
+ * 받는 사람이 여러 명이면 서로의 주소가 보이지 않도록 To 헤더에는 주소를 쓰지 않고 봉투(RCPT TO)로만 전달합니다
+ *
+ * @param {Object} message - 메일 ({ from, to, subject, text })
+ * @param {string} messageId - Message-ID 헤더 값
+ * @returns {string} 메일 원문
+ */
+const buildMessage = (message, messageId) => {
+  const recipients = Array.isArray(message.to) ? message.to : [message.to];
+  const to = recipients.length === 1 ? encodeAddressHeader(recipients[0]) : 'undisclosed-recipients:;';
+  const body = Buffer.from(String(message.text || '').replace(/\r?\n/g, '\r\n'), 'utf8')
+    .toString('base64')
+    .replace(/.{1,76}/g, '$&\r\n');
+
+  return [
+    `From: ${encodeAddressHeader(message.from)}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(message.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+};
+
+/**
+ * SMTP 응답 읽기 도구 생성 함수
+ * 여러 줄 응답(250-...)을 모아 마지막 줄(250 ...)에서 하나의 응답으로 반환합니다.
+ * STARTTLS 이후에는 attach로 새 소켓에 다시 연결합니다
+ *
+ * @returns {{ attach: Function, read: Function }} 소켓 연결 함수와 응답 읽기 함수
+ */
+const createResponseReader = () => {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  let waiting = null;
+  const responses = [];
+
+  const settle = (response) => {
+    if (waiting) {
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(response);
+    } else {
+      responses.push(response);
+    }
+  };
+
+  const fail = (error) => {
+    if (!failure) failure = error;
+    if (waiting) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+
+      // 코드 뒤가 공백(또는 끝)이면 응답의 마지막 줄
+      if (/^\d{3}(?: |$)/.test(line)) {
+        settle({ code: Number(line.slice(0, 3)), lines: lines.map(item => item.slice(4)) });
+        lines = [];
+      }
+    }
+  };
+
+  let current = null;
+
+  return {
+    attach(socket) {
+      if (current) {
+        current.removeListener('data', onData);
+      }
+      current = socket;
+      socket.on('data', onData);
+      socket.on('error', fail);
+      socket.on('close', () => fail(new Error('SMTP 서버와의 연결이 끊어졌습니다.')));
+    },
+
+    read() {
+      if (responses.length > 0) return Promise.resolve(responses.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    }
+  };
+};
+
+/**
+ * 소켓 연결 대기 함수
+ *
+ * @param {net.Socket|tls.TLSSocket} socket - 소켓
+ * @param {string} readyEvent - 연결 완료 이벤트 ('connect' 또는 'secureConnect')
+ * @returns {Promise<void>}
+ */
+const waitForConnect = (socket, readyEvent) => {
+  return new Promise((resolve, reject) => {
+    socket.once(readyEvent, resolve);
+    socket.once('error', reject);
+  });
+};
+
+/**
+ * SMTP 전송 방식 생성 함수
+ *
+ * @param {Object} options - SMTP 설정
+ * @param {string} options.host - 서버 주소
+ * @param {number} [options.port] - 포트 (기본값: secure이면 465, 아니면 587)
+ * @param {boolean} [options.secure=false] - 처음부터 TLS로 연결 (SMTPS)
+ * @param {boolean} [options.ignoreTLS=false] - 서버가 STARTTLS를 지원해도 평문 사용 (로컬 테스트용)
+ * @param {boolean} [options.rejectUnauthorized=true] - TLS 인증서 검증
+ * @param {string} [options.user] - 인증 사용자
+ * @param {string} [options.pass] - 인증 비밀번호
+ * @param {number} [options.timeout] - 응답 대기 시간 (밀리초)
+ * @returns {{ name: string, send: Function }} 전송 방식
+ */
+const createSmtpTransport = (options) => {
+  const {
+    host,
+    secure = false,
+    ignoreTLS = false,
+    rejectUnauthorized = true,
+    user,
+    pass,
+    timeout = SMTP_TIMEOUT_MS
+  } = options;
+  const port = Number(options.port) || (secure ? 465 : 587);
+  const clientName = os.hostname() || 'localhost';
+
+  /**
+   * 메일 발송 함수
+   *
+   * @param {Object} message - 메일 ({ from, to, subject, text })
+   * @returns {Promise<{ messageId: string, accepted: Array<string> }>} 발송 결과
+   */
+  const send = async (message) => {
+    const from = message.from || DEFAULT_FROM;
+    const recipients = (Array.isArray(message.to) ? message.to : [message.to]).map(extractAddress);
+    const domain = extractAddress(from).split('@')[1] || 'taskflow.local';
+    const messageId = `<${crypto.randomBytes(16).toString('hex')}@${domain}>`;
+
+    const reader = createResponseReader();
+    let socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+
+    socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP 서버 응답 시간이 초과되었습니다.')));
+    reader.attach(socket);
+
+    // 명령 전송 후 기대한 응답 코드인지 확인
+    const command = async (line, expectedCodes) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const response = await reader.read();
+
+      if (!expectedCodes.includes(response.code)) {
+        const error = new Error(`SMTP 오류 (${response.code}): ${response.lines.join(' ')}`);
+        error.responseCode = response.code;
+        throw error;
+      }
+      return response;
+    };
+
+    try {
+      await waitForConnect(socket, secure ? 'secureConnect' : 'connect');
+      await command(null, [220]);
+
+      let ehlo = await command(`EHLO ${clientName}`, [250]);
+
+      // 서버가 지원하면 STARTTLS로 암호화 후 다시 인사
+      if (!secure && !ignoreTLS && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        socket = tls.connect({ socket, servername: host, rejectUnauthorized });
+        socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP 서버 응답 시간이 초과되었습니다.')));
+        reader.attach(socket);
+        await waitForConnect(socket, 'secureConnect');
+        ehlo = await command(`EHLO ${clientName}`, [250]);
+      }
+
+      if (user) {
+        const authLine = ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '';
+
+        if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+          const credentials = Buffer.from(`\u0000${user}\u0000${pass || ''}`, 'utf8').toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235]);
+        } else {
+          await command('AUTH LOGIN', [334]);
+          await command(Buffer.from(user, 'utf8').toString('base64'), [334]);
+          await command(Buffer.from(pass || '', 'utf8').toString('base64'), [235]);
+        }
+      }
+
+      await command(`MAIL FROM:<${extractAddress(from)}>`, [250]);
+      for (const recipient of recipients) {
+        await command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+
+      await command('DATA', [354]);
+
+      // 줄 맨 앞의 마침표는 두 번 써서 본문 끝 표시(.)와 구분
+      const data = buildMessage({ ...message, from }, messageId).replace(/^\./gm, '..');
+      await command(`${data}\r\n.`, [250]);
+
+      // 종료 인사는 실패해도 발송 결과에 영향 없음
+      await command('QUIT', [221]).catch(() => {});
+
+      return { messageId, accepted: recipients };
+
+    } finally {
+      socket.end();
+    }
+  };
+
+  return { name: 'smtp', send };
+};
+
+/**
+ * 콘솔 전송 방식 생성 함수
+ * 메일을 보내지 않고 받는 사람, 제목, 본문을 로그로 출력합니다 (개발 환경 기본값)
+ *
+ * @returns {{ name: string, send: Function }} 전송 방식
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      const recipients = Array.isArray(message.to) ? message.to : [message.to];
+      const messageId = `<${crypto.randomBytes(16).toString('hex')}@console>`;
+
+      console.log(`[메일] 받는 사람: ${recipients.join(', ')} / 제목: ${message.subject}\n${message.text}`);
+
+      return { messageId, accepted: recipients.map(extractAddress) };
+    }
+  };
+};
+
+/**
+ * 파일 전송 방식 생성 함수
+ * 메일을 보내지 않고 폴더에 메일 하나당 JSON 파일 하나로 저장합니다 (파일 이름은 저장 시각순으로 정렬됨)
+ *
+ * @param {Object} options - 설정
+ * @param {string} options.dir - 메일을 저장할 폴더 (없으면 생성)
+ * @returns {{ name: string, send: Function }} 전송 방식
+ */
+const createFileTransport = ({ dir }) => {
+  return {
+    name: 'file',
+    send: async (message) => {
+      const recipients = (Array.isArray(message.to) ? message.to : [message.to]).map(extractAddress);
+      const id = crypto.randomBytes(8).toString('hex');
+      const messageId = `<${id}@file>`;
+      const date = new Date();
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${date.getTime()}-${id}.json`),
+        JSON.stringify({
+          messageId,
+          date: date.toISOString(),
+          from: message.from,
+          to: recipients,
+          subject: message.subject,
+          text: message.text
+        }, null, 2)
+      );
+
+      return { messageId, accepted: recipients };
+    }
+  };
+};
+
+/**
+ * 환경 변수로 전송 방식 생성 함수
+ * MAIL_TRANSPORT가 smtp이거나, 지정하지 않고 SMTP_HOST가 있으면 SMTP를, 아니면 콘솔 전송을 사용합니다
+ * MAIL_TRANSPORT=file이면 MAIL_FILE_DIR(기본값: mail-outbox) 폴더에 메일을 저장합니다
+ *
+ * @param {Object} [env=process.env] - 환경 변수
+ * @returns {{ name: string, send: Function }} 전송 방식
+ */
+const createMailTransport = (env = process.env) => {
+  const type = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+  if (type === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST || 'localhost',
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE === 'true',
+      ignoreTLS: env.SMTP_IGNORE_TLS === 'true',
+      rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+
+  if (type === 'console') {
+    return createConsoleTransport();
+  }
+
+  if (type === 'file') {
+    return createFileTransport({ dir: path.resolve(env.MAIL_FILE_DIR || 'mail-outbox') });
+  }
+
+  throw new Error(`지원하지 않는 메일 전송 방식입니다: ${type}`);
+};
+
+// 현재 사용 중인 전송 방식 (처음 사용할 때 환경 변수로 생성)
+let currentTransport = null;
+
+/**
+ * 현재 전송 방식 조회 함수
+ *
+ * @returns {{ name: string, send: Function }} 전송 방식
+ */
+const getMailTransport = () => {
+  if (!currentTransport) {
+    currentTransport = createMailTransport();
+  }
+  return currentTransport;
+};
+
+/**
+ * 전송 방식 교체 함수
+ * { name, send } 형태의 객체를 지정하면 이후 모든 메일이 해당 방식으로 발송됩니다
+ *
+ * @param {{ name: string, send: Function }|null} transport - 전송 방식 (null이면 환경 변수 설정으로 되돌림)
+ */
+const setMailTransport = (transport) => {
+  currentTransport = transport;
+};
+
+/**
+ * 메일 발송 함수
+ * 보내는 사람을 지정하지 않으면 MAIL_FROM 환경 변수(없으면 기본값)를 사용합니다
+ *
+ * @param {Object} message - 메일 ({ to, subject, text, from? })
+ * @returns {Promise<{ messageId: string, accepted: Array<string> }>} 발송 결과
+ */
+const sendMail = (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
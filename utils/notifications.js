@@ -0,0 +1,40 @@
+/**
+ * 앱 안 알림 유틸리티
+ *
+ * 이 파일은 알림을 저장하고 연결된 브라우저에 바로 전달하는 공통 함수를 담당합니다.
+ * 할 일 담당자 지정, 프로젝트 초대, 마감 알림 스케줄러가 함께 사용합니다.
+ *
+ * 알림을 만들지 못해도 원래 작업(할 일 수정 등)은 실패하지 않도록 오류는 기록만 합니다.
+ */
+
+const Notification = require('../models/Notification'); // 알림 모델
+const { sendToUser } = require('./eventStream');        // 실시간 이벤트 전송
+
+/**
+ * 알림 생성 및 전달 함수
+ *
+ * @param {Array<string>} userIds - 알림을 받을 사용자 ID 목록 (중복은 한 번만)
+ * @param {Object} notification - 알림 내용 ({ type, title, message, taskId, projectId, actorId })
+ * @returns {Promise<Array<Object>>} 생성된 알림 목록 (실패 시 빈 배열)
+ */
+const notifyUsers = async (userIds, notification) => {
+  const recipients = [...new Set(userIds.map(String))];
+  if (recipients.length === 0) return [];
+
+  try {
+    const created = await Notification.insertMany(
+      recipients.map(userId => ({ ...notification, userId }))
+    );
+
+    created.forEach(doc => sendToUser(doc.userId, 'notification', { notification: doc }));
+    return created;
+
+  } catch (error) {
+    console.error('알림 생성 중 오류 발생:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  notifyUsers
+};
@@ -0,0 +1,479 @@
+/**
+ * 외부 로그인(OpenID Connect) 유틸리티
+ *
+ * 이 파일은 회사 계정 등 외부 ID 공급자(IdP)로 로그인하는 OIDC 흐름을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 환경 변수로 공급자 설정 (OIDC_PROVIDERS, OIDC_<ID>_ISSUER 등)
+ * - 공급자 설정 자동 조회 (/.well-known/openid-configuration) 및 서명 키(JWKS) 캐시
+ * - 인증 코드 + PKCE(S256) 방식의 로그인 주소 생성과 로그인 진행 상태 토큰 발급
+ * - 인증 코드를 토큰으로 교환하고 ID 토큰 검증 (서명, 발급자, 대상, 만료, nonce)
+ * - 외부 계정을 사용자와 연결 (이미 연결된 계정, 또는 공급자가 확인한 이메일이 같은 계정)
+ *
+ * 공급자가 이메일을 확인하지 않았다고(email_verified가 true가 아님) 하면 이메일로 연결하지 않습니다.
+ */
+
+const crypto = require('crypto');            // state, nonce, PKCE 값 생성 및 공개 키 변환
+const jwt = require('jsonwebtoken');         // ID 토큰 검증, 로그인 진행 상태 토큰 서명
+const User = require('../models/User');       // 사용자 모델
+const { isEmailUnverified } = require('./accountTokens'); // 이메일 미인증 계정 확인
+const { revokeSessions } = require('./authTokens');       // 로그인 세션 취소
+
+// 로그인 진행 상태 토큰 서명 키 (액세스 토큰과 같은 키, audience로 구분)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// 로그인 진행 상태 토큰 audience
+const LOGIN_STATE_AUDIENCE = 'taskflow:oidc-login';
+
+// 공급자 로그인 화면에서 돌아오기까지 허용하는 시간 (10분)
+const LOGIN_STATE_TTL_SECONDS = 10 * 60;
+
+// 공급자 설정과 서명 키를 다시 조회하기까지의 시간 (1시간)
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+
+// 모르는 키 ID를 만났을 때 서명 키를 다시 조회하는 최소 간격 (키 교체 대비, 1분)
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+
+// 공급자 요청 제한 시간 (10초)
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// ID 토큰 시각 확인에서 허용하는 서버 간 시계 오차 (초)
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// 허용하는 ID 토큰 서명 알고리즘 (공개 키 방식만)
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// 기본 요청 범위
+const DEFAULT_SCOPES = 'openid email profile';
+
+/**
+ * 발급자 주소 정규화 함수 (끝의 / 제거)
+ *
+ * @param {string} issuer - 발급자 주소
+ * @returns {string} 정규화한 주소
+ */
+const normalizeIssuer = (issuer) => String(issuer || '').trim().replace(/\/+$/, '');
+
+/**
+ * 공급자 설정 해석 함수
+ * OIDC_PROVIDERS에 쉼표로 나열한 ID마다 OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID 등을 읽습니다
+ * (ID의 하이픈은 환경 변수 이름에서 밑줄로 바꿈, 예: corp-sso → OIDC_CORP_SSO_ISSUER)
+ *
+ * @param {Object} env - 환경 변수
+ * @returns {Array<Object>} 공급자 설정 목록
+ */
+const parseProviders = (env) => {
+  const ids = String(env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return ids.reduce((providers, id) => {
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      console.warn(`외부 로그인 공급자 ID는 영문 소문자, 숫자, 하이픈만 쓸 수 있어 무시합니다: ${id}`);
+      return providers;
+    }
+
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+    const issuer = normalizeIssuer(env[`${prefix}ISSUER`]);
+    const clientId = env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`${prefix}ISSUER와 ${prefix}CLIENT_ID가 없어 외부 로그인 공급자를 무시합니다: ${id}`);
+      return providers;
+    }
+
+    providers.push({
+      id,
+      name: env[`${prefix}NAME`] || id,
+      issuer,
+      clientId,
+      clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+      scopes: env[`${prefix}SCOPES`] || DEFAULT_SCOPES
+    });
+    return providers;
+  }, []);
+};
+
+// 사용 가능한 공급자 목록
+const providers = parseProviders(process.env);
+
+// 공급자 ID별 설정 문서와 서명 키 캐시
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * 공급자 목록 조회 함수
+ *
+ * @returns {Array<Object>} 공급자 설정 목록
+ */
+const getOidcProviders = () => providers;
+
+/**
+ * 공급자 조회 함수
+ *
+ * @param {string} id - 공급자 ID
+ * @returns {Object|null} 공급자 설정
+ */
+const findOidcProvider = (id) => providers.find(provider => provider.id === id) || null;
+
+/**
+ * base64url 인코딩 함수
+ *
+ * @param {Buffer} buffer - 원본 바이트
+ * @returns {string} base64url 문자열 (패딩 없음)
+ */
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * 임의 값 생성 함수 (state, nonce, code_verifier)
+ *
+ * @returns {string} 256비트 임의 값
+ */
+const randomValue = () => toBase64Url(crypto.randomBytes(32));
+
+/**
+ * 공급자 JSON 요청 함수
+ *
+ * @param {string} url - 요청 주소
+ * @param {Object} [options] - fetch 옵션
+ * @returns {Promise<Object>} 응답 본문
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`외부 로그인 공급자 요청 실패 (${response.status}${detail ? `: ${detail}` : ''}): ${url}`);
+  }
+  if (!body || typeof body !== 'object') {
+    throw new Error(`외부 로그인 공급자가 JSON이 아닌 응답을 보냈습니다: ${url}`);
+  }
+
+  return body;
+};
+
+/**
+ * 공급자 설정 문서 조회 함수 (캐시 사용)
+ *
+ * @param {Object} provider - 공급자 설정
+ * @returns {Promise<Object>} openid-configuration 문서
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) {
+    return cached.config;
+  }
+
+  const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+  // 다른 발급자의 설정 문서를 받아들이지 않음
+  if (normalizeIssuer(config.issuer) !== provider.issuer) {
+    throw new Error(`설정 문서의 발급자(${config.issuer})가 ${provider.issuer}와 다릅니다.`);
+  }
+  if (!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+    throw new Error(`${provider.issuer}의 설정 문서에 필요한 주소가 없습니다.`);
+  }
+
+  discoveryCache.set(provider.id, { config, fetchedAt: Date.now() });
+  return config;
+};
+
+/**
+ * ID 토큰 서명 키 조회 함수
+ * 캐시에 없는 키 ID이면 공급자가 키를 교체했을 수 있으므로 한 번 더 조회합니다
+ *
+ * @param {Object} provider - 공급자 설정
+ * @param {Object} header - ID 토큰 헤더 (kid, alg)
+ * @returns {Promise<crypto.KeyObject|null>} 공개 키
+ */
+const findSigningKey = async (provider, header) => {
+  const config = await discover(provider);
+
+  const load = async () => {
+    const jwks = await fetchJson(config.jwks_uri);
+    const entry = { keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+    jwksCache.set(provider.id, entry);
+    return entry;
+  };
+
+  const pick = (keys) => {
+    const candidates = keys.filter(key => (!key.use || key.use === 'sig') && (!key.alg || key.alg === header.alg));
+    if (header.kid) return candidates.find(key => key.kid === header.kid);
+    return candidates.length === 1 ? candidates[0] : undefined;
+  };
+
+  let entry = jwksCache.get(provider.id);
+  if (!entry || Date.now() - entry.fetchedAt >= DISCOVERY_CACHE_MS) {
+    entry = await load();
+  }
+
+  let jwk = pick(entry.keys);
+  if (!jwk && Date.now() - entry.fetchedAt >= JWKS_REFETCH_INTERVAL_MS) {
+    jwk = pick((await load()).keys);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * 로그인 시작 함수
+ * state, nonce, PKCE 값을 만들어 공급자 로그인 주소와 로그인 진행 상태 토큰을 반환합니다
+ * (진행 상태 토큰은 브라우저 쿠키로 보관했다가 콜백에서 readLoginState로 확인)
+ *
+ * @param {Object} provider - 공급자 설정
+ * @param {string} redirectUri - 콜백 주소
+ * @returns {Promise<{ authorizationUrl: string, loginState: string }>} 로그인 주소와 진행 상태 토큰
+ */
+const startOidcLogin = async (provider, redirectUri) => {
+  const config = await discover(provider);
+  const state = randomValue();
+  const nonce = randomValue();
+  const codeVerifier = randomValue();
+  const codeChallenge = toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(config.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  const loginState = jwt.sign(
+    { provider: provider.id, state, nonce, codeVerifier },
+    JWT_SECRET,
+    {
+      audience: LOGIN_STATE_AUDIENCE,
+      expiresIn: LOGIN_STATE_TTL_SECONDS
+    }
+  );
+
+  return { authorizationUrl: url.toString(), loginState };
+};
+
+/**
+ * 로그인 진행 상태 확인 함수
+ *
+ * @param {string} loginState - 로그인 진행 상태 토큰
+ * @param {Object} provider - 콜백을 받은 공급자 설정
+ * @param {string} state - 콜백의 state 값
+ * @returns {{ value?: Object, error?: string }} { nonce, codeVerifier } 또는 오류 메시지
+ */
+const readLoginState = (loginState, provider, state) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(loginState || ''), JWT_SECRET, { audience: LOGIN_STATE_AUDIENCE });
+  } catch (error) {
+    return { error: '로그인 시간이 지났거나 다른 창에서 로그인을 다시 시작했습니다. 다시 시도해주세요.' };
+  }
+
+  const expected = Buffer.from(String(payload.state));
+  const actual = Buffer.from(String(state || ''));
+  if (payload.provider !== provider.id || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: '로그인 요청이 일치하지 않습니다. 다시 시도해주세요.' };
+  }
+
+  return { value: { nonce: payload.nonce, codeVerifier: payload.codeVerifier } };
+};
+
+/**
+ * ID 토큰 검증 함수
+ *
+ * @param {Object} provider - 공급자 설정
+ * @param {string} idToken - ID 토큰
+ * @param {string} nonce - 로그인 시작 때 보낸 nonce
+ * @returns {Promise<Object>} ID 토큰 클레임
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('지원하지 않는 형식의 ID 토큰입니다.');
+  }
+
+  const key = await findSigningKey(provider, decoded.header);
+  if (!key) {
+    throw new Error(`ID 토큰 서명 키(${decoded.header.kid || '키 ID 없음'})를 찾을 수 없습니다.`);
+  }
+
+  const config = await discover(provider);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [decoded.header.alg],
+    issuer: config.issuer,
+    audience: provider.clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  // 대상이 여러 개이면 이 앱에 발급한 토큰인지 확인 (OIDC Core 3.1.3.7)
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('다른 클라이언트에 발급한 ID 토큰입니다.');
+  }
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error('ID 토큰의 nonce가 로그인 요청과 다릅니다.');
+  }
+  if (!claims.sub) {
+    throw new Error('ID 토큰에 사용자 식별자(sub)가 없습니다.');
+  }
+
+  return claims;
+};
+
+/**
+ * 로그인 완료 함수
+ * 인증 코드를 토큰으로 교환하고 ID 토큰을 검증해 사용자 클레임을 반환합니다.
+ * ID 토큰에 이메일이 없으면 userinfo 엔드포인트에서 보충합니다
+ *
+ * @param {Object} provider - 공급자 설정
+ * @param {Object} params - 콜백 값
+ * @param {string} params.code - 인증 코드
+ * @param {string} params.redirectUri - 로그인 시작 때 보낸 콜백 주소
+ * @param {string} params.codeVerifier - PKCE code_verifier
+ * @param {string} params.nonce - 로그인 시작 때 보낸 nonce
+ * @returns {Promise<Object>} 사용자 클레임 (iss, sub, email, email_verified, name 등)
+ */
+const completeOidcLogin = async (provider, { code, redirectUri, codeVerifier, nonce }) => {
+  const config = await discover(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(code),
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // 기밀 클라이언트 인증 (공급자가 client_secret_basic을 지원하지 않을 때만 본문에 포함)
+  if (provider.clientSecret) {
+    const methods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw new Error('토큰 응답에 ID 토큰이 없습니다. 요청 범위에 openid가 있는지 확인해주세요.');
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  if (!claims.email && config.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    // 다른 사용자의 정보가 섞이지 않도록 sub가 같을 때만 사용
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+    }
+  }
+
+  return claims;
+};
+
+/**
+ * 사용할 수 없는 임의 비밀번호 생성 함수
+ * 외부 로그인으로 만든 계정에 넣습니다 (비밀번호 재설정으로 직접 정할 수 있음)
+ *
+ * @returns {string} 임의 비밀번호
+ */
+const generateUnusablePassword = () => randomValue();
+
+/**
+ * 표시 이름 결정 함수
+ *
+ * @param {Object} claims - 사용자 클레임
+ * @param {string} email - 이메일 주소
+ * @returns {string} 50자 이하의 이름
+ */
+const pickDisplayName = (claims, email) => {
+  const fullName = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+  const name = String(claims.name || fullName || claims.preferred_username || email.split('@')[0]).trim();
+  return name.slice(0, 50);
+};
+
+/**
+ * 외부 계정 사용자 찾기 또는 만들기 함수
+ * 1. 이미 연결된 외부 계정(발급자 + sub)이면 그 사용자
+ * 2. 공급자가 확인한 이메일과 같은 사용자가 있으면 외부 계정을 연결
+ * 3. 없으면 새 사용자를 만들고 연결
+ *
+ * 연결할 계정이 이메일 미인증 상태이면, 이메일 주인이 아닌 사람이 미리 가입해 둔 계정일 수 있으므로
+ * 비밀번호를 임의 값으로 바꾸고 2단계 인증과 로그인 세션을 모두 취소한 뒤 연결합니다.
+ *
+ * @param {Object} provider - 공급자 설정
+ * @param {Object} claims - completeOidcLogin이 반환한 사용자 클레임
+ * @returns {Promise<{ value?: Object, error?: string }>} 사용자 문서 또는 오류 메시지
+ */
+const findOrCreateOidcUser = async (provider, claims) => {
+  const issuer = normalizeIssuer(claims.iss);
+  const subject = String(claims.sub);
+
+  const linked = await User.findOne({ identities: { $elemMatch: { issuer, subject } } });
+  if (linked) {
+    return linked.isActive
+      ? { value: linked }
+      : { error: '비활성화된 계정입니다. 관리자에게 문의해주세요.' };
+  }
+
+  // 일부 공급자는 userinfo에서 email_verified를 문자열로 보냄
+  const email = String(claims.email || '').toLowerCase().trim();
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!email || !emailVerified) {
+    return { error: `${provider.name}에서 확인된 이메일 주소를 받지 못해 로그인할 수 없습니다.` };
+  }
+
+  const now = new Date();
+  const identity = { provider: provider.id, issuer, subject, email, linkedAt: now };
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    const created = new User({
+      name: pickDisplayName(claims, email),
+      email,
+      password: generateUnusablePassword(),
+      emailVerified: true,
+      emailVerifiedAt: now,
+      identities: [identity]
+    });
+    await created.save();
+    return { value: created };
+  }
+
+  if (!user.isActive) {
+    return { error: '비활성화된 계정입니다. 관리자에게 문의해주세요.' };
+  }
+
+  if (isEmailUnverified(user)) {
+    await revokeSessions({ userId: user._id });
+    user.password = generateUnusablePassword();
+    user.twoFactor = { enabled: false };
+    user.emailVerified = true;
+    user.emailVerifiedAt = now;
+  }
+
+  user.identities.push(identity);
+  await user.save();
+
+  return { value: user };
+};
+
+module.exports = {
+  LOGIN_STATE_TTL_SECONDS,
+  getOidcProviders,
+  findOidcProvider,
+  startOidcLogin,
+  readLoginState,
+  completeOidcLogin,
+  findOrCreateOidcUser
+};
@@ -0,0 +1,240 @@
+/**
+ * 요청 제한 및 로그인 잠금 유틸리티
+ *
+ * 이 파일은 일정 시간 동안의 요청 수를 세는 슬라이딩 윈도우와 로그인 실패에 따른 계정 잠금을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 슬라이딩 윈도우 카운터 (직전 구간과 현재 구간의 횟수를 경과 시간으로 가중해 추정)
+ * - 제한에 걸렸을 때 다시 요청할 수 있기까지의 시간 계산 (Retry-After)
+ * - 계정별 로그인 실패 기록과 점진적 잠금 (잠길 때마다 잠금 시간이 두 배, 최대 시간까지)
+ *
+ * 카운터는 utils/rateLimitStore.js의 저장소에 보관합니다.
+ * 계정은 이메일 주소의 해시로 구분하므로 저장소에 이메일 원문이 남지 않습니다.
+ */
+
+const crypto = require('crypto');                          // 계정 키 해시
+const { getRateLimitStore } = require('./rateLimitStore'); // 카운터 저장소
+
+// 분을 밀리초로 표현한 값
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 환경 변수의 양수 값 읽기 함수
+ *
+ * @param {string|undefined} value - 환경 변수 값
+ * @param {number} defaultValue - 기본값
+ * @returns {number} 양의 정수
+ */
+const readPositive = (value, defaultValue) => {
+  return Number(value) > 0 ? Math.floor(Number(value)) : defaultValue;
+};
+
+// 로그인 실패를 세는 기간과 잠그기까지 허용하는 실패 횟수 (기본: 15분 동안 5번)
+const LOGIN_MAX_FAILURES = readPositive(process.env.LOGIN_MAX_FAILURES, 5);
+const LOGIN_FAILURE_WINDOW_MS = readPositive(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * MINUTE_MS;
+
+// 첫 잠금 시간과 최대 잠금 시간 (기본: 1분부터 두 배씩, 최대 1시간)
+const LOGIN_LOCKOUT_BASE_MS = readPositive(process.env.LOGIN_LOCKOUT_MINUTES, 1) * MINUTE_MS;
+const LOGIN_LOCKOUT_MAX_MS = readPositive(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60) * MINUTE_MS;
+
+// 잠금 단계를 기억하는 시간 (마지막 잠금부터 24시간 동안 다시 잠기면 더 오래 잠금)
+const LOCKOUT_LEVEL_TTL_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * 슬라이딩 윈도우 카운터 생성 함수
+ * 고정 구간(windowMs)별로 횟수를 세고, 직전 구간의 횟수를 현재 구간의 남은 비율만큼 더해 최근 windowMs 동안의 횟수를 추정합니다.
+ * 동시에 들어온 요청이 같은 값을 읽고 모두 허용되지 않도록, 먼저 횟수를 늘린 뒤 늘어난 값으로 판단합니다
+ *
+ * @param {Object} options - 설정
+ * @param {string} options.name - 카운터 이름 (저장소 키 접두사)
+ * @param {number} options.limit - windowMs 동안 허용하는 횟수
+ * @param {number} options.windowMs - 구간 길이 (밀리초)
+ * @returns {Object} 카운터 (hit, add, reset)
+ */
+const createSlidingWindow = ({ name, limit, windowMs }) => {
+  const keyFor = (id, index) => `rl:${name}:${id}:${index}`;
+
+  /**
+   * 한 번 기록하고 기록 후의 상태 조회
+   *
+   * @param {string} id - 대상 (IP, 계정 키 등)
+   * @returns {Promise<Object>} { index, elapsed, current, previous, count } (current와 count는 이번 기록 포함)
+   */
+  const record = async (id) => {
+    const store = getRateLimitStore();
+    const now = Date.now();
+    const index = Math.floor(now / windowMs);
+    const elapsed = now - index * windowMs;
+
+    const [current, previous] = await Promise.all([
+      store.increment(keyFor(id, index), windowMs * 2),
+      store.get(keyFor(id, index - 1))
+    ]);
+
+    const state = { index, elapsed, current, previous: previous || 0 };
+    state.count = state.previous * (1 - elapsed / windowMs) + state.current;
+    return state;
+  };
+
+  /**
+   * 다시 허용되기까지 남은 시간 계산 (추정 횟수가 limit 미만이 되는 시점)
+   *
+   * @param {Object} state - record의 결과
+   * @returns {number} 밀리초
+   */
+  const getRetryAfterMs = ({ elapsed, current, previous }) => {
+    // 현재 구간 안에서 직전 구간의 비중이 줄어들어 허용되는 경우
+    if (current < limit && previous > 0) {
+      const waitMs = windowMs * (1 - (limit - current) / previous) - elapsed;
+      if (waitMs < windowMs - elapsed) return Math.max(0, waitMs);
+    }
+
+    // 다음 구간으로 넘어가 현재 구간의 횟수가 직전 구간이 된 뒤 허용되는 경우
+    const nextElapsedMs = current > limit ? windowMs * (1 - limit / current) : 0;
+    return windowMs - elapsed + nextElapsedMs;
+  };
+
+  /**
+   * 결과 객체 생성
+   *
+   * @param {Object} state - record의 결과
+   * @param {boolean} allowed - 허용 여부
+   * @returns {Object} { allowed, limit, remaining, resetSeconds, retryAfterSeconds, windowSeconds }
+   */
+  const toResult = (state, allowed) => ({
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - state.count)),
+    resetSeconds: Math.ceil((windowMs - state.elapsed) / 1000),
+    // 추정 횟수가 limit과 같아지는 시점에는 아직 거부되므로 그 시점이 지난 다음 초로 올림
+    retryAfterSeconds: allowed ? 0 : Math.floor(getRetryAfterMs(state) / 1000) + 1,
+    windowSeconds: Math.ceil(windowMs / 1000)
+  });
+
+  return {
+    /**
+     * 요청 하나를 기록하고 허용할지 확인합니다 (거부한 요청도 세므로 제한 중에 계속 요청하면 더 오래 기다려야 함)
+     *
+     * @param {string} id - 대상
+     * @returns {Promise<Object>} toResult 형식의 결과
+     */
+    hit: async (id) => {
+      const state = await record(id);
+      // 이번 요청 전의 추정 횟수가 limit 미만이면 허용
+      return toResult(state, state.count - 1 < limit);
+    },
+
+    /**
+     * 항상 기록하고 기록 후의 추정 횟수를 반환합니다 (실패 횟수 세기)
+     *
+     * @param {string} id - 대상
+     * @returns {Promise<number>} 추정 횟수
+     */
+    add: async (id) => {
+      const state = await record(id);
+      return state.count;
+    },
+
+    /**
+     * 기록을 지웁니다
+     *
+     * @param {string} id - 대상
+     */
+    reset: async (id) => {
+      const store = getRateLimitStore();
+      const index = Math.floor(Date.now() / windowMs);
+      await Promise.all([store.delete(keyFor(id, index)), store.delete(keyFor(id, index - 1))]);
+    }
+  };
+};
+
+// 계정별 로그인 실패 카운터
+const loginFailures = createSlidingWindow({
+  name: 'login-failures',
+  limit: LOGIN_MAX_FAILURES,
+  windowMs: LOGIN_FAILURE_WINDOW_MS
+});
+
+/**
+ * 계정 키 생성 함수
+ *
+ * @param {string} email - 이메일 주소
+ * @returns {string} 정규화한 이메일의 해시
+ */
+const toAccountKey = (email) => {
+  return crypto.createHash('sha256').update(String(email || '').toLowerCase().trim()).digest('hex');
+};
+
+/**
+ * 저장소 오류 시 제한하지 않고 진행하는 함수
+ * (공유 저장소가 잠시 응답하지 않아도 로그인 자체는 막지 않음)
+ *
+ * @param {Function} task - 실행할 비동기 함수
+ * @param {*} fallback - 오류 시 반환할 값
+ * @returns {Promise<*>} 결과
+ */
+const failOpen = async (task, fallback) => {
+  try {
+    return await task();
+  } catch (error) {
+    console.error('로그인 잠금 확인 중 오류 발생:', error);
+    return fallback;
+  }
+};
+
+/**
+ * 계정 잠금 조회 함수
+ *
+ * @param {string} email - 로그인에 입력한 이메일 주소
+ * @returns {Promise<{ retryAfterSeconds: number }|null>} 잠겨 있으면 남은 시간
+ */
+const getLoginLockout = (email) => failOpen(async () => {
+  const lockedUntil = await getRateLimitStore().get(`login-lockout:${toAccountKey(email)}`);
+  if (!lockedUntil || lockedUntil <= Date.now()) return null;
+
+  return { retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000) };
+}, null);
+
+/**
+ * 로그인 실패 기록 함수
+ * 실패가 허용 횟수에 이르면 계정을 잠그고, 24시간 안에 다시 잠길 때마다 잠금 시간을 두 배로 늘립니다
+ * (가입하지 않은 이메일도 같게 처리해 가입 여부가 드러나지 않음)
+ *
+ * @param {string} email - 로그인에 입력한 이메일 주소
+ * @returns {Promise<{ retryAfterSeconds: number }|null>} 이번 실패로 잠겼으면 잠금 시간
+ */
+const recordLoginFailure = (email) => failOpen(async () => {
+  const accountKey = toAccountKey(email);
+  const failures = await loginFailures.add(accountKey);
+  if (failures < LOGIN_MAX_FAILURES) return null;
+
+  // 동시에 실패한 요청이 여러 개여도 잠금 단계는 허용 횟수에 처음 이른 실패만 올림 (나머지는 같은 단계로 잠금)
+  const store = getRateLimitStore();
+  const levelKey = `login-lockout-level:${accountKey}`;
+  const level = failures - 1 < LOGIN_MAX_FAILURES
+    ? await store.increment(levelKey, LOCKOUT_LEVEL_TTL_MS)
+    : (await store.get(levelKey)) || 1;
+  const lockoutMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (level - 1), LOGIN_LOCKOUT_MAX_MS);
+
+  await store.set(`login-lockout:${accountKey}`, Date.now() + lockoutMs, lockoutMs);
+  await loginFailures.reset(accountKey);
+
+  return { retryAfterSeconds: Math.ceil(lockoutMs / 1000) };
+}, null);
+
+/**
+ * 로그인 성공 시 실패 기록과 잠금 단계 초기화 함수
+ *
+ * @param {string} email - 이메일 주소
+ */
+const clearLoginFailures = (email) => failOpen(async () => {
+  const accountKey = toAccountKey(email);
+  await loginFailures.reset(accountKey);
+  await getRateLimitStore().delete(`login-lockout-level:${accountKey}`);
+}, undefined);
+
+module.exports = {
+  createSlidingWindow,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
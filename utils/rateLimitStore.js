@@ -0,0 +1,106 @@
+/**
+ * 요청 제한 저장소 유틸리티
+ *
+ * 이 파일은 요청 제한과 로그인 잠금에 쓰는 카운터 저장소를 관리합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 저장소 인터페이스 정의 (만료 시간이 있는 숫자 값의 조회, 증가, 저장, 삭제)
+ * - 기본 메모리 저장소 (만료된 값은 주기적으로 정리)
+ * - 공유 저장소로 교체 (서버를 여러 대 실행할 때 Redis 등)
+ *
+ * 저장소 인터페이스 (모든 메서드는 Promise를 반환):
+ * - get(key): 값 조회 (없거나 만료되었으면 null)
+ * - increment(key, ttlMs): 값을 1 늘리고 새 값 반환 (새로 만든 값에만 만료 시간 설정)
+ * - set(key, value, ttlMs): 만료 시간과 함께 값 저장
+ * - delete(key): 값 삭제
+ *
+ * 메모리 저장소는 서버 프로세스마다 따로 세므로, 서버를 여러 대 실행하면 setRateLimitStore로 공유 저장소를 지정해야 합니다.
+ */
+
+// 만료된 값 정리 간격 (1분)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 메모리 저장소 생성 함수
+ *
+ * @returns {Object} 저장소 (get, increment, set, delete)
+ */
+const createMemoryStore = () => {
+  // 키별 { value, expiresAt }
+  const entries = new Map();
+
+  const readEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    get: async (key) => {
+      const entry = readEntry(key);
+      return entry ? entry.value : null;
+    },
+
+    increment: async (key, ttlMs) => {
+      const entry = readEntry(key);
+      if (entry) {
+        entry.value += 1;
+        return entry.value;
+      }
+
+      entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    },
+
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+// 사용 중인 저장소 (기본: 메모리)
+let store = createMemoryStore();
+
+/**
+ * 사용 중인 저장소 조회 함수
+ *
+ * @returns {Object} 저장소
+ */
+const getRateLimitStore = () => store;
+
+/**
+ * 저장소 교체 함수
+ * 서버 시작 시 요청을 받기 전에 호출합니다
+ *
+ * @param {Object} nextStore - get, increment, set, delete를 구현한 저장소
+ */
+const setRateLimitStore = (nextStore) => {
+  const missing = ['get', 'increment', 'set', 'delete'].filter(name => typeof nextStore[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`요청 제한 저장소에 필요한 메서드가 없습니다: ${missing.join(', ')}`);
+  }
+
+  store = nextStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
@@ -0,0 +1,199 @@
+/**
+ * 반복 일정 유틸리티
+ *
+ * 이 파일은 반복 할 일(RRULE 형식의 반복 규칙) 계산을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 반복 규칙 유효성 검사 및 정규화
+ * - 다음 회차 마감일 계산 (매일/매주/매월/매년, 간격, 요일 지정)
+ * - 종료 조건(until/count) 확인
+ *
+ * 모든 날짜 계산은 UTC 기준으로 수행하여 서버 시간대에 영향을 받지 않습니다.
+ */
+
+// 지원하는 반복 주기
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// 하루를 밀리초로 표현한 값
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * 해당 월의 마지막 날짜 계산 함수
+ *
+ * @param {number} year - 연도
+ * @param {number} month - 월 (0부터 시작)
+ * @returns {number} 마지막 날짜
+ */
+const daysInMonth = (year, month) => {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+};
+
+/**
+ * 주의 시작일(일요일) 계산 함수
+ *
+ * @param {Date} date - 기준 날짜
+ * @returns {number} 주 시작일의 타임스탬프
+ */
+const startOfWeek = (date) => {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - date.getUTCDay());
+};
+
+/**
+ * 월 단위로 날짜 이동 함수
+ * 기준일이 없는 달(예: 31일)은 그 달의 마지막 날로 맞춥니다
+ *
+ * @param {Date} date - 현재 날짜 (시각 정보 유지용)
+ * @param {number} months - 이동할 개월 수
+ * @param {number} anchorDay - 기준 일자 (시리즈 시작일의 일자)
+ * @returns {Date} 이동된 날짜
+ */
+const addMonths = (date, months, anchorDay) => {
+  const totalMonths = date.getUTCMonth() + months;
+  const year = date.getUTCFullYear() + Math.floor(totalMonths / 12);
+  const month = ((totalMonths % 12) + 12) % 12;
+  const day = Math.min(anchorDay, daysInMonth(year, month));
+
+  const next = new Date(date);
+  next.setUTCFullYear(year, month, day);
+  return next;
+};
+
+/**
+ * 반복 규칙 정규화 함수
+ * 클라이언트에서 받은 반복 규칙을 검사하고 저장 가능한 형태로 변환합니다
+ *
+ * @param {Object|null} input - 요청 본문의 반복 규칙
+ * @returns {{ value: Object|null, error: string|null }} 정규화 결과 또는 에러 메시지
+ */
+const normalizeRecurrence = (input) => {
+  // null 또는 빈 값은 반복 해제를 의미
+  if (!input) {
+    return { value: null, error: null };
+  }
+
+  if (typeof input !== 'object') {
+    return { value: null, error: '반복 규칙 형식이 올바르지 않습니다.' };
+  }
+
+  const { frequency, interval = 1, byWeekday = [], until, count } = input;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { value: null, error: '반복 주기는 daily, weekly, monthly, yearly 중 하나여야 합니다.' };
+  }
+
+  const intervalNum = parseInt(interval);
+  if (!Number.isInteger(intervalNum) || intervalNum < 1 || intervalNum > 365) {
+    return { value: null, error: '반복 간격은 1부터 365까지의 숫자여야 합니다.' };
+  }
+
+  if (!Array.isArray(byWeekday) || byWeekday.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { value: null, error: '반복 요일은 0(일요일)부터 6(토요일)까지의 숫자 배열이어야 합니다.' };
+  }
+
+  if (until && isNaN(new Date(until).getTime())) {
+    return { value: null, error: '반복 종료일 형식이 올바르지 않습니다.' };
+  }
+
+  if (count !== undefined && count !== null && count !== '') {
+    const countNum = parseInt(count);
+    if (!Number.isInteger(countNum) || countNum < 1) {
+      return { value: null, error: '반복 횟수는 1 이상의 숫자여야 합니다.' };
+    }
+  }
+
+  return {
+    value: {
+      frequency,
+      interval: intervalNum,
+      // 요일 지정은 매주 반복에서만 의미가 있음
+      byWeekday: frequency === 'weekly' ? [...new Set(byWeekday)].sort() : [],
+      until: until ? new Date(until) : undefined,
+      count: count ? parseInt(count) : undefined
+    },
+    error: null
+  };
+};
+
+/**
+ * 다음 회차 날짜 계산 함수
+ * 종료 조건은 확인하지 않고 순수하게 다음 날짜만 계산합니다
+ *
+ * @param {Date} current - 현재 회차의 마감일
+ * @param {Object} recurrence - 반복 규칙
+ * @returns {Date} 다음 회차의 마감일
+ */
+const getNextDate = (current, recurrence) => {
+  const date = new Date(current);
+  const interval = recurrence.interval || 1;
+  const anchor = recurrence.startDate ? new Date(recurrence.startDate) : date;
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return new Date(date.getTime() + interval * DAY_MS);
+
+    case 'weekly': {
+      const weekdays = recurrence.byWeekday || [];
+
+      // 요일 지정이 없으면 interval 주 뒤 같은 요일
+      if (weekdays.length === 0) {
+        return new Date(date.getTime() + interval * 7 * DAY_MS);
+      }
+
+      // 같은 주의 남은 요일을 먼저 찾고, 없으면 interval 주 뒤의 첫 요일로 이동
+      const laterThisWeek = weekdays.find(day => day > date.getUTCDay());
+      if (laterThisWeek !== undefined) {
+        return new Date(date.getTime() + (laterThisWeek - date.getUTCDay()) * DAY_MS);
+      }
+
+      const nextWeekStart = startOfWeek(date) + interval * 7 * DAY_MS;
+      const next = new Date(date);
+      const target = new Date(nextWeekStart + weekdays[0] * DAY_MS);
+      next.setUTCFullYear(target.getUTCFullYear(), target.getUTCMonth(), target.getUTCDate());
+      return next;
+    }
+
+    case 'monthly':
+      return addMonths(date, interval, anchor.getUTCDate());
+
+    case 'yearly':
+      return addMonths(date, interval * 12, anchor.getUTCDate());
+
+    default:
+      throw new Error(`지원하지 않는 반복 주기입니다: ${recurrence.frequency}`);
+  }
+};
+
+/**
+ * 다음 회차 계산 함수
+ * 종료 조건(until/count)을 확인하며, notBefore가 주어지면 그 이전의 회차는 건너뜁니다
+ *
+ * @param {Date} current - 현재 회차의 마감일
+ * @param {Object} recurrence - 반복 규칙 (occurrence: 현재 회차 번호)
+ * @param {Date} [notBefore] - 이 시각 이전의 회차는 건너뜀
+ * @returns {{ dueDate: Date, occurrence: number }|null} 다음 회차 정보 (반복이 끝났으면 null)
+ */
+const getNextOccurrence = (current, recurrence, notBefore) => {
+  if (!current || !recurrence || !FREQUENCIES.includes(recurrence.frequency)) {
+    return null;
+  }
+
+  let dueDate = new Date(current);
+  let occurrence = recurrence.occurrence || 1;
+
+  do {
+    dueDate = getNextDate(dueDate, recurrence);
+    occurrence += 1;
+
+    // 반복 종료 조건 확인
+    if (recurrence.count && occurrence > recurrence.count) return null;
+    if (recurrence.until && dueDate > new Date(recurrence.until)) return null;
+  } while (notBefore && dueDate < notBefore);
+
+  return { dueDate, occurrence };
+};
+
+module.exports = {
+  FREQUENCIES,
+  normalizeRecurrence,
+  getNextDate,
+  getNextOccurrence
+};
@@ -0,0 +1,292 @@
+/**
+ * 마감 알림 스케줄러
+ *
+ * 이 파일은 서버 안에서 주기적으로 실행되어 마감이 다가온 할 일의 알림 메일을 보냅니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 할 일의 알림 시점(reminders, 마감일 기준 몇 분 전)이 지난 알림 찾기
+ * - 발송 기록(ReminderDelivery)으로 알림마다 한 번만 발송 (재시작 및 다중 서버에서도 중복 방지)
+ * - 받는 사람 결정 (프로젝트 할 일은 담당자, 없으면 작성자 / 알림 메일을 끈 사용자와 메일이 제한된 미인증 계정은 제외)
+ * - 받는 사람에게 앱 안 알림도 함께 생성 (알림 메일 설정과 관계없이, 첫 시도에서만)
+ * - 발송 실패 시 일정 시간 뒤 재시도
+ *
+ * 서버가 꺼져 있던 동안 지난 알림은 LOOKBACK_MS 이내의 것만 보내고, 그보다 오래된 알림은 건너뜁니다.
+ * 발송 중(sending) 상태로 남은 기록은 메일이 이미 나갔을 수 있으므로 재시도하지 않습니다.
+ */
+
+const Task = require('../models/Task');                         // 할 일 모델
+const User = require('../models/User');                         // 사용자 모델 (받는 사람)
+const Project = require('../models/Project');                   // 프로젝트 모델 (메일 본문)
+const ReminderDelivery = require('../models/ReminderDelivery'); // 발송 기록 모델
+const { MAX_REMINDER_MINUTES } = require('./taskInput');        // 최대 알림 시점
+const { sendMail } = require('./mailer');                       // 메일 발송
+const { notifyUsers } = require('./notifications');             // 앱 안 알림
+const { isEmailUnverified, isRestrictedWhenUnverified } = require('./accountTokens'); // 미인증 계정 제한
+
+// 기본 실행 간격 (1분)
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// 지난 알림을 보내는 최대 범위 (24시간)
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// 최대 발송 시도 횟수
+const MAX_ATTEMPTS = 3;
+
+// 발송 실패 후 재시도까지 대기 시간 (5분)
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// 분을 밀리초로 표현한 값
+const MINUTE_MS = 60 * 1000;
+
+// 요일 표시
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * 남은 시간 설명 함수
+ *
+ * @param {number} minutes - 마감일 기준 몇 분 전
+ * @returns {string} "오늘 마감입니다", "마감까지 2일 남았습니다" 등
+ */
+const describeOffset = (minutes) => {
+  if (minutes === 0) return '오늘 마감입니다';
+  if (minutes % 1440 === 0) return `마감까지 ${minutes / 1440}일 남았습니다`;
+  if (minutes % 60 === 0) return `마감까지 ${minutes / 60}시간 남았습니다`;
+  return `마감까지 ${minutes}분 남았습니다`;
+};
+
+/**
+ * 마감일 표시 함수 (마감일은 UTC 자정으로 저장되므로 UTC 기준 날짜 사용)
+ *
+ * @param {Date} date - 마감일
+ * @returns {string} "2024년 3월 5일 (화)" 형식
+ */
+const formatDueDate = (date) => {
+  return `${date.getUTCFullYear()}년 ${date.getUTCMonth() + 1}월 ${date.getUTCDate()}일 (${WEEKDAYS[date.getUTCDay()]})`;
+};
+
+/**
+ * 알림 메일 작성 함수
+ *
+ * @param {Object} task - 할 일 문서
+ * @param {number} minutesBefore - 마감일 기준 몇 분 전
+ * @param {Object|null} project - 소속 프로젝트
+ * @returns {{ subject: string, text: string }} 메일 제목과 본문
+ */
+const buildReminderMail = (task, minutesBefore, project) => {
+  const lines = [
+    `'${task.title}' 할 일이 ${describeOffset(minutesBefore)}.`,
+    '',
+    `마감일: ${formatDueDate(task.dueDate)}`
+  ];
+
+  if (project) lines.push(`프로젝트: ${project.name}`);
+  if (task.category) lines.push(`카테고리: ${task.category}`);
+  if (task.description) lines.push('', task.description);
+
+  lines.push('', '알림 메일을 받지 않으려면 TaskFlow 계정 설정에서 마감 알림 메일을 꺼주세요.');
+
+  return {
+    subject: `[TaskFlow] 마감 알림: ${task.title}`,
+    text: lines.join('\n')
+  };
+};
+
+/**
+ * 알림 발송 권한 확보 함수
+ * 처음 보내는 알림은 발송 기록을 만들고, 실패한 알림은 재시도 조건을 만족할 때만 상태를 바꿉니다.
+ * 다른 서버(또는 이전 실행)가 먼저 확보했으면 null을 반환합니다
+ *
+ * @param {Object|undefined} existing - 기존 발송 기록
+ * @param {Object} candidate - { task, minutesBefore, remindAt }
+ * @param {Date} now - 현재 시각
+ * @returns {Promise<Object|null>} 확보한 발송 기록
+ */
+const claimDelivery = async (existing, candidate, now) => {
+  if (!existing) {
+    try {
+      return await ReminderDelivery.create({
+        taskId: candidate.task._id,
+        remindAt: candidate.remindAt,
+        minutesBefore: candidate.minutesBefore,
+        lastAttemptAt: now
+      });
+    } catch (error) {
+      // 같은 알림의 기록이 이미 있으면 다른 실행이 먼저 확보한 것
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  if (existing.status !== 'failed' ||
+      existing.attempts >= MAX_ATTEMPTS ||
+      now - existing.lastAttemptAt < RETRY_DELAY_MS) {
+    return null;
+  }
+
+  // 시도 횟수가 그대로일 때만 상태를 바꿔 동시에 재시도하지 않도록 함
+  return await ReminderDelivery.findOneAndUpdate(
+    { _id: existing._id, status: 'failed', attempts: existing.attempts },
+    { $set: { status: 'sending', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * 알림 발송 함수
+ *
+ * @param {Object} delivery - 확보한 발송 기록
+ * @param {Object} candidate - { task, minutesBefore, remindAt }
+ * @returns {Promise<string>} 발송 결과 상태 (sent, skipped, failed)
+ */
+const deliverReminder = async (delivery, candidate) => {
+  const { task, minutesBefore } = candidate;
+
+  try {
+    // 프로젝트 할 일은 담당자에게, 담당자가 없거나 개인 할 일이면 작성자에게 발송
+    const userIds = task.projectId && task.assignees.length > 0 ? task.assignees : [task.userId];
+    const users = await User.find({ _id: { $in: userIds }, isActive: true })
+      .select('email notificationPreferences emailVerified');
+
+    // 재시도할 때는 앱 안 알림을 다시 만들지 않음
+    if (delivery.attempts === 1) {
+      await notifyUsers(users.map(user => user._id), {
+        type: 'reminder',
+        title: '마감 알림',
+        message: `'${task.title}' 할 일이 ${describeOffset(minutesBefore)}.`,
+        taskId: task._id,
+        projectId: task.projectId
+      });
+    }
+
+    const mailUsers = users.filter(user =>
+      user.notificationPreferences.emailReminders !== false &&
+      !(isEmailUnverified(user) && isRestrictedWhenUnverified('reminders'))
+    );
+    if (mailUsers.length === 0) {
+      delivery.status = 'skipped';
+      await delivery.save();
+      return delivery.status;
+    }
+
+    const project = task.projectId ? await Project.findById(task.projectId).select('name') : null;
+    const result = await sendMail({
+      to: mailUsers.map(user => user.email),
+      ...buildReminderMail(task, minutesBefore, project)
+    });
+
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.recipients = result.accepted;
+    delivery.lastError = undefined;
+    await delivery.save();
+    return delivery.status;
+
+  } catch (error) {
+    console.error('마감 알림 발송 중 오류 발생:', error);
+
+    delivery.status = 'failed';
+    delivery.lastError = error.message;
+    await delivery.save();
+    return delivery.status;
+  }
+};
+
+/**
+ * 알림 발송 1회 실행 함수
+ * 알림 시각이 지났지만 아직 보내지 않은 알림(및 재시도할 알림)을 모두 발송합니다
+ *
+ * @param {Date} [now] - 기준 시각 (기본값: 현재 시각)
+ * @returns {Promise<{ sent: number, skipped: number, failed: number }>} 발송 결과 개수
+ */
+const runReminderCycle = async (now = new Date()) => {
+  const since = new Date(now.getTime() - LOOKBACK_MS);
+
+  // 알림 시각(마감일 - 알림 분)이 since 이후, now 이전일 수 있는 할 일만 조회
+  const tasks = await Task.find({
+    completed: false,
+    'reminders.0': { $exists: true },
+    dueDate: { $gt: since, $lte: new Date(now.getTime() + MAX_REMINDER_MINUTES * MINUTE_MS) }
+  }).select('title description category dueDate reminders userId projectId assignees createdAt');
+
+  const candidates = [];
+  tasks.forEach(task => {
+    task.reminders.forEach(minutesBefore => {
+      const remindAt = new Date(task.dueDate.getTime() - minutesBefore * MINUTE_MS);
+
+      // 할 일을 만들기 전에 이미 지난 알림 시점은 보내지 않음
+      if (remindAt <= now && remindAt > since && remindAt >= task.createdAt) {
+        candidates.push({ task, minutesBefore, remindAt });
+      }
+    });
+  });
+
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+  if (candidates.length === 0) return summary;
+
+  // 이미 발송 기록이 있는 알림 조회
+  const deliveries = await ReminderDelivery.find({
+    taskId: { $in: [...new Set(candidates.map(candidate => candidate.task._id))] },
+    remindAt: { $gt: since }
+  }).select('taskId remindAt status attempts lastAttemptAt');
+
+  const deliveryMap = new Map(
+    deliveries.map(delivery => [`${delivery.taskId}:${delivery.remindAt.getTime()}`, delivery])
+  );
+
+  for (const candidate of candidates) {
+    const existing = deliveryMap.get(`${candidate.task._id}:${candidate.remindAt.getTime()}`);
+    const delivery = await claimDelivery(existing, candidate, now);
+    if (!delivery) continue;
+
+    const status = await deliverReminder(delivery, candidate);
+    summary[status] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * 마감 알림 스케줄러 시작 함수
+ * 시작하자마자 한 번 실행한 뒤 일정 간격으로 반복합니다 (이전 실행이 끝나지 않았으면 건너뜀)
+ *
+ * @param {Object} [options] - 스케줄러 옵션
+ * @param {number} [options.intervalMs] - 실행 간격 (밀리초)
+ * @returns {{ stop: Function, runNow: Function }} 스케줄러 제어 객체
+ */
+const startReminderScheduler = (options = {}) => {
+  const intervalMs = Number(options.intervalMs) > 0 ? Number(options.intervalMs) : DEFAULT_INTERVAL_MS;
+  let running = null;
+
+  const runNow = async () => {
+    if (running) return running;
+
+    running = runReminderCycle()
+      .then(summary => {
+        if (summary.sent || summary.failed) {
+          console.log(`⏰ 마감 알림 발송: 성공 ${summary.sent}건, 실패 ${summary.failed}건, 건너뜀 ${summary.skipped}건`);
+        }
+        return summary;
+      })
+      .catch(error => {
+        console.error('마감 알림 스케줄러 실행 중 오류 발생:', error);
+        return null;
+      })
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  };
+
+  const timer = setInterval(runNow, intervalMs);
+  runNow();
+
+  return {
+    stop: () => clearInterval(timer),
+    runNow
+  };
+};
+
+module.exports = {
+  runReminderCycle,
+  startReminderScheduler
+};
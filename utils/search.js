@@ -0,0 +1,92 @@
+/**
+ * 검색어 유틸리티
+ *
+ * 이 파일은 할 일 전문 검색(q 파라미터)에 사용되는 검색어 해석을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 검색어를 단어, 따옴표로 묶은 구문, 제외어(-단어)로 분리
+ * - MongoDB $text 검색 문자열 생성
+ *
+ * MongoDB 텍스트 검색은 공백과 구두점 기준으로 단어를 나누므로,
+ * 한글도 띄어쓰기 단위의 단어 일치로 검색됩니다.
+ */
+
+// 검색어 최대 길이
+const MAX_QUERY_LENGTH = 200;
+
+// 따옴표 구문, -제외어, 일반 단어를 순서대로 찾는 정규식
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+
+/**
+ * 검색어 해석 함수
+ *
+ * @param {string} input - 사용자가 입력한 검색어
+ * @returns {{ value: { terms: string[], phrases: string[], excluded: string[] }|null, error: string|null }}
+ *   해석 결과 또는 에러 메시지
+ */
+const parseSearchQuery = (input) => {
+  if (typeof input !== 'string') {
+    return { value: null, error: '검색어 형식이 올바르지 않습니다.' };
+  }
+
+  const text = input.trim();
+
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { value: null, error: `검색어는 ${MAX_QUERY_LENGTH}자 이하여야 합니다.` };
+  }
+
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const [, negation, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      const value = phrase.trim();
+      if (!value) continue;
+
+      // -"구문"은 구문 전체를 제외
+      (negation ? excluded : phrases).push(value);
+      continue;
+    }
+
+    // 닫히지 않은 따옴표 문자는 제거하고, 단독 '-'는 무시
+    const value = word.replace(/"/g, '');
+    if (!value || value === '-') continue;
+
+    if (value.startsWith('-')) {
+      excluded.push(value.slice(1));
+    } else {
+      terms.push(value);
+    }
+  }
+
+  // MongoDB 텍스트 검색은 제외어만으로는 결과를 찾지 않음
+  if (terms.length === 0 && phrases.length === 0) {
+    return { value: null, error: '검색어에는 제외어(-) 외에 찾을 단어가 하나 이상 필요합니다.' };
+  }
+
+  return { value: { terms, phrases, excluded }, error: null };
+};
+
+/**
+ * MongoDB $text 검색 문자열 생성 함수
+ *
+ * @param {{ terms: string[], phrases: string[], excluded: string[] }} parsed - 해석된 검색어
+ * @returns {string} $search에 전달할 문자열
+ */
+const buildTextSearch = ({ terms, phrases, excluded }) => {
+  return [
+    ...terms,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(word => (/\s/.test(word) ? `-"${word}"` : `-${word}`))
+  ].join(' ');
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  buildTextSearch
+};
@@ -0,0 +1,110 @@
+/**
+ * 할 일 변경 이벤트 유틸리티
+ *
+ * 이 파일은 할 일이 생성/수정/삭제될 때 같은 범위(개인 목록 또는 프로젝트)를 보는 모든 사용자의
+ * 이벤트 스트림(/api/events)으로 변경 내용을 보내는 함수를 담당합니다.
+ * 개인 할 일은 작성자의 모든 탭/기기에, 프로젝트 할 일은 모든 프로젝트 멤버에게 전달됩니다.
+ *
+ * 전송하는 이벤트:
+ * - task:created / task:updated: { task } (담당자 정보 포함, API 응답과 같은 형식)
+ * - task:moved: { task, order } (보드 열 안의 새 순서)
+ * - task:deleted: { taskId, projectId }
+ * - tasks:changed: { projectId } (일괄 작업, 가져오기 등 여러 할 일이 바뀌어 목록을 다시 불러와야 함)
+ *
+ * 이벤트를 보내지 못해도 원래 작업은 실패하지 않도록 오류는 기록만 합니다.
+ */
+
+const Project = require('../models/Project');                      // 프로젝트 모델 (멤버 조회)
+const { sendToUsers, hasConnections } = require('./eventStream'); // 실시간 이벤트 전송
+
+/**
+ * 범위의 사용자 목록 조회 함수
+ *
+ * @param {string} userId - 개인 할 일의 작성자 ID
+ * @param {string|null} projectId - 프로젝트 ID (없으면 개인 목록)
+ * @returns {Promise<Array<string>>} 이벤트를 받을 사용자 ID 목록
+ */
+const getScopeAudience = async (userId, projectId) => {
+  if (!projectId) return [String(userId)];
+
+  const project = await Project.findById(projectId).select('members.userId');
+  return project ? project.members.map(member => String(member.userId)) : [];
+};
+
+/**
+ * 범위에 이벤트 전송 함수
+ *
+ * @param {string} userId - 개인 할 일의 작성자 ID
+ * @param {string|null} projectId - 프로젝트 ID
+ * @param {string} event - 이벤트 이름
+ * @param {Object} data - 전송할 데이터
+ */
+const publishToScope = async (userId, projectId, event, data) => {
+  // 연결된 브라우저가 없으면 멤버 조회도 생략
+  if (!hasConnections()) return;
+
+  try {
+    const audience = await getScopeAudience(userId, projectId);
+    sendToUsers(audience, event, data);
+  } catch (error) {
+    console.error('할 일 이벤트 전송 중 오류 발생:', error);
+  }
+};
+
+/**
+ * 할 일 생성 이벤트 전송 함수
+ *
+ * @param {Object} task - 생성된 할 일 문서
+ */
+const publishTaskCreated = (task) => {
+  return publishToScope(task.userId, task.projectId, 'task:created', { task });
+};
+
+/**
+ * 할 일 수정 이벤트 전송 함수
+ *
+ * @param {Object} task - 수정된 할 일 문서
+ */
+const publishTaskUpdated = (task) => {
+  return publishToScope(task.userId, task.projectId, 'task:updated', { task });
+};
+
+/**
+ * 보드 이동 이벤트 전송 함수
+ *
+ * @param {Object} task - 이동한 할 일 문서
+ * @param {Array<string>} order - 이동한 열의 할 일 ID 순서
+ */
+const publishTaskMoved = (task, order) => {
+  return publishToScope(task.userId, task.projectId, 'task:moved', { task, order });
+};
+
+/**
+ * 할 일 삭제 이벤트 전송 함수
+ *
+ * @param {Object} task - 삭제된 할 일 문서
+ */
+const publishTaskDeleted = (task) => {
+  return publishToScope(task.userId, task.projectId, 'task:deleted', {
+    taskId: task._id,
+    projectId: task.projectId || null
+  });
+};
+
+/**
+ * 여러 할 일 변경 이벤트 전송 함수
+ *
+ * @param {string} userId - 개인 목록의 사용자 ID
+ * @param {string|null} projectId - 프로젝트 ID (없으면 개인 목록)
+ */
+const publishTasksChanged = (userId, projectId) => {
+  return publishToScope(userId, projectId, 'tasks:changed', { projectId: projectId || null });
+};
+
+module.exports = {
+  publishTaskCreated,
+  publishTaskUpdated,
+  publishTaskMoved,
+  publishTaskDeleted,
+  publishTasksChanged
+};
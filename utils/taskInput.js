@@ -0,0 +1,181 @@
+/**
+ * 할 일 입력값 유틸리티
+ *
+ * 이 파일은 새 할 일을 만들 때 사용하는 입력값 검사와 정규화를 담당합니다.
+ * POST /api/tasks와 가져오기(.ics 등)가 같은 규칙으로 할 일을 만들도록 함께 사용합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 제목, 우선순위, 마감일 형식 검사
+ * - 반복 규칙 검사 및 마감일 필요 여부 확인
+ * - 기본값(우선순위, 태그) 적용 및 태그 목록 정리
+ * - 마감 알림 시점 검사
+ * - 범위(개인/프로젝트)의 카테고리 확인 및 기본 카테고리 선택
+ *
+ * 스키마 수준의 검사(길이, 마감일 범위 등)는 Task 모델에서 수행됩니다.
+ */
+
+const { normalizeRecurrence } = require('./recurrence'); // 반복 규칙 검사
+
+// 태그 최대 길이 (Task 모델과 동일)
+const TAG_MAX_LENGTH = 20;
+
+// 할 일마다 설정할 수 있는 마감 알림 수
+const MAX_REMINDERS = 5;
+
+// 마감 알림은 마감일 30일 전까지 설정 가능 (분)
+const MAX_REMINDER_MINUTES = 30 * 24 * 60;
+
+/**
+ * 태그 목록 정규화 함수
+ * 배열 또는 쉼표로 구분한 문자열을 받아 앞뒤 공백과 빈 값, 중복을 제거합니다
+ *
+ * @param {Array<string>|string} [tags] - 태그 목록
+ * @returns {{ value: Array<string>|null, error: string|null }} 태그 목록 또는 에러 메시지
+ */
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) {
+    return { value: [], error: null };
+  }
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  if (list.some(tag => typeof tag !== 'string')) {
+    return { value: null, error: '태그는 문자열이어야 합니다.' };
+  }
+
+  const names = [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+  if (names.some(name => name.length > TAG_MAX_LENGTH)) {
+    return { value: null, error: `태그는 ${TAG_MAX_LENGTH}자 이하여야 합니다.` };
+  }
+
+  return { value: names, error: null };
+};
+
+/**
+ * 마감 알림 시점 정규화 함수
+ * 마감일 몇 분 전에 알릴지를 담은 배열을 받아 중복을 제거하고 먼 시점부터 정렬합니다
+ *
+ * @param {Array<number>} [reminders] - 알림 시점 목록 (마감일 기준 분, 0이면 마감일 당일)
+ * @returns {{ value: Array<number>|null, error: string|null }} 알림 시점 목록 또는 에러 메시지
+ */
+const normalizeReminders = (reminders) => {
+  if (reminders === undefined || reminders === null) {
+    return { value: [], error: null };
+  }
+
+  if (!Array.isArray(reminders) ||
+      reminders.some(minutes => !Number.isInteger(minutes) || minutes < 0 || minutes > MAX_REMINDER_MINUTES)) {
+    return { value: null, error: `알림 시점은 0부터 ${MAX_REMINDER_MINUTES}까지의 분 단위 정수 배열이어야 합니다.` };
+  }
+
+  const minutesList = [...new Set(reminders)].sort((a, b) => b - a);
+  if (minutesList.length > MAX_REMINDERS) {
+    return { value: null, error: `알림은 최대 ${MAX_REMINDERS}개까지 설정할 수 있습니다.` };
+  }
+
+  return { value: minutesList, error: null };
+};
+
+/**
+ * 새 할 일 입력값 검사 및 정규화 함수
+ *
+ * @param {Object} input - 할 일 입력값 (title, description, category, priority, dueDate, tags, reminders, subtasks, recurrence)
+ * @returns {{ value: Object|null, error: string|null }} Task 생성에 사용할 필드 또는 에러 메시지
+ */
+const normalizeTaskInput = (input) => {
+  const {
+    title,
+    description,
+    category,
+    priority,
+    dueDate,
+    tags,
+    reminders,
+    subtasks,
+    recurrence
+  } = input || {};
+
+  // 필수 필드 유효성 검사
+  if (!title || typeof title !== 'string' || title.trim() === '') {
+    return { value: null, error: '할 일 제목은 필수 항목입니다.' };
+  }
+
+  // 우선순위 유효성 검사
+  if (priority && (priority < 1 || priority > 5)) {
+    return { value: null, error: '우선순위는 1부터 5까지의 숫자여야 합니다.' };
+  }
+
+  // 마감일 형식 검사
+  if (dueDate && isNaN(new Date(dueDate).getTime())) {
+    return { value: null, error: '마감일 형식이 올바르지 않습니다.' };
+  }
+
+  const tagsResult = normalizeTags(tags);
+  if (tagsResult.error) {
+    return { value: null, error: tagsResult.error };
+  }
+
+  const remindersResult = normalizeReminders(reminders);
+  if (remindersResult.error) {
+    return { value: null, error: remindersResult.error };
+  }
+
+  // 반복 규칙 유효성 검사
+  const recurrenceResult = normalizeRecurrence(recurrence);
+  if (recurrenceResult.error) {
+    return { value: null, error: recurrenceResult.error };
+  }
+
+  // 반복 할 일은 기준이 되는 마감일이 필요
+  if (recurrenceResult.value && !dueDate) {
+    return { value: null, error: '반복 할 일은 마감일이 필요합니다.' };
+  }
+
+  return {
+    value: {
+      title: title.trim(),
+      description: description ? String(description).trim() : '',
+      // 카테고리를 지정하지 않으면 resolveCategory에서 범위의 기본 카테고리로 채움
+      category: category ? String(category).trim() : undefined,
+      priority: priority || 3,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      tags: tagsResult.value,
+      reminders: remindersResult.value,
+      // 하위 작업은 제목 문자열 또는 { title, completed } 형태로 받음
+      subtasks: Array.isArray(subtasks)
+        ? subtasks.map(subtask => (typeof subtask === 'string' ? { title: subtask } : subtask))
+        : [],
+      recurrence: recurrenceResult.value || undefined
+    },
+    error: null
+  };
+};
+
+/**
+ * 카테고리 확인 함수
+ * 범위(개인/프로젝트)의 카테고리 중 하나인지 확인하고, 지정하지 않으면 기본 카테고리를 사용합니다
+ *
+ * @param {Array<Object>} categories - 범위의 카테고리 목록 (Category.findForScope 결과)
+ * @param {string} [name] - 지정한 카테고리 이름
+ * @returns {{ value: string|null, error: string|null }} 카테고리 이름 또는 에러 메시지
+ */
+const resolveCategory = (categories, name) => {
+  if (!name) {
+    const defaultCategory = categories.find(category => category.isDefault) || categories[0];
+    return { value: defaultCategory ? defaultCategory.name : null, error: defaultCategory ? null : '카테고리가 없습니다.' };
+  }
+
+  if (!categories.some(category => category.name === name)) {
+    return { value: null, error: `'${name}' 카테고리가 없습니다. 카테고리를 먼저 추가해주세요.` };
+  }
+
+  return { value: name, error: null };
+};
+
+module.exports = {
+  TAG_MAX_LENGTH,
+  MAX_REMINDERS,
+  MAX_REMINDER_MINUTES,
+  normalizeTags,
+  normalizeReminders,
+  normalizeTaskInput,
+  resolveCategory
+};
@@ -0,0 +1,312 @@
+/**
+ * 할 일 검색 조건 언어 해석 유틸리티
+ *
+ * 이 파일은 검색창에 입력한 구조화된 조건(예: `category:업무 priority>=4 due<7d tag:client -completed`)을
+ * MongoDB 조회 조건으로 변환합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 입력 문자열을 토큰으로 분리 (따옴표로 묶은 값 지원, 각 토큰의 위치 기록)
+ * - 필드 조건(필드 + 연산자 + 값)과 플래그(completed, overdue, recurring) 해석
+ * - 앞에 '-'를 붙인 조건의 부정 처리
+ * - 조건이 아닌 나머지 단어는 전문 검색어로 반환
+ *
+ * 날짜는 마감일 저장 방식과 같이 UTC 기준 하루 단위로 비교합니다.
+ */
+
+// 하루를 밀리초로 표현한 값
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// 지원하는 비교 연산자 (긴 연산자를 먼저 검사)
+const FIELD_TOKEN_PATTERN = /^(-?)([a-zA-Z]+)(>=|<=|:|=|>|<)(.*)$/;
+
+// 값 없이 쓰는 플래그
+const FLAGS = ['completed', 'overdue', 'recurring'];
+
+// 필드 조건처럼 보이지만 일반 단어로 취급할 값 (https://..., mailto 등의 URL과 at:10:30 같은 시각)
+const PLAIN_TEXT_VALUE_PATTERN = /^(?:\/\/\S+|[^\s@]+@[^\s@]+|\d{1,2}(?::\d{2}){0,2})$/;
+
+/**
+ * 조건 해석 에러 생성 함수
+ *
+ * @param {string} message - 에러 메시지
+ * @param {Object} token - 문제가 된 토큰 ({ text, position })
+ * @returns {{ value: null, error: Object }} 해석 실패 결과
+ */
+const failure = (message, token) => ({
+  value: null,
+  error: {
+    message: `${message} (위치 ${token.position + 1}: ${token.text})`,
+    token: token.text,
+    position: token.position
+  }
+});
+
+/**
+ * 입력 문자열 토큰 분리 함수
+ * 공백으로 나누되 따옴표 안의 공백은 유지합니다
+ *
+ * @param {string} input - 입력 문자열
+ * @returns {Array<{ text: string, position: number }>} 토큰 목록
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    tokens.push({ text: match[0], position: match.index });
+  }
+
+  return tokens;
+};
+
+/**
+ * 따옴표 제거 함수
+ *
+ * @param {string} value - 토큰 값
+ * @returns {string} 따옴표를 제거한 값
+ */
+const unquote = (value) => value.replace(/"/g, '').trim();
+
+/**
+ * UTC 기준 하루의 시작 시각 계산 함수
+ *
+ * @param {Date} date - 기준 시각
+ * @param {number} offsetDays - 더할 일 수
+ * @returns {Date} 해당 날짜의 UTC 자정
+ */
+const startOfUtcDay = (date, offsetDays = 0) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) + offsetDays * DAY_MS);
+};
+
+/**
+ * 날짜 값 해석 함수
+ * YYYY-MM-DD, today/tomorrow/yesterday, 상대 기간(7d, 2w, -3d)을 하루 단위 범위로 변환합니다
+ *
+ * @param {string} value - 날짜 값
+ * @param {Date} now - 기준 시각
+ * @returns {{ start: Date, end: Date }|null} 하루의 시작/끝 (해석할 수 없으면 null)
+ */
+const parseDay = (value, now) => {
+  const keywords = { yesterday: -1, today: 0, tomorrow: 1 };
+  let start = null;
+
+  if (keywords[value.toLowerCase()] !== undefined) {
+    start = startOfUtcDay(now, keywords[value.toLowerCase()]);
+  } else if (/^-?\d+[dw]$/i.test(value)) {
+    const amount = parseInt(value);
+    const days = value.toLowerCase().endsWith('w') ? amount * 7 : amount;
+    start = startOfUtcDay(now, days);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (isNaN(date.getTime())) return null;
+    start = date;
+  } else {
+    return null;
+  }
+
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+/**
+ * 날짜 비교 조건 생성 함수
+ *
+ * @param {string} operator - 비교 연산자
+ * @param {{ start: Date, end: Date }} day - 비교할 날짜 범위
+ * @returns {Object} MongoDB 비교 조건
+ */
+const buildDateRange = (operator, day) => {
+  switch (operator) {
+    case '<': return { $lt: day.start };
+    case '<=': return { $lt: day.end };
+    case '>': return { $gte: day.end };
+    case '>=': return { $gte: day.start };
+    default: return { $gte: day.start, $lt: day.end };
+  }
+};
+
+/**
+ * 숫자 비교 조건 생성 함수
+ *
+ * @param {string} operator - 비교 연산자
+ * @param {number} value - 비교할 값
+ * @returns {Object|number} MongoDB 비교 조건
+ */
+const buildNumberRange = (operator, value) => {
+  switch (operator) {
+    case '<': return { $lt: value };
+    case '<=': return { $lte: value };
+    case '>': return { $gt: value };
+    case '>=': return { $gte: value };
+    default: return value;
+  }
+};
+
+/**
+ * 필드별 조건 해석기
+ * 각 해석기는 { condition } 또는 { error }를 반환합니다
+ */
+const FIELD_PARSERS = {
+  // category:업무 또는 category:업무,학습
+  category: (operator, value) => {
+    if (operator !== ':' && operator !== '=') {
+      return { error: '카테고리는 : 연산자만 사용할 수 있습니다.' };
+    }
+    const categories = value.split(',').map(item => item.trim()).filter(Boolean);
+    return { condition: { category: categories.length > 1 ? { $in: categories } : categories[0] } };
+  },
+
+  // priority>=4
+  priority: (operator, value) => {
+    const priority = Number(value);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+      return { error: '우선순위는 1부터 5까지의 숫자여야 합니다.' };
+    }
+    return { condition: { priority: buildNumberRange(operator, priority) } };
+  },
+
+  // due<7d, due:today, due:none
+  due: (operator, value, context) => {
+    if (value.toLowerCase() === 'none') {
+      if (operator !== ':' && operator !== '=') {
+        return { error: 'due:none에는 : 연산자만 사용할 수 있습니다.' };
+      }
+      return { condition: { dueDate: null } };
+    }
+
+    const day = parseDay(value, context.now);
+    if (!day) {
+      return { error: '날짜는 YYYY-MM-DD, today, tomorrow, yesterday 또는 7d, 2w 같은 상대 기간이어야 합니다.' };
+    }
+    return { condition: { dueDate: buildDateRange(operator, day) } };
+  },
+
+  // created>=2025-01-01, created>-7d
+  created: (operator, value, context) => {
+    const day = parseDay(value, context.now);
+    if (!day) {
+      return { error: '날짜는 YYYY-MM-DD, today, tomorrow, yesterday 또는 7d, 2w 같은 상대 기간이어야 합니다.' };
+    }
+    return { condition: { createdAt: buildDateRange(operator, day) } };
+  },
+
+  // tag:client
+  tag: (operator, value) => {
+    if (operator !== ':' && operator !== '=') {
+      return { error: '태그는 : 연산자만 사용할 수 있습니다.' };
+    }
+    return { condition: { tags: value } };
+  },
+
+  // assignee:me, assignee:none, assignee:<사용자 ID>
+  assignee: (operator, value, context) => {
+    if (operator !== ':' && operator !== '=') {
+      return { error: '담당자는 : 연산자만 사용할 수 있습니다.' };
+    }
+    if (value === 'none') {
+      return { condition: { assignees: { $size: 0 } } };
+    }
+    if (value === 'me') {
+      return { condition: { assignees: context.userId } };
+    }
+    if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+      return { error: '담당자는 me, none 또는 사용자 ID여야 합니다.' };
+    }
+    return { condition: { assignees: value } };
+  }
+};
+
+/**
+ * 플래그 조건 생성 함수
+ *
+ * @param {string} flag - 플래그 이름
+ * @param {Object} context - 해석 문맥 ({ now })
+ * @returns {Object} MongoDB 조회 조건
+ */
+const buildFlagCondition = (flag, context) => {
+  switch (flag) {
+    case 'completed':
+      return { completed: true };
+    case 'overdue':
+      return { completed: false, dueDate: { $lt: startOfUtcDay(context.now) } };
+    case 'recurring':
+      return { recurrence: { $exists: true } };
+    default:
+      return {};
+  }
+};
+
+/**
+ * 검색 조건 언어 해석 함수
+ *
+ * @param {string} input - 검색창 입력 문자열
+ * @param {Object} context - 해석 문맥
+ * @param {string} context.userId - 현재 사용자 ID (assignee:me 해석용)
+ * @param {Date} [context.now] - 기준 시각 (기본값: 현재 시각)
+ * @returns {{ value: { conditions: Object[], text: string }|null, error: Object|null }}
+ *   조회 조건 목록과 전문 검색에 사용할 나머지 문자열, 또는 에러 정보 ({ message, token, position })
+ */
+const parseTaskQuery = (input, context) => {
+  const parseContext = { now: new Date(), ...context };
+  const conditions = [];
+  const textTokens = [];
+
+  for (const token of tokenize(input)) {
+    const flagMatch = token.text.match(/^(-?)([a-zA-Z]+)$/);
+
+    // 플래그 (completed, -completed 등)
+    if (flagMatch && FLAGS.includes(flagMatch[2].toLowerCase())) {
+      const condition = buildFlagCondition(flagMatch[2].toLowerCase(), parseContext);
+      conditions.push(flagMatch[1] ? { $nor: [condition] } : condition);
+      continue;
+    }
+
+    const fieldMatch = token.text.match(FIELD_TOKEN_PATTERN);
+
+    // 조건 형식이 아니면 전문 검색어로 사용
+    if (!fieldMatch) {
+      textTokens.push(token.text);
+      continue;
+    }
+
+    const [, negation, rawField, operator, rawValue] = fieldMatch;
+    const field = rawField.toLowerCase();
+    const parser = FIELD_PARSERS[field];
+
+    if (!parser) {
+      // URL이나 시각처럼 콜론이 들어간 일반 단어는 전문 검색어로 사용
+      if (operator === ':' && PLAIN_TEXT_VALUE_PATTERN.test(rawValue)) {
+        textTokens.push(token.text);
+        continue;
+      }
+
+      // 그 밖에는 필드 이름을 잘못 입력한 것으로 보고 알려줌 (priorty>=4 등)
+      return failure(
+        `알 수 없는 필드입니다. 사용 가능한 필드: ${Object.keys(FIELD_PARSERS).join(', ')}`,
+        token
+      );
+    }
+
+    const value = unquote(rawValue);
+    if (!value) {
+      return failure(`${field} 조건에 값이 없습니다.`, token);
+    }
+
+    const result = parser(operator, value, parseContext);
+    if (result.error) {
+      return failure(result.error, token);
+    }
+
+    conditions.push(negation ? { $nor: [result.condition] } : result.condition);
+  }
+
+  return {
+    value: { conditions, text: textTokens.join(' ') },
+    error: null
+  };
+};
+
+module.exports = {
+  FLAGS,
+  FIELDS: Object.keys(FIELD_PARSERS),
+  parseTaskQuery
+};
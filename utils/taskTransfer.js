@@ -0,0 +1,264 @@
+/**
+ * 할 일 내보내기/가져오기 유틸리티
+ *
+ * 이 파일은 할 일을 CSV/JSON 파일로 내보내고 다시 가져올 때 사용하는 변환 규칙을 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 내보내기 형식(csv, json)과 CSV 열 정의
+ * - 할 일 문서를 CSV 행 또는 JSON 객체로 변환
+ * - 가져온 파일을 행 목록으로 해석하고, 각 행을 새 할 일 입력값으로 변환
+ *
+ * 내보낸 파일을 그대로 가져올 수 있도록 두 형식 모두 같은 필드 이름을 사용합니다.
+ */
+
+const { UTF8_BOM, stringifyCsvRow, parseCsvRecords } = require('./csv'); // CSV 생성 및 해석
+
+// 지원하는 파일 형식
+const TRANSFER_FORMATS = ['csv', 'json'];
+
+// 가져오기 요청 본문 최대 크기 (내보낸 파일을 그대로 올릴 수 있도록 기본값보다 크게 설정)
+const TRANSFER_BODY_LIMIT = '5mb';
+
+// CSV 열 (순서대로)
+const CSV_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'category',
+  'priority',
+  'dueDate',
+  'completed',
+  'completedAt',
+  'status',
+  'tags',
+  'subtasks',
+  'recurrence',
+  'assignees',
+  'projectId',
+  'seriesId',
+  'createdAt',
+  'updatedAt'
+];
+
+// 날짜만 있는 값 (2026-10-20, 2026/10/20, 2026. 10. 20. 등 스프레드시트에서 바뀐 형식 포함)
+const DATE_ONLY_PATTERN = /^(\d{4})\s*[-./]\s*(\d{1,2})\s*[-./]\s*(\d{1,2})\.?$/;
+
+/**
+ * 날짜 값을 문자열로 변환하는 함수
+ *
+ * @param {Date} value - 날짜
+ * @param {boolean} [dateOnly=false] - true면 YYYY-MM-DD (마감일은 UTC 자정으로 저장되므로 UTC 기준)
+ * @returns {string} 날짜 문자열 (값이 없으면 빈 문자열)
+ */
+const formatDate = (value, dateOnly = false) => {
+  if (!value) return '';
+
+  const iso = new Date(value).toISOString();
+  return dateOnly ? iso.slice(0, 10) : iso;
+};
+
+/**
+ * CSV 헤더 생성 함수
+ * 엑셀에서 한글이 깨지지 않도록 파일 맨 앞에 BOM을 붙입니다
+ *
+ * @returns {string} BOM과 헤더 행
+ */
+const toCsvHeader = () => {
+  return UTF8_BOM + stringifyCsvRow(CSV_FIELDS);
+};
+
+/**
+ * 할 일을 CSV 행으로 변환하는 함수
+ * 태그와 담당자는 쉼표로 잇고, 하위 작업과 반복 규칙은 JSON 문자열로 저장합니다
+ *
+ * @param {Object} task - 할 일 (lean 조회 결과)
+ * @returns {string} CSV 한 줄
+ */
+const toCsvRow = (task) => {
+  const subtasks = (task.subtasks || []).map(subtask => ({
+    title: subtask.title,
+    completed: subtask.completed
+  }));
+
+  return stringifyCsvRow([
+    task._id,
+    task.title,
+    task.description,
+    task.category,
+    task.priority,
+    formatDate(task.dueDate, true),
+    task.completed ? 'true' : 'false',
+    formatDate(task.completedAt),
+    task.status,
+    (task.tags || []).join(','),
+    subtasks.length > 0 ? JSON.stringify(subtasks) : '',
+    task.recurrence ? JSON.stringify(task.recurrence) : '',
+    (task.assignees || []).join(','),
+    task.projectId,
+    task.seriesId,
+    formatDate(task.createdAt),
+    formatDate(task.updatedAt)
+  ]);
+};
+
+/**
+ * 할 일을 JSON 내보내기 객체로 변환하는 함수
+ * 저장된 모든 필드를 그대로 포함합니다
+ *
+ * @param {Object} task - 할 일 (lean 조회 결과)
+ * @returns {Object} 내보내기 객체
+ */
+const toJsonRecord = (task) => {
+  const { _id, __v, ...fields } = task;
+  return { id: _id, ...fields };
+};
+
+/**
+ * 가져올 파일 해석 함수
+ * CSV는 첫 행을 헤더로 사용하고, JSON은 할 일 배열 또는 내보내기 형식({ tasks: [...] })을 받습니다
+ *
+ * @param {string} format - 파일 형식 (csv, json)
+ * @param {string|Object|Array} content - CSV 텍스트 또는 JSON 본문
+ * @returns {{ value: Array<Object>|null, error: string|null }} 행 목록 또는 에러 메시지
+ */
+const parseTransferFile = (format, content) => {
+  if (format === 'csv') {
+    if (typeof content !== 'string' || content.trim() === '') {
+      return { value: null, error: 'CSV 내용이 비어 있습니다.' };
+    }
+
+    // UTF-8이 아닌 인코딩(CP949 등)으로 저장된 파일은 한글이 깨진 문자로 해석됨
+    if (content.includes('\uFFFD')) {
+      return { value: null, error: 'UTF-8로 저장된 CSV 파일만 가져올 수 있습니다.' };
+    }
+
+    const csvResult = parseCsvRecords(content);
+    if (csvResult.error) return csvResult;
+
+    if (!csvResult.value.headers.includes('title')) {
+      return { value: null, error: 'CSV 첫 행에 title 열이 있어야 합니다.' };
+    }
+
+    return { value: csvResult.value.records, error: null };
+  }
+
+  const records = Array.isArray(content) ? content : content && content.tasks;
+  if (!Array.isArray(records)) {
+    return { value: null, error: 'JSON은 할 일 배열 또는 { "tasks": [...] } 형식이어야 합니다.' };
+  }
+
+  return { value: records, error: null };
+};
+
+/**
+ * 문자열로 저장된 JSON 값 해석 함수 (CSV의 하위 작업, 반복 규칙 열)
+ *
+ * @param {*} value - 값
+ * @returns {{ value: *, error: boolean }} 해석된 값 (빈 값은 undefined)
+ */
+const parseJsonField = (value) => {
+  if (value === undefined || value === null || value === '') return { value: undefined, error: false };
+  if (typeof value !== 'string') return { value, error: false };
+
+  try {
+    return { value: JSON.parse(value), error: false };
+  } catch (error) {
+    return { value: undefined, error: true };
+  }
+};
+
+/**
+ * 가져온 행을 새 할 일 입력값으로 변환하는 함수
+ * CSV의 문자열 값을 원래 형식으로 바꾸며, 결과는 normalizeTaskInput으로 다시 검사해야 합니다.
+ * 완료된 반복 할 일은 다음 회차가 별도 행으로 내보내지므로 반복 규칙 없이 가져옵니다
+ *
+ * @param {Object} record - 행 객체
+ * @returns {{ value: { input: Object, completed: boolean, completedAt: Date|undefined, status: string|undefined }|null, error: string|null }} 변환 결과 또는 에러 메시지
+ */
+const toTaskInput = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { value: null, error: '할 일 형식이 올바르지 않습니다.' };
+  }
+
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+  // 우선순위
+  let priority;
+  if (text(record.priority) !== '') {
+    priority = Number(record.priority);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+      return { value: null, error: '우선순위는 1부터 5까지의 숫자여야 합니다.' };
+    }
+  }
+
+  // 완료 여부
+  const completedText = text(record.completed).toLowerCase();
+  if (!['', 'true', 'false', '1', '0'].includes(completedText)) {
+    return { value: null, error: 'completed는 true 또는 false여야 합니다.' };
+  }
+  const completed = completedText === 'true' || completedText === '1';
+
+  let completedAt;
+  if (completed && text(record.completedAt) !== '') {
+    completedAt = new Date(record.completedAt);
+    if (isNaN(completedAt.getTime())) {
+      return { value: null, error: '완료일 형식이 올바르지 않습니다.' };
+    }
+  }
+
+  // 마감일 (날짜만 있는 값은 UTC 자정으로 저장)
+  let dueDate = text(record.dueDate) || undefined;
+  const dateMatch = dueDate && dueDate.match(DATE_ONLY_PATTERN);
+  if (dateMatch) {
+    dueDate = new Date(Date.UTC(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3])));
+  }
+
+  // 태그 (배열 또는 쉼표로 구분한 문자열)
+  const tags = (Array.isArray(record.tags) ? record.tags : text(record.tags).split(','))
+    .map(tag => text(tag))
+    .filter(Boolean);
+
+  const subtasksResult = parseJsonField(record.subtasks);
+  if (subtasksResult.error || (subtasksResult.value !== undefined && !Array.isArray(subtasksResult.value))) {
+    return { value: null, error: '하위 작업 형식이 올바르지 않습니다.' };
+  }
+
+  const recurrenceResult = parseJsonField(record.recurrence);
+  if (recurrenceResult.error) {
+    return { value: null, error: '반복 규칙 형식이 올바르지 않습니다.' };
+  }
+
+  return {
+    value: {
+      input: {
+        title: text(record.title),
+        description: text(record.description),
+        category: text(record.category) || undefined,
+        priority,
+        dueDate,
+        tags: [...new Set(tags)],
+        // 하위 작업은 제목과 완료 여부만 가져옴 (ID는 새로 생성)
+        subtasks: (subtasksResult.value || []).map(subtask => (
+          subtask && typeof subtask === 'object'
+            ? { title: subtask.title, completed: Boolean(subtask.completed) }
+            : subtask
+        )),
+        recurrence: completed ? undefined : recurrenceResult.value
+      },
+      completed,
+      completedAt,
+      status: text(record.status) || undefined
+    },
+    error: null
+  };
+};
+
+module.exports = {
+  TRANSFER_FORMATS,
+  TRANSFER_BODY_LIMIT,
+  CSV_FIELDS,
+  toCsvHeader,
+  toCsvRow,
+  toJsonRecord,
+  parseTransferFile,
+  toTaskInput
+};
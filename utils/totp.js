@@ -0,0 +1,212 @@
+/**
+ * TOTP(시간 기반 일회용 비밀번호) 유틸리티
+ *
+ * 이 파일은 2단계 인증에 사용하는 TOTP(RFC 6238) 계산과 복구 코드를 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 비밀 키 생성 및 Base32 인코딩/디코딩 (인증 앱에 입력하는 형식)
+ * - 인증 앱 등록용 otpauth:// URI 생성 (QR 코드로 표시)
+ * - 6자리 코드 계산 및 확인 (앞뒤 30초의 시계 오차 허용)
+ * - 일회용 복구 코드 생성 및 해시
+ *
+ * Google Authenticator, Microsoft Authenticator, 1Password 등 표준 인증 앱과 호환되는
+ * 기본 설정(HMAC-SHA1, 6자리, 30초)만 사용합니다.
+ */
+
+const crypto = require('crypto'); // HMAC 계산, 비밀 키와 복구 코드 생성
+
+// Base32 문자 (RFC 4648)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 코드가 바뀌는 간격 (초)
+const STEP_SECONDS = 30;
+
+// 코드 자릿수
+const CODE_DIGITS = 6;
+
+// 허용하는 앞뒤 시간 단계 수 (기기 시계 오차)
+const ALLOWED_DRIFT_STEPS = 1;
+
+// 복구 코드 개수
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Base32 인코딩 함수 (패딩 없음)
+ *
+ * @param {Buffer} buffer - 원본 바이트
+ * @returns {string} Base32 문자열
+ */
+const encodeBase32 = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 디코딩 함수
+ * 공백, 하이픈, 패딩(=)은 무시하고 소문자도 허용합니다
+ *
+ * @param {string} text - Base32 문자열
+ * @returns {Buffer} 원본 바이트
+ */
+const decodeBase32 = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('잘못된 Base32 문자열입니다.');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 비밀 키 생성 함수
+ *
+ * @returns {string} Base32로 인코딩한 160비트 비밀 키
+ */
+const generateSecret = () => encodeBase32(crypto.randomBytes(20));
+
+/**
+ * 인증 앱 등록 URI 생성 함수
+ *
+ * @param {Object} options - 설정
+ * @param {string} options.secret - Base32 비밀 키
+ * @param {string} options.account - 계정 이름 (이메일)
+ * @param {string} options.issuer - 서비스 이름
+ * @returns {string} otpauth://totp/... URI
+ */
+const buildOtpAuthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * 시간 단계 계산 함수
+ *
+ * @param {number} [timeMs=Date.now()] - 기준 시각 (밀리초)
+ * @returns {number} 1970년부터 지난 30초 단계 수
+ */
+const getTimeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * 코드 계산 함수 (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 비밀 키
+ * @param {number} step - 시간 단계
+ * @returns {string} 0으로 채운 6자리 코드
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * 코드 확인 함수
+ * 현재 시간 단계와 앞뒤 단계의 코드를 비교합니다 (같은 코드의 재사용 여부는 호출한 쪽에서 확인)
+ *
+ * @param {string} secret - Base32 비밀 키
+ * @param {string} code - 사용자가 입력한 코드 (공백 허용)
+ * @param {number} [timeMs=Date.now()] - 기준 시각
+ * @returns {number|null} 일치한 시간 단계 (일치하지 않으면 null)
+ */
+const verifyCode = (secret, code, timeMs = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = getTimeStep(timeMs);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 복구 코드 정규화 함수
+ * 대소문자, 공백, 하이픈 차이를 무시합니다
+ *
+ * @param {string} code - 복구 코드
+ * @returns {string} 정규화한 코드
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * 복구 코드 해시 함수
+ *
+ * @param {string} code - 복구 코드
+ * @returns {string} 16진수 해시 문자열
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+/**
+ * 복구 코드 생성 함수
+ *
+ * @returns {Array<string>} "xxxxx-xxxxx" 형식의 복구 코드 목록
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+module.exports = {
+  encodeBase32,
+  decodeBase32,
+  generateSecret,
+  buildOtpAuthUri,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
@@ -0,0 +1,193 @@
+/**
+ * 로그인 2단계 인증 유틸리티
+ *
+ * 이 파일은 2단계 인증을 켠 사용자의 로그인 두 번째 단계를 담당합니다.
+ * 다음과 같은 주요 기능을 포함합니다:
+ * - 비밀번호를 확인한 뒤 최종 토큰 대신 짧은 수명의 2단계 요청 토큰(challengeToken) 발급
+ * - 인증 앱 코드 또는 복구 코드 확인 (같은 코드와 이미 쓴 복구 코드의 재사용 거부)
+ * - 2단계 요청마다 코드 입력 실패 횟수 제한 (넘으면 비밀번호부터 다시 로그인)
+ *
+ * 2단계 요청은 한 번만 완료할 수 있고, 다시 로그인하면 이전 요청은 무효가 됩니다.
+ */
+
+const crypto = require('crypto');             // 요청 ID 생성 및 해시
+const jwt = require('jsonwebtoken');          // 요청 토큰 서명 및 검증
+const User = require('../models/User');        // 사용자 모델
+const { verifyCode, hashRecoveryCode } = require('./totp'); // TOTP 코드 및 복구 코드 확인
+
+// 요청 토큰 서명 키 (액세스 토큰과 같은 키, audience로 구분)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// 요청 토큰 audience
+const CHALLENGE_AUDIENCE = 'taskflow:two-factor-login';
+
+// 2단계 요청 유효 시간 (5분)
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// 2단계 요청 하나에서 허용하는 코드 입력 실패 횟수
+const MAX_CHALLENGE_FAILURES = 5;
+
+/**
+ * 요청 ID 해시 함수
+ *
+ * @param {string} challengeId - 요청 ID
+ * @returns {string} 16진수 해시 문자열
+ */
+const hashChallengeId = (challengeId) => {
+  return crypto.createHash('sha256').update(String(challengeId)).digest('hex');
+};
+
+/**
+ * 2단계 요청 시작 함수
+ * 사용자에 새 요청을 기록하고(이전 요청은 무효화) 요청 토큰을 반환합니다
+ *
+ * @param {Object} user - 비밀번호를 확인한 사용자 문서
+ * @returns {Promise<{ challengeToken: string, expiresIn: number }>} 요청 토큰과 유효 시간(초)
+ */
+const startTwoFactorChallenge = async (user) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.challengeHash': hashChallengeId(challengeId), 'twoFactor.challengeFailures': 0 } }
+  );
+
+  const challengeToken = jwt.sign(
+    { sub: String(user._id), jti: challengeId },
+    JWT_SECRET,
+    {
+      audience: CHALLENGE_AUDIENCE,
+      expiresIn: CHALLENGE_TTL_SECONDS
+    }
+  );
+
+  return { challengeToken, expiresIn: CHALLENGE_TTL_SECONDS };
+};
+
+/**
+ * 인증 앱 코드 사용 함수
+ * 이미 사용한 시간 단계 이후의 코드일 때만 성공하며, 사용한 단계를 기록합니다
+ *
+ * @param {Object} user - 사용자 문서 (twoFactor.secret 포함)
+ * @param {string} code - 6자리 코드
+ * @returns {Promise<boolean>} 성공 여부
+ */
+const useTotpCode = async (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * 복구 코드 사용 함수
+ * 남은 복구 코드에 있으면 제거하고 성공합니다
+ *
+ * @param {Object} user - 사용자 문서
+ * @param {string} recoveryCode - 복구 코드
+ * @returns {Promise<boolean>} 성공 여부
+ */
+const useRecoveryCode = async (user, recoveryCode) => {
+  const codeHash = hashRecoveryCode(recoveryCode);
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodeHashes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': codeHash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * 2단계 요청 완료 함수
+ * 요청 토큰과 코드(또는 복구 코드)를 확인합니다. 실패가 쌓이면 요청을 무효화합니다
+ *
+ * @param {string} challengeToken - 요청 토큰
+ * @param {Object} input - 입력값
+ * @param {string} [input.code] - 인증 앱의 6자리 코드
+ * @param {string} [input.recoveryCode] - 복구 코드
+ * @returns {Promise<{ value?: Object, error?: string, restartLogin?: boolean, email?: string }>}
+ *   성공하면 { user, recoveryCodesRemaining? }, 실패하면 오류 메시지
+ *   (restartLogin: 비밀번호부터 다시 로그인해야 함, email: 코드를 잘못 입력한 계정의 이메일 - 로그인 실패로 기록)
+ */
+const completeTwoFactorChallenge = async (challengeToken, { code, recoveryCode }) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(challengeToken), JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    return { error: '인증 시간이 지났습니다. 다시 로그인해주세요.', restartLogin: true };
+  }
+
+  const challengeHash = hashChallengeId(payload.jti);
+  const user = await User.findOne({
+    _id: payload.sub,
+    isActive: true,
+    'twoFactor.enabled': true,
+    'twoFactor.challengeHash': challengeHash
+  }).select('+twoFactor.secret');
+
+  if (!user) {
+    return { error: '더 이상 유효하지 않은 로그인 요청입니다. 다시 로그인해주세요.', restartLogin: true };
+  }
+
+  const isValid = recoveryCode
+    ? await useRecoveryCode(user, recoveryCode)
+    : await useTotpCode(user, code);
+
+  if (!isValid) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.challengeHash': challengeHash },
+      { $inc: { 'twoFactor.challengeFailures': 1 } },
+      { new: true }
+    ).select('+twoFactor.challengeFailures');
+
+    if (!updated || updated.twoFactor.challengeFailures >= MAX_CHALLENGE_FAILURES) {
+      await User.updateOne(
+        { _id: user._id, 'twoFactor.challengeHash': challengeHash },
+        { $unset: { 'twoFactor.challengeHash': 1, 'twoFactor.challengeFailures': 1 } }
+      );
+      return { error: '코드를 여러 번 잘못 입력했습니다. 다시 로그인해주세요.', restartLogin: true, email: user.email };
+    }
+
+    return {
+      error: recoveryCode
+        ? '복구 코드가 올바르지 않거나 이미 사용한 코드입니다.'
+        : '인증 코드가 올바르지 않습니다. 인증 앱의 현재 코드를 입력해주세요.',
+      email: user.email
+    };
+  }
+
+  // 요청은 한 번만 완료 가능 (같은 요청으로 동시에 완료하면 하나만 성공)
+  const completed = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.challengeHash': challengeHash },
+    { $unset: { 'twoFactor.challengeHash': 1, 'twoFactor.challengeFailures': 1 } },
+    { new: true }
+  ).select('+twoFactor.recoveryCodeHashes');
+
+  if (!completed) {
+    return { error: '더 이상 유효하지 않은 로그인 요청입니다. 다시 로그인해주세요.', restartLogin: true };
+  }
+
+  return {
+    value: {
+      user: completed,
+      recoveryCodesRemaining: recoveryCode ? completed.twoFactor.recoveryCodeHashes.length : undefined
+    }
+  };
+};
+
+module.exports = {
+  startTwoFactorChallenge,
+  completeTwoFactorChallenge
+};